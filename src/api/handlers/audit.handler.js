@@ -0,0 +1,93 @@
+const { asyncHandler, NotFoundError } = require('../../utils/errors');
+const { getConfig } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { getAuditStore } = require('../../audit/store');
+const { queryEntries, calculateStats, toCsv } = require('../../audit/query');
+const { DAY_MS } = require('../../audit/stores/memory');
+
+const DEFAULT_LIMIT = 100;
+
+// Pure function to pick the filters the audit routes understand from the query string
+const extractFilters = queryParams => ({
+  start_date: queryParams.start_date,
+  end_date: queryParams.end_date,
+  event_type: queryParams.event_type,
+  pass_status: queryParams.pass_status,
+  error_occurred: queryParams.error_occurred,
+  min_score: queryParams.min_score,
+  max_score: queryParams.max_score,
+  user_identifier: queryParams.user_identifier,
+  session_id: queryParams.session_id,
+  inputs_hash: queryParams.inputs_hash,
+  tags: queryParams.tags
+});
+
+const createQueryAuditLogsHandler = () => asyncHandler(async (req, res) => {
+  const entries = queryEntries(await getAuditStore().list(), extractFilters(req.query));
+  const limit = req.query.limit || DEFAULT_LIMIT;
+  const offset = req.query.offset || 0;
+
+  res.set('X-Total-Count', String(entries.length));
+  res.json(entries.slice(offset, offset + limit));
+});
+
+const createGetAuditLogHandler = () => asyncHandler(async (req, res) => {
+  const entry = await getAuditStore().get(req.params.audit_id);
+
+  if (!entry) {
+    throw new NotFoundError(`Audit entry ${req.params.audit_id} not found`);
+  }
+
+  res.json(entry);
+});
+
+const createAuditStatsHandler = () => asyncHandler(async (req, res) => {
+  const entries = queryEntries(await getAuditStore().list(), {
+    start_date: req.query.start_date,
+    end_date: req.query.end_date,
+    event_type: req.query.event_type
+  });
+
+  res.json(calculateStats(entries));
+});
+
+const createAuditCleanupHandler = () => asyncHandler(async (req, res) => {
+  const daysToKeep = req.query.days_to_keep || getConfig('audit.retentionDays', 30);
+  const deletedCount = await getAuditStore().removeOlderThan(new Date(Date.now() - daysToKeep * DAY_MS));
+
+  logger.info('Audit: Cleanup completed', { daysToKeep, deletedCount });
+
+  res.json({
+    message: `Deleted ${deletedCount} audit entries older than ${daysToKeep} days`,
+    days_kept: daysToKeep,
+    deleted_count: deletedCount
+  });
+});
+
+const createAuditExportHandler = () => asyncHandler(async (req, res) => {
+  const entries = queryEntries(await getAuditStore().list(), {
+    start_date: req.query.start_date,
+    end_date: req.query.end_date,
+    event_type: req.query.event_type
+  });
+
+  if (req.query.format === 'csv') {
+    res.type('text/csv');
+    res.attachment(`audit-export-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.send(toCsv(entries));
+    return;
+  }
+
+  res.json({
+    count: entries.length,
+    entries
+  });
+});
+
+module.exports = {
+  createQueryAuditLogsHandler,
+  createGetAuditLogHandler,
+  createAuditStatsHandler,
+  createAuditCleanupHandler,
+  createAuditExportHandler
+};
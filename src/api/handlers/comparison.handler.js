@@ -0,0 +1,223 @@
+const { splitEvery } = require('ramda');
+const { pipeAsync, sequence } = require('../../utils/functional');
+const { asyncHandler } = require('../../utils/errors');
+const prompts = require('../../prompts/prompts');
+const { getConfig } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { extractEvaluationParams, createEvaluationClient, evaluateResume } = require('./evaluation.handler');
+
+// Human readable labels for the dimensions compared side by side
+const DIMENSION_LABELS = {
+  job_fit: 'Job Fit',
+  keyword: 'Keywords',
+  relevance: 'Relevance',
+  language: 'Language Quality',
+  readability: 'Readability',
+  related_accomplishments: 'Related Accomplishments',
+  fidelity: 'Fidelity',
+  opportunity: 'Opportunity'
+};
+
+// A dimension only counts as a differentiator when the spread exceeds this
+const DIFFERENTIATOR_MIN_SPREAD = 0.1;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Pure function to extract comparison parameters
+const extractComparisonParams = body => ({
+  ...extractEvaluationParams(body),
+  resumes: body.resumes.map(entry => ({
+    identifier: entry.identifier,
+    content: entry.content,
+    original_resume: entry.original_resume || null
+  }))
+});
+
+// Pure function to rank evaluations by composite score, breaking ties on job fit
+const rankEvaluations = evaluations => [...evaluations]
+  .sort((a, b) => (b.result.composite_score - a.result.composite_score)
+    || (b.result.job_fit_score - a.result.job_fit_score))
+  .map((evaluation, index) => ({
+    rank: index + 1,
+    identifier: evaluation.identifier,
+    composite_score: evaluation.result.composite_score,
+    job_fit_score: evaluation.result.job_fit_score,
+    quality_score: evaluation.result.quality_score,
+    fidelity_score: evaluation.result.fidelity_score,
+    pass: evaluation.result.pass,
+    should_improve: evaluation.result.should_improve,
+    improvement_strategy: evaluation.result.improvement_strategy,
+    normalized_scores: evaluation.result.normalized_scores
+  }));
+
+// Pure function to compare every scored dimension across all resumes
+const compareDimensions = rankings => {
+  const dimensions = [...new Set(rankings.flatMap(entry => Object.keys(entry.normalized_scores)))];
+
+  return dimensions
+    .map(dimension => {
+      const scored = rankings.filter(entry => typeof entry.normalized_scores[dimension] === 'number');
+      const scores = scored.reduce(
+        (acc, entry) => ({ ...acc, [entry.identifier]: round(entry.normalized_scores[dimension]) }),
+        {}
+      );
+      const values = Object.values(scores);
+      const best = Math.max(...values);
+      const worst = Math.min(...values);
+
+      return {
+        dimension,
+        label: DIMENSION_LABELS[dimension] || dimension,
+        leader: scored.find(entry => round(entry.normalized_scores[dimension]) === best).identifier,
+        laggard: scored.find(entry => round(entry.normalized_scores[dimension]) === worst).identifier,
+        spread: round(best - worst),
+        scores
+      };
+    })
+    .filter(comparison => comparison.spread > 0)
+    .sort((a, b) => b.spread - a.spread);
+};
+
+// Pure function to build the side by side differentiator summary
+const buildDifferentiators = rankings => {
+  const dimensions = compareDimensions(rankings);
+  const keyDimensions = dimensions.filter(dimension => dimension.spread >= DIFFERENTIATOR_MIN_SPREAD);
+
+  const byResume = rankings.reduce((acc, entry) => ({
+    ...acc,
+    [entry.identifier]: {
+      leads_in: keyDimensions
+        .filter(dimension => dimension.leader === entry.identifier)
+        .map(dimension => dimension.label),
+      trails_in: keyDimensions
+        .filter(dimension => dimension.laggard === entry.identifier)
+        .map(dimension => dimension.label)
+    }
+  }), {});
+
+  const [top, runnerUp] = rankings;
+  const margin = round(top.composite_score - runnerUp.composite_score);
+  const summary = [
+    `${top.identifier} ranks first with a composite score of ${round(top.composite_score)}, ${margin} ahead of ${runnerUp.identifier}`,
+    ...keyDimensions.map(dimension => `${dimension.label}: ${dimension.leader} leads and ${dimension.laggard} trails by ${dimension.spread}`)
+  ];
+
+  return {
+    dimensions,
+    by_resume: byResume,
+    summary: keyDimensions.length > 0
+      ? summary
+      : [...summary, 'No dimension separates the resumes by a meaningful margin']
+  };
+};
+
+// Composed async pipeline for multi-resume comparison
+const compareResumes = pipeAsync(
+  // Step 1: Create a single LLM client shared by every resume
+  async params => {
+    const client = await createEvaluationClient(params);
+    return { ...params, client };
+  },
+
+  // Step 2: Extract job description keywords once so every resume is scored against the same terms
+  async context => {
+    if (context.required_terms) {
+      return context;
+    }
+
+    logger.info('Extracting keywords from job description for comparison');
+    const keywordPrompt = prompts.keywordExtractor(context.job_description);
+    const requiredTerms = await context.client.complete({
+      system: keywordPrompt.systemPrompt,
+      user: keywordPrompt.userPrompt,
+      label: 'keyword_extraction'
+    });
+
+    return { ...context, required_terms: requiredTerms };
+  },
+
+  // Step 3: Run the v2 critic suite on each resume, a few resumes at a time
+  async context => {
+    const concurrency = getConfig('comparison.concurrency', 2);
+    const { resumes, client, ...evaluationParams } = context;
+
+    const evaluateEntry = async entry => {
+      logger.debug('Evaluating resume for comparison', { identifier: entry.identifier });
+      // A scoped client keeps served_by per resume, since every resume runs the same critics
+      const result = await evaluateResume(client.scope(), {
+        ...evaluationParams,
+        resume: entry.content,
+        original_resume: entry.original_resume
+      });
+      return { identifier: entry.identifier, result };
+    };
+
+    const groups = splitEvery(concurrency, resumes);
+    const groupResults = await sequence(groups.map(group => () => Promise.all(group.map(evaluateEntry))));
+
+    return { ...context, evaluations: groupResults.flat() };
+  },
+
+  // Step 4: Rank and summarize
+  async context => {
+    const rankings = rankEvaluations(context.evaluations);
+    const differentiators = buildDifferentiators(rankings);
+    return { ...context, rankings, differentiators };
+  }
+);
+
+// Main handler using functional composition
+const createComparisonHandler = () => asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const params = extractComparisonParams(req.body);
+
+  try {
+    const comparison = await compareResumes(params);
+    const executionTime = (Date.now() - startTime) / 1000;
+    const [best] = comparison.rankings;
+
+    const response = {
+      best_match: best.identifier,
+      rankings: comparison.rankings,
+      differentiators: comparison.differentiators,
+      evaluations: comparison.evaluations.reduce(
+        (acc, evaluation) => ({ ...acc, [evaluation.identifier]: evaluation.result }),
+        {}
+      ),
+      extracted_keywords: comparison.required_terms,
+      resume_count: comparison.rankings.length,
+      threshold: getConfig('evaluation.threshold', 0.75),
+      llm_provider: comparison.client.provider,
+      llm_model: comparison.client.model,
+      cache: comparison.client.getCacheStats(),
+      // Summed across resumes; each evaluation also carries its own usage
+      usage: comparison.client.getUsage(),
+      llm_temperature: params.temperature,
+      execution_time: executionTime,
+      version: getConfig('version', '0.22.0'),
+      // Present when the request came through /compare-files
+      ...(req.fileExtraction && { file_extraction: req.fileExtraction })
+    };
+
+    logger.info('Resume comparison completed', {
+      resume_count: response.resume_count,
+      best_match: response.best_match,
+      execution_time: executionTime
+    });
+
+    res.json(response);
+  } catch (error) {
+    logger.error('Resume comparison failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+});
+
+module.exports = {
+  createComparisonHandler,
+  compareResumes,
+  rankEvaluations,
+  buildDifferentiators
+};
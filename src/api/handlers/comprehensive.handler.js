@@ -0,0 +1,319 @@
+const { pipeAsync } = require('../../utils/functional');
+const { asyncHandler } = require('../../utils/errors');
+const prompts = require('../../prompts/prompts');
+const { getConfig } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { normalizeScore } = require('../../core/scoring/calculator');
+const { extractLlmParams, createEvaluationClient } = require('./evaluation.handler');
+const { normalizeClaims, calculateFidelityScores } = require('./fidelity.handler');
+
+// Weights for the full critic set; critics that did not run are left out and the rest renormalized
+const COMPREHENSIVE_WEIGHTS = {
+  job_fit: 0.15,
+  relevance: 0.15,
+  keyword: 0.15,
+  language: 0.08,
+  readability: 0.05,
+  ats: 0.10,
+  bias: 0.07,
+  related_accomplishments: 0.05,
+  fidelity: 0.10,
+  comparison: 0.05,
+  opportunity: 0.05
+};
+
+// An ATS score never counts for more than this when the parser would break on the document
+const ATS_CRITICAL_ISSUE_CAP = 0.5;
+
+// Same section markers the v2 pipeline uses to decide whether to run the related accomplishments critic
+const RELATED_ACCOMPLISHMENTS_PATTERNS = [
+  'related accomplishments',
+  'related achievements',
+  'key accomplishments',
+  'notable accomplishments',
+  'selected accomplishments'
+];
+
+const clamp = value => Math.min(1, Math.max(0, value));
+
+// Pure function to extract comprehensive evaluation parameters
+const extractComprehensiveParams = body => ({
+  ...extractLlmParams(body),
+  job_description: body.job_description,
+  resume: body.tailored_resume,
+  original_resume: body.original_resume || null,
+  required_terms: body.required_terms || null,
+  process_markdown: body.process_markdown !== false
+});
+
+// Pure function to build the named critic set for a request
+const buildCritics = (params, requiredTerms) => {
+  const {
+    job_description: jobDescription,
+    resume,
+    original_resume: originalResume
+  } = params;
+  const hasRelatedAccomplishments = RELATED_ACCOMPLISHMENTS_PATTERNS.some(pattern => resume.toLowerCase().includes(pattern));
+
+  return [
+    { name: 'job_fit', ...prompts.jobFitCritic(jobDescription, resume) },
+    { name: 'keyword', ...prompts.keywordCritic(jobDescription, resume, requiredTerms) },
+    { name: 'readability', ...prompts.readabilityCritic(jobDescription, resume) },
+    { name: 'relevance', ...prompts.relevanceCritic(jobDescription, resume) },
+    { name: 'language', ...prompts.languageCritic(jobDescription, resume) },
+    { name: 'ats', ...prompts.atsCritic(jobDescription, resume) },
+    { name: 'bias', ...prompts.biasCritic(jobDescription, resume) },
+    ...(hasRelatedAccomplishments
+      ? [{ name: 'related_accomplishments', ...prompts.relatedAccomplishmentsCritic(jobDescription, resume) }]
+      : []),
+    ...(originalResume
+      ? [
+        { name: 'fidelity', ...prompts.fidelityCritic(jobDescription, resume, originalResume) },
+        { name: 'comparison', ...prompts.comparisonCritic(jobDescription, resume, originalResume) },
+        { name: 'opportunity', ...prompts.opportunityCritic(jobDescription, resume, originalResume) }
+      ]
+      : [])
+  ];
+};
+
+// Pure function to normalize one critic result to the 0-1 range
+const normalizeCriticResult = (name, result) => {
+  switch (name) {
+    case 'job_fit':
+      return clamp(result.job_fit_score || 0);
+
+    case 'readability':
+    case 'bias':
+      // v1 scoring reads appropriateness_score and bias flag severities from the whole result
+      return normalizeScore(name, result);
+
+    case 'ats': {
+      const atsScore = normalizeScore('ats', result.score);
+      return result.critical_issues_found === true ? Math.min(atsScore, ATS_CRITICAL_ISSUE_CAP) : atsScore;
+    }
+
+    case 'fidelity':
+      return calculateFidelityScores('job_aligned', normalizeClaims(result)).score;
+
+    case 'comparison':
+      return typeof result.fabrication_risk_score === 'number' ? clamp(1 - result.fabrication_risk_score) : 0;
+
+    case 'opportunity':
+      return typeof result.score === 'number' && result.score >= 1 && result.score <= 5 ? (result.score - 1) / 4 : 0;
+
+    default:
+      return normalizeScore(name, result.score);
+  }
+};
+
+// Pure function to calculate the weighted composite over the critics that produced a result
+const calculateComposite = (normalizedScores, weights = COMPREHENSIVE_WEIGHTS) => {
+  const available = Object.keys(normalizedScores).filter(name => weights[name]);
+  const totalWeight = available.reduce((sum, name) => sum + weights[name], 0);
+
+  return totalWeight > 0
+    ? available.reduce((sum, name) => sum + normalizedScores[name] * (weights[name] / totalWeight), 0)
+    : 0;
+};
+
+// Pure function to summarize ATS compatibility
+const summarizeAts = result => (result
+  ? {
+    score: typeof result.score === 'number' ? result.score : null,
+    critical_issues_found: result.critical_issues_found === true,
+    issues: result.issues || [],
+    suggestions: result.suggestions || []
+  }
+  : null);
+
+// Pure function to summarize bias flags by severity
+const summarizeBias = result => {
+  if (!result) {
+    return null;
+  }
+
+  const flags = Array.isArray(result.flags) ? result.flags : [];
+  return {
+    flags,
+    high_severity_count: flags.filter(flag => flag.severity === 'high').length,
+    medium_severity_count: flags.filter(flag => flag.severity === 'medium').length,
+    low_severity_count: flags.filter(flag => flag.severity === 'low').length,
+    overall_assessment: result.overall_assessment || null
+  };
+};
+
+// Pure function to summarize claim-level fidelity against the fidelity threshold
+const summarizeFidelity = result => {
+  if (!result) {
+    return null;
+  }
+
+  const claims = normalizeClaims(result);
+  const scores = calculateFidelityScores('job_aligned', claims);
+  return {
+    ...scores,
+    pass: scores.score >= getConfig('fidelity.threshold', 0.9),
+    ...claims
+  };
+};
+
+// Pure function to summarize the original vs tailored comparison
+const summarizeComparison = result => (result
+  ? {
+    fabrication_risk_score: typeof result.fabrication_risk_score === 'number' ? result.fabrication_risk_score : null,
+    missing_important_content: result.missing_important_content || [],
+    potentially_fabricated: result.potentially_fabricated || [],
+    recommendations: result.recommendations || []
+  }
+  : null);
+
+// Pure function to list what should stop an application from going out as-is
+const identifyBlockingIssues = ({ pass, ats, bias, fidelity }) => [
+  ...(pass ? [] : ['Composite score is below the evaluation threshold']),
+  ...(ats?.critical_issues_found ? ['ATS parsing would break on this resume (tables, columns or graphics)'] : []),
+  ...(bias?.high_severity_count > 0 ? [`${bias.high_severity_count} high severity bias flag(s) found`] : []),
+  ...(fidelity && !fidelity.pass ? [`${fidelity.unsupported_claims_count} claim(s) are not supported by the original resume`] : [])
+];
+
+// Run named critics in parallel; results are keyed by critic name, null when the response could not be parsed
+const runCritics = async (client, critics) => {
+  const results = await Promise.all(critics.map(critic => {
+    logger.debug(`Calling ${critic.name} critic`, {
+      systemPromptLength: critic.systemPrompt.length,
+      userPromptLength: critic.userPrompt.length
+    });
+
+    return client.completeJson({
+      system: critic.systemPrompt,
+      user: critic.userPrompt,
+      outputSchema: critic.outputSchema,
+      label: critic.name
+    });
+  }));
+
+  return critics.reduce((acc, critic, index) => {
+    if (!results[index]) {
+      logger.error(`${critic.name} critic failed to return valid output`, { critic: critic.name });
+    }
+    return { ...acc, [critic.name]: results[index] };
+  }, {});
+};
+
+// Composed async pipeline for comprehensive evaluation
+const evaluateComprehensive = pipeAsync(
+  // Step 1: Create LLM client
+  async params => {
+    const client = await createEvaluationClient(params);
+    return { ...params, client };
+  },
+
+  // Step 2: Extract keywords if not provided
+  async context => {
+    if (context.required_terms) {
+      return { ...context, requiredTerms: context.required_terms };
+    }
+
+    logger.info('Extracting keywords from job description for comprehensive evaluation');
+    const keywordPrompt = prompts.keywordExtractor(context.job_description);
+    const requiredTerms = await context.client.complete({
+      system: keywordPrompt.systemPrompt,
+      user: keywordPrompt.userPrompt,
+      label: 'keyword_extraction'
+    });
+
+    return { ...context, requiredTerms };
+  },
+
+  // Step 3: Run every applicable critic in parallel
+  async context => {
+    const results = await runCritics(context.client, buildCritics(context, context.requiredTerms));
+    return { ...context, results };
+  },
+
+  // Step 4: Normalize scores and calculate the composite
+  async context => {
+    const normalizedScores = Object.entries(context.results)
+      .filter(([, result]) => result !== null && typeof result === 'object')
+      .reduce((acc, [name, result]) => ({ ...acc, [name]: normalizeCriticResult(name, result) }), {});
+
+    return {
+      ...context,
+      normalizedScores,
+      failedCritics: Object.keys(context.results).filter(name => !(name in normalizedScores)),
+      compositeScore: calculateComposite(normalizedScores)
+    };
+  }
+);
+
+// Main handler using functional composition
+const createComprehensiveHandler = () => asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const params = extractComprehensiveParams(req.body);
+
+  try {
+    const evaluation = await evaluateComprehensive(params);
+    const executionTime = (Date.now() - startTime) / 1000;
+    const threshold = getConfig('evaluation.threshold', 0.75);
+    const { results } = evaluation;
+
+    const summary = {
+      pass: evaluation.compositeScore >= threshold,
+      ats: summarizeAts(results.ats),
+      bias: summarizeBias(results.bias),
+      fidelity: summarizeFidelity(results.fidelity)
+    };
+    const blockingIssues = identifyBlockingIssues(summary);
+
+    const response = {
+      composite_score: evaluation.compositeScore,
+      pass: summary.pass,
+      threshold,
+      comprehensive_pass: blockingIssues.length === 0,
+      blocking_issues: blockingIssues,
+      normalized_scores: evaluation.normalizedScores,
+      results,
+      failed_critics: evaluation.failedCritics,
+      ats: summary.ats,
+      bias: summary.bias,
+      fidelity: summary.fidelity,
+      comparison: summarizeComparison(results.comparison),
+      missing_requirements: results.keyword?.missing_must_have || [],
+      extracted_keywords: evaluation.requiredTerms,
+      llm_provider: evaluation.client.provider,
+      llm_model: evaluation.client.model,
+      cache: evaluation.client.getCacheStats(),
+      served_by: evaluation.client.getServedBy(),
+      usage: evaluation.client.getUsage(),
+      critic_status: evaluation.client.getCriticStatus(),
+      llm_temperature: params.temperature,
+      process_markdown: params.process_markdown,
+      max_workers: params.max_workers,
+      execution_time: executionTime,
+      version: getConfig('version', '0.22.0')
+    };
+
+    logger.info('Comprehensive evaluation completed', {
+      composite_score: response.composite_score,
+      comprehensive_pass: response.comprehensive_pass,
+      critics: Object.keys(results).length,
+      execution_time: executionTime
+    });
+
+    res.json(response);
+  } catch (error) {
+    logger.error('Comprehensive evaluation failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+});
+
+module.exports = {
+  COMPREHENSIVE_WEIGHTS,
+  createComprehensiveHandler,
+  evaluateComprehensive,
+  runCritics,
+  normalizeCriticResult,
+  calculateComposite
+};
@@ -0,0 +1,29 @@
+const { asyncHandler } = require('../../utils/errors');
+const { resolveEffectiveConfig } = require('../../utils/effective-config');
+
+// Main handler: the flat fields answer "what will an evaluation use", the rest shows where each value came from
+const createConfigHandler = () => asyncHandler(async (req, res) => {
+  const effective = resolveEffectiveConfig();
+  const { settings, requestDefaults } = effective;
+  const useMock = settings['llm.useMock'].value === true;
+
+  res.json({
+    evaluation_threshold: settings['evaluation.threshold'].value,
+    // The mock provider replaces the configured one whenever mock mode is on
+    llm_provider: useMock ? 'mock' : settings['llm.provider'].value,
+    llm_model: useMock ? 'mock-1.0' : settings['llm.model'].value,
+    llm_temperature: settings['llm.temperature'].value,
+    process_markdown: requestDefaults.process_markdown.value,
+    max_parallel_workers: requestDefaults.max_workers.value,
+    version: settings.version.value,
+    environment: effective.environment,
+    config_files: effective.configFiles,
+    config_file_override: effective.configFileOverride,
+    settings,
+    request_defaults: requestDefaults,
+    secrets: effective.secrets,
+    config: effective.config
+  });
+});
+
+module.exports = { createConfigHandler };
@@ -0,0 +1,1065 @@
+const { asyncHandler, DeadlineExceededError, ClientClosedRequestError } = require('../../utils/errors');
+const { createLLMClient, isMockEnabled } = require('../../llm/client');
+const { getResponseCache } = require('../../llm/cache');
+const prompts = require('../../prompts/prompts');
+const { getConfig } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { identifyCritic } = require('../../utils/critic-identifier');
+const { wantsEventStream, createEventStream } = require('../../utils/event-stream');
+const { createRequestSignal } = require('../../utils/abort');
+const { summarizeSamples } = require('../../utils/statistics');
+const { mergeUsage } = require('../../llm/usage');
+const { createLimiter } = require('../../llm/utils/limiter');
+
+const DEFAULT_WEIGHTS = {
+  keyword: 1.0,
+  readability: 1.0,
+  relevance: 1.0,
+  language: 1.0
+};
+
+// V2 weights including job fit and fidelity
+const V2_WEIGHTS = {
+  job_fit: 0.20, // fundamental compatibility
+  relevance: 0.20, // alignment with requirements
+  keyword: 0.20, // important terms coverage
+  language: 0.10, // writing quality
+  readability: 0.05, // structure and clarity
+  fidelity: 0.10, // truthfulness consistency
+  opportunity: 0.15 // missing key achievements
+};
+
+// Check if resume contains a Related Accomplishments section
+const hasRelatedAccomplishmentsSection = resume => {
+  const resumeLower = resume.toLowerCase();
+  const patterns = [
+    'related accomplishments',
+    'related achievements',
+    'key accomplishments',
+    'notable accomplishments',
+    'selected accomplishments'
+  ];
+  return patterns.some(pattern => resumeLower.includes(pattern));
+};
+
+// Extract ensemble settings; null when the request runs a single evaluation
+const extractEnsembleParams = ensemble => {
+  if (!ensemble) {
+    return null;
+  }
+  return {
+    samples: ensemble.samples || getConfig('evaluation.ensemble.samples', 3),
+    models: ensemble.models || null,
+    aggregate: ensemble.aggregate || getConfig('evaluation.ensemble.aggregate', 'mean'),
+    confidence: ensemble.confidence || getConfig('evaluation.ensemble.confidence', 0.95),
+    use_lower_bound: ensemble.use_lower_bound !== undefined
+      ? ensemble.use_lower_bound
+      : getConfig('evaluation.ensemble.useLowerBound', false)
+  };
+};
+
+// Extract the LLM settings shared by every evaluation endpoint
+const extractLlmParams = body => {
+  const params = {
+    provider: body.provider || getConfig('llm.provider', 'openai'),
+    model: body.model || getConfig('llm.model', 'gpt-4o-mini'),
+    temperature: body.temperature || getConfig('llm.temperature', 0.7),
+    max_workers: body.max_workers || 6,
+    cache: body.cache !== false,
+    providers: body.providers || null
+  };
+
+  // Only add topP if it's explicitly provided in body or config
+  const topP = body.top_p !== undefined ? body.top_p : getConfig('llm.top_p');
+  if (topP !== undefined) {
+    params.topP = topP;
+  }
+
+  return params;
+};
+
+// Extract evaluation parameters from request
+const extractEvaluationParams = body => ({
+  ...extractLlmParams(body),
+  job_description: body.job_description,
+  resume: body.resume,
+  original_resume: body.original_resume || null,
+  required_terms: body.required_terms || null,
+  process_markdown: body.process_markdown !== false,
+  job_fit_score: body.job_fit_score !== undefined ? body.job_fit_score : null,
+  timeout_ms: body.timeout_ms || null,
+  execution_mode: body.execution_mode || getConfig('evaluation.executionMode', 'per_critic'),
+  ensemble: extractEnsembleParams(body.ensemble)
+});
+
+// Normalize scores to 0-1 range
+const normalizeScore = (criticName, score) => {
+  switch (criticName) {
+    case 'relevance':
+    case 'language': {
+      // These critics use 1-5 scale
+      const numScore = typeof score === 'number' ? score : 0;
+      if (numScore >= 1 && numScore <= 5) {
+        return (numScore - 1) / 4;
+      }
+      return 0;
+    }
+
+    case 'readability':
+      // Readability uses appropriateness_score
+      if (typeof score === 'object' && score !== null) {
+        const appScore = score.appropriateness_score || 0;
+        return appScore >= 0 && appScore <= 1 ? appScore : 0;
+      }
+      return 0;
+
+    case 'keyword': {
+      // Keyword already uses 0-1 scale
+      const keywordScore = typeof score === 'number' ? score : 0;
+      return keywordScore >= 0 && keywordScore <= 1 ? keywordScore : 0;
+    }
+
+    default:
+      return 0;
+  }
+};
+
+// Extract the actual score value from a critic result
+const extractScoreValue = criticResult => {
+  if (typeof criticResult === 'number') return criticResult;
+  if (criticResult && typeof criticResult === 'object') {
+    if ('score' in criticResult) return criticResult.score;
+    if ('appropriateness_score' in criticResult) return criticResult;
+  }
+  return criticResult;
+};
+
+// Normalize one named v2 critic result to the 0-1 range
+const normalizeCriticScore = (criticName, result) => {
+  if (!result) {
+    return null;
+  }
+  if (criticName === 'job_fit') {
+    return result.job_fit_score || 0;
+  }
+  if (criticName === 'fidelity') {
+    return result.score ?? 1.0;
+  }
+  if (criticName === 'opportunity') {
+    // Opportunity uses 1-5 scale, convert to 0-1
+    const oppScore = result.score || 5;
+    return (oppScore - 1) / 4;
+  }
+  return normalizeScore(criticName, extractScoreValue(result));
+};
+
+// Aggregate scores and calculate composite - v2 version with named results
+const aggregateScoresV2 = (namedResults, weights) => {
+  const normalizedScores = {};
+  const rawResults = {};
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  Object.entries(namedResults).forEach(([criticName, result]) => {
+    if (result && weights[criticName]) {
+      // Store raw result
+      rawResults[criticName] = result;
+
+      const normalized = normalizeCriticScore(criticName, result);
+
+      normalizedScores[criticName] = normalized;
+
+      // Add to weighted sum
+      weightedSum += normalized * weights[criticName];
+      totalWeight += weights[criticName];
+    }
+  });
+
+  const compositeScore = totalWeight > 0 ? weightedSum / totalWeight : 0;
+
+  return {
+    composite_score: compositeScore,
+    normalized_scores: normalizedScores,
+    raw_results: rawResults
+  };
+};
+
+// Original aggregate scores for backward compatibility
+const aggregateScores = (results, weights) => {
+  const normalizedScores = {};
+  const rawResults = {};
+  const weightedSum = { value: 0 };
+  const totalWeight = { value: 0 };
+
+  results.forEach((result, index) => {
+    const criticNames = ['keyword', 'readability', 'relevance', 'language'];
+    const criticName = criticNames[index];
+
+    if (result && criticName) {
+      // Store raw result
+      Object.assign(rawResults, { [criticName]: result });
+
+      // Normalize score
+      const scoreValue = extractScoreValue(result);
+      const normalized = normalizeScore(criticName, scoreValue);
+      Object.assign(normalizedScores, { [criticName]: normalized });
+
+      // Add to weighted sum
+      if (weights[criticName]) {
+        weightedSum.value += normalized * weights[criticName];
+        totalWeight.value += weights[criticName];
+      }
+    }
+  });
+
+  const compositeScore = totalWeight.value > 0 ? weightedSum.value / totalWeight.value : 0;
+
+  return {
+    composite_score: compositeScore,
+    normalized_scores: normalizedScores,
+    raw_results: rawResults
+  };
+};
+
+// Determine improvement recommendation based on scores
+const determineImprovementRecommendation = (jobFit, quality, composite, fidelity) => {
+  // Fidelity gate: prevent further changes if truthfulness risk is high
+  const fidelityThreshold = jobFit > 0.6 ? 0.85 : 0.90;
+  if (fidelity < fidelityThreshold) {
+    const stopReason = jobFit < 0.4 ? 'low_fit_fidelity_risk' : 'low_fidelity_risk';
+    return {
+      should_improve: false,
+      strategy: null,
+      stop_reason: stopReason
+    };
+  }
+
+  // GATE: Poor fit with fidelity risk (<0.95)
+  if (jobFit < 0.4 && fidelity < 0.95) {
+    return {
+      should_improve: false,
+      strategy: null,
+      stop_reason: 'low_fit_fidelity_risk'
+    };
+  }
+
+  // GATE: Already optimized (no further meaningful gains)
+  if (quality >= 0.85 && composite >= 0.9) {
+    return {
+      should_improve: false,
+      strategy: null,
+      stop_reason: 'already_optimized'
+    };
+  }
+
+  // Determine strategy based on fit and quality
+  if (jobFit >= 0.7 && quality < 0.7) {
+    return {
+      should_improve: true,
+      strategy: 'major_quality_improvements',
+      max_achievable: Math.min(0.95, jobFit + 0.1)
+    };
+  } if (jobFit >= 0.4) {
+    return {
+      should_improve: true,
+      strategy: 'focus_transferable_skills',
+      max_achievable: jobFit * 0.9
+    };
+  }
+  // Very low job fit but passed fidelity gates
+  return {
+    should_improve: true,
+    strategy: 'minimal_adjustments_only',
+    max_achievable: jobFit * 0.8
+  };
+};
+
+// Identify specific quality issues from critic results
+const identifyQualityGaps = results => {
+  const gaps = [];
+
+  // Check language critic
+  if (results.language) {
+    const languageScore = normalizeScore('language', extractScoreValue(results.language));
+    if (languageScore < 0.8) {
+      gaps.push('Grammar and spelling issues detected');
+    }
+  }
+
+  // Check readability
+  if (results.readability) {
+    const readabilityScore = normalizeScore('readability', extractScoreValue(results.readability));
+    if (readabilityScore < 0.7) {
+      gaps.push('Complex sentence structure affecting readability');
+    }
+  }
+
+  // Check keyword coverage
+  if (results.keyword) {
+    const keywordScore = normalizeScore('keyword', extractScoreValue(results.keyword));
+    if (keywordScore < 0.6) {
+      gaps.push('Missing important keywords from job description');
+    }
+  }
+
+  // Check relevance
+  if (results.relevance) {
+    const relevanceScore = normalizeScore('relevance', extractScoreValue(results.relevance));
+    if (relevanceScore < 0.7) {
+      gaps.push('Weak alignment with job requirements');
+    }
+  }
+
+  return gaps.length > 0 ? gaps : ['No significant quality gaps identified'];
+};
+
+// Identify strengths from critic results
+const identifyStrengths = (results, normalizedScores) => {
+  const strengths = [];
+
+  if (normalizedScores.job_fit >= 0.8) {
+    strengths.push({
+      area: 'Job Fit',
+      score: normalizedScores.job_fit,
+      impact: 'high'
+    });
+  }
+
+  if (normalizedScores.relevance >= 0.8) {
+    strengths.push({
+      area: 'Relevance',
+      score: normalizedScores.relevance,
+      impact: 'high'
+    });
+  }
+
+  if (normalizedScores.keyword >= 0.8) {
+    strengths.push({
+      area: 'Keywords',
+      score: normalizedScores.keyword,
+      impact: 'medium'
+    });
+  }
+
+  if (normalizedScores.language >= 0.9) {
+    strengths.push({
+      area: 'Language Quality',
+      score: normalizedScores.language,
+      impact: 'medium'
+    });
+  }
+
+  return strengths;
+};
+
+// Identify fidelity risks based on scores
+const identifyFidelityRisks = (jobFit, fidelity) => {
+  const risks = [];
+
+  if (jobFit < 0.4 && fidelity < 0.95) {
+    risks.push('Low job fit increases risk of fabrication');
+  }
+
+  if (fidelity < 0.9) {
+    risks.push('Some claims may need verification');
+  }
+
+  if (jobFit < 0.6 && fidelity < 0.85) {
+    risks.push('Significant mismatch - improvements may compromise truthfulness');
+  }
+
+  return risks.length > 0 ? risks : ['No fidelity risks identified'];
+};
+
+// Determine specific areas to focus improvement efforts
+const getImprovementFocus = (jobFit, quality, results) => {
+  const focusAreas = [];
+
+  if (jobFit >= 0.7) {
+    // Good fit, focus on quality improvements
+    if (results.keyword && normalizeScore('keyword', extractScoreValue(results.keyword)) < 0.8) {
+      focusAreas.push('Add more relevant keywords and technical terms');
+    }
+    if (results.language && normalizeScore('language', extractScoreValue(results.language)) < 0.8) {
+      focusAreas.push('Improve grammar and professional language');
+    }
+    if (quality < 0.7) {
+      focusAreas.push('Quantify achievements and impact');
+      focusAreas.push('Use stronger action verbs');
+    }
+  } else if (jobFit >= 0.4) {
+    // Medium fit, focus on transferable skills
+    focusAreas.push('Highlight transferable skills and experiences');
+    focusAreas.push('Emphasize relevant accomplishments');
+    focusAreas.push('Bridge skill gaps with related experience');
+  } else {
+    // Poor fit, minimal changes only
+    focusAreas.push('Minor formatting and clarity improvements only');
+    focusAreas.push('Avoid adding unrelated experience');
+  }
+
+  return focusAreas.length > 0 ? focusAreas : ['Resume is well-optimized'];
+};
+
+// Determine the improvement recommendation, switching an already optimized resume that is missing key
+// highlights (low opportunity score) to adding them
+const recommendImprovement = (jobFit, quality, composite, fidelity, opportunityScore) => {
+  const recommendation = determineImprovementRecommendation(jobFit, quality, composite, fidelity);
+
+  if (recommendation.stop_reason === 'already_optimized' && opportunityScore !== null && opportunityScore < 0.6) {
+    return {
+      should_improve: true,
+      strategy: 'add_highlighted_experiences',
+      stop_reason: null
+    };
+  }
+  return recommendation;
+};
+
+// Human readable overall strategy for the recommendations block
+const describeStrategy = strategy => (strategy
+  ? `Focus on ${strategy.replace(/_/g, ' ')}`
+  : 'Resume is well-optimized');
+
+// Resolve the ordered provider chain: a request's `providers` list replaces provider, model and llm.fallbacks
+const resolveProviderChain = params => {
+  if (params.providers && params.providers.length > 0) {
+    const [primary, ...fallbacks] = params.providers;
+    return { provider: primary.provider, model: primary.model, fallbacks };
+  }
+  return { provider: params.provider, model: params.model, fallbacks: getConfig('llm.fallbacks', []) || [] };
+};
+
+// Create LLM client from evaluation parameters; `signal` cancels all of its calls, and `overrides`
+// are extra client settings (an ensemble member's shared limiter and sample number)
+const createEvaluationClient = (params, signal, overrides = {}) => createLLMClient({
+  ...resolveProviderChain(params),
+  temperature: params.temperature,
+  topP: params.topP,
+  maxWorkers: params.max_workers,
+  useMock: isMockEnabled(),
+  cache: params.cache !== false ? getResponseCache() : null,
+  signal,
+  ...overrides
+});
+
+// Track the critics an evaluation has finished, so a cancelled request can report them
+const createPartialResults = () => {
+  const planned = [];
+  const finished = new Map();
+
+  return {
+    hooks: {
+      onProgress: progress => {
+        if (progress.critics) {
+          planned.push(...progress.critics);
+        }
+      },
+      onCritic: event => {
+        finished.set(event.name, event);
+      }
+    },
+    build: () => {
+      const events = Array.from(finished.values());
+      return {
+        completed_critics: events.map(event => event.name),
+        pending_critics: planned.filter(name => !finished.has(name)),
+        critic_results: events.reduce((acc, event) => ({ ...acc, [event.name]: event.result }), {}),
+        normalized_scores: events.reduce((acc, event) => ({ ...acc, [event.name]: event.normalized_score }), {}),
+        critic_status: events.reduce((acc, event) => ({ ...acc, [event.name]: event.status }), {})
+      };
+    }
+  };
+};
+
+// Turn the reason a request signal aborted into the error returned to the client, with partial results
+const toCancelledError = (reason, partial) => (reason instanceof DeadlineExceededError
+  ? new DeadlineExceededError(reason.timeoutMs, partial)
+  : new ClientClosedRequestError(partial));
+
+// Forward evaluation hooks to both the partial-results tracker and any other listener
+const combineHooks = (first, second) => ({
+  onProgress: progress => {
+    first.onProgress(progress);
+    second.onProgress(progress);
+  },
+  onCritic: event => {
+    first.onCritic(event);
+    second.onCritic(event);
+  }
+});
+
+// Call critics in parallel and report each one as it finishes; results keep the critics' order.
+// With options.execution 'batch' the critics share one structured call, and options.shared lists the
+// documents ({ name, text }) their prompts repeat so the batch sends them once.
+const runNamedCritics = (client, critics, hooks = {}, options = {}) => {
+  const progress = { completed: 0 };
+  const names = critics.map((critic, index) => critic.name || identifyCritic(critic.systemPrompt, index));
+
+  const report = (criticName, parsed, criticStart) => {
+    if (!parsed) {
+      logger.error(`${criticName} critic failed to return valid output`, { critic: criticName });
+    } else {
+      logger.debug(`Successfully parsed ${criticName} critic response`, {
+        critic: criticName,
+        parsedKeys: Object.keys(parsed)
+      });
+    }
+
+    Object.assign(progress, { completed: progress.completed + 1 });
+    if (hooks.onCritic) {
+      hooks.onCritic({
+        name: criticName,
+        result: parsed,
+        status: client.getCriticStatus()[criticName]?.status,
+        normalized_score: (hooks.normalize || normalizeCriticScore)(criticName, parsed),
+        latency_ms: Date.now() - criticStart,
+        completed: progress.completed,
+        total: critics.length
+      });
+    }
+
+    return parsed;
+  };
+
+  if (options.execution === 'batch') {
+    const batchStart = Date.now();
+    logger.debug('Calling critics as one batch', { critics: names });
+
+    return client.completeBatch(critics.map((critic, index) => ({
+      system: critic.systemPrompt,
+      user: critic.userPrompt,
+      outputSchema: critic.outputSchema,
+      label: names[index]
+    })), { shared: options.shared })
+      .then(results => results.map((parsed, index) => report(names[index], parsed, batchStart)));
+  }
+
+  return Promise.all(
+    critics.map((critic, index) => {
+      const criticName = names[index];
+      const criticStart = Date.now();
+
+      logger.debug(`Calling ${criticName} critic`, {
+        criticIndex: index,
+        systemPromptLength: critic.systemPrompt.length,
+        userPromptLength: critic.userPrompt.length
+      });
+
+      return client.completeJson({
+        system: critic.systemPrompt,
+        user: critic.userPrompt,
+        outputSchema: critic.outputSchema,
+        label: criticName
+      }).then(parsed => report(criticName, parsed, criticStart));
+    })
+  );
+};
+
+// Use the request's required terms, or extract them from the job description
+const resolveRequiredTerms = async (client, params, reportProgress) => {
+  if (params.required_terms) {
+    return params.required_terms;
+  }
+  logger.info('Extracting keywords from job description');
+  reportProgress({ stage: 'keywords', message: 'Extracting keywords from job description' });
+  const keywordPrompt = prompts.keywordExtractor(params.job_description);
+  const requiredTerms = await client.complete({
+    system: keywordPrompt.systemPrompt,
+    user: keywordPrompt.userPrompt,
+    label: 'keyword_extraction'
+  });
+  logger.debug('Extracted keywords', { keywords: requiredTerms });
+  return requiredTerms;
+};
+
+// Fidelity score of a resume: 1.0 when there is no original resume to check against, null when the
+// fidelity critic failed
+const scoreFidelity = (params, fidelityResult) => {
+  if (!params.original_resume) {
+    return 1.0;
+  }
+  return fidelityResult ? (fidelityResult.score ?? 1.0) : null;
+};
+
+// Run the v2 critic suite against a single resume and build the v2 response
+// hooks.onProgress and hooks.onCritic receive progress as it happens (used for streaming)
+const evaluateResume = async (client, params, hooks = {}) => {
+  const startTime = Date.now();
+  const reportProgress = progress => hooks.onProgress && hooks.onProgress(progress);
+
+  const requiredTerms = await resolveRequiredTerms(client, params, reportProgress);
+
+  // Check for Related Accomplishments section
+  const hasRelatedAccomplishments = hasRelatedAccomplishmentsSection(params.resume);
+  if (!hasRelatedAccomplishments) {
+    logger.info('Related Accomplishments section not found in resume - skipping RelatedAccomplishmentsCritic');
+  }
+
+  // Build all critic prompts
+  const critics = [];
+
+  // Only add job fit critic if score not provided (check for null specifically to allow 0)
+  if (params.job_fit_score === null) {
+    logger.debug('Job fit score not provided, running job fit critic');
+    critics.push({ name: 'job_fit', ...prompts.jobFitCritic(params.job_description, params.resume) });
+  } else {
+    logger.info('Job fit score provided by user', { job_fit_score: params.job_fit_score });
+  }
+
+  // Add remaining critics
+  critics.push(
+    { name: 'keyword', ...prompts.keywordCritic(params.job_description, params.resume, requiredTerms) },
+    { name: 'readability', ...prompts.readabilityCritic(params.job_description, params.resume) },
+    { name: 'relevance', ...prompts.relevanceCritic(params.job_description, params.resume) },
+    { name: 'language', ...prompts.languageCritic(params.job_description, params.resume) }
+  );
+
+  // Add related accomplishments critic if section exists
+  if (hasRelatedAccomplishments) {
+    critics.push({
+      name: 'related_accomplishments',
+      ...prompts.relatedAccomplishmentsCritic(params.job_description, params.resume)
+    });
+  }
+
+  // Add fidelity critic if original resume provided
+  if (params.original_resume) {
+    critics.push({
+      name: 'fidelity',
+      ...prompts.fidelityCritic(params.job_description, params.resume, params.original_resume)
+    });
+    // Add opportunity critic to find missing high-impact achievements
+    critics.push({
+      name: 'opportunity',
+      ...prompts.opportunityCritic(params.job_description, params.resume, params.original_resume)
+    });
+  }
+
+  // Execute all critics in parallel (same as v1)
+  reportProgress({
+    stage: 'critics',
+    message: `Running ${critics.length} critics`,
+    completed: 0,
+    total: critics.length,
+    critics: critics.map(critic => critic.name)
+  });
+  const results = await runNamedCritics(client, critics, {
+    onCritic: event => {
+      if (hooks.onCritic) {
+        hooks.onCritic(event);
+      }
+      reportProgress({ stage: 'critics', completed: event.completed, total: event.total });
+    }
+  }, {
+    execution: params.execution_mode,
+    shared: [
+      { name: 'JOB DESCRIPTION', text: params.job_description },
+      { name: 'RESUME', text: params.resume },
+      { name: 'ORIGINAL RESUME', text: params.original_resume }
+    ]
+  });
+  reportProgress({ stage: 'aggregate', message: 'Calculating scores' });
+
+  // Parse results and extract scores dynamically based on critics used
+  let criticIndex = 0;
+  let jobFitResult = null;
+  let jobFitScore = 0.0;
+
+  // Handle job fit score - either from parameter or from critic
+  if (params.job_fit_score !== null) {
+    jobFitScore = params.job_fit_score;
+    jobFitResult = { job_fit_score: jobFitScore, fit_summary: 'Job fit score provided by user' };
+  } else {
+    jobFitResult = results[criticIndex];
+    // A job fit critic that failed even after repair has no score, not a score of zero
+    jobFitScore = jobFitResult ? (jobFitResult.job_fit_score || 0.0) : null;
+    criticIndex += 1;
+  }
+
+  const keywordResult = results[criticIndex];
+  criticIndex += 1;
+  const readabilityResult = results[criticIndex];
+  criticIndex += 1;
+  const relevanceResult = results[criticIndex];
+  criticIndex += 1;
+  const languageResult = results[criticIndex];
+  criticIndex += 1;
+  const relatedAccomplishmentsResult = hasRelatedAccomplishments ? results[criticIndex] : null;
+  if (hasRelatedAccomplishments) criticIndex += 1;
+  const fidelityResult = params.original_resume ? results[criticIndex] : null;
+  if (params.original_resume) criticIndex += 1;
+  const opportunityResult = params.original_resume ? results[criticIndex] : null;
+
+  // Calculate fidelity score; there is nothing to check without an original resume, and a fidelity critic
+  // that failed has no score
+  const fidelityScore = scoreFidelity(params, fidelityResult);
+
+  // Map results to named structure
+  const namedResults = {
+    keyword: keywordResult,
+    readability: readabilityResult,
+    relevance: relevanceResult,
+    language: languageResult
+  };
+
+  // Only include job_fit in results if we have a valid result
+  if (jobFitResult) {
+    namedResults.job_fit = jobFitResult;
+  }
+
+  if (relatedAccomplishmentsResult) {
+    namedResults.related_accomplishments = relatedAccomplishmentsResult;
+  }
+
+  if (fidelityResult) {
+    namedResults.fidelity = fidelityResult;
+  }
+
+  if (opportunityResult) {
+    namedResults.opportunity = opportunityResult;
+  }
+
+  // Calculate composite score using V2 weights
+  const v2Weights = params.original_resume ? V2_WEIGHTS : {
+    job_fit: 0.25,
+    relevance: 0.25,
+    keyword: 0.25,
+    language: 0.15,
+    readability: 0.10
+  };
+
+  const { composite_score: aggregateScore, normalized_scores: normalizedScores, raw_results: rawResults } = aggregateScoresV2(
+    namedResults,
+    v2Weights
+  );
+  // When every critic failed there is nothing to score
+  const compositeScore = Object.keys(normalizedScores).length > 0 ? aggregateScore : null;
+
+  // Calculate quality score (excluding job fit and fidelity)
+  const qualityResults = [keywordResult, readabilityResult, relevanceResult, languageResult];
+  const { composite_score: qualityScore } = aggregateScores(qualityResults, DEFAULT_WEIGHTS);
+
+  // Calculate opportunity score and extract suggestions
+  let opportunityScore = null;
+  let enhancementSuggestions = null;
+
+  if (opportunityResult) {
+    const rawOppScore = opportunityResult.score;
+    if (typeof rawOppScore === 'number' && rawOppScore >= 1 && rawOppScore <= 5) {
+      opportunityScore = (rawOppScore - 1) / 4;
+    } else {
+      opportunityScore = 1.0;
+    }
+
+    enhancementSuggestions = opportunityResult.suggestions || [];
+    // If opportunity score is perfect, drop suggestions
+    if (opportunityScore >= 1.0) {
+      enhancementSuggestions = null;
+    }
+  }
+
+  // Without a job fit score, gate on the composite of the critics that did answer
+  const gateJobFit = jobFitScore !== null ? jobFitScore : compositeScore;
+  // A fidelity check that failed gives no assurance, so gate as if it found a risk
+  const gateFidelity = fidelityScore !== null ? fidelityScore : 0;
+
+  const recommendation = recommendImprovement(gateJobFit, qualityScore, compositeScore, gateFidelity, opportunityScore);
+
+  // Build v2 response
+  const criticStatus = client.getCriticStatus();
+  const threshold = getConfig('evaluation.threshold', 0.75);
+  const executionTime = (Date.now() - startTime) / 1000;
+
+  const response = {
+    composite_score: compositeScore,
+    job_fit_score: jobFitScore,
+    quality_score: qualityScore,
+    fidelity_score: fidelityScore,
+    should_improve: recommendation.should_improve,
+    improvement_strategy: recommendation.strategy,
+    max_achievable_score: recommendation.max_achievable || null,
+    stop_reason: recommendation.stop_reason || null,
+    recommendations: {
+      overall_strategy: describeStrategy(recommendation.strategy),
+      improvement_areas: identifyQualityGaps(namedResults),
+      strengths: identifyStrengths(namedResults, normalizedScores),
+      priority_actions: getImprovementFocus(gateJobFit, qualityScore, namedResults)
+    },
+    details: {
+      fit_analysis: jobFitResult?.fit_summary || '',
+      quality_gaps: identifyQualityGaps(namedResults),
+      improvement_focus: getImprovementFocus(gateJobFit, qualityScore, namedResults),
+      fidelity_risk_factors: identifyFidelityRisks(gateJobFit, gateFidelity)
+    },
+    critic_results: namedResults,
+    normalized_scores: normalizedScores,
+    raw_results: rawResults,
+    weights: v2Weights,
+    extracted_keywords: requiredTerms,
+    enhancement_suggestions: enhancementSuggestions,
+    opportunity_score: opportunityScore !== null ? Math.round(opportunityScore * 100) / 100 : null,
+    pass: compositeScore >= threshold,
+    threshold,
+    jd_file: 'job_description.txt',
+    resume_file: 'resume.txt',
+    llm_provider: client.provider,
+    llm_model: client.model,
+    llm_temperature: params.temperature,
+    process_markdown: params.process_markdown,
+    max_workers: params.max_workers,
+    execution_mode: params.execution_mode,
+    cache: client.getCacheStats(),
+    served_by: client.getServedBy(),
+    usage: client.getUsage(),
+    critic_status: criticStatus,
+    failed_critics: Object.keys(criticStatus).filter(name => criticStatus[name].status === 'failed'),
+    execution_time: executionTime,
+    version: '0.22.0'
+  };
+
+  return response;
+};
+
+// One ensemble member per sample of each model; without ensemble.models the request's own provider chain
+const planEnsembleMembers = params => {
+  const models = params.ensemble.models || [null];
+  return models.flatMap(model => Array.from({ length: params.ensemble.samples }, (unused, sample) => ({
+    sample,
+    params: model
+      ? { ...params, provider: model.provider, model: model.model, providers: null }
+      : params
+  })));
+};
+
+// Combine the members' critic status: a critic only fails when no member got valid output from it
+const mergeCriticStatus = responses => responses
+  .flatMap(response => Object.entries(response.critic_status))
+  .reduce((acc, [name, status]) => {
+    const previous = acc[name] || { status: 'failed', attempts: 0, samples: 0 };
+    const rank = ['failed', 'ok', 'repaired'];
+    return {
+      ...acc,
+      [name]: {
+        status: rank[Math.max(rank.indexOf(previous.status), rank.indexOf(status.status))],
+        attempts: previous.attempts + status.attempts,
+        samples: previous.samples + (status.status === 'failed' ? 0 : 1)
+      }
+    };
+  }, {});
+
+// Aggregate the members' scores, with spread and confidence bands, into one v2 response. Text fields
+// (critic results, recommendation details) come from the representative member, the one whose
+// composite is closest to the aggregate.
+const combineEnsemble = (members, responses, options, startTime) => {
+  const summarize = values => summarizeSamples(values.filter(value => typeof value === 'number'), options);
+  const summarizeField = field => summarize(responses.map(response => response[field]));
+  // A score no member produced (every critic behind it failed) stays null
+  const valueOf = summary => (summary ? summary.value : null);
+
+  const composite = summarizeField('composite_score');
+  const quality = summarizeField('quality_score');
+  const jobFit = summarizeField('job_fit_score');
+  const fidelity = summarizeField('fidelity_score');
+  const opportunity = summarizeField('opportunity_score');
+
+  const criticNames = [...new Set(responses.flatMap(response => Object.keys(response.normalized_scores)))];
+  const critics = criticNames.reduce((acc, name) => ({
+    ...acc,
+    [name]: summarize(responses.map(response => response.normalized_scores[name]))
+  }), {});
+
+  const distances = responses.map(response => (composite && typeof response.composite_score === 'number'
+    ? Math.abs(response.composite_score - composite.value)
+    : Infinity));
+  const representative = distances.indexOf(Math.min(...distances));
+  const base = responses[representative];
+
+  // With use_lower_bound, pass and the recommendation only count what the ensemble is confident of
+  const decisionScore = composite && (options.use_lower_bound ? composite.lower : composite.value);
+  // As for a single evaluation, a fidelity no member could check is gated as a risk
+  const recommendation = recommendImprovement(
+    jobFit ? jobFit.value : valueOf(composite),
+    valueOf(quality),
+    decisionScore,
+    fidelity ? fidelity.value : 0,
+    valueOf(opportunity)
+  );
+  const criticStatus = mergeCriticStatus(responses);
+
+  return {
+    ...base,
+    composite_score: valueOf(composite),
+    job_fit_score: valueOf(jobFit),
+    quality_score: valueOf(quality),
+    fidelity_score: valueOf(fidelity),
+    opportunity_score: valueOf(opportunity),
+    should_improve: recommendation.should_improve,
+    improvement_strategy: recommendation.strategy,
+    max_achievable_score: recommendation.max_achievable || null,
+    stop_reason: recommendation.stop_reason || null,
+    recommendations: {
+      ...base.recommendations,
+      overall_strategy: describeStrategy(recommendation.strategy)
+    },
+    normalized_scores: Object.entries(critics)
+      .reduce((acc, [name, summary]) => ({ ...acc, [name]: summary.value }), {}),
+    pass: decisionScore >= base.threshold,
+    cache: responses.reduce((acc, response) => ({
+      enabled: response.cache.enabled,
+      hits: acc.hits + response.cache.hits,
+      misses: acc.misses + response.cache.misses
+    }), { enabled: false, hits: 0, misses: 0 }),
+    usage: mergeUsage(responses.map(response => response.usage)),
+    critic_status: criticStatus,
+    failed_critics: Object.keys(criticStatus).filter(name => criticStatus[name].status === 'failed'),
+    execution_time: (Date.now() - startTime) / 1000,
+    ensemble: {
+      aggregate: options.aggregate,
+      confidence: options.confidence,
+      use_lower_bound: options.use_lower_bound,
+      composite,
+      quality,
+      critics,
+      representative,
+      members: responses.map((response, index) => ({
+        provider: response.llm_provider,
+        model: response.llm_model,
+        sample: members[index].sample + 1,
+        composite_score: response.composite_score,
+        quality_score: response.quality_score,
+        job_fit_score: response.job_fit_score,
+        failed_critics: response.failed_critics,
+        served_by: response.served_by
+      }))
+    }
+  };
+};
+
+// Run the v2 evaluation once per ensemble member and aggregate the scores. Keywords are extracted once
+// and shared; every member draws on the request's max_workers, and samples after the first bypass
+// each other's cache entries. Critic events carry the member's index.
+const evaluateEnsemble = async (params, signal, hooks = {}) => {
+  const startTime = Date.now();
+  const members = planEnsembleMembers(params);
+  const limiter = createLimiter(params.max_workers);
+  const clients = members.map(member => createEvaluationClient(member.params, signal, {
+    limiter,
+    sample: member.sample > 0 ? member.sample : undefined
+  }));
+
+  const requiredTerms = await resolveRequiredTerms(
+    clients[0],
+    params,
+    progress => hooks.onProgress && hooks.onProgress(progress)
+  );
+  logger.info('Running ensemble evaluation', {
+    members: members.length,
+    aggregate: params.ensemble.aggregate,
+    use_lower_bound: params.ensemble.use_lower_bound
+  });
+
+  const responses = await Promise.all(members.map((member, index) => evaluateResume(
+    clients[index],
+    { ...member.params, required_terms: requiredTerms },
+    {
+      // Progress is reported by the first member only, so it describes one pass through the critics
+      onProgress: index === 0 ? hooks.onProgress : undefined,
+      onCritic: event => hooks.onCritic && hooks.onCritic({ ...event, member: index })
+    }
+  )));
+
+  return {
+    ...combineEnsemble(members, responses, params.ensemble, startTime),
+    extracted_keywords: requiredTerms
+  };
+};
+
+// Run a single evaluation, or an ensemble when the request asks for one
+const runEvaluation = async (params, signal, hooks) => {
+  if (params.ensemble) {
+    return evaluateEnsemble(params, signal, hooks);
+  }
+  const client = await createEvaluationClient(params, signal);
+  return evaluateResume(client, params, hooks);
+};
+
+// Stream critic and progress events, then the full response as the final `result` event
+const streamEvaluation = async (res, params, signal) => {
+  const stream = createEventStream(res);
+  const partial = createPartialResults();
+
+  try {
+    const response = await runEvaluation(params, signal, combineHooks(partial.hooks, {
+      onProgress: progress => stream.send('progress', progress),
+      onCritic: critic => stream.send('critic', critic)
+    }));
+
+    logger.info('V2 Evaluation stream completed', {
+      composite_score: response.composite_score,
+      pass: response.pass,
+      execution_time: response.execution_time
+    });
+
+    stream.send('result', response);
+  } catch (error) {
+    logger.error('V2 Evaluation failed', { error: error.message });
+    stream.fail(signal.aborted ? toCancelledError(signal.reason, partial.build()) : error);
+  } finally {
+    stream.close();
+  }
+};
+
+// Main evaluation handler
+// A client disconnect or the request's timeout_ms aborts every outstanding critic call
+const createEvaluationHandler = () => asyncHandler(async (req, res) => {
+  const params = extractEvaluationParams(req.body);
+  const request = createRequestSignal(req, res, params.timeout_ms);
+
+  try {
+    if (wantsEventStream(req)) {
+      await streamEvaluation(res, params, request.signal);
+      return;
+    }
+
+    const partial = createPartialResults();
+    try {
+      const response = await runEvaluation(params, request.signal, partial.hooks);
+
+      logger.info('V2 Evaluation completed', {
+        composite_score: response.composite_score,
+        pass: response.pass,
+        execution_time: response.execution_time
+      });
+
+      res.json(response);
+    } catch (error) {
+      logger.error('V2 Evaluation failed', { error: error.message });
+      throw request.signal.aborted ? toCancelledError(request.signal.reason, partial.build()) : error;
+    }
+  } finally {
+    request.dispose();
+  }
+});
+
+module.exports = {
+  V2_WEIGHTS,
+  DEFAULT_WEIGHTS,
+  extractLlmParams,
+  extractEvaluationParams,
+  normalizeScore,
+  extractScoreValue,
+  normalizeCriticScore,
+  aggregateScoresV2,
+  aggregateScores,
+  runNamedCritics,
+  determineImprovementRecommendation,
+  resolveProviderChain,
+  createEvaluationClient,
+  createPartialResults,
+  combineHooks,
+  toCancelledError,
+  evaluateResume,
+  evaluateEnsemble,
+  createEvaluationHandler
+};
@@ -0,0 +1,185 @@
+const { pipeAsync } = require('../../utils/functional');
+const { asyncHandler } = require('../../utils/errors');
+const prompts = require('../../prompts/prompts');
+const { getConfig } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { extractLlmParams, createEvaluationClient } = require('./evaluation.handler');
+
+// Fidelity checks keyed by mode: which prompt to run and which request field holds the tailored content
+const FIDELITY_MODES = {
+  job_aligned: {
+    critic: prompts.fidelityCritic,
+    contentField: 'tailored_resume'
+  },
+  // The worker critic is the truthfulness-only check; it ignores the job description
+  resume_only: {
+    critic: prompts.fidelityWorkerCritic,
+    contentField: 'tailored_resume'
+  },
+  cover_letter: {
+    critic: prompts.coverLetterFidelityCritic,
+    contentField: 'cover_letter'
+  }
+};
+
+// Pure function to extract fidelity parameters
+const extractFidelityParams = (mode, body) => ({
+  ...extractLlmParams(body),
+  mode,
+  job_description: body.job_description || null,
+  original_resume: body.original_resume,
+  content: body[FIDELITY_MODES[mode].contentField]
+});
+
+const toCount = value => (Number.isInteger(value) && value >= 0 ? value : 0);
+const toList = value => (Array.isArray(value) ? value : []);
+
+// Pure function to normalize the critic output into claim-level results
+const normalizeClaims = result => {
+  const hallucinatedClaims = toList(result.hallucinated_claims).map(entry => ({
+    claim: entry.claim,
+    unsupported_parts: toList(entry.unsupported_parts)
+  }));
+  const misalignedClaims = toList(result.misaligned_claims).map(entry => ({
+    claim: entry.claim,
+    missing_requirements: toList(entry.missing_requirements)
+  }));
+
+  const totalClaims = toCount(result.total_claims_count);
+
+  return {
+    total_claims_count: totalClaims,
+    aligned_claims_count: toCount(result.aligned_claims_count),
+    // Fall back to the listed claims when the model omits or undercounts them
+    unsupported_claims_count: Math.max(toCount(result.unsupported_claims_count), hallucinatedClaims.length),
+    misaligned_claims: misalignedClaims,
+    hallucinated_claims: hallucinatedClaims
+  };
+};
+
+// Pure function to score claims; content with no claims has nothing unsupported
+const calculateFidelityScores = (mode, claims) => {
+  const total = claims.total_claims_count;
+  const accuracy = total > 0 ? Math.max(0, (total - claims.unsupported_claims_count) / total) : 1.0;
+  const alignment = total > 0 ? Math.min(1, claims.aligned_claims_count / total) : 1.0;
+
+  return {
+    score: accuracy,
+    accuracy_score: accuracy,
+    // Only the job-aligned check asks the model to map claims to requirements
+    alignment_score: mode === 'job_aligned' ? alignment : null
+  };
+};
+
+// Pure function to flatten claim-level results into readable issues
+const buildIssues = claims => [
+  ...claims.hallucinated_claims.map(entry => `Unsupported claim: "${entry.claim}" (not in original resume: ${entry.unsupported_parts.join(', ')})`),
+  ...claims.misaligned_claims.map(entry => `Misaligned claim: "${entry.claim}"`)
+];
+
+// Pure function to summarize the fidelity result
+const buildFeedback = (claims, pass) => {
+  if (claims.total_claims_count === 0) {
+    return 'No verifiable claims were found';
+  }
+
+  const supported = claims.total_claims_count - claims.unsupported_claims_count;
+  const summary = `${supported} of ${claims.total_claims_count} claims are supported by the original resume`;
+  return pass ? summary : `${summary}; remove or correct the unsupported claims before using this version`;
+};
+
+// Composed async pipeline for fidelity evaluation
+const evaluateFidelity = pipeAsync(
+  // Step 1: Create LLM client
+  async params => ({ ...params, client: await createEvaluationClient(params) }),
+
+  // Step 2: Build and execute the fidelity critic for the requested mode
+  async context => {
+    const critic = FIDELITY_MODES[context.mode].critic(context.job_description, context.content, context.original_resume);
+
+    logger.debug('Calling fidelity critic', {
+      mode: context.mode,
+      systemPromptLength: critic.systemPrompt.length,
+      userPromptLength: critic.userPrompt.length
+    });
+
+    const parsed = await context.client.completeJson({
+      system: critic.systemPrompt,
+      user: critic.userPrompt,
+      outputSchema: critic.outputSchema,
+      label: 'fidelity'
+    });
+
+    return { ...context, parsed };
+  },
+
+  // Step 3: Check the parsed response (already re-prompted if it was invalid)
+  async ({ parsed, ...rest }) => {
+    if (!parsed) {
+      const { errors } = rest.client.getCriticStatus().fidelity;
+      logger.error('Fidelity critic failed to return valid output', { errors });
+      throw new Error(`Failed to parse fidelity response: ${errors.join('; ')}`);
+    }
+
+    return { ...rest, claims: normalizeClaims(parsed) };
+  },
+
+  // Step 4: Score claims
+  async context => ({ ...context, scores: calculateFidelityScores(context.mode, context.claims) })
+);
+
+// Main handler factory, one per fidelity mode
+const createFidelityHandler = mode => asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const params = extractFidelityParams(mode, req.body);
+
+  try {
+    const { claims, scores, client } = await evaluateFidelity(params);
+    const executionTime = (Date.now() - startTime) / 1000;
+    const threshold = getConfig('fidelity.threshold', 0.9);
+    const pass = scores.score >= threshold;
+
+    const response = {
+      mode,
+      ...scores,
+      pass,
+      threshold,
+      feedback: buildFeedback(claims, pass),
+      issues: buildIssues(claims),
+      ...claims,
+      llm_provider: client.provider,
+      llm_model: client.model,
+      cache: client.getCacheStats(),
+      served_by: client.getServedBy(),
+      llm_temperature: params.temperature,
+      usage: client.getUsage(),
+      critic_status: client.getCriticStatus(),
+      execution_time: executionTime,
+      version: getConfig('version', '0.22.0')
+    };
+
+    logger.info('Fidelity evaluation completed', {
+      mode,
+      score: response.score,
+      pass,
+      unsupported_claims_count: claims.unsupported_claims_count,
+      execution_time: executionTime
+    });
+
+    res.json(response);
+  } catch (error) {
+    logger.error('Fidelity evaluation failed', {
+      mode,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+});
+
+module.exports = {
+  createFidelityHandler,
+  evaluateFidelity,
+  normalizeClaims,
+  calculateFidelityScores
+};
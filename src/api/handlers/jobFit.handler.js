@@ -1,10 +1,9 @@
 const { pipeAsync } = require('../../utils/functional');
 const { asyncHandler } = require('../../utils/errors');
-const { createLLMClient } = require('../../llm/client');
+const { createLLMClient, isMockEnabled } = require('../../llm/client');
 const prompts = require('../../prompts/prompts');
 const { getConfig } = require('../../utils/config');
 const { logger } = require('../../utils/logger');
-const { parseJsonResponse } = require('../../utils/json-parser');
 
 // Pure function to extract job fit parameters
 const extractJobFitParams = body => {
@@ -133,6 +132,8 @@ const buildJobFitResponse = (result, recommendation, recommendations, executionT
   llm_provider: clientInfo.provider,
   llm_model: clientInfo.model,
   llm_temperature: clientInfo.temperature,
+  usage: clientInfo.getUsage(),
+  critic_status: clientInfo.getCriticStatus(),
   process_markdown: processMarkdown,
   version: getConfig('version', '0.22.0'),
   api_version: 'v2'
@@ -147,7 +148,7 @@ const evaluateJobFit = pipeAsync(
       model: params.model,
       temperature: params.temperature,
       topP: params.topP,
-      useMock: getConfig('llm.useMock', false)
+      useMock: isMockEnabled()
     });
     return { ...params, client };
   },
@@ -168,23 +169,22 @@ const evaluateJobFit = pipeAsync(
       usingOriginalResume: !!context.original_resume
     });
 
-    const response = await context.client.complete({
+    const parsed = await context.client.completeJson({
       system: critic.systemPrompt,
-      user: critic.userPrompt
+      user: critic.userPrompt,
+      outputSchema: critic.outputSchema,
+      label: 'job_fit'
     });
 
-    return { ...context, response };
+    return { ...context, parsed };
   },
 
-  // Step 4: Parse response
-  async ({ response, ...rest }) => {
-    const parsed = parseJsonResponse(response);
-
+  // Step 4: Check the parsed response (already re-prompted if it was invalid)
+  async ({ parsed, ...rest }) => {
     if (!parsed) {
-      logger.error('Failed to parse job fit critic response', {
-        responsePreview: response.substring(0, 200)
-      });
-      throw new Error('Failed to parse job fit response');
+      const { errors } = rest.client.getCriticStatus().job_fit;
+      logger.error('Job fit critic failed to return valid output', { errors });
+      throw new Error(`Failed to parse job fit response: ${errors.join('; ')}`);
     }
 
     logger.debug('Successfully parsed job fit response', {
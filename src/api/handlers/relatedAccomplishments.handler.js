@@ -0,0 +1,205 @@
+const { pipeAsync } = require('../../utils/functional');
+const { asyncHandler } = require('../../utils/errors');
+const prompts = require('../../prompts/prompts');
+const { getConfig } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { normalizeScore } = require('../../core/scoring/calculator');
+const { extractLlmParams, createEvaluationClient } = require('./evaluation.handler');
+const { runCritics, calculateComposite } = require('./comprehensive.handler');
+
+// Category alignment carries the most weight; categorization is the section-level strategy score
+const ACCOMPLISHMENTS_WEIGHTS = {
+  alignment: 0.35,
+  impact: 0.25,
+  fidelity: 0.25,
+  categorization: 0.15
+};
+
+const CATEGORY_ACTIONS = ['keep', 'drop', 'merge'];
+
+const toList = value => (Array.isArray(value) ? value : []);
+const toScore = value => (typeof value === 'number' ? Math.min(1, Math.max(0, value)) : null);
+const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Categories arrive either as a bare array or wrapped as { relatedAccomplishments: [...] }
+const toCategoryList = value => (Array.isArray(value) ? value : toList(value?.relatedAccomplishments));
+
+// Pure function to extract related accomplishments evaluation parameters
+const extractAccomplishmentsParams = body => ({
+  ...extractLlmParams(body),
+  job_description: body.job_description,
+  original_resume: body.original_resume,
+  categories: toCategoryList(body.related_accomplishments)
+});
+
+// Pure function to build the section-level and per-category critics
+const buildAccomplishmentsCritics = params => {
+  const section = `## Related Accomplishments\n${prompts.formatAccomplishments(params.categories)}`;
+  const extra = {
+    related_accomplishments: params.categories,
+    original_resume: params.original_resume
+  };
+
+  return [
+    { name: 'categorization', ...prompts.relatedAccomplishmentsCritic(params.job_description, section) },
+    { name: 'categories', ...prompts.relatedAccomplishmentsCategoriesCritic(params.job_description, params.original_resume, extra) }
+  ];
+};
+
+// Pure function to find the critic's verdict on a category by the [Category N] number it was shown with,
+// falling back to the name for verdicts that carry no number
+const findVerdict = (verdicts, name, index) => verdicts.find(entry => entry?.index === index)
+  || verdicts.find(entry => !Number.isInteger(entry?.index) && typeof entry?.category === 'string'
+    && entry.category.trim().toLowerCase() === name.trim().toLowerCase())
+  || {};
+
+// Pure function to match each requested category with the critic's verdict on it
+const buildCategoryResults = (categories, result) => {
+  const verdicts = toList(result?.categories);
+  const names = categories.map(entry => entry.category);
+
+  return categories.map((entry, index) => {
+    const verdict = findVerdict(verdicts, entry.category, index);
+    const mergeInto = names.find(name => name !== entry.category
+      && typeof verdict.merge_into === 'string'
+      && name.toLowerCase() === verdict.merge_into.trim().toLowerCase());
+    // A merge without a valid target is not actionable, so the category is kept
+    const action = CATEGORY_ACTIONS.includes(verdict.action) && (verdict.action !== 'merge' || mergeInto)
+      ? verdict.action
+      : 'keep';
+
+    return {
+      category: entry.category,
+      items_count: entry.items.length,
+      alignment_score: toScore(verdict.alignment_score),
+      impact_score: toScore(verdict.impact_score),
+      fidelity_score: toScore(verdict.fidelity_score),
+      unsupported_items: toList(verdict.unsupported_items),
+      action,
+      merge_into: action === 'merge' ? mergeInto : null,
+      reason: verdict.reason || null,
+      suggestions: toList(verdict.suggestions)
+    };
+  });
+};
+
+// Pure function to average one score across the categories the critic scored
+const averageCategoryScore = (categoryResults, field) => average(categoryResults
+  .map(entry => entry[field])
+  .filter(score => score !== null));
+
+// Pure function to turn the category actions into readable recommendations
+const buildRecommendations = (categoryResults, categorization, categoriesResult) => [...new Set([
+  ...categoryResults
+    .filter(entry => entry.action === 'drop')
+    .map(entry => `Drop "${entry.category}"${entry.reason ? `: ${entry.reason}` : ''}`),
+  ...categoryResults
+    .filter(entry => entry.action === 'merge')
+    .map(entry => `Merge "${entry.category}" into "${entry.merge_into}"${entry.reason ? `: ${entry.reason}` : ''}`),
+  ...categoryResults.flatMap(entry => entry.suggestions),
+  ...toList(categoriesResult?.overall_suggestions),
+  ...toList(categorization?.suggestions)
+])];
+
+// Composed async pipeline for related accomplishments evaluation
+const evaluateRelatedAccomplishments = pipeAsync(
+  // Step 1: Create LLM client
+  async params => {
+    const client = await createEvaluationClient(params);
+    return { ...params, client };
+  },
+
+  // Step 2: Run the section and per-category critics in parallel
+  async context => {
+    const results = await runCritics(context.client, buildAccomplishmentsCritics(context));
+    return { ...context, results };
+  },
+
+  // Step 3: Score each category and calculate the composite
+  async context => {
+    const { categorization, categories } = context.results;
+    const categoryResults = buildCategoryResults(context.categories, categories);
+
+    const scores = Object.entries({
+      alignment: averageCategoryScore(categoryResults, 'alignment_score'),
+      impact: averageCategoryScore(categoryResults, 'impact_score'),
+      fidelity: averageCategoryScore(categoryResults, 'fidelity_score'),
+      categorization: categorization ? normalizeScore('related_accomplishments', categorization.score) : null
+    })
+      .filter(([, score]) => score !== null)
+      .reduce((acc, [name, score]) => ({ ...acc, [name]: score }), {});
+
+    return {
+      ...context,
+      categoryResults,
+      scores,
+      failedCritics: Object.keys(context.results).filter(name => !context.results[name]),
+      compositeScore: calculateComposite(scores, ACCOMPLISHMENTS_WEIGHTS)
+    };
+  }
+);
+
+// Main handler using functional composition
+const createRelatedAccomplishmentsHandler = () => asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const params = extractAccomplishmentsParams(req.body);
+
+  try {
+    const evaluation = await evaluateRelatedAccomplishments(params);
+    const executionTime = (Date.now() - startTime) / 1000;
+    const threshold = getConfig('evaluation.threshold', 0.75);
+    const { scores, categoryResults, results } = evaluation;
+    const pass = evaluation.compositeScore >= threshold;
+    const recommendations = buildRecommendations(categoryResults, results.categorization, results.categories);
+
+    const response = {
+      composite_score: evaluation.compositeScore,
+      pass,
+      threshold,
+      relevance_score: scores.alignment ?? null,
+      impact_score: scores.impact ?? null,
+      fidelity_score: scores.fidelity ?? null,
+      categorization_score: scores.categorization ?? null,
+      categories: categoryResults,
+      drop_categories: categoryResults.filter(entry => entry.action === 'drop').map(entry => entry.category),
+      merge_categories: categoryResults
+        .filter(entry => entry.action === 'merge')
+        .map(entry => ({ category: entry.category, merge_into: entry.merge_into })),
+      should_improve: !pass || categoryResults.some(entry => entry.action !== 'keep' || entry.unsupported_items.length > 0),
+      recommendations,
+      failed_critics: evaluation.failedCritics,
+      raw_results: results,
+      llm_provider: evaluation.client.provider,
+      llm_model: evaluation.client.model,
+      cache: evaluation.client.getCacheStats(),
+      served_by: evaluation.client.getServedBy(),
+      usage: evaluation.client.getUsage(),
+      critic_status: evaluation.client.getCriticStatus(),
+      llm_temperature: params.temperature,
+      execution_time: executionTime,
+      version: getConfig('version', '0.22.0')
+    };
+
+    logger.info('Related accomplishments evaluation completed', {
+      composite_score: response.composite_score,
+      pass,
+      categories: categoryResults.length,
+      execution_time: executionTime
+    });
+
+    res.json(response);
+  } catch (error) {
+    logger.error('Related accomplishments evaluation failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+});
+
+module.exports = {
+  ACCOMPLISHMENTS_WEIGHTS,
+  buildCategoryResults,
+  createRelatedAccomplishmentsHandler,
+  evaluateRelatedAccomplishments
+};
@@ -0,0 +1,167 @@
+const { pipeAsync } = require('../../utils/functional');
+const { asyncHandler } = require('../../utils/errors');
+const prompts = require('../../prompts/prompts');
+const { getConfig } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { extractLlmParams, createEvaluationClient } = require('./evaluation.handler');
+const { runCritics, calculateComposite } = require('./comprehensive.handler');
+
+// Summary critics keyed by name; every critic reads the summary and original resume from its `extra` argument
+const SUMMARY_CRITICS = {
+  relevance: prompts.summaryRelevanceCritic,
+  fidelity: prompts.summaryFidelityCritic,
+  impact: prompts.summaryImpactCritic,
+  keyword: prompts.summaryKeywordCritic,
+  conciseness: prompts.summaryConcisenessCritic
+};
+
+// Alignment and truthfulness matter most; conciseness is the easiest to fix by hand
+const SUMMARY_WEIGHTS = {
+  relevance: 0.30,
+  fidelity: 0.25,
+  impact: 0.20,
+  keyword: 0.15,
+  conciseness: 0.10
+};
+
+// Each summary critic names its problem list differently
+const ISSUE_FIELDS = {
+  relevance: 'weaknesses',
+  fidelity: 'concerns',
+  impact: 'weaknesses',
+  keyword: 'issues',
+  conciseness: 'issues'
+};
+
+const toList = value => (Array.isArray(value) ? value : []);
+const toScore = value => (typeof value === 'number' ? Math.min(1, Math.max(0, value)) : null);
+
+// Pure function to extract summary evaluation parameters
+const extractSummaryParams = body => ({
+  ...extractLlmParams(body),
+  job_description: body.job_description,
+  original_resume: body.original_resume,
+  tailored_summary: body.tailored_summary
+});
+
+// Pure function to build the summary critic set
+const buildSummaryCritics = params => {
+  const extra = {
+    tailored_summary: params.tailored_summary,
+    original_resume: params.original_resume
+  };
+
+  return Object.entries(SUMMARY_CRITICS).map(([name, critic]) => ({
+    name,
+    ...critic(params.job_description, params.original_resume, extra)
+  }));
+};
+
+// Pure function to reduce one critic result to score, strengths, issues and suggestions
+const buildCriticFeedback = (name, result) => ({
+  score: toScore(result.score),
+  strengths: toList(result.strengths),
+  issues: toList(result[ISSUE_FIELDS[name]]),
+  suggestions: toList(result.suggestions)
+});
+
+// Pure function to collect unique suggestions, highest-weighted critic first
+const collectRecommendations = feedback => [...new Set(
+  Object.keys(SUMMARY_WEIGHTS)
+    .filter(name => feedback[name])
+    .flatMap(name => feedback[name].suggestions)
+)];
+
+// Composed async pipeline for summary evaluation
+const evaluateSummary = pipeAsync(
+  // Step 1: Create LLM client
+  async params => {
+    const client = await createEvaluationClient(params);
+    return { ...params, client };
+  },
+
+  // Step 2: Run the summary critics in parallel
+  async context => {
+    const results = await runCritics(context.client, buildSummaryCritics(context));
+    return { ...context, results };
+  },
+
+  // Step 3: Build per-critic feedback and the weighted score
+  async context => {
+    const feedback = Object.entries(context.results)
+      .filter(([, result]) => result !== null && typeof result === 'object')
+      .reduce((acc, [name, result]) => ({ ...acc, [name]: buildCriticFeedback(name, result) }), {});
+
+    const scores = Object.entries(feedback)
+      .filter(([, entry]) => entry.score !== null)
+      .reduce((acc, [name, entry]) => ({ ...acc, [name]: entry.score }), {});
+
+    return {
+      ...context,
+      feedback,
+      scores,
+      failedCritics: Object.keys(context.results).filter(name => !(name in scores)),
+      compositeScore: calculateComposite(scores, SUMMARY_WEIGHTS)
+    };
+  }
+);
+
+// Main handler using functional composition
+const createSummaryHandler = () => asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const params = extractSummaryParams(req.body);
+
+  try {
+    const evaluation = await evaluateSummary(params);
+    const executionTime = (Date.now() - startTime) / 1000;
+    const threshold = getConfig('evaluation.threshold', 0.75);
+    const { scores, results } = evaluation;
+    const keywordAnalysis = results.keyword?.keyword_analysis || {};
+
+    const response = {
+      composite_score: evaluation.compositeScore,
+      pass: evaluation.compositeScore >= threshold,
+      threshold,
+      relevance_score: scores.relevance ?? null,
+      fidelity_score: scores.fidelity ?? null,
+      impact_score: scores.impact ?? null,
+      keyword_score: scores.keyword ?? null,
+      conciseness_score: scores.conciseness ?? null,
+      keyword_coverage: toList(keywordAnalysis.critical_keywords_found),
+      missing_keywords: toList(keywordAnalysis.critical_keywords_missing),
+      feedback: evaluation.feedback,
+      recommendations: collectRecommendations(evaluation.feedback),
+      failed_critics: evaluation.failedCritics,
+      raw_results: results,
+      llm_provider: evaluation.client.provider,
+      llm_model: evaluation.client.model,
+      cache: evaluation.client.getCacheStats(),
+      served_by: evaluation.client.getServedBy(),
+      usage: evaluation.client.getUsage(),
+      critic_status: evaluation.client.getCriticStatus(),
+      llm_temperature: params.temperature,
+      execution_time: executionTime,
+      version: getConfig('version', '0.22.0')
+    };
+
+    logger.info('Summary evaluation completed', {
+      composite_score: response.composite_score,
+      pass: response.pass,
+      execution_time: executionTime
+    });
+
+    res.json(response);
+  } catch (error) {
+    logger.error('Summary evaluation failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+});
+
+module.exports = {
+  SUMMARY_WEIGHTS,
+  createSummaryHandler,
+  evaluateSummary
+};
@@ -0,0 +1,237 @@
+const { pipeAsync } = require('../../utils/functional');
+const { asyncHandler } = require('../../utils/errors');
+const prompts = require('../../prompts/prompts');
+const { getConfig } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { extractLlmParams, createEvaluationClient } = require('./evaluation.handler');
+const { runCritics, calculateComposite } = require('./comprehensive.handler');
+
+// Work experience critics keyed by name, with the fields each one uses for strengths and problems
+const WORK_EXPERIENCE_CRITICS = {
+  relevance: {
+    critic: prompts.workExperienceRelevanceCritic,
+    strengthsField: 'well_aligned_experiences',
+    issuesField: 'gaps'
+  },
+  impact: {
+    critic: prompts.workExperienceImpactCritic,
+    strengthsField: 'strong_achievements',
+    issuesField: 'weak_areas'
+  },
+  progression: {
+    critic: prompts.workExperienceProgressionCritic,
+    strengthsField: 'progression_highlights',
+    issuesField: 'concerns'
+  },
+  skills: {
+    critic: prompts.workExperienceSkillsCritic,
+    strengthsField: 'skills_demonstrated',
+    issuesField: 'missing_skills'
+  },
+  clarity: {
+    critic: prompts.workExperienceClarityFormatCritic,
+    strengthsField: 'well_formatted_elements',
+    issuesField: 'issues'
+  }
+};
+
+const WORK_EXPERIENCE_WEIGHTS = {
+  relevance: 0.30,
+  impact: 0.25,
+  skills: 0.20,
+  progression: 0.15,
+  clarity: 0.10
+};
+
+const toList = value => (Array.isArray(value) ? value : []);
+const toScore = value => (typeof value === 'number' ? Math.min(1, Math.max(0, value)) : null);
+
+// Work experience arrives either as a bare array of roles or wrapped as { experiences: [...] }
+const toExperienceList = value => (Array.isArray(value) ? value : toList(value?.experiences));
+
+// Pure function to extract work experience evaluation parameters
+const extractWorkExperienceParams = body => ({
+  ...extractLlmParams(body),
+  job_description: body.job_description,
+  resume: body.resume || '',
+  experiences: toExperienceList(body.work_experience),
+  required_terms: body.required_terms || null
+});
+
+// Pure function to build the work experience critic set
+const buildWorkExperienceCritics = (params, requiredTerms) => {
+  const extra = {
+    work_experience: params.experiences,
+    required_terms: requiredTerms
+  };
+
+  return Object.entries(WORK_EXPERIENCE_CRITICS).map(([name, { critic }]) => ({
+    name,
+    ...critic(params.job_description, params.resume, extra)
+  }));
+};
+
+// Pure function to reduce one critic result to score, reasoning, strengths, issues and suggestions
+const buildCriticFeedback = (name, result) => ({
+  score: toScore(result.score),
+  reasoning: result.reasoning || null,
+  strengths: toList(result[WORK_EXPERIENCE_CRITICS[name].strengthsField]),
+  issues: toList(result[WORK_EXPERIENCE_CRITICS[name].issuesField]),
+  suggestions: toList(result.suggestions)
+});
+
+// Pure function to pick a critic's findings for one role out of the `roles` list it returns
+const findRoleEntry = (result, index) => toList(result?.roles).find(entry => entry?.index === index) || {};
+
+// Pure function to build feedback for each role from the per-role findings of every critic,
+// matched by the role's position in the request
+const buildRoleFeedback = (experiences, results) => experiences.map((role, index) => {
+  const entries = Object.keys(WORK_EXPERIENCE_CRITICS).map(name => findRoleEntry(results[name], index));
+  const responsibilities = toList(role.responsibilities);
+
+  return {
+    index,
+    title: role.title,
+    company: role.company,
+    dates: role.dates || null,
+    aligned: toList(findRoleEntry(results.relevance, index).strengths).length > 0,
+    responsibilities_count: responsibilities.length,
+    quantified_count: responsibilities.filter(item => /\d/.test(item)).length,
+    strengths: entries.flatMap(entry => toList(entry.strengths)),
+    issues: entries.flatMap(entry => toList(entry.issues)),
+    suggestions: entries.flatMap(entry => toList(entry.suggestions))
+  };
+});
+
+// Pure function to collect unique suggestions, highest-weighted critic first
+const collectRecommendations = feedback => [...new Set(
+  Object.keys(WORK_EXPERIENCE_WEIGHTS)
+    .filter(name => feedback[name])
+    .flatMap(name => feedback[name].suggestions)
+)];
+
+// Pure function to point at the weakest dimension and its first suggestion
+const buildImprovementStrategy = (scores, feedback) => {
+  const [weakest] = Object.keys(scores).sort((a, b) => scores[a] - scores[b]);
+  if (!weakest) {
+    return null;
+  }
+
+  const [suggestion] = feedback[weakest].suggestions;
+  return suggestion ? `Focus on ${weakest} first: ${suggestion}` : `Focus on ${weakest} first`;
+};
+
+// Composed async pipeline for work experience evaluation
+const evaluateWorkExperience = pipeAsync(
+  // Step 1: Create LLM client
+  async params => {
+    const client = await createEvaluationClient(params);
+    return { ...params, client };
+  },
+
+  // Step 2: Extract keywords if not provided
+  async context => {
+    if (context.required_terms) {
+      return { ...context, requiredTerms: context.required_terms };
+    }
+
+    logger.info('Extracting keywords from job description for work experience evaluation');
+    const keywordPrompt = prompts.keywordExtractor(context.job_description);
+    const requiredTerms = await context.client.complete({
+      system: keywordPrompt.systemPrompt,
+      user: keywordPrompt.userPrompt,
+      label: 'keyword_extraction'
+    });
+
+    return { ...context, requiredTerms };
+  },
+
+  // Step 3: Run the work experience critics in parallel
+  async context => {
+    const results = await runCritics(context.client, buildWorkExperienceCritics(context, context.requiredTerms));
+    return { ...context, results };
+  },
+
+  // Step 4: Build aggregate and per-role feedback and the weighted score
+  async context => {
+    const feedback = Object.entries(context.results)
+      .filter(([, result]) => result !== null && typeof result === 'object')
+      .reduce((acc, [name, result]) => ({ ...acc, [name]: buildCriticFeedback(name, result) }), {});
+
+    const scores = Object.entries(feedback)
+      .filter(([, entry]) => entry.score !== null)
+      .reduce((acc, [name, entry]) => ({ ...acc, [name]: entry.score }), {});
+
+    return {
+      ...context,
+      feedback,
+      scores,
+      roles: buildRoleFeedback(context.experiences, context.results),
+      failedCritics: Object.keys(context.results).filter(name => !(name in scores)),
+      compositeScore: calculateComposite(scores, WORK_EXPERIENCE_WEIGHTS)
+    };
+  }
+);
+
+// Main handler using functional composition
+const createWorkExperienceHandler = () => asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const params = extractWorkExperienceParams(req.body);
+
+  try {
+    const evaluation = await evaluateWorkExperience(params);
+    const executionTime = (Date.now() - startTime) / 1000;
+    const threshold = getConfig('evaluation.threshold', 0.75);
+    const { scores, feedback } = evaluation;
+    const pass = evaluation.compositeScore >= threshold;
+
+    const response = {
+      composite_score: evaluation.compositeScore,
+      pass,
+      threshold,
+      relevance_score: scores.relevance ?? null,
+      impact_score: scores.impact ?? null,
+      progression_score: scores.progression ?? null,
+      skills_score: scores.skills ?? null,
+      clarity_score: scores.clarity ?? null,
+      should_improve: !pass,
+      improvement_strategy: pass ? null : buildImprovementStrategy(scores, feedback),
+      feedback,
+      roles: evaluation.roles,
+      recommendations: collectRecommendations(feedback),
+      failed_critics: evaluation.failedCritics,
+      extracted_keywords: evaluation.requiredTerms,
+      raw_results: evaluation.results,
+      llm_provider: evaluation.client.provider,
+      llm_model: evaluation.client.model,
+      cache: evaluation.client.getCacheStats(),
+      served_by: evaluation.client.getServedBy(),
+      usage: evaluation.client.getUsage(),
+      critic_status: evaluation.client.getCriticStatus(),
+      llm_temperature: params.temperature,
+      execution_time: executionTime,
+      version: getConfig('version', '0.22.0')
+    };
+
+    logger.info('Work experience evaluation completed', {
+      composite_score: response.composite_score,
+      pass,
+      roles: evaluation.roles.length,
+      execution_time: executionTime
+    });
+
+    res.json(response);
+  } catch (error) {
+    logger.error('Work experience evaluation failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+});
+
+module.exports = {
+  WORK_EXPERIENCE_WEIGHTS,
+  createWorkExperienceHandler,
+  evaluateWorkExperience
+};
@@ -0,0 +1,48 @@
+const { getConfig } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { getAuditStore } = require('../../audit/store');
+const { buildAuditEntry } = require('../../audit/entry');
+
+/**
+ * Middleware that records the request in the audit store once the response is sent.
+ * Validation and evaluation failures are recorded too, so it belongs before the validators.
+ * @param {string} eventType - Audit event type for the route
+ * @returns {Function} Express middleware
+ */
+const auditTrail = eventType => (req, res, next) => {
+  if (!getConfig('audit.enabled', false)) {
+    return next();
+  }
+
+  const startedAt = Date.now();
+  const originalJson = res.json;
+  const captured = { body: null };
+
+  res.json = function (data) {
+    Object.assign(captured, { body: data });
+    return originalJson.call(this, data);
+  };
+
+  res.on('finish', () => {
+    const entry = buildAuditEntry({
+      eventType,
+      req,
+      statusCode: res.statusCode,
+      // Streamed responses leave their final payload in res.locals
+      responseBody: captured.body || res.locals.responseBody || null,
+      startedAt,
+      finishedAt: Date.now()
+    });
+
+    getAuditStore().save(entry).catch(error => {
+      logger.error('Audit: Failed to record entry', {
+        eventType,
+        error: error.message
+      });
+    });
+  });
+
+  return next();
+};
+
+module.exports = { auditTrail };
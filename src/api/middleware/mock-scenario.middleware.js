@@ -0,0 +1,46 @@
+const { getConfig } = require('../../utils/config');
+const { ValidationError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
+const { parseScenario, runWithScenario } = require('../../llm/utils/faults');
+
+const MOCK_SCENARIO_HEADER = 'X-Mock-Scenario';
+
+// Parse the header value into { scenario } or { error }
+const readScenario = header => {
+  try {
+    return { scenario: parseScenario(JSON.parse(header), MOCK_SCENARIO_HEADER) };
+  } catch (error) {
+    return { error: error instanceof SyntaxError ? new ValidationError(`${MOCK_SCENARIO_HEADER} must be JSON`) : error };
+  }
+};
+
+/**
+ * Middleware that applies the fault scenario in the X-Mock-Scenario header (JSON) to every mock
+ * provider call the request makes. Only honoured when llm.mock.scenarioHeader is on (the test config).
+ * @returns {Function} Express middleware
+ */
+const mockScenario = () => (req, res, next) => {
+  const header = req.get(MOCK_SCENARIO_HEADER);
+  if (!header) {
+    next();
+    return;
+  }
+  if (!getConfig('llm.mock.scenarioHeader', false)) {
+    logger.warn('Mock: Ignoring scenario header, llm.mock.scenarioHeader is off', { url: req.originalUrl });
+    next();
+    return;
+  }
+
+  const { scenario, error } = readScenario(header);
+  if (error) {
+    next(error);
+    return;
+  }
+  logger.info('Mock: Scenario set for request', { url: req.originalUrl, critics: Object.keys(scenario.critics) });
+  runWithScenario(scenario, next);
+};
+
+module.exports = {
+  MOCK_SCENARIO_HEADER,
+  mockScenario
+};
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const os = require('os');
+const multer = require('multer');
+const { asyncHandler, ValidationError } = require('../../utils/errors');
+const { getConfig } = require('../../utils/config');
+const { sequence } = require('../../utils/functional');
+const { logger } = require('../../utils/logger');
+const { extractText, isSupportedFile, SUPPORTED_FORMATS_LABEL } = require('../../core/processors/file.processor');
+
+// Default per-file upload limit (5MB)
+const DEFAULT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Pure function to turn a field name into a readable label
+const fieldLabel = field => {
+  const label = field.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+// Pure function to map multer errors to validation errors
+const toUploadError = error => {
+  if (!(error instanceof multer.MulterError)) {
+    return error;
+  }
+
+  const messages = {
+    LIMIT_FILE_SIZE: `File exceeds the maximum size of ${getConfig('upload.maxFileSize', DEFAULT_MAX_FILE_SIZE)} bytes`,
+    LIMIT_UNEXPECTED_FILE: 'Unexpected file field or too many files for this field',
+    LIMIT_FILE_COUNT: 'Too many files'
+  };
+
+  return new ValidationError('File upload failed', [{
+    field: error.field,
+    message: messages[error.code] || error.message
+  }]);
+};
+
+// Pure function to pick a multer storage engine
+const createStorage = storage => (storage === 'disk'
+  ? multer.diskStorage({ destination: getConfig('upload.tempDir', null) || os.tmpdir() })
+  : multer.memoryStorage());
+
+// Remove files written by disk storage once the response is done with them
+const removeUploadedFiles = files => Object.values(files || {})
+  .flat()
+  .filter(file => file.path)
+  .forEach(file => fs.promises.unlink(file.path).catch(error => {
+    logger.warn('Failed to remove uploaded file', { path: file.path, error: error.message });
+  }));
+
+/**
+ * Middleware to accept multipart uploads for the given file fields
+ * @param {Array<Object>} fields - Field definitions with a name and optional maxCount
+ * @param {Object} options - Upload options
+ * @param {string} options.storage - 'memory' (default) or 'disk' to stream large uploads to a temp directory
+ * @returns {Function} Express middleware
+ */
+const createFileUploadMiddleware = (fields, { storage = 'memory' } = {}) => {
+  const upload = multer({
+    storage: createStorage(storage),
+    limits: {
+      fileSize: getConfig('upload.maxFileSize', DEFAULT_MAX_FILE_SIZE),
+      files: fields.reduce((total, field) => total + (field.maxCount || 1), 0)
+    },
+    fileFilter: (req, file, callback) => {
+      if (isSupportedFile(file)) {
+        return callback(null, true);
+      }
+      return callback(new ValidationError('Unsupported file format', [{
+        field: file.fieldname,
+        message: `${file.originalname} is not a supported format (${SUPPORTED_FORMATS_LABEL})`,
+        value: file.originalname
+      }]));
+    }
+  }).fields(fields.map(field => ({ name: field.name, maxCount: field.maxCount || 1 })));
+
+  return (req, res, next) => upload(req, res, error => {
+    if (storage === 'disk') {
+      res.on('close', () => removeUploadedFiles(req.files));
+    }
+    next(error ? toUploadError(error) : undefined);
+  });
+};
+
+// Throw when any of the given upload fields is missing
+const requireFiles = (req, fields) => {
+  const missing = fields.filter(field => !req.files?.[field]?.[0]);
+  if (missing.length > 0) {
+    throw new ValidationError('Validation failed', missing.map(field => ({
+      field,
+      message: `${fieldLabel(field)} is required`
+    })));
+  }
+};
+
+// Pure function to build the per-file extraction report
+const describeExtraction = extraction => ({
+  field: extraction.field,
+  filename: extraction.filename,
+  format: extraction.format,
+  characters: extraction.characters,
+  sections: extraction.sections,
+  warnings: extraction.warnings
+});
+
+// Pure function to build the error reported for files without extractable text
+const emptyExtractionError = extractions => new ValidationError('No text could be extracted', extractions.map(extraction => ({
+  field: extraction.field,
+  message: `No text could be extracted from ${extraction.filename}`,
+  value: extraction.filename,
+  warnings: extraction.warnings
+})));
+
+const extractField = async (file, field) => ({ field, ...(await extractText(file)) });
+
+/**
+ * Middleware to extract text from uploaded files into the request body
+ * @param {Object} fieldMap - Map of upload field name to the body field that receives its text
+ * @returns {Function} Express middleware
+ */
+const createFileExtractionMiddleware = fieldMap => asyncHandler(async (req, res, next) => {
+  const entries = Object.entries(fieldMap);
+  requireFiles(req, entries.map(([field]) => field));
+
+  const extractions = await Promise.all(entries.map(async ([field, target]) => ({
+    target,
+    ...(await extractField(req.files[field][0], field))
+  })));
+
+  const empty = extractions.filter(extraction => extraction.text.length === 0);
+  if (empty.length > 0) {
+    throw emptyExtractionError(empty);
+  }
+
+  Object.assign(req, {
+    body: extractions.reduce((body, extraction) => ({ ...body, [extraction.target]: extraction.text }), req.body || {}),
+    fileExtraction: extractions.reduce((acc, extraction) => ({
+      ...acc,
+      [extraction.target]: describeExtraction(extraction)
+    }), {})
+  });
+
+  next();
+});
+
+// Pure function to derive unique resume identifiers from filenames
+const uniqueIdentifiers = filenames => filenames.map((filename, index) => {
+  const occurrence = filenames.slice(0, index).filter(name => name === filename).length;
+  return occurrence === 0 ? filename : `${filename} (${occurrence + 1})`;
+});
+
+/**
+ * Middleware to extract a job description file and a set of resume files for comparison.
+ * Files are read one at a time so only a single upload is held in memory. Resumes without
+ * extractable text are skipped and reported instead of failing the whole request.
+ * @param {Object} fields - Upload field names
+ * @param {string} fields.jobDescriptionField - Field holding the job description file
+ * @param {string} fields.resumesField - Field holding the resume files
+ * @returns {Function} Express middleware
+ */
+const createComparisonExtractionMiddleware = ({ jobDescriptionField, resumesField }) => asyncHandler(async (req, res, next) => {
+  requireFiles(req, [jobDescriptionField, resumesField]);
+
+  const jobDescription = await extractField(req.files[jobDescriptionField][0], jobDescriptionField);
+  if (jobDescription.text.length === 0) {
+    throw emptyExtractionError([jobDescription]);
+  }
+
+  const resumeFiles = req.files[resumesField];
+  const identifiers = uniqueIdentifiers(resumeFiles.map(file => file.originalname));
+  const resumes = await sequence(resumeFiles.map((file, index) => async () => ({
+    identifier: identifiers[index],
+    ...(await extractField(file, resumesField))
+  })));
+
+  const skipped = resumes.filter(resume => resume.text.length === 0);
+  if (skipped.length > 0 && resumes.length - skipped.length < 2) {
+    throw emptyExtractionError(skipped);
+  }
+  if (skipped.length > 0) {
+    logger.warn('Skipping resume files without extractable text', {
+      files: skipped.map(resume => resume.filename)
+    });
+  }
+
+  Object.assign(req, {
+    body: {
+      ...req.body,
+      job_description: jobDescription.text,
+      resumes: resumes
+        .filter(resume => resume.text.length > 0)
+        .map(resume => ({ identifier: resume.identifier, content: resume.text }))
+    },
+    fileExtraction: {
+      job_description: describeExtraction(jobDescription),
+      resumes: resumes.map(resume => ({
+        identifier: resume.identifier,
+        ...describeExtraction(resume),
+        status: resume.text.length > 0 ? 'extracted' : 'skipped'
+      }))
+    }
+  });
+
+  next();
+});
+
+module.exports = {
+  createFileUploadMiddleware,
+  createFileExtractionMiddleware,
+  createComparisonExtractionMiddleware
+};
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  createAuditQueryValidator,
+  createAuditStatsValidator,
+  createAuditCleanupValidator,
+  createAuditExportValidator,
+  createAuditEntryValidator
+} = require('../validators/audit.validators');
+const {
+  createQueryAuditLogsHandler,
+  createGetAuditLogHandler,
+  createAuditStatsHandler,
+  createAuditCleanupHandler,
+  createAuditExportHandler
+} = require('../handlers/audit.handler');
+
+const createAuditRoutes = () => {
+  const router = express.Router();
+
+  router.get('/audit/logs', createAuditQueryValidator(), createQueryAuditLogsHandler());
+  router.get('/audit/logs/:audit_id', createAuditEntryValidator(), createGetAuditLogHandler());
+  router.get('/audit/stats', createAuditStatsValidator(), createAuditStatsHandler());
+  router.post('/audit/cleanup', createAuditCleanupValidator(), createAuditCleanupHandler());
+  router.get('/audit/export', createAuditExportValidator(), createAuditExportHandler());
+
+  return router;
+};
+
+module.exports = { createAuditRoutes };
@@ -0,0 +1,12 @@
+const express = require('express');
+const { createConfigHandler } = require('../handlers/config.handler');
+
+const createConfigRoutes = () => {
+  const router = express.Router();
+
+  router.get('/config', createConfigHandler());
+
+  return router;
+};
+
+module.exports = { createConfigRoutes };
@@ -1,5 +1,24 @@
 const express = require('express');
 const packageJson = require('../../../package.json');
+const { getBreakerStates } = require('../../llm/utils/breaker');
+const { getLimiterStates } = require('../../llm/utils/limiter');
+
+/**
+ * Combine each provider's breaker state and current concurrency limit
+ * @returns {Object} Map of provider name to { state, failures, retry_at, concurrency }
+ */
+const getProviderStates = () => {
+  const breakers = getBreakerStates();
+  const limiters = getLimiterStates();
+  return Array.from(new Set([...Object.keys(breakers), ...Object.keys(limiters)]))
+    .reduce((acc, provider) => ({
+      ...acc,
+      [provider]: {
+        ...(breakers[provider] || { state: 'closed', failures: 0, retry_at: null }),
+        concurrency: limiters[provider] || null
+      }
+    }), {});
+};
 
 const createHealthRoutes = () => {
   const router = express.Router();
@@ -15,8 +34,12 @@ const createHealthRoutes = () => {
 
   // TODO: Add more ready checks. Things like database or other external connections.
   router.get('/ready', async (req, res) => {
+    const providers = getProviderStates();
+    const states = Object.values(providers).map(provider => provider.state);
     const checks = {
       config: true,
+      // Not ready only when every provider used so far has its breaker open
+      llm_providers: states.length === 0 || states.some(state => state !== 'open'),
       timestamp: new Date().toISOString()
     };
 
@@ -24,7 +47,8 @@ const createHealthRoutes = () => {
 
     res.status(allHealthy ? 200 : 503).json({
       status: allHealthy ? 'ready' : 'not ready',
-      checks
+      checks,
+      providers
     });
   });
 
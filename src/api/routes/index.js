@@ -1,4 +1,6 @@
 const { createHealthRoutes } = require('./health.routes');
+const { createAuditRoutes } = require('./audit.routes');
+const { createConfigRoutes } = require('./config.routes');
 const { createV1Routes } = require('./v1');
 const { createV2Routes } = require('./v2');
 
@@ -11,6 +13,8 @@ const applyRoutes = (app, routes) => {
 
 const createRoutes = () => [
   { path: '/', router: createHealthRoutes() },
+  { path: '/', router: createAuditRoutes() },
+  { path: '/', router: createConfigRoutes() },
   { path: '/', router: createV1Routes() }, // Mount v1 routes at root to match OpenAPI
   { path: '/v2', router: createV2Routes() }
 ];
@@ -0,0 +1,42 @@
+const express = require('express');
+const { sanitizeRequest } = require('../../middleware/validation.middleware');
+const { createComparisonValidator } = require('../../validators/evaluation.validators');
+const { responseLogger } = require('../../middleware/response-logger.middleware');
+const { auditTrail } = require('../../middleware/audit.middleware');
+const { createFileUploadMiddleware, createComparisonExtractionMiddleware } = require('../../middleware/upload.middleware');
+const { createComparisonHandler } = require('../../handlers/comparison.handler');
+
+const createComparisonRoutes = () => {
+  const router = express.Router();
+
+  router.post(
+    '/compare',
+    responseLogger(),
+    auditTrail('comparison'),
+    createComparisonValidator(),
+    sanitizeRequest,
+    createComparisonHandler()
+  );
+
+  router.post(
+    '/compare-files',
+    responseLogger(),
+    auditTrail('comparison'),
+    // Disk storage keeps large uploads out of memory until each file is extracted
+    createFileUploadMiddleware([
+      { name: 'job_description_file' },
+      { name: 'resume_files', maxCount: 10 }
+    ], { storage: 'disk' }),
+    createComparisonExtractionMiddleware({
+      jobDescriptionField: 'job_description_file',
+      resumesField: 'resume_files'
+    }),
+    createComparisonValidator(),
+    sanitizeRequest,
+    createComparisonHandler()
+  );
+
+  return router;
+};
+
+module.exports = { createComparisonRoutes };
@@ -0,0 +1,45 @@
+const express = require('express');
+const { sanitizeRequest } = require('../../middleware/validation.middleware');
+const {
+  createFidelityValidator,
+  createFidelitySimpleValidator,
+  createCoverLetterFidelityValidator
+} = require('../../validators/evaluation.validators');
+const { responseLogger } = require('../../middleware/response-logger.middleware');
+const { auditTrail } = require('../../middleware/audit.middleware');
+const { createFidelityHandler } = require('../../handlers/fidelity.handler');
+
+const createFidelityRoutes = () => {
+  const router = express.Router();
+
+  router.post(
+    '/evaluate/fidelity',
+    responseLogger(),
+    auditTrail('fidelity_check'),
+    createFidelityValidator(),
+    sanitizeRequest,
+    createFidelityHandler('job_aligned')
+  );
+
+  router.post(
+    '/evaluate/fidelity/resume-only',
+    responseLogger(),
+    auditTrail('fidelity_check'),
+    createFidelitySimpleValidator(),
+    sanitizeRequest,
+    createFidelityHandler('resume_only')
+  );
+
+  router.post(
+    '/evaluate/fidelity/cover-letter',
+    responseLogger(),
+    auditTrail('fidelity_check'),
+    createCoverLetterFidelityValidator(),
+    sanitizeRequest,
+    createFidelityHandler('cover_letter')
+  );
+
+  return router;
+};
+
+module.exports = { createFidelityRoutes };
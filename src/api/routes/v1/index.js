@@ -1,5 +1,10 @@
 const express = require('express');
 const { createEvaluationRoutes } = require('./evaluation.routes');
+const { createComparisonRoutes } = require('./comparison.routes');
+const { createFidelityRoutes } = require('./fidelity.routes');
+const { createSummaryRoutes } = require('./summary.routes');
+const { createWorkExperienceRoutes } = require('./workExperience.routes');
+const { createRelatedAccomplishmentsRoutes } = require('./relatedAccomplishments.routes');
 
 const createV1Routes = () => {
   const router = express.Router();
@@ -7,6 +12,11 @@ const createV1Routes = () => {
   // Apply evaluation routes directly to match OpenAPI spec
   const evaluationRouter = createEvaluationRoutes();
   router.use('/', evaluationRouter);
+  router.use('/', createComparisonRoutes());
+  router.use('/', createFidelityRoutes());
+  router.use('/', createSummaryRoutes());
+  router.use('/', createWorkExperienceRoutes());
+  router.use('/', createRelatedAccomplishmentsRoutes());
 
   return router;
 };
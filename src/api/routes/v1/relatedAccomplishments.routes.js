@@ -0,0 +1,23 @@
+const express = require('express');
+const { sanitizeRequest } = require('../../middleware/validation.middleware');
+const { createRelatedAccomplishmentsValidator } = require('../../validators/evaluation.validators');
+const { responseLogger } = require('../../middleware/response-logger.middleware');
+const { auditTrail } = require('../../middleware/audit.middleware');
+const { createRelatedAccomplishmentsHandler } = require('../../handlers/relatedAccomplishments.handler');
+
+const createRelatedAccomplishmentsRoutes = () => {
+  const router = express.Router();
+
+  router.post(
+    '/evaluate/related-accomplishments',
+    responseLogger(),
+    auditTrail('related_accomplishments_evaluation'),
+    createRelatedAccomplishmentsValidator(),
+    sanitizeRequest,
+    createRelatedAccomplishmentsHandler()
+  );
+
+  return router;
+};
+
+module.exports = { createRelatedAccomplishmentsRoutes };
@@ -0,0 +1,23 @@
+const express = require('express');
+const { sanitizeRequest } = require('../../middleware/validation.middleware');
+const { createSummaryValidator } = require('../../validators/evaluation.validators');
+const { responseLogger } = require('../../middleware/response-logger.middleware');
+const { auditTrail } = require('../../middleware/audit.middleware');
+const { createSummaryHandler } = require('../../handlers/summary.handler');
+
+const createSummaryRoutes = () => {
+  const router = express.Router();
+
+  router.post(
+    '/evaluate/summary',
+    responseLogger(),
+    auditTrail('summary_evaluation'),
+    createSummaryValidator(),
+    sanitizeRequest,
+    createSummaryHandler()
+  );
+
+  return router;
+};
+
+module.exports = { createSummaryRoutes };
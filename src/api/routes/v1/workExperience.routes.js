@@ -0,0 +1,23 @@
+const express = require('express');
+const { sanitizeRequest } = require('../../middleware/validation.middleware');
+const { createWorkExperienceValidator } = require('../../validators/evaluation.validators');
+const { responseLogger } = require('../../middleware/response-logger.middleware');
+const { auditTrail } = require('../../middleware/audit.middleware');
+const { createWorkExperienceHandler } = require('../../handlers/workExperience.handler');
+
+const createWorkExperienceRoutes = () => {
+  const router = express.Router();
+
+  router.post(
+    '/evaluate/work-experience',
+    responseLogger(),
+    auditTrail('work_experience_evaluation'),
+    createWorkExperienceValidator(),
+    sanitizeRequest,
+    createWorkExperienceHandler()
+  );
+
+  return router;
+};
+
+module.exports = { createWorkExperienceRoutes };
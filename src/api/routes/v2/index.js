@@ -1,5 +1,6 @@
 const express = require('express');
 const { createEvaluationRoutes } = require('./evaluation.routes');
+const { describeProviders } = require('../../../llm/registry');
 
 const createV2Routes = () => {
   const router = express.Router();
@@ -17,7 +18,8 @@ const createV2Routes = () => {
         evaluation: {
           evaluate: 'POST /v2/evaluate'
         }
-      }
+      },
+      providers: describeProviders()
     });
   });
 
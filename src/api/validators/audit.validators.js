@@ -0,0 +1,127 @@
+const { query, param } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
+
+const AUDIT_EVENT_TYPES = [
+  'evaluation',
+  'cover_letter_evaluation',
+  'comparison',
+  'fidelity_check',
+  'comprehensive_evaluation',
+  'summary_evaluation',
+  'work_experience_evaluation',
+  'related_accomplishments_evaluation',
+  'job_fit_evaluation',
+  'job_fit_evaluation_v2'
+];
+
+const dateRangeValidations = () => [
+  query('start_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be an ISO 8601 date'),
+
+  query('end_date')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be an ISO 8601 date'),
+
+  query('event_type')
+    .optional()
+    .isIn(AUDIT_EVENT_TYPES)
+    .withMessage('Invalid event type')
+];
+
+const createAuditQueryValidator = () => validate([
+  ...dateRangeValidations(),
+
+  query('pass_status')
+    .optional()
+    .isBoolean()
+    .withMessage('Pass status must be a boolean')
+    .toBoolean(),
+
+  query('error_occurred')
+    .optional()
+    .isBoolean()
+    .withMessage('Error occurred must be a boolean')
+    .toBoolean(),
+
+  query('min_score')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Minimum score must be between 0 and 1')
+    .toFloat(),
+
+  query('max_score')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Maximum score must be between 0 and 1')
+    .toFloat(),
+
+  query('user_identifier')
+    .optional()
+    .isString()
+    .withMessage('User identifier must be a string'),
+
+  query('session_id')
+    .optional()
+    .isString()
+    .withMessage('Session ID must be a string'),
+
+  query('inputs_hash')
+    .optional()
+    .isHexadecimal()
+    .withMessage('Inputs hash must be a hex digest'),
+
+  query('tags')
+    .optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : String(value).split(','))
+      .map(tag => String(tag).trim())
+      .filter(Boolean)),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000')
+    .toInt(),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
+    .toInt()
+]);
+
+const createAuditStatsValidator = () => validate(dateRangeValidations());
+
+const createAuditCleanupValidator = () => validate([
+  query('days_to_keep')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days to keep must be between 1 and 365')
+    .toInt()
+]);
+
+const createAuditExportValidator = () => validate([
+  ...dateRangeValidations(),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv')
+]);
+
+const createAuditEntryValidator = () => validate([
+  param('audit_id')
+    .isUUID()
+    .withMessage('Audit ID must be a UUID')
+]);
+
+module.exports = {
+  AUDIT_EVENT_TYPES,
+  createAuditQueryValidator,
+  createAuditStatsValidator,
+  createAuditCleanupValidator,
+  createAuditExportValidator,
+  createAuditEntryValidator
+};
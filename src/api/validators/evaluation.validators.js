@@ -1,5 +1,98 @@
 const { body } = require('express-validator');
 const { validate } = require('../middleware/validation.middleware');
+const { getProviderRegistry } = require('../../llm/registry');
+const { CONFIDENCE_LEVELS } = require('../../utils/statistics');
+const { getConfig } = require('../../utils/config');
+
+// Checked per request so providers registered after startup are accepted too
+const isRegisteredProvider = value => getProviderRegistry().has(value);
+
+// Ordered provider chain tried per critic call; the first entry replaces `provider` and `model`
+const createProviderChainRules = () => [
+  body('providers')
+    .optional()
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Providers must be an array of 1 to 5 entries'),
+
+  body('providers.*.provider')
+    .notEmpty()
+    .withMessage('Each providers entry needs a provider')
+    .isString()
+    .withMessage('Provider must be a string')
+    .custom(isRegisteredProvider)
+    .withMessage('Invalid provider'),
+
+  body('providers.*.model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string')
+];
+
+// Rule for choosing per-critic calls or one batch call for all critics
+const createExecutionModeRule = () => body('execution_mode')
+  .optional()
+  .isIn(['per_critic', 'batch'])
+  .withMessage('Execution mode must be per_critic or batch');
+
+// Deadline for the whole request; outstanding LLM calls are cancelled when it passes
+const createTimeoutRule = () => body('timeout_ms')
+  .optional()
+  .isInt({ min: 100, max: 600000 })
+  .withMessage('Timeout must be between 100 and 600000 ms')
+  .toInt();
+
+// Ensemble runs: samples of each model, how they are aggregated and how pass is decided.
+// samples x models is capped at 10 evaluations per request.
+const createEnsembleRules = () => [
+  body('ensemble')
+    .optional()
+    .isObject()
+    .withMessage('Ensemble must be an object')
+    .custom(ensemble => (ensemble.samples || getConfig('evaluation.ensemble.samples', 3))
+      * (Array.isArray(ensemble.models) ? ensemble.models.length : 1) <= 10)
+    .withMessage('Ensemble may run at most 10 evaluations (samples x models)'),
+
+  body('ensemble.samples')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Ensemble samples must be between 1 and 10')
+    .toInt(),
+
+  body('ensemble.models')
+    .optional()
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Ensemble models must be an array of 1 to 5 entries'),
+
+  body('ensemble.models.*.provider')
+    .notEmpty()
+    .withMessage('Each ensemble model needs a provider')
+    .isString()
+    .withMessage('Provider must be a string')
+    .custom(isRegisteredProvider)
+    .withMessage('Invalid provider'),
+
+  body('ensemble.models.*.model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string'),
+
+  body('ensemble.aggregate')
+    .optional()
+    .isIn(['mean', 'median'])
+    .withMessage('Ensemble aggregate must be mean or median'),
+
+  body('ensemble.confidence')
+    .optional()
+    .isIn(CONFIDENCE_LEVELS)
+    .withMessage(`Ensemble confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`)
+    .toFloat(),
+
+  body('ensemble.use_lower_bound')
+    .optional()
+    .isBoolean()
+    .withMessage('Ensemble use_lower_bound must be a boolean')
+    .toBoolean()
+];
 
 const createEvaluationValidator = () => validate([
   body('job_description')
@@ -26,19 +119,21 @@ const createEvaluationValidator = () => validate([
   body('temperature')
     .optional()
     .isFloat({ min: 0, max: 2 })
-    .withMessage('Temperature must be between 0 and 2'),
+    .withMessage('Temperature must be between 0 and 2')
+    .toFloat(),
 
   body('process_markdown')
     .optional()
     .isBoolean()
     .withMessage('Process markdown must be a boolean')
+    .toBoolean()
     .default(true),
 
-  body('max_workders')
+  body('max_workers')
     .optional()
-    .default(6)
     .isInt({ min: 1, max: 10 })
-    .withMessage('Maximum number of parallel critic workers (1-10)'),
+    .withMessage('Maximum number of parallel critic workers (1-10)')
+    .toInt(),
 
   body('industry')
     .optional()
@@ -50,7 +145,21 @@ const createEvaluationValidator = () => validate([
   body('job_fit_score')
     .optional()
     .isFloat({ min: 0, max: 1 })
-    .withMessage('Job fit score must be between 0 and 1')
+    .withMessage('Job fit score must be between 0 and 1'),
+
+  body('cache')
+    .optional()
+    .isBoolean()
+    .withMessage('Cache must be a boolean')
+    .toBoolean(),
+
+  createTimeoutRule(),
+
+  createExecutionModeRule(),
+
+  ...createProviderChainRules(),
+
+  ...createEnsembleRules()
 ]);
 
 const createComparisonValidator = () => validate([
@@ -76,7 +185,57 @@ const createComparisonValidator = () => validate([
     .notEmpty()
     .withMessage('Resume identifier is required')
     .isString()
-    .withMessage('Resume identifier must be a string')
+    .withMessage('Resume identifier must be a string'),
+
+  body('resumes')
+    .optional()
+    .custom(resumes => !Array.isArray(resumes)
+      || new Set(resumes.map(entry => entry?.identifier)).size === resumes.length)
+    .withMessage('Resume identifiers must be unique'),
+
+  body('resumes.*.original_resume')
+    .optional()
+    .isString()
+    .withMessage('Original resume must be a string'),
+
+  body('required_terms')
+    .optional()
+    .isString()
+    .withMessage('Required terms must be a string'),
+
+  body('provider')
+    .optional()
+    .isString()
+    .withMessage('Provider must be a string')
+    .custom(isRegisteredProvider)
+    .withMessage('Invalid provider'),
+
+  body('model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string'),
+
+  body('temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2')
+    .toFloat(),
+
+  body('max_workers')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum number of parallel critic workers (1-10)')
+    .toInt(),
+
+  body('cache')
+    .optional()
+    .isBoolean()
+    .withMessage('Cache must be a boolean')
+    .toBoolean(),
+
+  createExecutionModeRule(),
+
+  ...createProviderChainRules()
 ]);
 
 const createCoverLetterValidator = () => validate([
@@ -108,7 +267,7 @@ const createCoverLetterValidator = () => validate([
     .optional()
     .isString()
     .withMessage('Provider must be a string')
-    .isIn(['openai', 'gemini', 'ollama', 'mock'])
+    .custom(isRegisteredProvider)
     .withMessage('Invalid provider'),
 
   body('model')
@@ -119,7 +278,19 @@ const createCoverLetterValidator = () => validate([
   body('temperature')
     .optional()
     .isFloat({ min: 0, max: 2 })
-    .withMessage('Temperature must be between 0 and 2')
+    .withMessage('Temperature must be between 0 and 2'),
+
+  body('max_workers')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum number of parallel critic workers (1-10)')
+    .toInt(),
+
+  createTimeoutRule(),
+
+  createExecutionModeRule(),
+
+  ...createProviderChainRules()
 ]);
 
 const createJobFitValidator = () => validate([
@@ -150,7 +321,7 @@ const createJobFitValidator = () => validate([
     .optional()
     .isString()
     .withMessage('Provider must be a string')
-    .isIn(['openai', 'gemini', 'ollama', 'mock'])
+    .custom(isRegisteredProvider)
     .withMessage('Invalid provider'),
 
   body('model')
@@ -170,9 +341,464 @@ const createJobFitValidator = () => validate([
     .default(true)
 ]);
 
+const createFidelityValidator = () => validate([
+  body('job_description')
+    .notEmpty()
+    .withMessage('Job description is required')
+    .isString()
+    .withMessage('Job description must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Job description must be at least 100 characters'),
+
+  body('original_resume')
+    .notEmpty()
+    .withMessage('Original resume is required')
+    .isString()
+    .withMessage('Original resume must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Original resume must be at least 100 characters'),
+
+  body('tailored_resume')
+    .notEmpty()
+    .withMessage('Tailored resume is required')
+    .isString()
+    .withMessage('Tailored resume must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Tailored resume must be at least 100 characters'),
+
+  body('provider')
+    .optional()
+    .isString()
+    .withMessage('Provider must be a string')
+    .custom(isRegisteredProvider)
+    .withMessage('Invalid provider'),
+
+  body('model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string'),
+
+  body('temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+
+  body('max_workers')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum number of parallel critic workers (1-10)')
+    .toInt(),
+
+  body('cache')
+    .optional()
+    .isBoolean()
+    .withMessage('Cache must be a boolean')
+    .toBoolean(),
+
+  ...createProviderChainRules()
+]);
+
+const createFidelitySimpleValidator = () => validate([
+  body('original_resume')
+    .notEmpty()
+    .withMessage('Original resume is required')
+    .isString()
+    .withMessage('Original resume must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Original resume must be at least 100 characters'),
+
+  body('tailored_resume')
+    .notEmpty()
+    .withMessage('Tailored resume is required')
+    .isString()
+    .withMessage('Tailored resume must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Tailored resume must be at least 100 characters'),
+
+  body('provider')
+    .optional()
+    .isString()
+    .withMessage('Provider must be a string')
+    .custom(isRegisteredProvider)
+    .withMessage('Invalid provider'),
+
+  body('model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string'),
+
+  body('temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+
+  body('max_workers')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum number of parallel critic workers (1-10)')
+    .toInt(),
+
+  body('cache')
+    .optional()
+    .isBoolean()
+    .withMessage('Cache must be a boolean')
+    .toBoolean(),
+
+  ...createProviderChainRules()
+]);
+
+const createCoverLetterFidelityValidator = () => validate([
+  body('original_resume')
+    .notEmpty()
+    .withMessage('Original resume is required')
+    .isString()
+    .withMessage('Original resume must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Original resume must be at least 100 characters'),
+
+  body('cover_letter')
+    .notEmpty()
+    .withMessage('Cover letter is required')
+    .isString()
+    .withMessage('Cover letter must be a string')
+    .isLength({ min: 50 })
+    .withMessage('Cover letter must be at least 50 characters'),
+
+  body('provider')
+    .optional()
+    .isString()
+    .withMessage('Provider must be a string')
+    .custom(isRegisteredProvider)
+    .withMessage('Invalid provider'),
+
+  body('model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string'),
+
+  body('temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+
+  body('max_workers')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum number of parallel critic workers (1-10)')
+    .toInt(),
+
+  body('cache')
+    .optional()
+    .isBoolean()
+    .withMessage('Cache must be a boolean')
+    .toBoolean(),
+
+  ...createProviderChainRules()
+]);
+
+const createComprehensiveValidator = () => validate([
+  body('job_description')
+    .notEmpty()
+    .withMessage('Job description is required')
+    .isString()
+    .withMessage('Job description must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Job description must be at least 100 characters'),
+
+  body('tailored_resume')
+    .notEmpty()
+    .withMessage('Tailored resume is required')
+    .isString()
+    .withMessage('Tailored resume must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Tailored resume must be at least 100 characters'),
+
+  body('original_resume')
+    .optional()
+    .isString()
+    .withMessage('Original resume must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Original resume must be at least 100 characters'),
+
+  body('required_terms')
+    .optional()
+    .isString()
+    .withMessage('Required terms must be a string'),
+
+  body('provider')
+    .optional()
+    .isString()
+    .withMessage('Provider must be a string')
+    .custom(isRegisteredProvider)
+    .withMessage('Invalid provider'),
+
+  body('model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string'),
+
+  body('temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+
+  body('process_markdown')
+    .optional()
+    .isBoolean()
+    .withMessage('Process markdown must be a boolean')
+    .default(true),
+
+  body('max_workers')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum number of parallel critic workers (1-10)')
+    .toInt(),
+
+  body('cache')
+    .optional()
+    .isBoolean()
+    .withMessage('Cache must be a boolean')
+    .toBoolean(),
+
+  ...createProviderChainRules()
+]);
+
+const createSummaryValidator = () => validate([
+  body('job_description')
+    .notEmpty()
+    .withMessage('Job description is required')
+    .isString()
+    .withMessage('Job description must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Job description must be at least 100 characters'),
+
+  body('original_resume')
+    .notEmpty()
+    .withMessage('Original resume is required')
+    .isString()
+    .withMessage('Original resume must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Original resume must be at least 100 characters'),
+
+  body('tailored_summary')
+    .notEmpty()
+    .withMessage('Tailored summary is required')
+    .isString()
+    .withMessage('Tailored summary must be a string')
+    .isLength({ min: 20 })
+    .withMessage('Tailored summary must be at least 20 characters'),
+
+  body('provider')
+    .optional()
+    .isString()
+    .withMessage('Provider must be a string')
+    .custom(isRegisteredProvider)
+    .withMessage('Invalid provider'),
+
+  body('model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string'),
+
+  body('temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+
+  body('max_workers')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum number of parallel critic workers (1-10)')
+    .toInt(),
+
+  body('cache')
+    .optional()
+    .isBoolean()
+    .withMessage('Cache must be a boolean')
+    .toBoolean(),
+
+  ...createProviderChainRules()
+]);
+
+// Work experience arrives either as a bare array of roles or wrapped as { experiences: [...] }
+const toExperienceList = value => (Array.isArray(value) ? value : value?.experiences);
+
+const validateExperienceEntry = (entry, index) => {
+  const label = `Work experience entry ${index + 1}`;
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  if (typeof entry.title !== 'string' || !entry.title.trim()) {
+    throw new Error(`${label} requires a title`);
+  }
+  if (typeof entry.company !== 'string' || !entry.company.trim()) {
+    throw new Error(`${label} requires a company`);
+  }
+  if (entry.dates !== undefined && typeof entry.dates !== 'string') {
+    throw new Error(`${label} dates must be a string`);
+  }
+  if (!Array.isArray(entry.responsibilities) || entry.responsibilities.length === 0
+    || !entry.responsibilities.every(item => typeof item === 'string')) {
+    throw new Error(`${label} requires a non-empty list of responsibilities`);
+  }
+};
+
+const createWorkExperienceValidator = () => validate([
+  body('job_description')
+    .notEmpty()
+    .withMessage('Job description is required')
+    .isString()
+    .withMessage('Job description must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Job description must be at least 100 characters'),
+
+  body('work_experience')
+    .notEmpty()
+    .withMessage('Work experience is required')
+    .bail()
+    .custom(value => {
+      const experiences = toExperienceList(value);
+      if (!Array.isArray(experiences) || experiences.length < 1 || experiences.length > 20) {
+        throw new Error('Work experience must be a list of 1 to 20 roles');
+      }
+      experiences.forEach(validateExperienceEntry);
+      return true;
+    }),
+
+  body('resume')
+    .optional()
+    .isString()
+    .withMessage('Resume must be a string'),
+
+  body('required_terms')
+    .optional()
+    .isString()
+    .withMessage('Required terms must be a string'),
+
+  body('provider')
+    .optional()
+    .isString()
+    .withMessage('Provider must be a string')
+    .custom(isRegisteredProvider)
+    .withMessage('Invalid provider'),
+
+  body('model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string'),
+
+  body('temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+
+  body('max_workers')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum number of parallel critic workers (1-10)')
+    .toInt(),
+
+  body('cache')
+    .optional()
+    .isBoolean()
+    .withMessage('Cache must be a boolean')
+    .toBoolean(),
+
+  ...createProviderChainRules()
+]);
+
+// Related accomplishments arrive either as a bare array of categories or wrapped as { relatedAccomplishments: [...] }
+const toCategoryList = value => (Array.isArray(value) ? value : value?.relatedAccomplishments);
+
+const validateCategoryEntry = (entry, index) => {
+  const label = `Accomplishment category ${index + 1}`;
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  if (typeof entry.category !== 'string' || !entry.category.trim()) {
+    throw new Error(`${label} requires a category name`);
+  }
+  if (!Array.isArray(entry.items) || entry.items.length === 0
+    || !entry.items.every(item => typeof item === 'string')) {
+    throw new Error(`${label} requires a non-empty list of accomplishments`);
+  }
+};
+
+const createRelatedAccomplishmentsValidator = () => validate([
+  body('job_description')
+    .notEmpty()
+    .withMessage('Job description is required')
+    .isString()
+    .withMessage('Job description must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Job description must be at least 100 characters'),
+
+  body('original_resume')
+    .notEmpty()
+    .withMessage('Original resume is required')
+    .isString()
+    .withMessage('Original resume must be a string')
+    .isLength({ min: 100 })
+    .withMessage('Original resume must be at least 100 characters'),
+
+  body('related_accomplishments')
+    .notEmpty()
+    .withMessage('Related accomplishments are required')
+    .bail()
+    .custom(value => {
+      const categories = toCategoryList(value);
+      if (!Array.isArray(categories) || categories.length < 2 || categories.length > 5) {
+        throw new Error('Related accomplishments must be a list of 2 to 5 categories');
+      }
+      categories.forEach(validateCategoryEntry);
+      if (new Set(categories.map(entry => entry.category.trim().toLowerCase())).size !== categories.length) {
+        throw new Error('Accomplishment category names must be unique');
+      }
+      return true;
+    }),
+
+  body('provider')
+    .optional()
+    .isString()
+    .withMessage('Provider must be a string')
+    .custom(isRegisteredProvider)
+    .withMessage('Invalid provider'),
+
+  body('model')
+    .optional()
+    .isString()
+    .withMessage('Model must be a string'),
+
+  body('temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+
+  body('max_workers')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Maximum number of parallel critic workers (1-10)')
+    .toInt(),
+
+  body('cache')
+    .optional()
+    .isBoolean()
+    .withMessage('Cache must be a boolean')
+    .toBoolean(),
+
+  ...createProviderChainRules()
+]);
+
 module.exports = {
   createEvaluationValidator,
   createComparisonValidator,
   createCoverLetterValidator,
-  createJobFitValidator
+  createJobFitValidator,
+  createFidelityValidator,
+  createFidelitySimpleValidator,
+  createCoverLetterFidelityValidator,
+  createComprehensiveValidator,
+  createSummaryValidator,
+  createWorkExperienceValidator,
+  createRelatedAccomplishmentsValidator
 };
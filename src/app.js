@@ -4,6 +4,7 @@ const { pipe } = require('ramda');
 const { logger } = require('./utils/logger');
 const { getConfig, validateConfig } = require('./utils/config');
 const { errorHandler, notFoundHandler } = require('./api/middleware/error.middleware');
+const { mockScenario } = require('./api/middleware/mock-scenario.middleware');
 const { registerRoutes } = require('./api/routes');
 
 const createApp = () => {
@@ -16,6 +17,8 @@ const createApp = () => {
     appInstance.use(express.json({ limit: getConfig('server.bodyLimit', '2mb') }));
     appInstance.use(express.urlencoded({ extended: true, limit: getConfig('server.bodyLimit', '2mb') }));
 
+    appInstance.use(mockScenario());
+
     appInstance.use((req, res, next) => {
       logger.info({
         method: req.method,
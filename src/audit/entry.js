@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { getConfig } = require('../utils/config');
+
+// Request fields that select how to evaluate rather than what is evaluated
+const SETTINGS_FIELDS = ['provider', 'model', 'temperature', 'top_p', 'process_markdown', 'max_workers', 'cache', 'providers', 'timeout_ms', 'execution_mode', 'ensemble'];
+
+/**
+ * Serialize a value with object keys sorted so equal inputs hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = value => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash the evaluated inputs of a request, ignoring LLM settings
+ * @param {Object} body - Request body
+ * @returns {string|null} SHA-256 hex digest, or null for an empty body
+ */
+const hashInputs = body => {
+  const inputs = Object.keys(body || {})
+    .filter(key => !SETTINGS_FIELDS.includes(key))
+    .reduce((acc, key) => ({ ...acc, [key]: body[key] }), {});
+
+  return Object.keys(inputs).length > 0
+    ? crypto.createHash('sha256').update(canonicalJson(inputs)).digest('hex')
+    : null;
+};
+
+/**
+ * Pick the settings a request set, so entries with the same inputs hash can be told apart
+ * @param {Object} body - Request body
+ * @returns {Object} Settings keyed by request field
+ */
+const extractSettings = body => SETTINGS_FIELDS
+  .filter(key => body[key] !== undefined)
+  .reduce((acc, key) => ({ ...acc, [key]: body[key] }), {});
+
+const firstNumber = (...values) => values.find(value => typeof value === 'number');
+
+/**
+ * Pull per-critic scores from a response body
+ * @param {Object} body - Response body
+ * @returns {Array<Object>} Critic scores
+ */
+const extractCriticResults = body => {
+  const scores = body.normalized_scores && typeof body.normalized_scores === 'object'
+    ? body.normalized_scores
+    : Object.keys(body)
+      .filter(key => key.endsWith('_score') && key !== 'composite_score' && typeof body[key] === 'number')
+      .reduce((acc, key) => ({ ...acc, [key.replace(/_score$/, '')]: body[key] }), {});
+
+  return Object.entries(scores)
+    .filter(([, score]) => typeof score === 'number')
+    .map(([criticName, score]) => ({ critic_name: criticName, score }));
+};
+
+const parseTags = header => (header
+  ? header.split(',').map(tag => tag.trim()).filter(Boolean)
+  : []);
+
+/**
+ * Build an audit entry for a finished request
+ * @param {Object} details - Request and response details
+ * @returns {Object} Audit entry
+ */
+const buildAuditEntry = ({
+  eventType, req, statusCode, responseBody, startedAt, finishedAt
+}) => {
+  const body = responseBody && typeof responseBody === 'object' ? responseBody : {};
+  const requestBody = req.body || {};
+  const errorOccurred = statusCode >= 400;
+
+  return {
+    audit_id: crypto.randomUUID(),
+    event_type: eventType,
+    request_timestamp: new Date(startedAt).toISOString(),
+    response_timestamp: new Date(finishedAt).toISOString(),
+    endpoint: req.originalUrl.split('?')[0],
+    method: req.method,
+    query_parameters: req.query || {},
+    response_status: statusCode,
+    app_version: getConfig('version', '0.22.0'),
+    inputs_hash: hashInputs(requestBody),
+    settings: extractSettings(requestBody),
+    overall_score: firstNumber(body.composite_score, body.score, body.job_fit_score) ?? null,
+    pass_status: typeof body.pass === 'boolean' ? body.pass : null,
+    critic_results: extractCriticResults(body),
+    llm_provider: body.llm_provider || requestBody.provider || null,
+    llm_model: body.llm_model || requestBody.model || null,
+    total_execution_time_ms: finishedAt - startedAt,
+    error_occurred: errorOccurred,
+    error_code: errorOccurred ? body.error?.code || null : null,
+    error_message: errorOccurred ? body.error?.message || null : null,
+    user_identifier: req.get('x-user-id') || null,
+    session_id: req.get('x-session-id') || null,
+    tags: parseTags(req.get('x-audit-tags'))
+  };
+};
+
+module.exports = {
+  buildAuditEntry,
+  hashInputs,
+  canonicalJson
+};
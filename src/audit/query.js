@@ -0,0 +1,116 @@
+/**
+ * Filter audit entries. Every filter is optional; entries must match all given filters.
+ * @param {Object} filters - Query filters
+ * @returns {Function} Predicate over audit entries
+ */
+const matchesFilters = filters => entry => {
+  const timestamp = Date.parse(entry.request_timestamp);
+  const checks = [
+    () => !filters.start_date || timestamp >= Date.parse(filters.start_date),
+    () => !filters.end_date || timestamp <= Date.parse(filters.end_date),
+    () => !filters.event_type || entry.event_type === filters.event_type,
+    () => filters.pass_status === undefined || entry.pass_status === filters.pass_status,
+    () => filters.error_occurred === undefined || entry.error_occurred === filters.error_occurred,
+    () => filters.min_score === undefined || (entry.overall_score !== null && entry.overall_score >= filters.min_score),
+    () => filters.max_score === undefined || (entry.overall_score !== null && entry.overall_score <= filters.max_score),
+    () => !filters.user_identifier || entry.user_identifier === filters.user_identifier,
+    () => !filters.session_id || entry.session_id === filters.session_id,
+    () => !filters.inputs_hash || entry.inputs_hash === filters.inputs_hash,
+    () => !filters.tags || filters.tags.length === 0 || filters.tags.every(tag => entry.tags.includes(tag))
+  ];
+
+  return checks.every(check => check());
+};
+
+/**
+ * Filter and sort entries newest first
+ * @param {Array<Object>} entries - Audit entries
+ * @param {Object} filters - Query filters
+ * @returns {Array<Object>} Matching entries
+ */
+const queryEntries = (entries, filters = {}) => entries
+  .filter(matchesFilters(filters))
+  .sort((a, b) => Date.parse(b.request_timestamp) - Date.parse(a.request_timestamp));
+
+const average = values => (values.length > 0
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : null);
+
+const countBy = (entries, keyFn) => entries.reduce((acc, entry) => {
+  const key = keyFn(entry);
+  return { ...acc, [key]: (acc[key] || 0) + 1 };
+}, {});
+
+/**
+ * Summarize audit entries
+ * @param {Array<Object>} entries - Audit entries
+ * @returns {Object} Audit statistics
+ */
+const calculateStats = entries => {
+  const failed = entries.filter(entry => entry.error_occurred);
+  const scored = entries.filter(entry => typeof entry.overall_score === 'number');
+  const judged = entries.filter(entry => typeof entry.pass_status === 'boolean');
+  const errorCounts = countBy(failed, entry => entry.error_message || 'Unknown error');
+
+  return {
+    total_requests: entries.length,
+    successful_requests: entries.length - failed.length,
+    failed_requests: failed.length,
+    average_score: average(scored.map(entry => entry.overall_score)),
+    pass_rate: judged.length > 0 ? judged.filter(entry => entry.pass_status).length / judged.length : null,
+    average_execution_time_ms: average(entries.map(entry => entry.total_execution_time_ms)),
+    requests_by_type: countBy(entries, entry => entry.event_type),
+    requests_by_date: countBy(entries, entry => entry.request_timestamp.slice(0, 10)),
+    top_error_messages: Object.entries(errorCounts)
+      .map(([message, count]) => ({ message, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10)
+  };
+};
+
+const CSV_COLUMNS = [
+  'audit_id',
+  'event_type',
+  'request_timestamp',
+  'response_timestamp',
+  'endpoint',
+  'method',
+  'response_status',
+  'inputs_hash',
+  'overall_score',
+  'pass_status',
+  'llm_provider',
+  'llm_model',
+  'total_execution_time_ms',
+  'error_occurred',
+  'error_code',
+  'error_message',
+  'user_identifier',
+  'session_id',
+  'tags'
+];
+
+const toCsvValue = value => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render audit entries as CSV with a header row
+ * @param {Array<Object>} entries - Audit entries
+ * @returns {string} CSV text
+ */
+const toCsv = entries => [
+  CSV_COLUMNS.join(','),
+  ...entries.map(entry => CSV_COLUMNS.map(column => toCsvValue(entry[column])).join(','))
+].join('\n');
+
+module.exports = {
+  queryEntries,
+  calculateStats,
+  toCsv,
+  CSV_COLUMNS
+};
@@ -0,0 +1,66 @@
+const path = require('path');
+const { getConfig } = require('../utils/config');
+const { logger } = require('../utils/logger');
+const { createMemoryAuditStore } = require('./stores/memory');
+const { createFileAuditStore } = require('./stores/file');
+
+const STORE_FACTORIES = {
+  memory: config => createMemoryAuditStore(config),
+  file: config => createFileAuditStore(config)
+};
+
+/**
+ * Create the audit store named by `audit.storage`
+ * @param {Object} overrides - Values that take precedence over the audit config
+ * @returns {Object} Audit store instance
+ */
+const createAuditStore = (overrides = {}) => {
+  const config = {
+    storage: getConfig('audit.storage', 'memory'),
+    retentionDays: getConfig('audit.retentionDays', 30),
+    maxEntries: getConfig('audit.maxEntries', 10000),
+    directory: path.resolve(getConfig('audit.directory', './data/audit')),
+    ...overrides
+  };
+
+  const factory = STORE_FACTORIES[config.storage];
+  if (!factory) {
+    logger.warn('Audit: Unknown storage, falling back to memory', {
+      storage: config.storage,
+      available: Object.keys(STORE_FACTORIES)
+    });
+    return STORE_FACTORIES.memory(config);
+  }
+
+  logger.info('Audit: Store created', { storage: config.storage, retentionDays: config.retentionDays });
+  return factory(config);
+};
+
+const shared = { store: null };
+
+/**
+ * Get the process-wide audit store, creating it on first use
+ * @returns {Object} Audit store instance
+ */
+const getAuditStore = () => {
+  if (!shared.store) {
+    Object.assign(shared, { store: createAuditStore() });
+  }
+  return shared.store;
+};
+
+/**
+ * Replace or clear the process-wide audit store (used by tests)
+ * @param {Object|null} store - Store to use, or null to recreate from config on next use
+ * @returns {Object|null} The store that was set
+ */
+const setAuditStore = store => {
+  Object.assign(shared, { store });
+  return store;
+};
+
+module.exports = {
+  createAuditStore,
+  getAuditStore,
+  setAuditStore
+};
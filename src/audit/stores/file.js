@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../../utils/logger');
+const { isRetained, DAY_MS } = require('./memory');
+
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+const fileNameFor = timestamp => `audit-${timestamp.slice(0, 10)}.jsonl`;
+
+const parseLines = content => content
+  .split('\n')
+  .filter(line => line.trim())
+  .flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      logger.warn('Audit: Skipping unreadable line', { error: error.message });
+      return [];
+    }
+  });
+
+/**
+ * Create a file-backed audit store. Entries are appended as JSON lines to one
+ * file per UTC day, so retention can drop whole files.
+ * @param {Object} config - Store configuration
+ * @param {string} config.directory - Directory holding the audit files
+ * @param {number} config.retentionDays - Days to keep entries (0 keeps them forever)
+ * @returns {Object} Audit store instance
+ */
+const createFileAuditStore = ({ directory, retentionDays = 30 }) => {
+  const ready = fs.mkdir(directory, { recursive: true });
+
+  const listFiles = async () => {
+    await ready;
+    const names = await fs.readdir(directory);
+    return names.filter(name => FILE_PATTERN.test(name)).sort();
+  };
+
+  const readFile = async name => parseLines(await fs.readFile(path.join(directory, name), 'utf8'));
+
+  const readAll = async () => {
+    const files = await listFiles();
+    const contents = await Promise.all(files.map(readFile));
+    return contents.flat().filter(isRetained(retentionDays, Date.now()));
+  };
+
+  // Drop files that are entirely older than the cutoff and rewrite the file that straddles it
+  const removeOlderThan = async cutoff => {
+    const cutoffDay = cutoff.toISOString().slice(0, 10);
+    const files = await listFiles();
+
+    const counts = await Promise.all(files.map(async name => {
+      const day = name.match(FILE_PATTERN)[1];
+      if (day > cutoffDay) {
+        return 0;
+      }
+
+      const fileEntries = await readFile(name);
+      const kept = fileEntries.filter(entry => Date.parse(entry.request_timestamp) >= cutoff.getTime());
+      const filePath = path.join(directory, name);
+
+      if (kept.length === 0) {
+        await fs.unlink(filePath);
+      } else if (kept.length < fileEntries.length) {
+        await fs.writeFile(filePath, `${kept.map(entry => JSON.stringify(entry)).join('\n')}\n`);
+      }
+      return fileEntries.length - kept.length;
+    }));
+
+    return counts.reduce((sum, count) => sum + count, 0);
+  };
+
+  // Expired files are deleted on the first write of each day
+  const pruned = { day: null };
+
+  const pruneDaily = async today => {
+    if (!retentionDays || pruned.day === today) {
+      return;
+    }
+    Object.assign(pruned, { day: today });
+    const removed = await removeOlderThan(new Date(Date.now() - retentionDays * DAY_MS));
+    if (removed > 0) {
+      logger.info('Audit: Removed expired entries', { removed, retentionDays });
+    }
+  };
+
+  logger.debug('Audit: File store initialized', { directory, retentionDays });
+
+  return {
+    name: 'file',
+
+    save: async entry => {
+      await ready;
+      await fs.appendFile(path.join(directory, fileNameFor(entry.request_timestamp)), `${JSON.stringify(entry)}\n`);
+      await pruneDaily(new Date().toISOString().slice(0, 10));
+      return entry;
+    },
+
+    get: async auditId => {
+      const entries = await readAll();
+      return entries.find(entry => entry.audit_id === auditId) || null;
+    },
+
+    list: readAll,
+
+    removeOlderThan
+  };
+};
+
+module.exports = { createFileAuditStore };
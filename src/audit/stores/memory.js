@@ -0,0 +1,64 @@
+const { logger } = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether an entry falls inside the retention window
+ * @param {number} retentionDays - Days to keep entries
+ * @param {number} now - Current time in ms
+ * @returns {Function} Predicate over audit entries
+ */
+const isRetained = (retentionDays, now) => entry => (
+  !retentionDays || Date.parse(entry.request_timestamp) >= now - retentionDays * DAY_MS
+);
+
+/**
+ * Create an in-memory audit store. Entries are kept in arrival order and
+ * dropped once they leave the retention window or exceed maxEntries.
+ * @param {Object} config - Store configuration
+ * @param {number} config.retentionDays - Days to keep entries (0 keeps them forever)
+ * @param {number} config.maxEntries - Maximum number of entries held in memory
+ * @returns {Object} Audit store instance
+ */
+const createMemoryAuditStore = ({ retentionDays = 30, maxEntries = 10000 } = {}) => {
+  const state = { entries: [] };
+
+  const prune = () => {
+    const retained = state.entries.filter(isRetained(retentionDays, Date.now()));
+    Object.assign(state, { entries: retained.length > maxEntries ? retained.slice(retained.length - maxEntries) : retained });
+  };
+
+  logger.debug('Audit: Memory store initialized', { retentionDays, maxEntries });
+
+  return {
+    name: 'memory',
+
+    save: async entry => {
+      Object.assign(state, { entries: [...state.entries, entry] });
+      prune();
+      return entry;
+    },
+
+    get: async auditId => {
+      prune();
+      return state.entries.find(entry => entry.audit_id === auditId) || null;
+    },
+
+    list: async () => {
+      prune();
+      return state.entries;
+    },
+
+    removeOlderThan: async cutoff => {
+      const before = state.entries.length;
+      Object.assign(state, { entries: state.entries.filter(entry => Date.parse(entry.request_timestamp) >= cutoff.getTime()) });
+      return before - state.entries.length;
+    }
+  };
+};
+
+module.exports = {
+  createMemoryAuditStore,
+  isRetained,
+  DAY_MS
+};
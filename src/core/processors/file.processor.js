@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('../../utils/errors');
+const { processText, createWarning } = require('./text.processor');
+const { parsePdf } = require('./parsers/pdf.parser');
+const { parseDocx } = require('./parsers/docx.parser');
+const { parseHtml } = require('./parsers/html.parser');
+
+/**
+ * Extract text from a plain text document
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} Extracted text and warnings
+ */
+const parsePlainText = async buffer => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  return {
+    text,
+    warnings: text.includes('\uFFFD')
+      ? [createWarning('ENCODING', 'File is not valid UTF-8; some characters could not be decoded')]
+      : []
+  };
+};
+
+// Supported formats, matched on file extension first and mimetype second
+const FORMATS = {
+  pdf: {
+    extensions: ['.pdf'],
+    mimetypes: ['application/pdf'],
+    parse: parsePdf
+  },
+  docx: {
+    extensions: ['.docx'],
+    mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    parse: parseDocx
+  },
+  html: {
+    extensions: ['.html', '.htm'],
+    mimetypes: ['text/html'],
+    parse: parseHtml
+  },
+  txt: {
+    extensions: ['.txt', '.text', '.md'],
+    mimetypes: ['text/plain', 'text/markdown'],
+    parse: parsePlainText
+  }
+};
+
+const SUPPORTED_FORMATS_LABEL = 'PDF, DOCX, TXT, HTML';
+
+// Pure function to detect a file's format from its name or mimetype
+const detectFormat = file => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const byExtension = Object.keys(FORMATS).find(format => FORMATS[format].extensions.includes(extension));
+  if (byExtension || extension) {
+    return byExtension || null;
+  }
+
+  return Object.keys(FORMATS).find(format => FORMATS[format].mimetypes.includes(file.mimetype)) || null;
+};
+
+const isSupportedFile = file => detectFormat(file) !== null;
+
+// Uploads are held in memory or written to disk depending on the multer storage engine
+const readFileContent = file => (file.buffer ? Promise.resolve(file.buffer) : fs.promises.readFile(file.path));
+
+/**
+ * Extract normalized text from an uploaded file
+ * @param {Object} file - Multer file object with either a buffer or a path
+ * @returns {Promise<Object>} Filename, format, text, detected sections and extraction warnings
+ */
+const extractText = async file => {
+  const format = detectFormat(file);
+  if (!format) {
+    throw new ValidationError('Unsupported file format', [{
+      field: file.fieldname,
+      message: `${file.originalname} is not a supported format (${SUPPORTED_FORMATS_LABEL})`,
+      value: file.originalname
+    }]);
+  }
+
+  const buffer = await readFileContent(file);
+
+  const parsed = await FORMATS[format].parse(buffer).catch(error => {
+    throw new ValidationError('Unable to read file', [{
+      field: file.fieldname,
+      message: `${file.originalname} could not be read as ${format.toUpperCase()}: ${error.message}`,
+      value: file.originalname
+    }]);
+  });
+
+  const processed = processText(parsed.text);
+
+  return {
+    filename: file.originalname,
+    format,
+    text: processed.text,
+    sections: processed.sections,
+    characters: processed.text.length,
+    warnings: [...parsed.warnings, ...processed.warnings]
+  };
+};
+
+module.exports = {
+  extractText,
+  detectFormat,
+  isSupportedFile,
+  SUPPORTED_FORMATS_LABEL
+};
@@ -0,0 +1,24 @@
+const mammoth = require('mammoth');
+const { createWarning } = require('../text.processor');
+const { convertHtml } = require('./html.parser');
+
+/**
+ * Extract text from a DOCX document, keeping Word heading styles as markdown headings
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} Extracted text and warnings
+ */
+const parseDocx = async buffer => {
+  const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+  const converted = convertHtml(html);
+
+  const conversionWarnings = messages
+    .filter(message => message.type === 'warning' || message.type === 'error')
+    .map(message => createWarning('DOCX_CONVERSION', message.message));
+
+  return {
+    text: converted.text,
+    warnings: [...converted.warnings, ...conversionWarnings]
+  };
+};
+
+module.exports = { parseDocx };
@@ -0,0 +1,58 @@
+const TurndownService = require('turndown');
+const { createWarning } = require('../text.processor');
+
+// Pure function to create a converter that keeps headings, lists and table rows readable
+const createConverter = () => {
+  const turndown = new TurndownService({
+    headingStyle: 'atx',
+    bulletListMarker: '-',
+    codeBlockStyle: 'fenced'
+  });
+
+  turndown.remove(['head', 'title', 'script', 'style', 'noscript']);
+
+  // Keep each table row on one line instead of one paragraph per cell
+  turndown.addRule('tableCell', {
+    filter: ['th', 'td'],
+    replacement: content => ` ${content.replace(/\s+/g, ' ').trim()} |`
+  });
+  turndown.addRule('tableRow', {
+    filter: 'tr',
+    replacement: content => `\n|${content}\n`
+  });
+
+  // Critics read plain text, so markdown escaping only adds noise
+  return Object.assign(turndown, { escape: text => text });
+};
+
+// Pure function to report content that does not survive conversion to text
+const detectHtmlWarnings = html => [
+  ...(/<table[\s>]/i.test(html)
+    ? [createWarning('TABLE_FLATTENED', 'Tables were flattened to pipe-separated rows; check that cell order reads correctly')]
+    : []),
+  ...(/<img[\s>]/i.test(html)
+    ? [createWarning('IMAGES_IGNORED', 'Images were ignored; any text inside them was not extracted')]
+    : [])
+];
+
+/**
+ * Convert HTML markup to markdown text
+ * @param {string} html - HTML markup
+ * @returns {Object} Extracted text and warnings
+ */
+const convertHtml = html => ({
+  text: createConverter().turndown(html),
+  warnings: detectHtmlWarnings(html)
+});
+
+/**
+ * Extract text from an HTML document
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} Extracted text and warnings
+ */
+const parseHtml = async buffer => convertHtml(buffer.toString('utf8'));
+
+module.exports = {
+  parseHtml,
+  convertHtml
+};
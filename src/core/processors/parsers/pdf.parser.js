@@ -0,0 +1,38 @@
+// Require the library entry directly; the package index runs a debug harness when loaded without a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const { createWarning } = require('../text.processor');
+
+// Pages with less text than this are most likely scanned images
+const MIN_CHARACTERS_PER_PAGE = 20;
+
+// Pure function to report PDFs without a usable text layer
+const detectPdfWarnings = (text, pageCount) => {
+  const characters = text.replace(/\s/g, '').length;
+
+  if (characters === 0) {
+    return [createWarning('NO_TEXT_LAYER', 'PDF has no text layer; it appears to be scanned and needs OCR before it can be evaluated')];
+  }
+
+  if (characters / Math.max(pageCount, 1) < MIN_CHARACTERS_PER_PAGE) {
+    return [createWarning('SPARSE_TEXT_LAYER', 'PDF contains very little text; some pages may be scanned images')];
+  }
+
+  return [];
+};
+
+/**
+ * Extract text from a PDF document
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} Extracted text and warnings
+ */
+const parsePdf = async buffer => {
+  // pdf.js reads the underlying ArrayBuffer and ignores byteOffset, so pooled Buffers must be copied first
+  const { text, numpages: pageCount } = await pdfParse(new Uint8Array(buffer));
+
+  return {
+    text,
+    warnings: detectPdfWarnings(text, pageCount)
+  };
+};
+
+module.exports = { parsePdf };
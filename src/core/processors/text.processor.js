@@ -0,0 +1,122 @@
+// Section names recognised as headings in resumes and job descriptions
+const KNOWN_SECTIONS = [
+  'summary',
+  'professional summary',
+  'profile',
+  'objective',
+  'experience',
+  'work experience',
+  'professional experience',
+  'employment history',
+  'education',
+  'skills',
+  'technical skills',
+  'core competencies',
+  'projects',
+  'certifications',
+  'awards',
+  'publications',
+  'volunteer experience',
+  'accomplishments',
+  'related accomplishments',
+  'achievements',
+  'languages',
+  'interests',
+  'references',
+  'about the role',
+  'about us',
+  'responsibilities',
+  'requirements',
+  'qualifications',
+  'minimum qualifications',
+  'preferred qualifications',
+  'nice to have',
+  'benefits'
+];
+
+// Headings are short; anything longer is treated as body text
+const MAX_HEADING_LENGTH = 40;
+const MAX_HEADING_WORDS = 5;
+
+// Number of column-aligned lines before the text is flagged as tabular
+const TABULAR_LINE_THRESHOLD = 3;
+
+const createWarning = (code, message) => ({ code, message });
+
+// Pure function to normalize line endings and whitespace without losing paragraph breaks
+const normalizeWhitespace = text => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/\u00a0/g, ' ')
+  .replace(/\f/g, '\n\n')
+  .split('\n')
+  .map(line => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Pure function to detect layouts that rely on column alignment
+const detectTabularLayout = text => {
+  const alignedLines = text
+    .split(/\r?\n/)
+    .filter(line => /\S(\t|\s{3,})\S.*(\t|\s{3,})\S/.test(line));
+
+  return alignedLines.length >= TABULAR_LINE_THRESHOLD
+    ? [createWarning('TABULAR_LAYOUT', 'Text appears to use a table or multi-column layout; column order may not be preserved')]
+    : [];
+};
+
+// Pure function to decide whether a line is a section heading
+const isHeading = line => {
+  const candidate = line.replace(/:$/, '').trim();
+  if (candidate.length === 0 || candidate.length > MAX_HEADING_LENGTH) {
+    return false;
+  }
+
+  if (KNOWN_SECTIONS.includes(candidate.toLowerCase())) {
+    return true;
+  }
+
+  const isUpperCase = /[A-Z]/.test(candidate) && candidate === candidate.toUpperCase();
+  const isWordy = /^[A-Z&/,' -]+$/.test(candidate);
+  return isUpperCase && isWordy && candidate.split(' ').length <= MAX_HEADING_WORDS;
+};
+
+// Pure function to promote section headings to markdown so critics can see document structure
+const markHeadings = text => text
+  .split('\n')
+  .map(line => {
+    if (/^#{1,6} /.test(line) || !isHeading(line)) {
+      return line;
+    }
+    return `## ${line.replace(/:$/, '').trim()}`;
+  })
+  .join('\n');
+
+// Pure function to list the headings present in processed text
+const extractSections = text => text
+  .split('\n')
+  .filter(line => /^#{1,6} /.test(line))
+  .map(line => line.replace(/^#{1,6} /, '').trim());
+
+/**
+ * Normalize extracted document text and preserve its section structure
+ * @param {string} rawText - Text produced by a format parser
+ * @returns {Object} Processed text, detected section headings and layout warnings
+ */
+const processText = rawText => {
+  const warnings = detectTabularLayout(rawText);
+  const text = markHeadings(normalizeWhitespace(rawText));
+
+  return {
+    text,
+    sections: extractSections(text),
+    warnings
+  };
+};
+
+module.exports = {
+  processText,
+  normalizeWhitespace,
+  isHeading,
+  createWarning
+};
@@ -0,0 +1,139 @@
+const path = require('path');
+const { getConfig } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { generatePromptCacheKey } = require('../../prompts/utils');
+const { createMemoryCacheStore } = require('./stores/memory');
+const { createFileCacheStore } = require('./stores/file');
+
+const STORE_FACTORIES = {
+  memory: config => createMemoryCacheStore(config),
+  file: config => createFileCacheStore(config)
+};
+
+/**
+ * Create the response cache named by `llm.cache.storage`
+ * @param {Object} overrides - Values that take precedence over the cache config
+ * @returns {Object} Cache store instance
+ */
+const createResponseCache = (overrides = {}) => {
+  const config = {
+    storage: getConfig('llm.cache.storage', 'memory'),
+    ttlSeconds: getConfig('llm.cache.ttlSeconds', 86400),
+    maxEntries: getConfig('llm.cache.maxEntries', 1000),
+    directory: path.resolve(getConfig('llm.cache.directory', './data/cache')),
+    ...overrides
+  };
+
+  const factory = STORE_FACTORIES[config.storage];
+  if (!factory) {
+    logger.warn('Cache: Unknown storage, falling back to memory', {
+      storage: config.storage,
+      available: Object.keys(STORE_FACTORIES)
+    });
+    return STORE_FACTORIES.memory(config);
+  }
+
+  logger.info('Cache: Store created', { storage: config.storage, ttlSeconds: config.ttlSeconds });
+  return factory(config);
+};
+
+// The process-wide cache, created on first use
+const shared = { cache: null };
+
+/**
+ * Get the process-wide response cache, or null when `llm.cache.enabled` is off
+ * @returns {Object|null} Cache store instance
+ */
+const getResponseCache = () => {
+  if (!getConfig('llm.cache.enabled', false)) {
+    return null;
+  }
+  if (!shared.cache) {
+    Object.assign(shared, { cache: createResponseCache() });
+  }
+  return shared.cache;
+};
+
+/**
+ * Replace or clear the process-wide response cache (used by tests)
+ * @param {Object|null} cache - Cache to use, or null to recreate from config on next use
+ * @returns {Object|null} The cache that was set
+ */
+const setResponseCache = cache => {
+  Object.assign(shared, { cache });
+  return cache;
+};
+
+/**
+ * Fingerprint a completion request. Options that change the response are part of the key.
+ * @param {Object} client - Provider name and model of the client
+ * @param {Object} defaults - Client-level sampling settings (temperature, topP, ensemble sample)
+ * @param {Object} options - Completion options
+ * @returns {string} Cache key
+ */
+const createCacheKey = (client, defaults, options) => generatePromptCacheKey({
+  system: options.system,
+  user: options.user,
+  metadata: {
+    provider: client.provider,
+    model: options.model || client.model,
+    temperature: options.temperature !== undefined ? options.temperature : defaults.temperature,
+    topP: options.topP !== undefined ? options.topP : defaults.topP,
+    maxTokens: options.maxTokens,
+    responseFormat: options.responseFormat,
+    outputSchema: options.outputSchema?.name,
+    seed: options.seed,
+    // Ensemble samples past the first get their own entries, or every sample would be the same answer
+    sample: defaults.sample
+  }
+});
+
+/**
+ * Wrap a complete function with the response cache. Hits and misses are
+ * counted in `stats`, which belongs to one client (one API request), and
+ * reported to options.onCache (true for a hit) so a client scope can keep its own.
+ * @param {Object} cache - Cache store
+ * @param {Object} client - Provider name and model of the client
+ * @param {Object} defaults - Client-level sampling settings
+ * @param {Object} stats - Counters updated in place ({ hits, misses })
+ * @param {Function} complete - Complete function to wrap
+ * @returns {Function} Cached complete function
+ */
+const withResponseCache = (cache, client, defaults, stats, complete) => async options => {
+  const key = createCacheKey(client, defaults, options);
+
+  const cached = await cache.get(key).catch(error => {
+    logger.warn('Cache: Read failed, calling provider', { error: error.message });
+    return undefined;
+  });
+
+  if (cached !== undefined) {
+    Object.assign(stats, { hits: stats.hits + 1 });
+    if (options.onCache) {
+      options.onCache(true);
+    }
+    logger.debug('Cache: Hit', { key: key.slice(0, 12), provider: client.provider });
+    // Completions carry usage; mark them so the hit is not billed again
+    return cached && typeof cached === 'object' ? { ...cached, cached: true } : cached;
+  }
+
+  Object.assign(stats, { misses: stats.misses + 1 });
+  if (options.onCache) {
+    options.onCache(false);
+  }
+  const response = await complete(options);
+
+  await cache.set(key, response).catch(error => {
+    logger.warn('Cache: Write failed', { error: error.message });
+  });
+
+  return response;
+};
+
+module.exports = {
+  createResponseCache,
+  getResponseCache,
+  setResponseCache,
+  createCacheKey,
+  withResponseCache
+};
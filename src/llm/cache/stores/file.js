@@ -0,0 +1,85 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../../../utils/logger');
+
+const FILE_PATTERN = /^[a-f0-9]{64}\.json$/;
+
+/**
+ * Create a file-backed response cache with one JSON file per prompt fingerprint,
+ * so cached responses survive restarts. Expired files are removed when read and the
+ * oldest files are dropped once maxEntries is exceeded.
+ * @param {Object} config - Cache configuration
+ * @param {string} config.directory - Directory holding the cache files
+ * @param {number} config.ttlSeconds - Seconds an entry stays valid (0 never expires)
+ * @param {number} config.maxEntries - Maximum number of cached responses
+ * @returns {Object} Cache store instance
+ */
+const createFileCacheStore = ({ directory, ttlSeconds = 86400, maxEntries = 1000 }) => {
+  const ready = fs.mkdir(directory, { recursive: true });
+  const filePath = key => path.join(directory, `${key}.json`);
+
+  const listFiles = async () => {
+    await ready;
+    const names = await fs.readdir(directory);
+    return names.filter(name => FILE_PATTERN.test(name));
+  };
+
+  const remove = name => fs.unlink(path.join(directory, name)).catch(() => undefined);
+
+  const evictOldest = async () => {
+    const files = await listFiles();
+    if (files.length <= maxEntries) {
+      return;
+    }
+
+    const stats = await Promise.all(files.map(async name => ({
+      name,
+      mtime: (await fs.stat(path.join(directory, name)).catch(() => ({ mtimeMs: 0 }))).mtimeMs
+    })));
+    const oldest = stats.sort((a, b) => a.mtime - b.mtime).slice(0, files.length - maxEntries);
+    await Promise.all(oldest.map(file => remove(file.name)));
+  };
+
+  logger.debug('Cache: File store initialized', { directory, ttlSeconds, maxEntries });
+
+  return {
+    name: 'file',
+
+    get: async key => {
+      await ready;
+      try {
+        const entry = JSON.parse(await fs.readFile(filePath(key), 'utf8'));
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+          await remove(`${key}.json`);
+          return undefined;
+        }
+        return entry.value;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn('Cache: Unreadable cache file', { key, error: error.message });
+        }
+        return undefined;
+      }
+    },
+
+    set: async (key, value) => {
+      await ready;
+      const entry = { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+      await fs.writeFile(filePath(key), JSON.stringify(entry), 'utf8');
+      await evictOldest();
+      return value;
+    },
+
+    clear: async () => {
+      const files = await listFiles();
+      await Promise.all(files.map(remove));
+      return files.length;
+    },
+
+    size: async () => (await listFiles()).length
+  };
+};
+
+module.exports = {
+  createFileCacheStore
+};
@@ -0,0 +1,56 @@
+const { logger } = require('../../../utils/logger');
+
+/**
+ * Create an in-memory response cache. Entries expire after ttlSeconds and the
+ * least recently used entry is evicted once maxEntries is reached.
+ * @param {Object} config - Cache configuration
+ * @param {number} config.ttlSeconds - Seconds an entry stays valid (0 never expires)
+ * @param {number} config.maxEntries - Maximum number of cached responses
+ * @returns {Object} Cache store instance
+ */
+const createMemoryCacheStore = ({ ttlSeconds = 86400, maxEntries = 1000 } = {}) => {
+  // Map keeps insertion order, so re-inserting on read makes the first key the least recently used
+  const entries = new Map();
+
+  const isExpired = entry => entry.expiresAt !== null && entry.expiresAt <= Date.now();
+
+  logger.debug('Cache: Memory store initialized', { ttlSeconds, maxEntries });
+
+  return {
+    name: 'memory',
+
+    get: async key => {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      entries.delete(key);
+      if (isExpired(entry)) {
+        return undefined;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set: async (key, value) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return value;
+    },
+
+    clear: async () => {
+      const count = entries.size;
+      entries.clear();
+      return count;
+    },
+
+    size: async () => entries.size
+  };
+};
+
+module.exports = {
+  createMemoryCacheStore
+};
@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getConfig } = require('../utils/config');
+const { ConfigurationError, CassetteMissError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { generatePromptCacheKey } = require('../prompts/utils');
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Resolve the cassette mode: LLM_CASSETTE, then llm.cassette.mode
+ * @returns {string} 'off', 'record' or 'replay'
+ */
+const getCassetteMode = () => {
+  const mode = process.env.LLM_CASSETTE || getConfig('llm.cassette.mode', 'off') || 'off';
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new ConfigurationError(`Unknown cassette mode ${mode}. Supported modes: ${CASSETTE_MODES.join(', ')}`);
+  }
+  return mode;
+};
+
+// Whitespace differences (indentation, line endings, trailing spaces) do not change the key
+const normalizePrompt = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Fingerprint a call for the cassette: provider, model, normalized prompts and output schema.
+ * Sampling settings are left out, so a recording replays at any temperature.
+ * @param {Object} identity - Provider name and model
+ * @param {Object} options - Completion options
+ * @returns {string} Cassette key
+ */
+const createCassetteKey = (identity, options) => generatePromptCacheKey({
+  system: normalizePrompt(options.system),
+  user: normalizePrompt(options.user),
+  metadata: {
+    provider: identity.provider,
+    model: options.model || identity.model,
+    outputSchema: options.outputSchema?.name
+  }
+});
+
+/**
+ * Create a cassette: a directory with one JSON file per recorded call, named by its key
+ * @param {Object} config - { directory }
+ * @returns {Object} Cassette with get(key), put(key, entry) and directory
+ */
+const createCassette = ({ directory }) => {
+  const filePath = key => path.join(directory, `${key}.json`);
+
+  return {
+    directory,
+
+    get: async key => {
+      try {
+        return JSON.parse(await fs.readFile(filePath(key), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn('Cassette: Unreadable recording', { key, error: error.message });
+        }
+        return undefined;
+      }
+    },
+
+    put: async (key, entry) => {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(filePath(key), `${JSON.stringify(entry, null, 2)}\n`, 'utf8');
+      return entry;
+    }
+  };
+};
+
+const cassettes = new Map();
+
+/**
+ * Get the cassette for LLM_CASSETTE_DIR, or else llm.cassette.directory
+ * @returns {Object} Cassette
+ */
+const getCassette = () => {
+  const directory = path.resolve(
+    process.env.LLM_CASSETTE_DIR || getConfig('llm.cassette.directory', './data/cassettes')
+  );
+  if (!cassettes.has(directory)) {
+    cassettes.set(directory, createCassette({ directory }));
+  }
+  return cassettes.get(directory);
+};
+
+/**
+ * Wrap a provider so every successful call is written to the cassette
+ * @param {Object} provider - Provider instance
+ * @param {Object} cassette - Cassette
+ * @returns {Object} Provider that records
+ */
+const withRecording = (provider, cassette) => {
+  const identity = { provider: provider.name, model: provider.model };
+  const completion = provider.completeWithUsage
+    || (async options => ({ content: await provider.complete(options), usage: null }));
+
+  const completeWithUsage = async options => {
+    const response = await completion(options);
+    const key = createCassetteKey(identity, options);
+    await cassette.put(key, {
+      key,
+      provider: identity.provider,
+      model: options.model || identity.model,
+      label: options.label || null,
+      request: {
+        system: options.system || null,
+        user: options.user,
+        output_schema: options.outputSchema?.name || null
+      },
+      response: { content: response.content, usage: response.usage || null },
+      recorded_at: new Date().toISOString()
+    }).catch(error => {
+      logger.warn('Cassette: Recording failed', { key, error: error.message });
+    });
+    logger.debug('Cassette: Recorded call', { key: key.slice(0, 12), provider: identity.provider, label: options.label });
+    return response;
+  };
+
+  return {
+    ...provider,
+    complete: async options => (await completeWithUsage(options)).content,
+    completeWithUsage
+  };
+};
+
+/**
+ * Replace a provider's calls with recordings from the cassette. The provider only lends its name
+ * and model; a call without a recording fails with CassetteMissError instead of reaching the network.
+ * @param {Object} provider - Provider instance
+ * @param {Object} cassette - Cassette
+ * @returns {Object} Replay provider
+ */
+const createReplayProvider = (provider, cassette) => {
+  const identity = { provider: provider.name, model: provider.model };
+
+  const completeWithUsage = async options => {
+    const key = createCassetteKey(identity, options);
+    const entry = await cassette.get(key);
+    if (!entry) {
+      logger.error('Cassette: No recording for call', {
+        key,
+        provider: identity.provider,
+        model: options.model || identity.model,
+        label: options.label,
+        directory: cassette.directory
+      });
+      throw new CassetteMissError(identity.provider, key, options.label);
+    }
+    logger.debug('Cassette: Replayed call', { key: key.slice(0, 12), provider: identity.provider, label: options.label });
+    return { content: entry.response.content, usage: entry.response.usage || null };
+  };
+
+  return {
+    name: provider.name,
+    model: provider.model,
+    complete: async options => (await completeWithUsage(options)).content,
+    completeWithUsage
+  };
+};
+
+module.exports = {
+  CASSETTE_MODES,
+  getCassetteMode,
+  normalizePrompt,
+  createCassetteKey,
+  createCassette,
+  getCassette,
+  withRecording,
+  createReplayProvider
+};
@@ -1,17 +1,39 @@
-const { createMockProvider } = require('./providers/mock');
-const { createOpenAIProvider } = require('./providers/openai');
-const { createGeminiProvider } = require('./providers/gemini');
-const { createOllamaProvider } = require('./providers/ollama');
+const {
+  BUILT_IN_DEFINITIONS,
+  createProviderRegistry,
+  getProviderRegistry,
+  loadConfiguredDefinitions
+} = require('./registry');
 const { withRetry } = require('./utils/retry');
+const { withFallback } = require('./utils/fallback');
+const {
+  createLimiter, withLimiter, withAdaptiveLimiter, getProviderLimiter
+} = require('./utils/limiter');
+const { withCircuitBreaker, getProviderBreaker } = require('./utils/breaker');
+const { withResponseCache } = require('./cache');
+const { estimateUsage, summarizeUsage } = require('./usage');
+const { withRepair } = require('./utils/repair');
+const { withCriticBatch } = require('./utils/batch');
+const {
+  getCassetteMode, getCassette, withRecording, createReplayProvider
+} = require('./cassette');
 const { logger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+const { ConfigurationError } = require('../utils/errors');
 
 /**
- * Check if mock should be used
+ * Check whether the app runs on the mock provider: llm.useMock, or USE_MOCK_LLM=true on top of it
+ * @returns {boolean} True if handlers should ask for the mock provider
+ */
+const isMockEnabled = () => getConfig('llm.useMock', false) === true || process.env.USE_MOCK_LLM === 'true';
+
+/**
+ * Check if mock should be used. An explicit `useMock` wins; USE_MOCK_LLM only fills in when it is unset.
  * @param {Object} config - Configuration object
  * @returns {boolean} True if mock should be used
  */
 const shouldUseMock = config => {
-  const useMock = config.useMock || process.env.USE_MOCK_LLM === 'true';
+  const useMock = config.useMock ?? process.env.USE_MOCK_LLM === 'true';
   logger.debug('LLM: Checking mock mode', {
     configUseMock: config.useMock,
     envUseMock: process.env.USE_MOCK_LLM,
@@ -21,22 +43,34 @@ const shouldUseMock = config => {
 };
 
 /**
- * Get API key for a provider
- * @param {string} providerName - Provider name
- * @returns {string|undefined} API key
+ * Resolve the registry for a client: an explicit one, one built from inline endpoints, or the shared one
+ * @param {Object} config - Configuration object
+ * @returns {Object} Provider registry
  */
-const getApiKey = providerName => {
-  const keyMap = {
-    openai: 'OPENAI_API_KEY',
-    gemini: 'GEMINI_API_KEY',
-    ollama: 'OLLAMA_API_KEY'
-  };
+const resolveRegistry = config => {
+  if (config.registry) {
+    return config.registry;
+  }
+  if (config.endpoints) {
+    return createProviderRegistry([
+      ...BUILT_IN_DEFINITIONS,
+      ...loadConfiguredDefinitions({ endpoints: config.endpoints, providerModules: [] })
+    ]);
+  }
+  return getProviderRegistry();
+};
 
-  const envVarName = keyMap[providerName.toLowerCase()];
+/**
+ * Get API key for a provider from the environment variable its definition declares
+ * @param {Object} definition - Provider definition
+ * @returns {string|undefined} API key
+ */
+const getApiKey = definition => {
+  const envVarName = definition.credentials.apiKeyEnv;
   const apiKey = envVarName ? process.env[envVarName] : undefined;
 
   logger.debug('LLM: Retrieving API key', {
-    provider: providerName,
+    provider: definition.name,
     envVar: envVarName,
     hasKey: !!apiKey
   });
@@ -44,6 +78,13 @@ const getApiKey = providerName => {
   return apiKey;
 };
 
+/**
+ * Get the provider names a request can select
+ * @param {Object} config - Configuration object
+ * @returns {Array<string>} Provider names
+ */
+const getProviderNames = (config = {}) => resolveRegistry(config).names();
+
 /**
  * Select provider based on configuration
  * @param {Object} config - Configuration object
@@ -59,10 +100,17 @@ const selectProvider = config => {
     }
   });
 
-  // Check for mock mode
-  if (shouldUseMock(config)) {
+  const registry = resolveRegistry(config);
+  const cassetteMode = getCassetteMode();
+
+  // Check for mock mode; a cassette replay serves the recorded provider even when mock mode is on
+  if (cassetteMode !== 'replay' && shouldUseMock(config)) {
+    const mock = registry.get('mock');
+    if (!mock) {
+      throw new ConfigurationError(`Mock mode is on but the provider registry has no mock provider. Registered providers: ${registry.names().join(', ')}`);
+    }
     logger.info('LLM: Using mock provider');
-    return createMockProvider(config.mock);
+    return mock.create(config);
   }
 
   // Select real provider
@@ -70,77 +118,274 @@ const selectProvider = config => {
   logger.debug('LLM: Provider name resolved', { providerName });
 
   // Validate provider name
-  const validProviders = ['openai', 'gemini', 'ollama'];
-  if (!validProviders.includes(providerName.toLowerCase())) {
+  const definition = registry.get(providerName);
+  if (!definition) {
+    const validProviders = registry.names();
     const error = new Error(`Unknown LLM provider: ${providerName}. Valid providers: ${validProviders.join(', ')}`);
     logger.error('LLM: Invalid provider', { providerName, validProviders });
     throw error;
   }
 
   const providerConfig = {
-    apiKey: config.apiKey || getApiKey(providerName),
+    apiKey: config.apiKey || getApiKey(definition),
     model: config.model || process.env.LLM_MODEL,
     ...config
   };
 
   logger.debug('LLM: Provider configuration', {
-    provider: providerName,
+    provider: definition.name,
     model: providerConfig.model,
     hasApiKey: !!providerConfig.apiKey,
     temperature: providerConfig.temperature,
     maxTokens: providerConfig.maxTokens
   });
 
-  const providerFactories = {
-    openai: () => {
-      logger.info('LLM: Creating OpenAI provider');
-      return createOpenAIProvider(providerConfig);
+  // Replay never calls the provider, so it only needs a placeholder key to resolve its name and model
+  logger.info(`LLM: Creating ${definition.displayName} provider`);
+  const provider = definition.create(cassetteMode === 'replay'
+    ? { ...providerConfig, apiKey: providerConfig.apiKey || 'cassette-replay' }
+    : providerConfig);
+
+  logger.debug('LLM: Provider created', {
+    name: provider.name,
+    model: provider.model,
+    cassette: cassetteMode
+  });
+
+  if (cassetteMode === 'replay') {
+    return createReplayProvider(provider, getCassette());
+  }
+  return cassetteMode === 'record' ? withRecording(provider, getCassette()) : provider;
+};
+
+/**
+ * Normalize a provider result to { content, usage, cached }; cached entries written before usage
+ * tracking are plain strings
+ * @param {Object|string} response - Completion or response text
+ * @returns {Object} Completion
+ */
+const toCompletion = response => (typeof response === 'string' ? { content: response, usage: null } : response);
+
+/**
+ * Create a log of the calls a client made
+ * @returns {Object} record(call), recordOutcome(label, outcome), servedBy(), usage(pricing) and criticStatus()
+ */
+const createCallLog = () => {
+  const calls = [];
+  const outcomes = [];
+  return {
+    record: call => {
+      calls.push(call);
     },
-    gemini: () => {
-      logger.info('LLM: Creating Gemini provider');
-      return createGeminiProvider(providerConfig);
+    recordOutcome: (label, outcome) => {
+      outcomes.push({ label, outcome });
     },
-    ollama: () => {
-      logger.info('LLM: Creating Ollama provider');
-      return createOllamaProvider(providerConfig);
-    }
+    criticStatus: () => outcomes
+      .filter(entry => entry.label)
+      .reduce((acc, { label, outcome }) => ({
+        ...acc,
+        [label]: {
+          status: outcome.status,
+          attempts: outcome.attempts,
+          ...(outcome.errors ? { errors: outcome.errors } : {}),
+          ...(outcome.batched ? { batched: true } : {})
+        }
+      }), {}),
+    servedBy: () => calls
+      .filter(call => call.label)
+      .reduce((acc, call) => ({ ...acc, [call.label]: call.served }), {}),
+    usage: pricing => summarizeUsage(calls, pricing)
   };
+};
 
-  const factory = providerFactories[providerName.toLowerCase()];
-  if (!factory) {
-    throw new Error(`Unknown LLM provider: ${providerName}`);
-  }
+/**
+ * Check whether a provider should be asked for native structured output. Providers whose
+ * definition lacks jsonMode never see the output schema and rely on the prompt alone.
+ * @param {Object} config - Configuration object; `structuredOutput` overrides llm.structuredOutput
+ * @param {Object} provider - Provider instance
+ * @returns {boolean} True if critic output schemas are passed to the provider
+ */
+const supportsStructuredOutput = (config, provider) => (config.structuredOutput ?? getConfig('llm.structuredOutput', true)) !== false
+  && !!resolveRegistry(config).get(provider.name)?.capabilities.jsonMode;
 
-  const provider = factory();
+/**
+ * Create one link of a provider chain: provider, limiter, circuit breaker, retry and response cache
+ * @param {Object} config - Configuration object for this provider
+ * @param {Object} cacheStats - Cache counters shared by every link of the client
+ * @returns {Object} Provider name, model and complete function
+ */
+const createLink = (config, cacheStats) => {
+  const provider = selectProvider(config);
+  // Providers that report token usage expose completeWithUsage; the rest are estimated later
+  const completion = provider.completeWithUsage
+    || (async options => ({ content: await provider.complete(options), usage: null }));
+  // Each attempt takes a slot under the provider's process-wide ceiling; retry backoff does not hold one.
+  // The slot count adapts to rate limits, and an open breaker rejects the attempt before it queues.
+  const limiter = getProviderLimiter(provider.name);
+  const limited = getConfig('llm.adaptiveConcurrency', true)
+    ? withAdaptiveLimiter(limiter, completion)
+    : withLimiter(limiter, completion);
+  const guarded = getConfig('llm.circuitBreaker.enabled', true)
+    ? withCircuitBreaker(getProviderBreaker(provider.name), limited)
+    : limited;
+  const complete = withRetry(config.retry || {}, guarded);
+  const identity = { provider: provider.name, model: provider.model };
+  const cached = config.cache
+    ? withResponseCache(config.cache, identity, {
+      temperature: config.temperature,
+      topP: config.topP,
+      sample: config.sample
+    }, cacheStats, complete)
+    : complete;
 
-  logger.debug('LLM: Provider created', {
-    name: provider.name,
-    model: provider.model
-  });
+  return {
+    ...identity,
+    complete: supportsStructuredOutput(config, provider)
+      ? cached
+      : ({ outputSchema, ...options }) => cached(options)
+  };
+};
 
-  return provider;
+/**
+ * Create a fallback link that is only built the first time it is needed
+ * @param {Object} config - Client configuration
+ * @param {Object} fallback - Fallback entry ({ provider, model, temperature })
+ * @param {Object} cacheStats - Shared cache counters
+ * @returns {Object} Link descriptor
+ */
+const createLazyLink = (config, fallback, cacheStats) => {
+  const built = { link: null };
+  return {
+    provider: fallback.provider,
+    model: fallback.model || null,
+    resolve: () => {
+      if (!built.link) {
+        // Fallbacks bring their own provider and model; the API key is looked up for that provider
+        Object.assign(built, {
+          link: createLink({
+            ...config,
+            apiKey: undefined,
+            model: undefined,
+            ...fallback
+          }, cacheStats)
+        });
+      }
+      return built.link;
+    }
+  };
 };
 
 /**
  * Factory function to create LLM client
- * @param {Object} config - Configuration object
+ * @param {Object} config - Configuration object; `fallbacks` is an ordered list of { provider, model } tried per call,
+ *   `pricing` overrides the llm.pricing price table, `maxWorkers` caps the client's concurrent calls,
+ *   `structuredOutput: false` stops critic output schemas being sent to providers (default llm.structuredOutput),
+ *   `maxRepairs` caps the re-prompts completeJson makes for invalid output (default llm.repair.maxAttempts),
+ *   `signal` is an AbortSignal that cancels queued, retrying and in-flight calls,
+ *   `limiter` replaces the maxWorkers limiter when several clients share one, and `sample` (an ensemble
+ *   sample number) keeps each sample's responses apart in the cache
  * @returns {Object} LLM client with provider info and complete method
  */
 const createLLMClient = (config = {}) => {
   logger.debug('LLM: Creating LLM client', { config });
 
-  const provider = selectProvider(config);
+  // Per-client counters, so each API request reports its own hits and misses
+  const cacheStats = { hits: 0, misses: 0 };
+  const primary = createLink(config, cacheStats);
+  // Mock mode serves every call itself, so a chain would only repeat the same provider
+  const fallbacks = shouldUseMock(config) ? [] : (config.fallbacks || []);
+
+  const calls = createCallLog();
+  // Record which provider served each call and what it used; options.onCall lets a scope keep its own log
+  const recordCall = (options, served, response) => {
+    const completion = toCompletion(response);
+    const call = {
+      label: options.label || null,
+      served,
+      model: served.model,
+      usage: completion.usage || estimateUsage(options, completion.content),
+      cached: !!completion.cached
+    };
+    calls.record(call);
+    if (options.onCall) {
+      options.onCall(call);
+    }
+  };
+
+  const run = withFallback([
+    { provider: primary.provider, model: primary.model, resolve: () => primary },
+    ...fallbacks.map(fallback => createLazyLink(config, fallback, cacheStats))
+  ], recordCall);
+  // max_workers: calls this client (one API request) may have in flight at once; clients serving the
+  // same request (ensemble members) share config.limiter instead
+  const workers = config.limiter || (config.maxWorkers ? createLimiter(config.maxWorkers) : null);
+  const limited = workers ? withLimiter(workers, run) : run;
+  // config.signal (one per API request) cancels every call that does not bring its own
+  const complete = async options => {
+    const response = await limited({ ...options, signal: options.signal || config.signal });
+    return toCompletion(response).content;
+  };
+  const repaired = withRepair(complete, config.maxRepairs ?? getConfig('llm.repair.maxAttempts', 2));
+  // Parsed, schema-checked critic output; null when the critic failed even after repair
+  const completeJson = async options => {
+    const outcome = await repaired(options);
+    calls.recordOutcome(options.label, outcome);
+    if (options.onOutcome) {
+      options.onOutcome(options.label, outcome);
+    }
+    return outcome.result;
+  };
+  // Several critics in one structured call; critics whose section is unusable fall back to completeJson
+  const completeBatch = withCriticBatch(complete, completeJson, calls.recordOutcome);
 
   const client = {
-    provider: provider.name,
-    model: provider.model,
-    complete: withRetry(config.retry || {}, provider.complete)
+    provider: primary.provider,
+    model: primary.model,
+    fallbacks: fallbacks.map(fallback => ({ provider: fallback.provider, model: fallback.model || null })),
+    complete,
+    completeJson,
+    completeBatch,
+    getCacheStats: () => ({ enabled: !!config.cache, ...cacheStats }),
+    getServedBy: calls.servedBy,
+    getUsage: () => calls.usage(config.pricing),
+    getCriticStatus: calls.criticStatus,
+    // A view of the client with its own call log and cache counters (one per resume when several share a client)
+    scope: () => {
+      const scoped = createCallLog();
+      const scopedStats = { hits: 0, misses: 0 };
+      const countCache = hit => Object.assign(scopedStats, hit
+        ? { hits: scopedStats.hits + 1 }
+        : { misses: scopedStats.misses + 1 });
+      return {
+        ...client,
+        complete: options => complete({ ...options, onCall: scoped.record, onCache: countCache }),
+        completeJson: options => completeJson({
+          ...options,
+          onCall: scoped.record,
+          onCache: countCache,
+          onOutcome: scoped.recordOutcome
+        }),
+        completeBatch: (requests, options) => completeBatch(requests, {
+          ...options,
+          onCall: scoped.record,
+          onCache: countCache,
+          onOutcome: scoped.recordOutcome
+        }),
+        getCacheStats: () => ({ enabled: !!config.cache, ...scopedStats }),
+        getServedBy: scoped.servedBy,
+        getUsage: () => scoped.usage(config.pricing),
+        getCriticStatus: scoped.criticStatus
+      };
+    }
   };
 
   logger.info('LLM: Client created successfully', {
     provider: client.provider,
     model: client.model,
-    hasRetry: !!config.retry
+    fallbacks: client.fallbacks,
+    maxWorkers: config.maxWorkers,
+    hasRetry: !!config.retry,
+    hasCache: !!config.cache
   });
 
   return client;
@@ -166,6 +411,8 @@ const createTestClient = () => createMockClient({
 
 module.exports = {
   createLLMClient,
+  getProviderNames,
+  isMockEnabled,
   createMockClient,
   createTestClient
 };
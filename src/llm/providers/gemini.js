@@ -1,14 +1,16 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { LLMProviderError } = require('../../utils/errors');
 const { logger } = require('../../utils/logger');
+const { createUsage, contentOnly } = require('../usage');
+const { toGeminiGenerationConfig } = require('../utils/structuredOutput');
 
 /**
- * Create Gemini complete function
+ * Create Gemini completion function
  * @param {Object} genAI - Google GenerativeAI instance
  * @param {Object} defaults - Default options
- * @returns {Function} Complete function
+ * @returns {Function} Completion function resolving to { content, usage }
  */
-const createGeminiComplete = (genAI, defaults) => async options => {
+const createGeminiCompletion = (genAI, defaults) => async options => {
   // Return a function that captures genAI and defaults in its closure
   const startTime = Date.now();
 
@@ -41,7 +43,8 @@ const createGeminiComplete = (genAI, defaults) => async options => {
       maxOutputTokens: options.maxTokens || defaults.maxTokens,
       topP: options.topP,
       topK: options.topK,
-      candidateCount: 1
+      candidateCount: 1,
+      ...toGeminiGenerationConfig(options.outputSchema, options.model || defaults.model)
     };
 
     // Add safety settings if needed
@@ -71,14 +74,18 @@ const createGeminiComplete = (genAI, defaults) => async options => {
       maxOutputTokens: generationConfig.maxOutputTokens,
       temperature: generationConfig.temperature,
       hasOptionalParams: !!(options.topP || options.topK),
+      hasResponseSchema: !!generationConfig.responseSchema,
       safetyThreshold: safetySettings[0]?.threshold
     });
 
-    const result = await model.generateContent({
+    const request = {
       contents: [{ parts: [{ text: prompt }] }],
       generationConfig,
       safetySettings
-    });
+    };
+    const result = options.signal
+      ? await model.generateContent(request, { signal: options.signal })
+      : await model.generateContent(request);
 
     const { response } = result;
 
@@ -115,8 +122,12 @@ const createGeminiComplete = (genAI, defaults) => async options => {
       finishReason: response.candidates?.[0]?.finishReason
     });
 
+    const { usageMetadata } = response;
+
     logger.info('Gemini: Completion successful', {
       duration,
+      promptTokens: usageMetadata?.promptTokenCount,
+      completionTokens: usageMetadata?.candidatesTokenCount,
       responseLength: text.length,
       finishReason: response.candidates?.[0]?.finishReason
     });
@@ -125,7 +136,12 @@ const createGeminiComplete = (genAI, defaults) => async options => {
       preview: text.substring(0, 100) + (text.length > 100 ? '...' : '')
     });
 
-    return text;
+    return {
+      content: text,
+      usage: usageMetadata
+        ? createUsage(usageMetadata.promptTokenCount || 0, usageMetadata.candidatesTokenCount || 0)
+        : null
+    };
   } catch (error) {
     const duration = Date.now() - startTime;
 
@@ -170,13 +186,36 @@ const createGeminiProvider = (config = {}) => {
 
   logger.info('Gemini: Provider initialized', { model, temperature, maxTokens });
 
+  const completeWithUsage = createGeminiCompletion(genAI, { model, temperature, maxTokens });
+
   return {
     name: 'gemini',
     model,
-    complete: createGeminiComplete(genAI, { model, temperature, maxTokens })
+    complete: contentOnly(completeWithUsage),
+    completeWithUsage
   };
 };
 
+/**
+ * Registry definition for the Google Gemini provider
+ */
+const providerDefinition = {
+  name: 'gemini',
+  displayName: 'Google Gemini',
+  capabilities: {
+    jsonMode: true,
+    seed: false,
+    streaming: false,
+    contextWindow: 1048576
+  },
+  credentials: {
+    apiKeyEnv: 'GEMINI_API_KEY',
+    required: true
+  },
+  create: createGeminiProvider
+};
+
 module.exports = {
-  createGeminiProvider
+  createGeminiProvider,
+  providerDefinition
 };
@@ -1,15 +1,17 @@
 const { curry } = require('ramda');
 const { logger } = require('../../utils/logger');
+const { abortableSleep } = require('../../utils/abort');
+const { getConfig } = require('../../utils/config');
+const { parseScenario, getRequestScenario, injectFaults } = require('../utils/faults');
 
 /**
- * Simulate network delay
+ * Simulate network delay, cut short like a real request when the signal aborts
  * @param {number} min - Minimum delay in ms
  * @param {number} max - Maximum delay in ms
+ * @param {AbortSignal} signal - Signal, may be undefined
  * @returns {Promise} Delay promise
  */
-const simulateDelay = (min, max) => new Promise(resolve => {
-  setTimeout(resolve, Math.random() * (max - min) + min);
-});
+const simulateDelay = (min, max, signal) => abortableSleep(Math.random() * (max - min) + min, signal);
 
 /**
  * Find custom response based on prompt
@@ -22,6 +24,32 @@ const findCustomResponse = (responses, options) => {
   return key ? responses[key] : null;
 };
 
+/**
+ * Answer a batched critic call (see mergeCriticRequests) as if each critic had been called on
+ * its own: every `[critic: name]` section's input is matched against the responses separately.
+ * Critics without a JSON response are left out, so the batch falls back to calling them.
+ * @param {Object} responses - Response mappings
+ * @param {Object} options - Request options
+ * @returns {string|null} JSON object keyed by critic, or null when this is not a batch call
+ */
+const findBatchResponse = (responses, options) => {
+  if (options.outputSchema?.name !== 'batch') {
+    return null;
+  }
+  const sections = options.user.split(/\n---\n(?=\[critic: )/);
+  const answers = Object.keys(options.outputSchema.schema.properties).reduce((acc, name) => {
+    const section = sections.find(part => part.startsWith(`[critic: ${name}]\n`));
+    const input = section ? section.slice(section.indexOf('\nInput:\n') + 1) : '';
+    const response = input ? findCustomResponse(responses, { user: input }) : null;
+    try {
+      return response ? { ...acc, [name]: JSON.parse(response) } : acc;
+    } catch (error) {
+      return acc;
+    }
+  }, {});
+  return JSON.stringify(answers);
+};
+
 /**
  * Generate batch evaluation response
  * @returns {string} JSON response for batch evaluation
@@ -71,6 +99,174 @@ const generateBatchEvaluationResponse = () => JSON.stringify({
  * @returns {Object} Default response mappings
  */
 const getDefaultResponses = () => ({
+  // Summary critic responses - listed first because their prompts also mention readability, accomplishments and the original resume
+  'evaluate how well this tailored summary aligns': JSON.stringify({
+    score: 0.8,
+    job_alignment: {
+      matched_requirements: ['Node.js', 'React'],
+      missing_requirements: ['microservices'],
+      relevant_keywords: ['scalable web applications']
+    },
+    strengths: ['Opens with the target job title'],
+    weaknesses: ['Does not mention microservices'],
+    suggestions: ['Mention microservices experience from the original resume']
+  }),
+  'verify that the tailored summary accurately represents': JSON.stringify({
+    score: 0.9,
+    fidelity_assessment: {
+      accurate_claims: ['6 years of Node.js'],
+      questionable_claims: ['Expert in cloud architecture'],
+      unsupported_claims: []
+    },
+    strengths: ['Years of experience match the resume'],
+    concerns: ['"Expert in cloud architecture" overstates AWS certification'],
+    suggestions: ['Say "AWS certified" instead of "cloud architecture expert"']
+  }),
+  'evaluate the impact and persuasiveness of this tailored summary': JSON.stringify({
+    score: 0.7,
+    impact_analysis: {
+      strong_elements: ['Quantified years of experience'],
+      weak_elements: ['Generic closing sentence'],
+      unique_value_props: ['Fintech microservices background'],
+      action_words_used: ['built']
+    },
+    strengths: ['Clear value proposition'],
+    weaknesses: ['No quantified achievement'],
+    suggestions: ['Mention mentoring the team of 3 developers', 'Mention microservices experience from the original resume']
+  }),
+  'evaluate keyword usage in this tailored summary': JSON.stringify({
+    score: 0.75,
+    keyword_analysis: {
+      critical_keywords_found: ['Node.js', 'React'],
+      critical_keywords_missing: ['microservices', 'cloud'],
+      keyword_density: 0.12,
+      natural_usage: true,
+      industry_terms_used: ['fintech']
+    },
+    strengths: ['Core stack is named'],
+    issues: ['Missing "microservices"'],
+    suggestions: ['Work "microservices" into the first sentence']
+  }),
+  'evaluate the conciseness and clarity of this tailored summary': JSON.stringify({
+    score: 0.85,
+    conciseness_metrics: {
+      word_count: 48,
+      sentence_count: 3,
+      filler_words: ['very'],
+      redundancies: [],
+      clarity_issues: []
+    },
+    strengths: ['Three short sentences'],
+    issues: ['Filler word "very"'],
+    suggestions: ['Drop "very"']
+  }),
+  // Work experience critic responses - listed before the generic 'work experience' key
+  'evaluate the relevance of this work experience': JSON.stringify({
+    score: 0.8,
+    reasoning: 'Mock: Most recent role matches the core stack',
+    well_aligned_experiences: ['Acme Payments - Software Engineer'],
+    gaps: ['No cloud infrastructure ownership at Globex'],
+    suggestions: ['Lead the Acme Payments role with the microservices work'],
+    roles: [
+      { index: 0, strengths: ['Built Node.js microservices'], issues: [], suggestions: ['Lead with the microservices work'] },
+      { index: 1, strengths: [], issues: ['No cloud infrastructure ownership'], suggestions: [] }
+    ]
+  }),
+  'evaluate the impact and achievements demonstrated': JSON.stringify({
+    score: 0.6,
+    reasoning: 'Mock: Some achievements, several duties without results',
+    strong_achievements: ['Cut API latency by 35% at Acme Payments'],
+    weak_areas: ['Globex bullets list duties without outcomes'],
+    suggestions: ['Quantify the Globex migration work'],
+    roles: [
+      { index: 0, strengths: ['Cut API latency by 35%'], issues: [], suggestions: [] },
+      { index: 1, strengths: [], issues: ['Bullets list duties without outcomes'], suggestions: ['Quantify the migration work'] }
+    ]
+  }),
+  'evaluate the career progression demonstrated': JSON.stringify({
+    score: 0.7,
+    reasoning: 'Mock: Steady growth from junior to mid-level',
+    progression_highlights: ['Promotion path from Globex to Acme Payments'],
+    concerns: [],
+    suggestions: ['Show the scope increase between roles'],
+    roles: [
+      { index: 0, strengths: ['Promoted into a larger scope'], issues: [], suggestions: [] },
+      { index: 1, strengths: [], issues: [], suggestions: ['Show the scope you grew into'] }
+    ]
+  }),
+  'evaluate how well this work experience demonstrates the required skills': JSON.stringify({
+    score: 0.75,
+    reasoning: 'Mock: Core skills present, cloud skills thin',
+    skills_demonstrated: ['Node.js', 'React'],
+    missing_skills: ['AWS'],
+    suggestions: ['Name the AWS services used at Acme Payments'],
+    roles: [
+      { index: 0, strengths: ['Node.js'], issues: [], suggestions: ['Name the AWS services used'] },
+      { index: 1, strengths: ['React'], issues: [], suggestions: [] }
+    ]
+  }),
+  'evaluate the clarity and formatting of this work experience section': JSON.stringify({
+    score: 0.9,
+    reasoning: 'Mock: Consistent and scannable',
+    well_formatted_elements: ['Consistent date format'],
+    issues: [],
+    suggestions: []
+  }),
+  // Related accomplishments critic responses - listed before the generic 'accomplishments' key
+  "analyze the 'related accomplishments' section": JSON.stringify({
+    score: 4,
+    feedback: ['Mock: Categories map to the leadership and cloud requirements'],
+    suggestions: ['Lead with the category closest to the job title']
+  }),
+  'decide which categories to keep, drop or merge': JSON.stringify({
+    categories: [
+      {
+        index: 0,
+        category: 'Technical Leadership',
+        alignment_score: 0.9,
+        impact_score: 0.8,
+        fidelity_score: 1.0,
+        unsupported_items: [],
+        action: 'keep',
+        reason: 'Directly matches the senior engineering requirements',
+        suggestions: []
+      },
+      {
+        index: 1,
+        // Reworded on purpose: verdicts are matched by index, not name
+        category: 'Cloud cost savings (AWS)',
+        alignment_score: 0.8,
+        impact_score: 0.9,
+        fidelity_score: 0.5,
+        unsupported_items: ['Saved $2M annually on AWS spend'],
+        action: 'keep',
+        reason: 'Cloud experience is a stated requirement',
+        suggestions: ['Use the savings figure from the original resume']
+      },
+      {
+        index: 2,
+        category: 'Community Volunteering',
+        alignment_score: 0.2,
+        impact_score: 0.4,
+        fidelity_score: 1.0,
+        unsupported_items: [],
+        action: 'drop',
+        reason: 'Not relevant to the role'
+      },
+      {
+        index: 3,
+        category: 'Team Mentoring',
+        alignment_score: 0.7,
+        impact_score: 0.6,
+        fidelity_score: 1.0,
+        unsupported_items: [],
+        action: 'merge',
+        merge_into: 'technical leadership',
+        reason: 'Overlaps with leadership'
+      }
+    ],
+    overall_suggestions: ['Keep the section to three categories']
+  }),
   // Keyword critic response - matches the prompt pattern
   'must-have': JSON.stringify({
     score: 0.8,
@@ -198,6 +394,52 @@ const getDefaultResponses = () => ({
       score: 73,
       feedback: 'Mock: Good mix of technical and leadership achievements'
     }]
+  }),
+  // ATS critic response
+  'ats compatibility': JSON.stringify({
+    score: 0.9,
+    critical_issues_found: false,
+    issues: ['Inconsistent date format'],
+    suggestions: ['Use MM/YYYY format consistently']
+  }),
+  // Bias critic response
+  'implicit or explicit bias': JSON.stringify({
+    flags: [{
+      content: 'Recent graduate',
+      explanation: 'Could indicate age',
+      severity: 'low',
+      suggestion: 'Focus on skills instead'
+    }],
+    overall_assessment: 'Mock: Low risk, minor age indicator found'
+  }),
+  // Comparison critic response - must come before the fidelity key, its prompt also quotes the original resume
+  'compare the original resume with the tailored version': JSON.stringify({
+    missing_important_content: [{
+      content: 'AWS certification',
+      reason: 'Matches the cloud requirement in the job description'
+    }],
+    potentially_fabricated: [],
+    fabrication_risk_score: 0.1,
+    recommendations: ['Mock: Keep the AWS certification from the original resume']
+  }),
+  // Opportunity critic response - must come before the fidelity key, its prompt also quotes the original resume
+  'for missed opportunities': JSON.stringify({
+    score: 4,
+    suggestions: ['Mock: Include the original resume achievement about reducing deployment time']
+  }),
+  // Fidelity critic responses (job-aligned, resume-only and cover letter prompts all quote the original resume)
+  'original resume:': JSON.stringify({
+    aligned_claims_count: 4,
+    total_claims_count: 5,
+    unsupported_claims_count: 1,
+    misaligned_claims: [{
+      claim: 'Organized the company volunteer day',
+      missing_requirements: ['Node.js', 'microservices']
+    }],
+    hallucinated_claims: [{
+      claim: 'Led a team of 12 engineers to cut infrastructure costs by 40%',
+      unsupported_parts: ['team of 12 engineers', 'by 40%']
+    }]
   })
 });
 
@@ -221,7 +463,16 @@ const createMockComplete = curry(async (responses, options) => {
   });
 
   // Simulate network delay
-  await simulateDelay(delayMin, delayMax);
+  await simulateDelay(delayMin, delayMax, options.signal);
+
+  const batchResponse = findBatchResponse(responses, options);
+  if (batchResponse) {
+    logger.info('Mock: Completion successful (critic batch)', {
+      duration: Date.now() - startTime,
+      responseLength: batchResponse.length
+    });
+    return batchResponse;
+  }
 
   // Check for specific mock response
   const customResponse = findCustomResponse(responses, options);
@@ -269,9 +520,25 @@ const createMockComplete = curry(async (responses, options) => {
   return defaultResponse;
 });
 
+/**
+ * Wrap a mock complete function with fault injection. The scenario of the current API request
+ * (X-Mock-Scenario header) wins over the provider's own; without either, calls pass straight through.
+ * @param {Object|null} scenario - Provider scenario (see parseScenario)
+ * @param {Function} complete - Mock complete function
+ * @returns {Function} Complete function
+ */
+const withScenario = (scenario, complete) => {
+  const providerState = scenario ? { scenario: parseScenario(scenario), attempts: new Map() } : null;
+  return async options => {
+    const state = getRequestScenario() || providerState;
+    return state ? injectFaults(state, options, () => complete(options)) : complete(options);
+  };
+};
+
 /**
  * Create mock provider for development and testing
- * @param {Object} config - Configuration object
+ * @param {Object} config - Configuration object; `scenario` scripts faults (errors, malformed output,
+ *   timeouts) for every call, see src/llm/utils/faults.js
  * @returns {Object} Mock provider instance
  */
 const createMockProvider = (config = {}) => {
@@ -279,6 +546,7 @@ const createMockProvider = (config = {}) => {
 
   logger.debug('Mock: Creating provider', {
     hasCustomResponses: !!config.responses,
+    hasScenario: !!config.scenario,
     responseCount: Object.keys(responses).length,
     model: 'mock-1.0'
   });
@@ -294,7 +562,7 @@ const createMockProvider = (config = {}) => {
   return {
     name: 'mock',
     model: 'mock-1.0',
-    complete: createMockComplete(mutableResponses),
+    complete: withScenario(config.scenario, createMockComplete(mutableResponses)),
     responses: mutableResponses // Expose for testing
   };
 };
@@ -324,7 +592,27 @@ const setMockResponse = curry((provider, key, response) => {
   return provider;
 });
 
+/**
+ * Registry definition for the mock provider
+ */
+const providerDefinition = {
+  name: 'mock',
+  displayName: 'Mock',
+  capabilities: {
+    jsonMode: true,
+    seed: false,
+    streaming: false,
+    contextWindow: 128000
+  },
+  credentials: {
+    apiKeyEnv: null,
+    required: false
+  },
+  create: config => createMockProvider({ scenario: getConfig('llm.mock.scenario', null), ...config.mock })
+};
+
 module.exports = {
   createMockProvider,
-  setMockResponse
+  setMockResponse,
+  providerDefinition
 };
@@ -1,6 +1,8 @@
 const axios = require('axios');
 const { LLMProviderError } = require('../../utils/errors');
 const { logger } = require('../../utils/logger');
+const { createUsage, contentOnly } = require('../usage');
+const { toOllamaFormat } = require('../utils/structuredOutput');
 
 // Simple memoization cache for clients
 const clientCache = new Map();
@@ -35,12 +37,12 @@ const getOllamaClient = baseURL => {
 };
 
 /**
- * Create Ollama complete function
+ * Create Ollama completion function
  * @param {Object} client - Axios client instance
  * @param {Object} defaults - Default options
- * @returns {Function} Complete function
+ * @returns {Function} Completion function resolving to { content, usage }
  */
-const createOllamaComplete = (client, defaults) => async options => {
+const createOllamaCompletion = (client, defaults) => async options => {
   // Return a function that captures client and defaults in its closure
   const startTime = Date.now();
 
@@ -70,7 +72,9 @@ const createOllamaComplete = (client, defaults) => async options => {
       options: {
         temperature: options.temperature !== undefined ? options.temperature : defaults.temperature,
         num_predict: options.maxTokens || defaults.maxTokens
-      }
+      },
+      // Constrain the output to the critic's schema
+      ...(options.outputSchema ? { format: toOllamaFormat(options.outputSchema) } : {})
     };
 
     // Only add optional parameters if they are provided
@@ -84,10 +88,14 @@ const createOllamaComplete = (client, defaults) => async options => {
       promptLength: prompt.length,
       numPredict: requestData.options.num_predict,
       temperature: requestData.options.temperature,
-      hasOptionalParams: !!(options.topP || options.topK || options.seed || options.repeatPenalty)
+      hasOptionalParams: !!(options.topP || options.topK || options.seed || options.repeatPenalty),
+      hasFormat: !!requestData.format
     });
 
-    const response = await client.post('/api/generate', requestData);
+    // The axios timeout still bounds each call; the signal cancels it when the API request is abandoned
+    const response = options.signal
+      ? await client.post('/api/generate', requestData, { signal: options.signal })
+      : await client.post('/api/generate', requestData);
 
     const duration = Date.now() - startTime;
 
@@ -119,7 +127,13 @@ const createOllamaComplete = (client, defaults) => async options => {
       preview: text.substring(0, 100) + (text.length > 100 ? '...' : '')
     });
 
-    return text;
+    // Ollama leaves out prompt_eval_count when the prompt was already in its cache
+    return {
+      content: text,
+      usage: typeof response.data.eval_count === 'number' && typeof response.data.prompt_eval_count === 'number'
+        ? createUsage(response.data.prompt_eval_count, response.data.eval_count)
+        : null
+    };
   } catch (error) {
     const duration = Date.now() - startTime;
     const message = error.code === 'ECONNREFUSED'
@@ -169,10 +183,13 @@ const createOllamaProvider = (config = {}) => {
 
   logger.info('Ollama: Provider initialized', { baseURL, model, temperature, maxTokens });
 
+  const completeWithUsage = createOllamaCompletion(client, { model, temperature, maxTokens });
+
   return {
     name: 'ollama',
     model,
-    complete: createOllamaComplete(client, { model, temperature, maxTokens })
+    complete: contentOnly(completeWithUsage),
+    completeWithUsage
   };
 };
 
@@ -210,8 +227,28 @@ const listOllamaModels = async baseURL => {
   }
 };
 
+/**
+ * Registry definition for the Ollama provider; the context window depends on the pulled model
+ */
+const providerDefinition = {
+  name: 'ollama',
+  displayName: 'Ollama',
+  capabilities: {
+    jsonMode: true,
+    seed: true,
+    streaming: false,
+    contextWindow: 8192
+  },
+  credentials: {
+    apiKeyEnv: 'OLLAMA_API_KEY',
+    required: false
+  },
+  create: createOllamaProvider
+};
+
 module.exports = {
   createOllamaProvider,
+  providerDefinition,
   checkOllamaAvailability,
   listOllamaModels
 };
@@ -0,0 +1,169 @@
+const OpenAI = require('openai');
+const { ValidationError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
+const { createOpenAICompletion } = require('./openai');
+const { contentOnly } = require('../usage');
+
+const PROVIDER_TYPE = 'openai-compatible';
+
+/**
+ * Resolve the API key for an endpoint, preferring the environment variable it names
+ * @param {Object} config - Endpoint configuration
+ * @returns {string|undefined} API key
+ */
+const resolveApiKey = config => (config.apiKeyEnv && process.env[config.apiKeyEnv]) || config.apiKey;
+
+/**
+ * Build the headers sent with every request to the endpoint
+ * @param {Object} config - Endpoint configuration
+ * @param {string|undefined} apiKey - API key
+ * @returns {Object} Default headers
+ */
+const buildHeaders = (config, apiKey) => {
+  const authHeader = config.authHeader || 'Authorization';
+  const authScheme = config.authScheme !== undefined ? config.authScheme : 'Bearer';
+  const usesStandardAuth = authHeader.toLowerCase() === 'authorization' && authScheme === 'Bearer';
+
+  // The OpenAI SDK always sends "Authorization: Bearer <key>"; a null value removes it
+  const authHeaders = (() => {
+    if (!apiKey) {
+      return { Authorization: null };
+    }
+    if (usesStandardAuth) {
+      return {};
+    }
+    return {
+      ...(authHeader.toLowerCase() === 'authorization' ? {} : { Authorization: null }),
+      [authHeader]: authScheme ? `${authScheme} ${apiKey}` : apiKey
+    };
+  })();
+
+  return { ...(config.headers || {}), ...authHeaders };
+};
+
+/**
+ * Pick the model for a request, limited to the endpoint's model list when it has one
+ * @param {Object} config - Endpoint configuration
+ * @returns {string} Model name
+ */
+const resolveModel = config => {
+  const models = Array.isArray(config.models) ? config.models : [];
+  const model = config.model || models[0];
+
+  if (!model) {
+    throw new Error(`No model configured for ${config.name || PROVIDER_TYPE} endpoint`);
+  }
+
+  if (models.length > 0 && !models.includes(model)) {
+    throw new ValidationError(
+      `Model ${model} is not available on ${config.name || PROVIDER_TYPE}. Available models: ${models.join(', ')}`,
+      [{ field: 'model', message: `Must be one of: ${models.join(', ')}`, value: model }]
+    );
+  }
+
+  return model;
+};
+
+/**
+ * Create a provider for any server that speaks the OpenAI chat completions API (vLLM, LM Studio, llama.cpp, gateways)
+ * @param {Object} config - Endpoint configuration (name, baseURL, apiKey or apiKeyEnv, authHeader, authScheme, headers, models,
+ *   structuredOutput)
+ * @returns {Object} Provider instance
+ */
+const createOpenAICompatibleProvider = (config = {}) => {
+  const name = config.name || PROVIDER_TYPE;
+
+  logger.debug('OpenAI-compatible: Creating provider', {
+    name,
+    baseURL: config.baseURL,
+    model: config.model,
+    models: config.models,
+    authHeader: config.authHeader || 'Authorization'
+  });
+
+  if (!config.baseURL) {
+    logger.error('OpenAI-compatible: Base URL missing', { name });
+    throw new Error(`Base URL is required for ${name} endpoint`);
+  }
+
+  const apiKey = resolveApiKey(config);
+  const model = resolveModel(config);
+
+  const client = new OpenAI({
+    baseURL: config.baseURL,
+    // Self-hosted servers often run without auth; the SDK still insists on a key
+    apiKey: apiKey || 'not-needed',
+    defaultHeaders: buildHeaders(config, apiKey)
+  });
+
+  const temperature = config.temperature || 0.7;
+  const maxTokens = config.maxTokens || 2000;
+
+  logger.info('OpenAI-compatible: Provider initialized', {
+    name,
+    baseURL: config.baseURL,
+    model,
+    temperature,
+    maxTokens
+  });
+
+  const completeWithUsage = createOpenAICompletion(client, {
+    model,
+    temperature,
+    maxTokens,
+    // The client only sends an output schema when the endpoint declares jsonMode
+    structuredOutput: config.structuredOutput || 'json_schema',
+    provider: name,
+    label: name
+  });
+
+  return {
+    name,
+    model,
+    complete: contentOnly(completeWithUsage),
+    completeWithUsage
+  };
+};
+
+// Servers vary; endpoints override these with their own `capabilities` block
+const DEFAULT_CAPABILITIES = {
+  jsonMode: false,
+  seed: true,
+  streaming: false,
+  contextWindow: 8192
+};
+
+/**
+ * Build the registry definition for a named endpoint from llm.endpoints
+ * @param {string} name - Endpoint name
+ * @param {Object} endpoint - Endpoint configuration
+ * @returns {Object} Provider definition
+ */
+const createEndpointDefinition = (name, endpoint) => ({
+  name,
+  displayName: endpoint.displayName || name,
+  type: PROVIDER_TYPE,
+  capabilities: { ...DEFAULT_CAPABILITIES, ...(endpoint.capabilities || {}) },
+  credentials: {
+    apiKeyEnv: endpoint.apiKeyEnv || null,
+    required: false
+  },
+  models: endpoint.models || [],
+  // The endpoint's own settings are defaults; request settings (model, temperature) override them
+  create: config => createOpenAICompatibleProvider({
+    ...endpoint,
+    ...Object.entries({
+      model: config.model,
+      temperature: config.temperature,
+      maxTokens: config.maxTokens
+    }).filter(([, value]) => value !== undefined)
+      .reduce((acc, [key, value]) => ({ ...acc, [key]: value }), {}),
+    name
+  })
+});
+
+module.exports = {
+  PROVIDER_TYPE,
+  createOpenAICompatibleProvider,
+  createEndpointDefinition
+};
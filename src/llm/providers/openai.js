@@ -1,14 +1,16 @@
 const OpenAI = require('openai');
 const { LLMProviderError } = require('../../utils/errors');
 const { logger } = require('../../utils/logger');
+const { createUsage, contentOnly } = require('../usage');
+const { toOpenAIResponseFormat } = require('../utils/structuredOutput');
 
 /**
- * Create OpenAI complete function
+ * Create OpenAI completion function
  * @param {Object} client - OpenAI client instance
- * @param {Object} defaults - Default options
- * @returns {Function} Complete function
+ * @param {Object} defaults - Default options (structuredOutput: 'auto', 'json_schema', 'json_object' or 'none')
+ * @returns {Function} Completion function resolving to { content, usage }
  */
-const createOpenAIComplete = (client, defaults) => async options => {
+const createOpenAICompletion = (client, defaults) => async options => {
   // Return a function that captures client and defaults in its closure
   const startTime = Date.now();
 
@@ -34,6 +36,11 @@ const createOpenAIComplete = (client, defaults) => async options => {
       content: options.user
     });
 
+    // An explicit responseFormat wins over the critic's declared output schema
+    const responseFormat = options.responseFormat !== undefined
+      ? options.responseFormat
+      : toOpenAIResponseFormat(options.outputSchema, options.model || defaults.model, defaults.structuredOutput);
+
     const completionOptions = {
       model: options.model || defaults.model,
       messages,
@@ -43,7 +50,7 @@ const createOpenAIComplete = (client, defaults) => async options => {
 
     // Only add optional parameters if they are explicitly provided
     const optionalParams = [
-      { condition: options.responseFormat !== undefined, key: 'response_format', value: options.responseFormat },
+      { condition: responseFormat !== undefined, key: 'response_format', value: responseFormat },
       { condition: options.seed !== undefined, key: 'seed', value: options.seed },
       { condition: options.topP !== undefined, key: 'top_p', value: options.topP },
       {
@@ -67,11 +74,14 @@ const createOpenAIComplete = (client, defaults) => async options => {
         contentLength: m.content.length,
         contentPreview: m.content.substring(0, 200) + (m.content.length > 200 ? '...' : '')
       })),
-      hasOptionalParams: !!(options.responseFormat || options.seed || options.topP
+      responseFormat: responseFormat?.type,
+      hasOptionalParams: !!(responseFormat || options.seed || options.topP
         || options.frequencyPenalty || options.presencePenalty)
     });
 
-    const response = await client.chat.completions.create(finalCompletionOptions);
+    const response = options.signal
+      ? await client.chat.completions.create(finalCompletionOptions, { signal: options.signal })
+      : await client.chat.completions.create(finalCompletionOptions);
 
     const duration = Date.now() - startTime;
     const { content } = response.choices[0].message;
@@ -96,7 +106,12 @@ const createOpenAIComplete = (client, defaults) => async options => {
       preview: content ? content.substring(0, 100) + (content.length > 100 ? '...' : '') : ''
     });
 
-    return content;
+    return {
+      content,
+      usage: response.usage
+        ? createUsage(response.usage.prompt_tokens || 0, response.usage.completion_tokens || 0)
+        : null
+    };
   } catch (error) {
     const duration = Date.now() - startTime;
 
@@ -110,13 +125,21 @@ const createOpenAIComplete = (client, defaults) => async options => {
     });
 
     throw new LLMProviderError(
-      `OpenAI API error: ${error.message}`,
-      'openai',
+      `${defaults.label || 'OpenAI'} API error: ${error.message}`,
+      defaults.provider || 'openai',
       error
     );
   }
 };
 
+/**
+ * Create OpenAI complete function
+ * @param {Object} client - OpenAI client instance
+ * @param {Object} defaults - Default options
+ * @returns {Function} Complete function resolving to the response text
+ */
+const createOpenAIComplete = (client, defaults) => contentOnly(createOpenAICompletion(client, defaults));
+
 /**
  * Create OpenAI provider
  * @param {Object} config - Configuration object
@@ -145,13 +168,38 @@ const createOpenAIProvider = (config = {}) => {
 
   logger.info('OpenAI: Provider initialized', { model, temperature, maxTokens });
 
+  const completeWithUsage = createOpenAICompletion(client, { model, temperature, maxTokens });
+
   return {
     name: 'openai',
     model,
-    complete: createOpenAIComplete(client, { model, temperature, maxTokens })
+    complete: contentOnly(completeWithUsage),
+    completeWithUsage
   };
 };
 
+/**
+ * Registry definition for the OpenAI provider
+ */
+const providerDefinition = {
+  name: 'openai',
+  displayName: 'OpenAI',
+  capabilities: {
+    jsonMode: true,
+    seed: true,
+    streaming: false,
+    contextWindow: 128000
+  },
+  credentials: {
+    apiKeyEnv: 'OPENAI_API_KEY',
+    required: true
+  },
+  create: createOpenAIProvider
+};
+
 module.exports = {
-  createOpenAIProvider
+  createOpenAIProvider,
+  createOpenAIComplete,
+  createOpenAICompletion,
+  providerDefinition
 };
@@ -0,0 +1,176 @@
+const path = require('path');
+const { getConfig } = require('../utils/config');
+const { ConfigurationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { providerDefinition: openaiDefinition } = require('./providers/openai');
+const { providerDefinition: geminiDefinition } = require('./providers/gemini');
+const { providerDefinition: ollamaDefinition } = require('./providers/ollama');
+const { providerDefinition: mockDefinition } = require('./providers/mock');
+const { PROVIDER_TYPE: OPENAI_COMPATIBLE, createEndpointDefinition } = require('./providers/openai-compatible');
+
+const BUILT_IN_DEFINITIONS = [openaiDefinition, geminiDefinition, ollamaDefinition, mockDefinition];
+
+// Endpoint types that can be declared under llm.endpoints
+const ENDPOINT_TYPES = {
+  [OPENAI_COMPATIBLE]: createEndpointDefinition
+};
+
+const DEFAULT_CAPABILITIES = {
+  jsonMode: false,
+  seed: false,
+  streaming: false,
+  contextWindow: null
+};
+
+/**
+ * Check a provider definition and fill in optional fields
+ * @param {Object} definition - Provider definition (name, capabilities, credentials, create)
+ * @returns {Object} Normalized definition
+ */
+const normalizeDefinition = definition => {
+  if (!definition || typeof definition.name !== 'string' || !definition.name) {
+    throw new ConfigurationError('Provider definition requires a name');
+  }
+  if (typeof definition.create !== 'function') {
+    throw new ConfigurationError(`Provider ${definition.name} requires a create function`);
+  }
+
+  return {
+    displayName: definition.name,
+    models: [],
+    ...definition,
+    capabilities: { ...DEFAULT_CAPABILITIES, ...(definition.capabilities || {}) },
+    credentials: { apiKeyEnv: null, required: false, ...(definition.credentials || {}) }
+  };
+};
+
+/**
+ * Create a provider registry
+ * @param {Array<Object>} definitions - Initial provider definitions
+ * @returns {Object} Registry with register, unregister, get, has, names and list
+ */
+const createProviderRegistry = (definitions = []) => {
+  const providers = new Map();
+
+  const register = definition => {
+    const normalized = normalizeDefinition(definition);
+    const key = normalized.name.toLowerCase();
+    if (providers.has(key)) {
+      logger.warn('LLM: Replacing registered provider', { provider: normalized.name });
+    }
+    providers.set(key, normalized);
+    return normalized;
+  };
+
+  definitions.forEach(register);
+
+  return {
+    register,
+    unregister: name => providers.delete(String(name).toLowerCase()),
+    get: name => (name ? providers.get(String(name).toLowerCase()) : undefined),
+    has: name => !!name && providers.has(String(name).toLowerCase()),
+    names: () => [...providers.values()].map(definition => definition.name),
+    list: () => [...providers.values()]
+  };
+};
+
+/**
+ * Load provider definitions from an npm module or a file path listed in llm.providerModules
+ * A module exports one definition, an array of them, or { providerDefinition } / { providerDefinitions }
+ * @param {string} moduleName - Module name or path (relative paths resolve from the working directory)
+ * @returns {Array<Object>} Provider definitions
+ */
+const loadProviderModule = moduleName => {
+  const resolved = moduleName.startsWith('.') ? path.resolve(process.cwd(), moduleName) : moduleName;
+
+  try {
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    const exported = require(resolved);
+    const definitions = exported.providerDefinitions || exported.providerDefinition || exported;
+    return Array.isArray(definitions) ? definitions : [definitions];
+  } catch (error) {
+    throw new ConfigurationError(`Failed to load provider module ${moduleName}: ${error.message}`);
+  }
+};
+
+/**
+ * Build the provider definitions declared in config: named endpoints and provider modules
+ * @param {Object} options - endpoints and providerModules, defaulting to llm.endpoints and llm.providerModules
+ * @returns {Array<Object>} Provider definitions
+ */
+const loadConfiguredDefinitions = ({
+  endpoints = getConfig('llm.endpoints', {}) || {},
+  providerModules = getConfig('llm.providerModules', []) || []
+} = {}) => {
+  const endpointDefinitions = Object.entries(endpoints).map(([name, endpoint]) => {
+    const type = endpoint.type || OPENAI_COMPATIBLE;
+    const createDefinition = ENDPOINT_TYPES[type];
+    if (!createDefinition) {
+      throw new ConfigurationError(
+        `Unsupported type ${type} for endpoint ${name}. Supported types: ${Object.keys(ENDPOINT_TYPES).join(', ')}`
+      );
+    }
+    return createDefinition(name, endpoint);
+  });
+
+  return [...providerModules.flatMap(loadProviderModule), ...endpointDefinitions];
+};
+
+// The shared registry, built on first use
+const shared = { registry: null };
+
+/**
+ * Get the shared registry: built-in providers plus those declared in config
+ * @returns {Object} Provider registry
+ */
+const getProviderRegistry = () => {
+  if (!shared.registry) {
+    Object.assign(shared, { registry: createProviderRegistry([...BUILT_IN_DEFINITIONS, ...loadConfiguredDefinitions()]) });
+  }
+  return shared.registry;
+};
+
+/**
+ * Register a provider in the shared registry (e.g. from an external module at startup)
+ * @param {Object} definition - Provider definition
+ * @returns {Object} Normalized definition
+ */
+const registerProvider = definition => getProviderRegistry().register(definition);
+
+// Drop the shared registry so the next lookup rebuilds it from config
+const resetProviderRegistry = () => {
+  Object.assign(shared, { registry: null });
+};
+
+/**
+ * Describe registered providers without exposing credentials
+ * @param {Object} registry - Provider registry
+ * @returns {Array<Object>} Provider summaries
+ */
+const describeProviders = (registry = getProviderRegistry()) => registry.list().map(definition => ({
+  name: definition.name,
+  display_name: definition.displayName,
+  type: definition.type || null,
+  capabilities: {
+    json_mode: definition.capabilities.jsonMode,
+    seed: definition.capabilities.seed,
+    streaming: definition.capabilities.streaming,
+    context_window: definition.capabilities.contextWindow
+  },
+  credentials: {
+    api_key_env: definition.credentials.apiKeyEnv,
+    required: definition.credentials.required,
+    configured: !definition.credentials.apiKeyEnv || !!process.env[definition.credentials.apiKeyEnv]
+  },
+  models: definition.models
+}));
+
+module.exports = {
+  BUILT_IN_DEFINITIONS,
+  createProviderRegistry,
+  getProviderRegistry,
+  registerProvider,
+  resetProviderRegistry,
+  loadConfiguredDefinitions,
+  describeProviders
+};
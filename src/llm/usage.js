@@ -0,0 +1,180 @@
+const { countTokens } = require('gpt-tokenizer');
+const { getConfig } = require('../utils/config');
+
+/**
+ * Count tokens with the GPT tokenizer; an estimate for models that use another tokenizer
+ * @param {string} text - Text to count
+ * @returns {number} Token count
+ */
+const estimateTokens = text => (text ? countTokens(String(text)) : 0);
+
+/**
+ * Build a usage record from provider token counts
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @param {boolean} estimated - True when the counts came from the tokenizer rather than the provider
+ * @returns {Object} Usage record
+ */
+const createUsage = (promptTokens, completionTokens, estimated = false) => ({
+  promptTokens,
+  completionTokens,
+  totalTokens: promptTokens + completionTokens,
+  estimated
+});
+
+/**
+ * Estimate usage for a call whose provider reported none
+ * @param {Object} options - Complete options ({ system, user })
+ * @param {string} content - Response text
+ * @returns {Object} Usage record
+ */
+const estimateUsage = (options, content) => createUsage(
+  estimateTokens(options.system) + estimateTokens(options.user),
+  estimateTokens(content),
+  true
+);
+
+/**
+ * Wrap a completion function ({ content, usage }) so it returns only the text
+ * @param {Function} completion - Completion function
+ * @returns {Function} Complete function
+ */
+const contentOnly = completion => async options => (await completion(options)).content;
+
+/**
+ * Find the price for a model: an exact entry, otherwise the longest entry the model name starts with
+ * (so `gpt-4o-mini-2024-07-18` uses `gpt-4o-mini`)
+ * @param {string} model - Model name
+ * @param {Object} pricing - Model name to { input, output } in USD per million tokens
+ * @returns {Object|null} Price or null when the model is not listed
+ */
+const findModelPrice = (model, pricing = {}) => {
+  if (!model) {
+    return null;
+  }
+  if (pricing[model]) {
+    return pricing[model];
+  }
+  const prefix = Object.keys(pricing)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : null;
+};
+
+const roundCost = cost => Math.round(cost * 1e6) / 1e6;
+
+/**
+ * Estimate the cost of one call; cache hits are free
+ * @param {Object} call - Recorded call ({ model, usage, cached })
+ * @param {Object} pricing - Price table
+ * @returns {number|null} Cost in USD, null when the model has no price
+ */
+const estimateCost = (call, pricing) => {
+  if (call.cached) {
+    return 0;
+  }
+  const price = findModelPrice(call.model, pricing);
+  if (!price) {
+    return null;
+  }
+  return roundCost(
+    (call.usage.promptTokens * (price.input || 0) + call.usage.completionTokens * (price.output || 0)) / 1e6
+  );
+};
+
+const addCost = (a, b) => (a === null || b === null ? null : roundCost(a + b));
+
+/**
+ * Summarize recorded calls per critic (call label) and in total, in API response form
+ * @param {Array<Object>} calls - Recorded calls ({ label, model, usage, cached })
+ * @param {Object} pricing - Price table; defaults to llm.pricing
+ * @returns {Object} { critics, total }
+ */
+const summarizeUsage = (calls, pricing = getConfig('llm.pricing', {})) => {
+  const priced = calls.map(call => ({ ...call, cost: estimateCost(call, pricing) }));
+
+  const critics = priced
+    .filter(call => call.label)
+    .reduce((acc, call) => {
+      const previous = acc[call.label];
+      return {
+        ...acc,
+        [call.label]: {
+          prompt_tokens: (previous?.prompt_tokens || 0) + call.usage.promptTokens,
+          completion_tokens: (previous?.completion_tokens || 0) + call.usage.completionTokens,
+          total_tokens: (previous?.total_tokens || 0) + call.usage.totalTokens,
+          estimated: !!previous?.estimated || !!call.usage.estimated,
+          cached: previous ? previous.cached && !!call.cached : !!call.cached,
+          cost_usd: previous ? addCost(previous.cost_usd, call.cost) : call.cost
+        }
+      };
+    }, {});
+
+  const total = priced.reduce((acc, call) => ({
+    prompt_tokens: acc.prompt_tokens + call.usage.promptTokens,
+    completion_tokens: acc.completion_tokens + call.usage.completionTokens,
+    total_tokens: acc.total_tokens + call.usage.totalTokens,
+    cost_usd: call.cost === null ? acc.cost_usd : roundCost(acc.cost_usd + call.cost),
+    calls: acc.calls + 1,
+    cached_calls: acc.cached_calls + (call.cached ? 1 : 0),
+    unpriced_calls: acc.unpriced_calls + (call.cost === null ? 1 : 0)
+  }), {
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    cost_usd: 0,
+    calls: 0,
+    cached_calls: 0,
+    unpriced_calls: 0
+  });
+
+  return { critics, total };
+};
+
+/**
+ * Combine usage summaries from several clients (e.g. ensemble members) into one
+ * @param {Array<Object>} summaries - Summaries from summarizeUsage
+ * @returns {Object} { critics, total }
+ */
+const mergeUsage = summaries => summaries.reduce((acc, summary) => ({
+  critics: Object.entries(summary.critics).reduce((critics, [label, usage]) => {
+    const previous = critics[label];
+    return {
+      ...critics,
+      [label]: previous ? {
+        prompt_tokens: previous.prompt_tokens + usage.prompt_tokens,
+        completion_tokens: previous.completion_tokens + usage.completion_tokens,
+        total_tokens: previous.total_tokens + usage.total_tokens,
+        estimated: previous.estimated || usage.estimated,
+        cached: previous.cached && usage.cached,
+        cost_usd: addCost(previous.cost_usd, usage.cost_usd)
+      } : usage
+    };
+  }, acc.critics),
+  total: Object.keys(acc.total).reduce((total, key) => ({
+    ...total,
+    [key]: key === 'cost_usd' ? roundCost(acc.total.cost_usd + summary.total.cost_usd) : acc.total[key] + summary.total[key]
+  }), {})
+}), {
+  critics: {},
+  total: {
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    cost_usd: 0,
+    calls: 0,
+    cached_calls: 0,
+    unpriced_calls: 0
+  }
+});
+
+module.exports = {
+  estimateTokens,
+  createUsage,
+  estimateUsage,
+  contentOnly,
+  findModelPrice,
+  estimateCost,
+  summarizeUsage,
+  mergeUsage
+};
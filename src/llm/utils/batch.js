@@ -1,5 +1,8 @@
-const { curry, chunk } = require('ramda');
+const { curry, splitEvery } = require('ramda');
 const { logger } = require('../../utils/logger');
+const { parseJsonResponse } = require('../../utils/json-parser');
+const { createLimiter } = require('./limiter');
+const { validateOutput } = require('./repair');
 
 /**
  * Process a single request
@@ -79,56 +82,10 @@ const processBatchConcurrently = async (llmClient, batch, concurrency, onProgres
     model: llmClient.model
   });
 
-  // Process requests with concurrency control using recursive approach
-  const processWithConcurrency = async (remainingRequests, currentIndex = 0, results = [], executing = []) => {
-    if (remainingRequests.length === 0 && executing.length === 0) {
-      return results;
-    }
-
-    // Start new requests up to concurrency limit
-    const newExecutions = remainingRequests
-      .slice(0, concurrency - executing.length)
-      .map((request, idx) => {
-        const absoluteIndex = currentIndex + idx;
-        const promise = processRequest(llmClient, request, absoluteIndex, onProgress, onError)
-          .then(result => ({ result, absoluteIndex }));
-        return promise;
-      });
-
-    const updatedExecuting = [...executing, ...newExecutions];
-    const remainingAfterNew = remainingRequests.slice(newExecutions.length);
-
-    if (updatedExecuting.length === 0) {
-      return results;
-    }
-
-    // Wait for one to complete
-    const completed = await Promise.race(updatedExecuting);
-    const updatedResults = [
-      ...results.slice(0, completed.absoluteIndex),
-      completed.result,
-      ...results.slice(completed.absoluteIndex + 1)
-    ];
-
-    // Remove completed promise from executing
-    const stillExecuting = updatedExecuting.filter(p => p !== completed);
-
-    logger.debug('Batch: Request completed in concurrent batch', {
-      completedIndex: completed.absoluteIndex,
-      remainingRequests: remainingAfterNew.length,
-      executingCount: stillExecuting.length
-    });
-
-    // Recursive call with updated state
-    return processWithConcurrency(
-      remainingAfterNew,
-      currentIndex + newExecutions.length,
-      updatedResults,
-      stillExecuting
-    );
-  };
-
-  const results = await processWithConcurrency(batch);
+  const limiter = createLimiter(concurrency);
+  const results = await Promise.all(batch.map((request, index) => limiter.run(
+    () => processRequest(llmClient, request, index, onProgress, onError)
+  )));
 
   logger.debug('Batch: Concurrent processing completed', {
     totalProcessed: results.length,
@@ -161,7 +118,7 @@ const createBatchProcessor = (options = {}) => {
 
   return curry(async (llmClient, requests) => {
     const startTime = Date.now();
-    const batches = chunk(config.batchSize, requests);
+    const batches = splitEvery(config.batchSize, requests);
 
     logger.info('Batch: Starting batch processing', {
       totalRequests: requests.length,
@@ -298,9 +255,10 @@ const chunkByTokens = curry((maxTokens, tokenEstimator, requests) => {
 });
 
 /**
- * Merge multiple batch requests into a single request
+ * Merge multiple batch requests into a single request. Each request is headed by its
+ * `label` when it has one, otherwise by its position.
  * @param {Array} requests - Array of requests
- * @param {Object} options - Merge options
+ * @param {Object} options - Merge options; `system` replaces the first request's system prompt
  * @returns {Object} Merged request
  */
 const mergeBatchRequests = (requests, options = {}) => {
@@ -314,11 +272,12 @@ const mergeBatchRequests = (requests, options = {}) => {
   });
 
   const mergedUser = requests.map((req, index) => {
-    const prefix = includeIndex ? `[Request ${index + 1}]\n` : '';
+    const heading = req.label ? `[${req.label}]` : `[Request ${index + 1}]`;
+    const prefix = includeIndex ? `${heading}\n` : '';
     return prefix + req.user;
   }).join(separator);
 
-  const mergedSystem = requests[0].system || '';
+  const mergedSystem = options.system || requests[0].system || '';
   const totalMaxTokens = options.maxTokens || requests.reduce((sum, req) => sum + (req.maxTokens || 500), 0);
 
   const mergedRequest = {
@@ -342,7 +301,8 @@ const mergeBatchRequests = (requests, options = {}) => {
  * Split merged response back into individual responses
  * @param {string} response - Merged response
  * @param {number} count - Number of expected responses
- * @param {Object} options - Split options
+ * @param {Object} options - Split options; with `keys` the response is read as a JSON object and
+ *   each key's value becomes a section (an empty string when the key is missing)
  * @returns {Array} Array of responses
  */
 const splitBatchResponse = (response, count, options = {}) => {
@@ -354,6 +314,19 @@ const splitBatchResponse = (response, count, options = {}) => {
     separator: separator.replace(/\n/g, '\\n')
   });
 
+  // A structured batch answers with one JSON object holding a section per key
+  if (options.keys) {
+    const parsed = response ? parseJsonResponse(response) : null;
+    const sections = options.keys.map(key => (parsed && parsed[key] !== undefined ? JSON.stringify(parsed[key]) : ''));
+
+    logger.info('Batch: Response split by key', {
+      expectedCount: count,
+      foundKeys: options.keys.filter((key, index) => sections[index] !== '')
+    });
+
+    return sections;
+  }
+
   const parts = response.split(separator);
 
   if (parts.length !== count) {
@@ -408,10 +381,106 @@ const estimateTokens = request => {
   return estimatedTokens;
 };
 
+const BATCH_SYSTEM_PROMPT = `You are running several independent resume critics in a single pass.
+The shared documents are given once at the top; each critic section refers to them by name.
+Each section, headed by [critic: <name>], holds that critic's instructions and input.
+Carry out every critic's instructions on its own, without letting one critic's findings influence another.
+Reply with a single JSON object that has one key per critic name, whose value is exactly the JSON object that critic asks for.`;
+
+/**
+ * Replace shared documents inside a prompt with a reference to the copy sent once at the top
+ * @param {string} text - Prompt text
+ * @param {Array<Object>} shared - Shared documents ({ name, text })
+ * @returns {string} Prompt with the documents referenced by name
+ */
+const referenceSharedTexts = (text, shared) => shared
+  .filter(document => document.text)
+  .reduce((acc, document) => acc.split(document.text).join(`[${document.name}, given above]`), text);
+
+/**
+ * Merge critic requests into one structured call. Each critic keeps its own instructions and
+ * input; documents every critic repeats (job description, resume) are sent once.
+ * @param {Array<Object>} requests - Critic requests ({ label, system, user, outputSchema })
+ * @param {Object} options - { shared: [{ name, text }], maxTokens }
+ * @returns {Object} Complete options for the batch call, with a combined output schema
+ */
+const mergeCriticRequests = (requests, options = {}) => {
+  const shared = (options.shared || []).filter(document => document.text);
+  const merged = mergeBatchRequests(requests.map(request => ({
+    label: `critic: ${request.label}`,
+    user: `Instructions:\n${request.system}\n\nInput:\n${referenceSharedTexts(request.user, shared)}`
+  })), { system: BATCH_SYSTEM_PROMPT, maxTokens: options.maxTokens });
+  const context = shared.map(document => `${document.name}:\n${document.text}`).join('\n\n');
+
+  return {
+    ...merged,
+    user: context ? `${context}\n\n---\n${merged.user}` : merged.user,
+    outputSchema: {
+      name: 'batch',
+      schema: {
+        type: 'object',
+        properties: requests.reduce((acc, request) => ({
+          ...acc,
+          [request.label]: request.outputSchema ? request.outputSchema.schema : { type: 'object' }
+        }), {}),
+        required: requests.map(request => request.label)
+      }
+    }
+  };
+};
+
+/**
+ * Run several JSON critics as one structured call. The response is split back into one section
+ * per critic; a section that is missing, unparseable or fails the critic's schema is retried as
+ * a call of its own through completeJson.
+ * @param {Function} complete - Complete function resolving to response text
+ * @param {Function} completeJson - Complete function resolving to schema-checked output (or null)
+ * @param {Function} recordOutcome - Called with (label, outcome) for each critic the batch answered
+ * @returns {Function} (requests, options) => Promise of results in request order; options takes
+ *   shared, maxTokens, signal, onCall, onCache and onOutcome, passed on like completeJson's
+ */
+const withCriticBatch = (complete, completeJson, recordOutcome = () => {}) => async (requests, options = {}) => {
+  const { shared, maxTokens, onOutcome, ...callOptions } = options;
+  const merged = mergeCriticRequests(requests, { shared, maxTokens });
+
+  logger.info('Batch: Running critics in one call', {
+    critics: requests.map(request => request.label),
+    userPromptLength: merged.user.length
+  });
+
+  const response = await complete({ ...callOptions, ...merged, label: 'batch' }).catch(error => {
+    if (callOptions.signal?.aborted) {
+      throw error;
+    }
+    logger.warn('Batch: Batch call failed, calling each critic on its own', { error: error.message });
+    return '';
+  });
+  const sections = splitBatchResponse(response, requests.length, { keys: requests.map(request => request.label) });
+
+  return Promise.all(requests.map((request, index) => {
+    const parsed = sections[index] ? parseJsonResponse(sections[index]) : null;
+    const errors = validateOutput(parsed, request.outputSchema);
+
+    if (errors.length === 0) {
+      const outcome = { result: parsed, status: 'ok', attempts: 1, batched: true };
+      recordOutcome(request.label, outcome);
+      if (onOutcome) {
+        onOutcome(request.label, outcome);
+      }
+      return parsed;
+    }
+
+    logger.warn('Batch: Critic section rejected, calling the critic on its own', { critic: request.label, errors });
+    return completeJson({ ...callOptions, onOutcome, ...request });
+  }));
+};
+
 module.exports = {
   createBatchProcessor,
   chunkByTokens,
   mergeBatchRequests,
   splitBatchResponse,
+  mergeCriticRequests,
+  withCriticBatch,
   estimateTokens
 };
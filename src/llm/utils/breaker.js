@@ -0,0 +1,183 @@
+const { getConfig } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { CircuitOpenError } = require('../../utils/errors');
+const {
+  isRetryable, isRateLimited, getStatus, RETRYABLE_ERROR_CODES
+} = require('./retry');
+
+/**
+ * Decide whether a failed call says something about the provider's health. Only 5xx
+ * responses, timeouts and network errors count; rate limits are left to the adaptive
+ * limiter, and other 4xx responses are the caller's fault. The status is read wherever the
+ * SDK put it, so wrapped OpenAI SDK and fetch errors are judged by what the provider answered.
+ * @param {Error} error - Error from the provider
+ * @returns {boolean} True if the failure counts against the breaker
+ */
+const isProviderFailure = error => {
+  if (error instanceof CircuitOpenError || isRateLimited(error)) {
+    return false;
+  }
+  const status = getStatus(error);
+  if (status) {
+    return status >= 500;
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code) || isRetryable(error);
+};
+
+/**
+ * Create a circuit breaker. Closed, it lets every call through and counts consecutive
+ * provider failures; `failureThreshold` of them opens it. Open, it rejects calls until
+ * `resetTimeoutMs` has passed, then goes half-open and lets `halfOpenMaxCalls` probes through:
+ * a successful probe closes it again, a failed one reopens it.
+ * @param {Object} options - { name, failureThreshold, resetTimeoutMs, halfOpenMaxCalls, now }
+ * @returns {Object} Breaker with acquire(), onSuccess(), onFailure(error), release() and snapshot()
+ */
+const createCircuitBreaker = (options = {}) => {
+  const config = {
+    name: options.name || 'default',
+    failureThreshold: options.failureThreshold || 5,
+    resetTimeoutMs: options.resetTimeoutMs || 30000,
+    halfOpenMaxCalls: options.halfOpenMaxCalls || 1,
+    now: options.now || Date.now
+  };
+  const state = {
+    status: 'closed',
+    failures: 0,
+    openedAt: null,
+    probes: 0
+  };
+
+  const transition = status => {
+    logger.warn('Breaker: State changed', { provider: config.name, from: state.status, to: status, failures: state.failures });
+    Object.assign(state, {
+      status,
+      openedAt: status === 'open' ? config.now() : state.openedAt,
+      probes: 0
+    });
+  };
+
+  const retryAt = () => (state.status === 'open' ? state.openedAt + config.resetTimeoutMs : null);
+
+  /**
+   * Take permission for one call, throwing CircuitOpenError when the breaker rejects it
+   */
+  const acquire = () => {
+    if (state.status === 'open' && config.now() >= retryAt()) {
+      transition('half_open');
+    }
+    if (state.status === 'open' || (state.status === 'half_open' && state.probes >= config.halfOpenMaxCalls)) {
+      throw new CircuitOpenError(config.name, new Date(retryAt() || config.now() + config.resetTimeoutMs).toISOString());
+    }
+    if (state.status === 'half_open') {
+      Object.assign(state, { probes: state.probes + 1 });
+    }
+  };
+
+  const onSuccess = () => {
+    if (state.status === 'half_open') {
+      transition('closed');
+    }
+    Object.assign(state, { failures: 0 });
+  };
+
+  // A cancelled call says nothing about the provider; only hand back its half-open probe slot
+  const release = () => {
+    if (state.status === 'half_open' && state.probes > 0) {
+      Object.assign(state, { probes: state.probes - 1 });
+    }
+  };
+
+  const onFailure = error => {
+    if (!isProviderFailure(error)) {
+      // The provider answered, so a half-open probe has done its job; a closed breaker keeps
+      // its count, since a bad request between two outages says nothing about recovery
+      if (state.status === 'half_open') {
+        onSuccess();
+      }
+      return;
+    }
+    Object.assign(state, { failures: state.failures + 1 });
+    if (state.status === 'half_open' || (state.status === 'closed' && state.failures >= config.failureThreshold)) {
+      transition('open');
+    }
+  };
+
+  const snapshot = () => ({
+    state: state.status,
+    failures: state.failures,
+    retry_at: retryAt() ? new Date(retryAt()).toISOString() : null
+  });
+
+  return {
+    acquire,
+    onSuccess,
+    onFailure,
+    release,
+    snapshot
+  };
+};
+
+/**
+ * Wrap a complete function so every call goes through the breaker
+ * @param {Object} breaker - Breaker from createCircuitBreaker
+ * @param {Function} complete - Complete function
+ * @returns {Function} Guarded complete function
+ */
+const withCircuitBreaker = (breaker, complete) => async options => {
+  breaker.acquire();
+  try {
+    const response = await complete(options);
+    breaker.onSuccess();
+    return response;
+  } catch (error) {
+    if (options.signal?.aborted) {
+      breaker.release();
+    } else {
+      breaker.onFailure(error);
+    }
+    throw error;
+  }
+};
+
+// One breaker per provider, shared by every request in the process
+const providerBreakers = new Map();
+
+/**
+ * Get the process-wide breaker for a provider, configured from llm.circuitBreaker
+ * @param {string} provider - Provider name
+ * @returns {Object} Breaker
+ */
+const getProviderBreaker = provider => {
+  const key = (provider || 'default').toLowerCase();
+  if (!providerBreakers.has(key)) {
+    providerBreakers.set(key, createCircuitBreaker({
+      name: key,
+      failureThreshold: getConfig('llm.circuitBreaker.failureThreshold', 5),
+      resetTimeoutMs: getConfig('llm.circuitBreaker.resetTimeoutMs', 30000),
+      halfOpenMaxCalls: getConfig('llm.circuitBreaker.halfOpenMaxCalls', 1)
+    }));
+  }
+  return providerBreakers.get(key);
+};
+
+/**
+ * Report the state of every provider breaker created so far
+ * @returns {Object} Map of provider name to { state, failures, retry_at }
+ */
+const getBreakerStates = () => Array.from(providerBreakers.entries())
+  .reduce((acc, [provider, breaker]) => ({ ...acc, [provider]: breaker.snapshot() }), {});
+
+/**
+ * Drop the provider breakers so they start closed and re-read config (for tests)
+ */
+const resetProviderBreakers = () => {
+  providerBreakers.clear();
+};
+
+module.exports = {
+  createCircuitBreaker,
+  withCircuitBreaker,
+  getProviderBreaker,
+  getBreakerStates,
+  resetProviderBreakers
+};
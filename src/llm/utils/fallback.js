@@ -0,0 +1,94 @@
+const { logger } = require('../../utils/logger');
+const { isRetryable, getStatus } = require('./retry');
+const { CircuitOpenError } = require('../../utils/errors');
+
+/**
+ * Status codes that mean this provider cannot serve the request at all
+ * (bad key, no access, unknown model), so another provider should try
+ */
+const FAILOVER_STATUS_CODES = [401, 403, 404];
+
+/**
+ * Decide whether a failed call should move on to the next provider in the chain.
+ * Rate limits, 5xx and network errors have already exhausted withRetry by the time they
+ * get here; an open circuit breaker fails over straight away. Errors are classified by
+ * status wherever the SDK put it (response.status, or status on the error as OpenAI SDK
+ * and fetch errors do), so a wrapped error is judged by what the provider answered.
+ * @param {Error} error - Error from the provider
+ * @returns {boolean} True if the next provider should be tried
+ */
+const shouldFailover = error => {
+  if (error instanceof CircuitOpenError) {
+    return true;
+  }
+  const status = getStatus(error);
+  if (status) {
+    return status === 429 || status >= 500 || FAILOVER_STATUS_CODES.includes(status);
+  }
+  return error.isRetryable === true || isRetryable(error);
+};
+
+/**
+ * Chain complete functions so each call falls over to the next link when one fails.
+ * Links are resolved lazily, so a fallback provider is only created when it is needed.
+ * @param {Array<Object>} links - { provider, model, resolve } where resolve returns { provider, model, complete } and may throw
+ * @param {Function} onServed - Called with (options, { provider, model, fallback, failed }, response) after every successful call
+ * @returns {Function} Complete function
+ */
+const withFallback = (links, onServed = () => {}) => async options => {
+  const attempt = async (index, failed) => {
+    const descriptor = links[index];
+    const hasNext = index + 1 < links.length;
+
+    const link = (() => {
+      try {
+        return descriptor.resolve();
+      } catch (error) {
+        return { error };
+      }
+    })();
+
+    if (link.error) {
+      logger.warn('Fallback: Provider unavailable', {
+        provider: descriptor.provider,
+        model: descriptor.model,
+        error: link.error.message
+      });
+      if (!hasNext) {
+        throw link.error;
+      }
+      return attempt(index + 1, [...failed, { provider: descriptor.provider, model: descriptor.model, error: link.error.message }]);
+    }
+
+    try {
+      const response = await link.complete(options);
+      onServed(options, {
+        provider: link.provider,
+        model: link.model,
+        fallback: index > 0,
+        failed
+      }, response);
+      return response;
+    } catch (error) {
+      // An aborted call is cancelled, not failed, so no other provider should pick it up
+      if (!hasNext || options.signal?.aborted || !shouldFailover(error)) {
+        throw error;
+      }
+      logger.warn('Fallback: Provider failed, trying next in chain', {
+        label: options.label,
+        provider: link.provider,
+        model: link.model,
+        error: error.message
+      });
+      return attempt(index + 1, [...failed, { provider: link.provider, model: link.model, error: error.message }]);
+    }
+  };
+
+  return attempt(0, []);
+};
+
+module.exports = {
+  FAILOVER_STATUS_CODES,
+  shouldFailover,
+  withFallback
+};
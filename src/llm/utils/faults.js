@@ -0,0 +1,144 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { LLMProviderError, ValidationError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
+const { abortableSleep } = require('../../utils/abort');
+
+// What a call returns once its scripted errors are used up
+const RESPONSE_MODES = ['ok', 'truncated_json', 'markdown_json', 'empty', 'safety_blocked', 'timeout'];
+
+// The scenario of the API request being handled (set from the X-Mock-Scenario header)
+const requestScenarios = new AsyncLocalStorage();
+
+/**
+ * Check a fault scenario and fill in defaults. A scenario is
+ * { errors, response, delay_ms, content, critics }:
+ * - errors: statuses (or { status, retry_after }) thrown by a critic's first calls, in order
+ * - response: one of RESPONSE_MODES for the calls after that
+ * - delay_ms: latency added before the call answers or fails
+ * - content: response text (or an object sent as JSON) instead of the canned one
+ * - critics: scenarios by call label that override the top-level fields for that critic
+ * @param {Object} scenario - Scenario as given in config, a test or a request header
+ * @param {string} path - Where the scenario came from, for error messages
+ * @returns {Object} Normalized scenario
+ */
+const parseScenario = (scenario, path = 'scenario') => {
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    throw new ValidationError(`${path} must be an object`);
+  }
+  const errors = scenario.errors && scenario.errors.map(entry => (typeof entry === 'number' ? { status: entry } : entry));
+  if (errors && errors.some(entry => !Number.isInteger(entry?.status) || entry.status < 400 || entry.status > 599)) {
+    throw new ValidationError(`${path}.errors must be HTTP error statuses (400-599) or { status, retry_after }`);
+  }
+  if (scenario.response !== undefined && !RESPONSE_MODES.includes(scenario.response)) {
+    throw new ValidationError(`${path}.response must be one of ${RESPONSE_MODES.join(', ')}`);
+  }
+  if (scenario.delay_ms !== undefined && !(Number.isInteger(scenario.delay_ms) && scenario.delay_ms >= 0)) {
+    throw new ValidationError(`${path}.delay_ms must be a non-negative integer`);
+  }
+
+  return {
+    errors,
+    response: scenario.response,
+    delay_ms: scenario.delay_ms,
+    content: scenario.content,
+    critics: Object.entries(scenario.critics || {}).reduce((acc, [label, override]) => ({
+      ...acc,
+      [label]: parseScenario({ ...override, critics: undefined }, `${path}.critics.${label}`)
+    }), {})
+  };
+};
+
+/**
+ * Run `fn` with a scenario that applies to every mock call it makes, however deep
+ * @param {Object} scenario - Normalized scenario
+ * @param {Function} fn - Function to run
+ * @returns {*} fn's result
+ */
+const runWithScenario = (scenario, fn) => requestScenarios.run({ scenario, attempts: new Map() }, fn);
+
+/**
+ * Get the scenario set by runWithScenario for the current request, with its attempt counters
+ * @returns {Object|undefined} { scenario, attempts }
+ */
+const getRequestScenario = () => requestScenarios.getStore();
+
+// The scenario for one call: the critic's override on top of the top-level fields
+const resolveForLabel = (scenario, label) => {
+  const override = scenario.critics[label] || {};
+  const pick = field => (override[field] !== undefined ? override[field] : scenario[field]);
+  return {
+    errors: pick('errors') || [],
+    response: pick('response') || 'ok',
+    delay_ms: pick('delay_ms'),
+    content: pick('content')
+  };
+};
+
+// An error shaped like a failed SDK/axios call, so retry, fallback and breaker treat it as real
+const createStatusError = ({ status, retry_after: retryAfter }) => new LLMProviderError(
+  `Mock API error: injected ${status}${status === 429 ? ' rate limit' : ''}`,
+  'mock',
+  {
+    status,
+    response: {
+      status,
+      headers: retryAfter !== undefined ? { 'retry-after': String(retryAfter) } : {}
+    }
+  }
+);
+
+const toText = content => (typeof content === 'string' ? content : JSON.stringify(content));
+
+/**
+ * Apply a fault scenario to one mock call. Each call label keeps its own attempt count, so
+ * `errors: [503, 503]` fails a critic's first two attempts and lets the third through.
+ * @param {Object} state - { scenario, attempts } where attempts is a Map of label to calls made
+ * @param {Object} options - Complete options
+ * @param {Function} respond - Resolves to the canned response for the call
+ * @returns {Promise<string>} Response text after the scenario is applied
+ */
+const injectFaults = async (state, options, respond) => {
+  const label = options.label || '*';
+  const scenario = resolveForLabel(state.scenario, label);
+  const attempt = state.attempts.get(label) || 0;
+  state.attempts.set(label, attempt + 1);
+
+  if (scenario.delay_ms) {
+    await abortableSleep(scenario.delay_ms, options.signal);
+  }
+
+  const error = scenario.errors[attempt];
+  if (error) {
+    logger.info('Mock: Injected error', { label, attempt: attempt + 1, status: error.status });
+    throw createStatusError(error);
+  }
+
+  if (scenario.response === 'timeout') {
+    logger.info('Mock: Injected timeout', { label });
+    throw new LLMProviderError('Mock API error: Request timed out', 'mock', { code: 'ETIMEDOUT' });
+  }
+  if (scenario.response === 'safety_blocked') {
+    logger.info('Mock: Injected safety block', { label });
+    throw new LLMProviderError('Mock API error: Response blocked: SAFETY', 'mock');
+  }
+
+  const response = scenario.content !== undefined ? toText(scenario.content) : await respond();
+  switch (scenario.response) {
+    case 'truncated_json':
+      return response.slice(0, Math.floor(response.length / 2));
+    case 'markdown_json':
+      return `\`\`\`json\n${response}\n\`\`\``;
+    case 'empty':
+      return '';
+    default:
+      return response;
+  }
+};
+
+module.exports = {
+  RESPONSE_MODES,
+  parseScenario,
+  runWithScenario,
+  getRequestScenario,
+  injectFaults
+};
@@ -0,0 +1,167 @@
+const { getConfig } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { isRateLimited, getRetryAfter } = require('./retry');
+
+/**
+ * Create a concurrency limiter: at most `limit()` tasks run at once, the rest wait in order.
+ * The limit starts at `concurrency` and can be lowered (never below 1) or raised back up to it
+ * with setLimit; pauseFor holds back queued tasks until a provider's rate-limit window has passed.
+ * @param {number} concurrency - Max concurrent tasks
+ * @returns {Object} Limiter with run(task), active(), pending(), limit(), setLimit(n) and pauseFor(ms)
+ */
+const createLimiter = concurrency => {
+  const ceiling = Math.max(1, concurrency || 1);
+  const queue = [];
+  const state = {
+    active: 0,
+    limit: ceiling,
+    pausedUntil: 0,
+    resumeTimer: null
+  };
+
+  const next = () => {
+    if (state.active >= Math.floor(state.limit) || queue.length === 0) {
+      return;
+    }
+    const wait = state.pausedUntil - Date.now();
+    if (wait > 0) {
+      if (!state.resumeTimer) {
+        Object.assign(state, {
+          resumeTimer: setTimeout(() => {
+            Object.assign(state, { resumeTimer: null });
+            next();
+          }, wait)
+        });
+      }
+      return;
+    }
+    const { task, resolve, reject } = queue.shift();
+    Object.assign(state, { active: state.active + 1 });
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        Object.assign(state, { active: state.active - 1 });
+        next();
+      });
+    next();
+  };
+
+  const run = task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+
+  // Limits may be fractional so additive increase can grow by less than one slot per success
+  const setLimit = value => {
+    Object.assign(state, { limit: Math.min(ceiling, Math.max(1, value)) });
+    next();
+  };
+
+  const pauseFor = ms => {
+    Object.assign(state, { pausedUntil: Math.max(state.pausedUntil, Date.now() + ms) });
+  };
+
+  return {
+    concurrency: ceiling,
+    run,
+    active: () => state.active,
+    pending: () => queue.length,
+    limit: () => state.limit,
+    pausedUntil: () => state.pausedUntil,
+    setLimit,
+    pauseFor
+  };
+};
+
+/**
+ * Wrap a complete function so every call goes through the limiter
+ * @param {Object} limiter - Limiter from createLimiter
+ * @param {Function} complete - Complete function
+ * @returns {Function} Limited complete function
+ */
+const withLimiter = (limiter, complete) => options => limiter.run(() => complete(options));
+
+/**
+ * Wrap a complete function so the limiter adapts to the provider (AIMD): every success adds
+ * 1/limit of a slot, so the limit grows by one per full window of successes up to the ceiling,
+ * and every rate-limit error halves it. A rate-limit error carrying Retry-After or a reset
+ * header also holds back queued calls until that time.
+ * @param {Object} limiter - Limiter from createLimiter
+ * @param {Function} complete - Complete function
+ * @returns {Function} Limited complete function
+ */
+const withAdaptiveLimiter = (limiter, complete) => options => limiter.run(async () => {
+  try {
+    const response = await complete(options);
+    if (limiter.limit() < limiter.concurrency) {
+      limiter.setLimit(limiter.limit() + 1 / Math.floor(limiter.limit()));
+    }
+    return response;
+  } catch (error) {
+    if (isRateLimited(error)) {
+      const retryAfter = getRetryAfter(error);
+      limiter.setLimit(Math.floor(limiter.limit() / 2));
+      if (retryAfter) {
+        limiter.pauseFor(retryAfter);
+      }
+      logger.warn('Limiter: Rate limited, reducing concurrency', {
+        limit: Math.floor(limiter.limit()),
+        ceiling: limiter.concurrency,
+        retryAfter
+      });
+    }
+    throw error;
+  }
+});
+
+// One limiter per provider, shared by every request in the process
+const providerLimiters = new Map();
+
+/**
+ * Get the process-wide limiter for a provider. The ceiling comes from
+ * llm.concurrency.<provider>, then llm.concurrency.default
+ * @param {string} provider - Provider name
+ * @returns {Object} Limiter
+ */
+const getProviderLimiter = provider => {
+  const key = (provider || 'default').toLowerCase();
+  if (!providerLimiters.has(key)) {
+    const concurrency = getConfig(`llm.concurrency.${key}`, null) || getConfig('llm.concurrency.default', 8);
+    logger.debug('Limiter: Created provider limiter', { provider: key, concurrency });
+    providerLimiters.set(key, createLimiter(concurrency));
+  }
+  return providerLimiters.get(key);
+};
+
+/**
+ * Report each provider limiter's current limit and load
+ * @returns {Object} Map of provider name to { limit, ceiling, active, pending, paused_until }
+ */
+const getLimiterStates = () => Array.from(providerLimiters.entries())
+  .reduce((acc, [provider, limiter]) => ({
+    ...acc,
+    [provider]: {
+      limit: Math.floor(limiter.limit()),
+      ceiling: limiter.concurrency,
+      active: limiter.active(),
+      pending: limiter.pending(),
+      paused_until: limiter.pausedUntil() > Date.now() ? new Date(limiter.pausedUntil()).toISOString() : null
+    }
+  }), {});
+
+/**
+ * Drop the provider limiters so the next call reads the ceilings from config again (for tests)
+ */
+const resetProviderLimiters = () => {
+  providerLimiters.clear();
+};
+
+module.exports = {
+  createLimiter,
+  withLimiter,
+  withAdaptiveLimiter,
+  getProviderLimiter,
+  getLimiterStates,
+  resetProviderLimiters
+};
@@ -0,0 +1,99 @@
+const { validate } = require('json-schema');
+const { parseJsonResponse } = require('../../utils/json-parser');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Convert a schema's `required` arrays into the per-property `required: true` flags that the
+ * json-schema package (draft-03) checks
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Draft-03 schema
+ */
+const toDraft3Schema = schema => {
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  const { required: ignored, ...rest } = schema;
+  return {
+    ...rest,
+    ...(schema.properties ? {
+      properties: Object.entries(schema.properties).reduce((acc, [name, property]) => ({
+        ...acc,
+        [name]: { ...toDraft3Schema(property), ...(required.includes(name) ? { required: true } : {}) }
+      }), {})
+    } : {}),
+    ...(schema.items ? { items: toDraft3Schema(schema.items) } : {})
+  };
+};
+
+/**
+ * Validate parsed critic output against the critic's declared output schema
+ * @param {*} value - Parsed output
+ * @param {Object} outputSchema - Declared output schema ({ name, schema })
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateOutput = (value, outputSchema) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return ['response is not a JSON object'];
+  }
+  if (!outputSchema) {
+    return [];
+  }
+  return validate(value, toDraft3Schema(outputSchema.schema)).errors
+    .map(error => (error.property ? `${error.property}: ${error.message}` : error.message));
+};
+
+/**
+ * Build the follow-up prompt asking the model to fix its previous response
+ * @param {Object} options - Original complete options
+ * @param {string} response - The rejected response
+ * @param {Array<string>} errors - Why it was rejected
+ * @returns {Object} Complete options for the repair call
+ */
+const buildRepairOptions = (options, response, errors) => ({
+  ...options,
+  user: [
+    options.user,
+    'Your previous response was:',
+    response,
+    `It was rejected because it is not valid JSON in the required format:\n- ${errors.join('\n- ')}`,
+    'Reply again with only the corrected JSON object.'
+  ].join('\n\n')
+});
+
+/**
+ * Wrap a complete function so it returns parsed, schema-valid JSON. Invalid responses are sent
+ * back to the model with the validation errors, up to `maxRepairs` times.
+ * @param {Function} complete - Complete function resolving to response text
+ * @param {number} maxRepairs - Re-prompts allowed after the first response
+ * @returns {Function} Function resolving to { result, status, attempts, errors };
+ *   status is 'ok', 'repaired' or 'failed', and result is null when failed
+ */
+const withRepair = (complete, maxRepairs) => async options => {
+  const attempt = async (callOptions, attempts) => {
+    const response = await complete(callOptions);
+    const parsed = parseJsonResponse(response);
+    const errors = validateOutput(parsed, options.outputSchema);
+
+    if (errors.length === 0) {
+      return { result: parsed, status: attempts > 1 ? 'repaired' : 'ok', attempts };
+    }
+
+    logger.warn('Repair: Critic output rejected', {
+      critic: options.label,
+      attempt: attempts,
+      errors,
+      responsePreview: String(response).substring(0, 200)
+    });
+
+    if (attempts > maxRepairs) {
+      return { result: null, status: 'failed', attempts, errors };
+    }
+    return attempt(buildRepairOptions(options, response, errors), attempts + 1);
+  };
+
+  return attempt(options, 1);
+};
+
+module.exports = {
+  toDraft3Schema,
+  validateOutput,
+  withRepair
+};
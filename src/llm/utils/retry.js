@@ -1,5 +1,6 @@
 const { curry } = require('ramda');
 const { logger } = require('../../utils/logger');
+const { throwIfAborted, abortableSleep } = require('../../utils/abort');
 
 /**
  * Error types that should be retried
@@ -24,13 +25,11 @@ const RETRYABLE_STATUS_CODES = [
 ];
 
 /**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise} Sleep promise
+ * Read the HTTP status of a failed call, wherever the client library put it
+ * @param {Error} error - Error from the provider
+ * @returns {number|undefined} Status code
  */
-const sleep = ms => new Promise(resolve => {
-  setTimeout(resolve, ms);
-});
+const getStatus = error => error.response?.status || error.originalError?.status || error.status;
 
 /**
  * Check if an error is retryable
@@ -48,9 +47,10 @@ const isRetryable = error => {
   }
 
   // Check for retryable HTTP status codes
-  if (error.response?.status && RETRYABLE_STATUS_CODES.includes(error.response.status)) {
+  const status = getStatus(error);
+  if (status && RETRYABLE_STATUS_CODES.includes(status)) {
     logger.debug('Retry: HTTP status code is retryable', {
-      statusCode: error.response.status,
+      statusCode: status,
       retryableStatusCodes: RETRYABLE_STATUS_CODES
     });
     return true;
@@ -86,6 +86,80 @@ const isRetryable = error => {
   return false;
 };
 
+/**
+ * Read a response header from a failed call. Handles axios (plain object) and fetch-style
+ * (Headers with get) responses, on the error itself or the wrapped original error.
+ * @param {Error} error - Error from the provider
+ * @param {string} name - Lower-case header name
+ * @returns {string|undefined} Header value
+ */
+const getHeader = (error, name) => {
+  const headers = error.response?.headers || error.originalError?.response?.headers
+    || error.originalError?.headers || error.headers;
+  if (!headers) {
+    return undefined;
+  }
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return value === null ? undefined : value;
+};
+
+/**
+ * Parse a rate-limit reset duration such as "1s", "6m0s" or "250ms" into milliseconds
+ * @param {string} value - Duration
+ * @returns {number|null} Milliseconds
+ */
+const parseDuration = value => {
+  const parts = String(value).match(/\d+(?:\.\d+)?(?:ms|h|m|s)/g);
+  if (!parts) {
+    return null;
+  }
+  const unitMs = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  return Math.round(parts.reduce((total, part) => {
+    const [, amount, unit] = part.match(/^(\d+(?:\.\d+)?)(ms|h|m|s)$/);
+    return total + Number(amount) * unitMs[unit];
+  }, 0));
+};
+
+/**
+ * Work out how long the provider asked us to wait before the next call, from Retry-After
+ * (seconds or an HTTP date), retry-after-ms, or the x-ratelimit-reset-* headers OpenAI sends
+ * @param {Error} error - Error from the provider
+ * @returns {number|null} Milliseconds to wait, null when the provider did not say
+ */
+const getRetryAfter = error => {
+  const retryAfterMs = Number(getHeader(error, 'retry-after-ms'));
+  if (retryAfterMs > 0) {
+    return Math.round(retryAfterMs);
+  }
+
+  const retryAfter = getHeader(error, 'retry-after');
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, Math.round(seconds * 1000));
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const resets = ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens']
+    .map(name => getHeader(error, name))
+    .filter(value => value !== undefined)
+    .map(parseDuration)
+    .filter(value => value !== null);
+  return resets.length > 0 ? Math.max(...resets) : null;
+};
+
+/**
+ * Check if an error means the provider is rate limiting us
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for 429 responses and rate limit messages
+ */
+const isRateLimited = error => getStatus(error) === 429
+  || (typeof error.message === 'string' && error.message.toLowerCase().includes('rate limit'));
+
 /**
  * Calculate delay for next retry
  * @param {number} attempt - Current attempt number (0-based)
@@ -173,10 +247,15 @@ const createRetry = (options = {}) => {
       maxRetries: config.maxRetries
     });
 
+    // A call's options may carry an AbortSignal; once it fires no further attempt starts
+    const signal = args.map(arg => arg?.signal).find(Boolean);
+
     const executeWithRetry = async attemptNumber => {
       const attemptStartTime = Date.now();
 
       try {
+        throwIfAborted(signal);
+
         logger.debug('Retry: Attempting function call', {
           functionName,
           attempt: attemptNumber + 1,
@@ -197,6 +276,11 @@ const createRetry = (options = {}) => {
       } catch (error) {
         const attemptDuration = Date.now() - attemptStartTime;
 
+        if (signal?.aborted) {
+          logger.debug('Retry: Call aborted, not retrying', { functionName, attempt: attemptNumber + 1 });
+          throw signal.reason || error;
+        }
+
         // Check if error is retryable
         const retryable = isRetryable(error);
 
@@ -231,15 +315,18 @@ const createRetry = (options = {}) => {
           throw error;
         }
 
-        // Calculate delay
-        const delay = calculateDelay(attemptNumber, config);
+        // Wait as long as the provider asked when it said, otherwise back off
+        const retryAfter = getRetryAfter(error);
+        const delay = retryAfter !== null
+          ? Math.min(retryAfter, config.maxDelay)
+          : calculateDelay(attemptNumber, config);
 
         logger.info('Retry: Will retry after delay', {
           functionName,
           attempt: attemptNumber + 1,
           nextAttempt: attemptNumber + 2,
           delay,
-          backoffStrategy: config.backoff
+          backoffStrategy: retryAfter !== null ? 'retry-after' : config.backoff
         });
 
         // Call onRetry callback
@@ -250,8 +337,8 @@ const createRetry = (options = {}) => {
           willRetry: true
         });
 
-        // Wait before retrying
-        await sleep(delay);
+        // Wait before retrying; an abort ends the wait early
+        await abortableSleep(delay, signal);
 
         // Recursive call for next attempt
         return executeWithRetry(attemptNumber + 1);
@@ -306,6 +393,9 @@ module.exports = {
   createRetry,
   withRetry,
   isRetryable,
+  isRateLimited,
+  getStatus,
+  getRetryAfter,
   calculateDelay,
   createRetryableClient,
   RETRYABLE_ERROR_CODES,
@@ -0,0 +1,81 @@
+// OpenAI models that accept response_format json_schema; older models only have json_object
+const JSON_SCHEMA_MODEL_PATTERN = /^(gpt-4o|gpt-4\.1|gpt-5|o\d)/;
+
+// Gemini 1.0 models reject responseSchema
+const GEMINI_LEGACY_MODEL_PATTERN = /^gemini-(pro|1\.0)/;
+
+// JSON schema keywords Gemini's responseSchema understands; anything else is dropped
+const GEMINI_SCHEMA_KEYS = ['type', 'description', 'nullable', 'enum', 'properties', 'required', 'items'];
+
+/**
+ * Build the OpenAI response_format for a call
+ * @param {Object} outputSchema - Declared output schema ({ name, schema })
+ * @param {string} model - Model name
+ * @param {string} mode - 'auto', 'json_schema', 'json_object' or 'none'
+ * @returns {Object|undefined} response_format value, undefined when structured output is off
+ */
+const toOpenAIResponseFormat = (outputSchema, model, mode = 'auto') => {
+  if (!outputSchema || mode === 'none') {
+    return undefined;
+  }
+  const useSchema = mode === 'json_schema' || (mode === 'auto' && JSON_SCHEMA_MODEL_PATTERN.test(model || ''));
+  if (!useSchema) {
+    return { type: 'json_object' };
+  }
+  return {
+    type: 'json_schema',
+    // Not strict: strict mode would need every optional field made nullable and required
+    json_schema: { name: outputSchema.name, schema: outputSchema.schema, strict: false }
+  };
+};
+
+/**
+ * Reduce a JSON schema to the subset Gemini's responseSchema accepts
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Gemini schema
+ */
+const toGeminiSchema = schema => GEMINI_SCHEMA_KEYS
+  .filter(key => schema[key] !== undefined)
+  .reduce((acc, key) => {
+    if (key === 'properties') {
+      return {
+        ...acc,
+        properties: Object.entries(schema.properties)
+          .reduce((props, [name, property]) => ({ ...props, [name]: toGeminiSchema(property) }), {})
+      };
+    }
+    if (key === 'items') {
+      return { ...acc, items: toGeminiSchema(schema.items) };
+    }
+    return { ...acc, [key]: schema[key] };
+  }, {});
+
+/**
+ * Build the Gemini generationConfig fields for a call
+ * @param {Object} outputSchema - Declared output schema ({ name, schema })
+ * @param {string} model - Model name
+ * @returns {Object} Fields to merge into generationConfig (empty when unsupported)
+ */
+const toGeminiGenerationConfig = (outputSchema, model) => {
+  if (!outputSchema || GEMINI_LEGACY_MODEL_PATTERN.test(model || '')) {
+    return {};
+  }
+  return {
+    responseMimeType: 'application/json',
+    responseSchema: toGeminiSchema(outputSchema.schema)
+  };
+};
+
+/**
+ * Build the Ollama `format` value for a call (a JSON schema, supported since Ollama 0.5)
+ * @param {Object} outputSchema - Declared output schema ({ name, schema })
+ * @returns {Object|undefined} format value
+ */
+const toOllamaFormat = outputSchema => (outputSchema ? outputSchema.schema : undefined);
+
+module.exports = {
+  toOpenAIResponseFormat,
+  toGeminiSchema,
+  toGeminiGenerationConfig,
+  toOllamaFormat
+};
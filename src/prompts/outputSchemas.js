@@ -0,0 +1,262 @@
+/**
+ * @module prompts/outputSchemas
+ * @description Declared JSON output schema for each critic, matching the format its prompt asks for.
+ * Providers that support structured output send these natively (OpenAI `response_format`,
+ * Gemini `responseSchema`, Ollama `format`); the rest rely on the prompt alone.
+ */
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const unitScore = { type: 'number', minimum: 0, maximum: 1 };
+const fivePointScore = { type: 'number', minimum: 1, maximum: 5 };
+const count = { type: 'integer', minimum: 0 };
+
+/**
+ * Build an object schema. Only the fields scoring depends on are required, so a response
+ * that leaves out a descriptive list is not sent back for repair.
+ * @param {Object} properties - Property schemas
+ * @param {Array<string>} required - Property names the response must include
+ * @returns {Object} JSON schema
+ */
+const objectOf = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 ? { required } : {})
+});
+
+const claimList = detailKey => ({
+  type: 'array',
+  items: objectOf({ claim: { type: 'string' }, [detailKey]: stringList }, ['claim'])
+});
+
+const fidelityClaims = objectOf({
+  aligned_claims_count: count,
+  total_claims_count: count,
+  unsupported_claims_count: count,
+  hallucinated_claims: claimList('unsupported_parts')
+}, ['aligned_claims_count', 'total_claims_count']);
+
+const languageQuality = objectOf({
+  score: fivePointScore,
+  errors: stringList,
+  weak_phrases: stringList,
+  suggestions: stringList
+}, ['score']);
+
+const relevanceFit = objectOf({
+  score: fivePointScore,
+  strengths: stringList,
+  gaps: stringList,
+  suggestions: stringList
+}, ['score']);
+
+const scoredFeedback = objectOf({ score: fivePointScore, feedback: { type: 'string' } }, ['score']);
+
+const opportunities = objectOf({ score: fivePointScore, suggestions: stringList }, ['score']);
+
+// Findings for one role, keyed by its position in the request
+const roleFeedback = objectOf({
+  index: count,
+  strengths: stringList,
+  issues: stringList,
+  suggestions: stringList
+}, ['index']);
+
+// Work experience critics share a shape; only the two evidence lists are named differently
+const workExperienceSchema = (positiveKey, negativeKey) => objectOf({
+  score: unitScore,
+  reasoning: { type: 'string' },
+  [positiveKey]: stringList,
+  [negativeKey]: stringList,
+  suggestions: stringList,
+  roles: { type: 'array', items: roleFeedback }
+}, ['score']);
+
+// Summary critics: a score, one nested analysis block, then strengths/problems/suggestions
+const summarySchema = (analysisKey, analysis, problemsKey) => objectOf({
+  score: unitScore,
+  [analysisKey]: objectOf(analysis),
+  strengths: stringList,
+  [problemsKey]: stringList,
+  suggestions: stringList
+}, ['score']);
+
+/**
+ * Output schemas keyed by critic name (the prompt function name without `Critic`)
+ * @type {Object<string, Object>}
+ */
+const OUTPUT_SCHEMAS = {
+  keyword: objectOf({
+    score: unitScore,
+    missing_must_have: stringList,
+    missing_nice_to_have: stringList,
+    present_terms: stringList,
+    suggestions: stringList
+  }, ['score']),
+  relevance: relevanceFit,
+  language: languageQuality,
+  readability: objectOf({
+    appropriateness_score: unitScore,
+    pages: { type: 'number' },
+    word_count: count,
+    avg_bullet_length: { type: 'number' },
+    fk_grade: { type: 'number' },
+    issues: stringList,
+    suggestions: stringList
+  }, ['appropriateness_score']),
+  comparison: objectOf({
+    missing_important_content: { type: 'array', items: objectOf({ content: { type: 'string' }, reason: { type: 'string' } }) },
+    potentially_fabricated: { type: 'array', items: objectOf({ content: { type: 'string' }, reason: { type: 'string' } }) },
+    fabrication_risk_score: unitScore,
+    recommendations: stringList
+  }, ['fabrication_risk_score']),
+  ats: objectOf({
+    score: unitScore,
+    critical_issues_found: { type: 'boolean' },
+    issues: stringList,
+    suggestions: stringList
+  }, ['score']),
+  bias: objectOf({
+    flags: {
+      type: 'array',
+      items: objectOf({
+        content: { type: 'string' },
+        explanation: { type: 'string' },
+        severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+        suggestion: { type: 'string' }
+      }, ['content', 'severity'])
+    },
+    overall_assessment: { type: 'string' }
+  }, ['flags']),
+  relatedAccomplishments: objectOf({
+    score: fivePointScore,
+    feedback: stringList,
+    suggestions: stringList
+  }, ['score']),
+  relatedAccomplishmentsCategories: objectOf({
+    categories: {
+      type: 'array',
+      items: objectOf({
+        index: count,
+        category: { type: 'string' },
+        alignment_score: unitScore,
+        impact_score: unitScore,
+        fidelity_score: unitScore,
+        unsupported_items: stringList,
+        action: { type: 'string', enum: ['keep', 'drop', 'merge'] },
+        merge_into: { type: 'string' },
+        reason: { type: 'string' },
+        suggestions: stringList
+      }, ['category', 'action'])
+    },
+    overall_suggestions: stringList
+  }, ['categories']),
+  fidelity: objectOf({
+    aligned_claims_count: count,
+    total_claims_count: count,
+    unsupported_claims_count: count,
+    misaligned_claims: claimList('missing_requirements'),
+    hallucinated_claims: claimList('unsupported_parts')
+  }, ['aligned_claims_count', 'total_claims_count']),
+  fidelitySimple: fidelityClaims,
+  fidelityWorker: fidelityClaims,
+  coverLetterFidelity: fidelityClaims,
+  jobFit: objectOf({
+    job_fit_score: unitScore,
+    match_category: { type: 'string', enum: ['excellent', 'good', 'fair', 'poor'] },
+    experience_level_match: { type: 'boolean' },
+    core_skills_match: { type: 'boolean' },
+    industry_match: { type: 'boolean' },
+    key_gaps: stringList,
+    transferable_strengths: stringList,
+    fit_summary: { type: 'string' },
+    recommendation: {
+      type: 'string',
+      enum: ['proceed_with_full_evaluation', 'proceed_with_caution', 'do_not_proceed']
+    },
+    experience_score: unitScore,
+    skills_score: unitScore,
+    industry_score: unitScore,
+    level_score: unitScore,
+    essential_requirements_score: unitScore,
+    __debug_reasoning__: { type: 'string' }
+  }, ['job_fit_score']),
+  opportunity: opportunities,
+  coverLetterTone: scoredFeedback,
+  coverLetterPersonalization: scoredFeedback,
+  coverLetterOpportunity: opportunities,
+  coverLetterLanguage: languageQuality,
+  coverLetterRelevance: relevanceFit,
+  coverLetterReadability: objectOf({
+    appropriateness_score: unitScore,
+    word_count: count,
+    paragraph_count: count,
+    avg_paragraph_length: { type: 'number' },
+    avg_sentence_length: { type: 'number' },
+    fk_grade: { type: 'number' },
+    issues: stringList,
+    suggestions: stringList
+  }, ['appropriateness_score']),
+  summaryRelevance: summarySchema('job_alignment', {
+    matched_requirements: stringList,
+    missing_requirements: stringList,
+    relevant_keywords: stringList
+  }, 'weaknesses'),
+  summaryFidelity: objectOf({
+    score: unitScore,
+    fidelity_assessment: objectOf({
+      accurate_claims: stringList,
+      questionable_claims: stringList,
+      unsupported_claims: stringList
+    }),
+    strengths: stringList,
+    concerns: stringList,
+    suggestions: stringList
+  }, ['score']),
+  summaryImpact: objectOf({
+    score: unitScore,
+    impact_analysis: objectOf({
+      strong_elements: stringList,
+      weak_elements: stringList,
+      unique_value_props: stringList,
+      action_words_used: stringList
+    }),
+    strengths: stringList,
+    weaknesses: stringList,
+    suggestions: stringList
+  }, ['score']),
+  summaryKeyword: summarySchema('keyword_analysis', {
+    critical_keywords_found: stringList,
+    critical_keywords_missing: stringList,
+    keyword_density: { type: 'number' },
+    natural_usage: { type: 'boolean' },
+    industry_terms_used: stringList
+  }, 'issues'),
+  summaryConciseness: summarySchema('conciseness_metrics', {
+    word_count: count,
+    sentence_count: count,
+    filler_words: stringList,
+    redundancies: stringList,
+    clarity_issues: stringList
+  }, 'issues'),
+  workExperienceRelevance: workExperienceSchema('well_aligned_experiences', 'gaps'),
+  workExperienceImpact: workExperienceSchema('strong_achievements', 'weak_areas'),
+  workExperienceProgression: workExperienceSchema('progression_highlights', 'concerns'),
+  workExperienceSkills: workExperienceSchema('skills_demonstrated', 'missing_skills'),
+  workExperienceClarityFormat: workExperienceSchema('well_formatted_elements', 'issues')
+};
+
+/**
+ * Wrap a critic prompt function so its result carries the critic's declared output schema
+ * @param {string} name - Critic name (key of OUTPUT_SCHEMAS)
+ * @param {Function} critic - Prompt function returning { systemPrompt, userPrompt }
+ * @returns {Function} Prompt function returning { systemPrompt, userPrompt, outputSchema }
+ */
+const withOutputSchema = (name, critic) => (...args) => ({
+  ...critic(...args),
+  outputSchema: { name, schema: OUTPUT_SCHEMAS[name] }
+});
+
+module.exports = {
+  OUTPUT_SCHEMAS,
+  withOutputSchema
+};
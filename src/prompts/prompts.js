@@ -3,8 +3,12 @@ const { relevanceCritic } = require('./relevance.critic');
 const { languageCritic } = require('./language.critic');
 const { readabilityCritic } = require('./readability.critic');
 const { comparisonCritic } = require('./comparison.critic');
+const { atsCritic } = require('./ats.critic');
+const { biasCritic } = require('./bias.critic');
 const { relatedAccomplishmentsCritic } = require('./relatedAccomplishments.critic');
-const { fidelityCritic } = require('./fidelity.critic');
+const { relatedAccomplishmentsCategoriesCritic, formatAccomplishments } = require('./relatedAccomplishmentsCategories.critic');
+const { fidelityCritic, fidelitySimpleCritic } = require('./fidelity.critic');
+const { fidelityWorkerCritic } = require('./fidelityWorker.critic');
 const { jobFitCritic } = require('./jobFit.critic');
 const { keywordExtractor } = require('./keywordExtractor');
 const { opportunityCritic } = require('./opportunity.critic');
@@ -15,23 +19,50 @@ const { coverLetterFidelityCritic } = require('./fidelity.critic');
 const { coverLetterLanguageCritic } = require('./coverLetterLanguage.critic');
 const { coverLetterRelevanceCritic } = require('./coverLetterRelevance.critic');
 const { coverLetterReadabilityCritic } = require('./coverLetterReadability.critic');
+const { summaryRelevanceCritic } = require('./summaryRelevance.critic');
+const { summaryFidelityCritic } = require('./summaryFidelity.critic');
+const { summaryImpactCritic } = require('./summaryImpact.critic');
+const { summaryKeywordCritic } = require('./summaryKeyword.critic');
+const { summaryConcisenessCritic } = require('./summaryConciseness.critic');
+const { workExperienceRelevanceCritic } = require('./workExperienceRelevance.critic');
+const { workExperienceImpactCritic } = require('./workExperienceImpact.critic');
+const { workExperienceProgressionCritic } = require('./workExperienceProgression.critic');
+const { workExperienceSkillsCritic } = require('./workExperienceSkills.critic');
+const { workExperienceClarityFormatCritic } = require('./workExperienceClarityFormat.critic');
+const { withOutputSchema } = require('./outputSchemas');
 
 module.exports = {
-  keywordCritic,
-  relevanceCritic,
-  languageCritic,
-  readabilityCritic,
-  comparisonCritic,
-  relatedAccomplishmentsCritic,
-  fidelityCritic,
-  jobFitCritic,
+  keywordCritic: withOutputSchema('keyword', keywordCritic),
+  relevanceCritic: withOutputSchema('relevance', relevanceCritic),
+  languageCritic: withOutputSchema('language', languageCritic),
+  readabilityCritic: withOutputSchema('readability', readabilityCritic),
+  comparisonCritic: withOutputSchema('comparison', comparisonCritic),
+  atsCritic: withOutputSchema('ats', atsCritic),
+  biasCritic: withOutputSchema('bias', biasCritic),
+  relatedAccomplishmentsCritic: withOutputSchema('relatedAccomplishments', relatedAccomplishmentsCritic),
+  relatedAccomplishmentsCategoriesCritic: withOutputSchema('relatedAccomplishmentsCategories', relatedAccomplishmentsCategoriesCritic),
+  formatAccomplishments,
+  fidelityCritic: withOutputSchema('fidelity', fidelityCritic),
+  fidelitySimpleCritic: withOutputSchema('fidelitySimple', fidelitySimpleCritic),
+  fidelityWorkerCritic: withOutputSchema('fidelityWorker', fidelityWorkerCritic),
+  jobFitCritic: withOutputSchema('jobFit', jobFitCritic),
   keywordExtractor,
-  opportunityCritic,
-  coverLetterToneCritic,
-  coverLetterPersonalizationCritic,
-  coverLetterOpportunityCritic,
-  coverLetterFidelityCritic,
-  coverLetterLanguageCritic,
-  coverLetterRelevanceCritic,
-  coverLetterReadabilityCritic
+  opportunityCritic: withOutputSchema('opportunity', opportunityCritic),
+  coverLetterToneCritic: withOutputSchema('coverLetterTone', coverLetterToneCritic),
+  coverLetterPersonalizationCritic: withOutputSchema('coverLetterPersonalization', coverLetterPersonalizationCritic),
+  coverLetterOpportunityCritic: withOutputSchema('coverLetterOpportunity', coverLetterOpportunityCritic),
+  coverLetterFidelityCritic: withOutputSchema('coverLetterFidelity', coverLetterFidelityCritic),
+  coverLetterLanguageCritic: withOutputSchema('coverLetterLanguage', coverLetterLanguageCritic),
+  coverLetterRelevanceCritic: withOutputSchema('coverLetterRelevance', coverLetterRelevanceCritic),
+  coverLetterReadabilityCritic: withOutputSchema('coverLetterReadability', coverLetterReadabilityCritic),
+  summaryRelevanceCritic: withOutputSchema('summaryRelevance', summaryRelevanceCritic),
+  summaryFidelityCritic: withOutputSchema('summaryFidelity', summaryFidelityCritic),
+  summaryImpactCritic: withOutputSchema('summaryImpact', summaryImpactCritic),
+  summaryKeywordCritic: withOutputSchema('summaryKeyword', summaryKeywordCritic),
+  summaryConcisenessCritic: withOutputSchema('summaryConciseness', summaryConcisenessCritic),
+  workExperienceRelevanceCritic: withOutputSchema('workExperienceRelevance', workExperienceRelevanceCritic),
+  workExperienceImpactCritic: withOutputSchema('workExperienceImpact', workExperienceImpactCritic),
+  workExperienceProgressionCritic: withOutputSchema('workExperienceProgression', workExperienceProgressionCritic),
+  workExperienceSkillsCritic: withOutputSchema('workExperienceSkills', workExperienceSkillsCritic),
+  workExperienceClarityFormatCritic: withOutputSchema('workExperienceClarityFormat', workExperienceClarityFormatCritic)
 };
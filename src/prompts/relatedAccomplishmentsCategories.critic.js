@@ -0,0 +1,78 @@
+const relatedAccomplishmentsCategoriesCritic = (jobDescription, resume, extra) => {
+  if (!extra || !extra.related_accomplishments) {
+    return {
+      systemPrompt: '',
+      userPrompt: ''
+    };
+  }
+
+  const originalResume = extra.original_resume || resume;
+  const accomplishmentsText = formatAccomplishments(extra.related_accomplishments);
+
+  return {
+    systemPrompt: `You are an expert resume reviewer focused on categorized 'Related Accomplishments' sections.
+
+Categories are numbered from 0 as [Category N]. Evaluate every category on its own:
+1. Alignment: How directly do the category and its accomplishments address the key requirements in the job description?
+2. Impact: Do the accomplishments show measurable results, scope and business value rather than duties?
+3. Fidelity: Is every accomplishment supported by the original resume, without invented metrics, titles or scope?
+
+Then decide what to do with each category for this job:
+- "keep": the category earns its place
+- "drop": the category is weak or irrelevant for this job and takes space from stronger material
+- "merge": the category overlaps another category and reads better combined with it
+
+Score alignment, impact and fidelity from 0.0 to 1.0, where:
+- 1.0 = Exceptional, nothing to improve
+- 0.8 = Strong with minor gaps
+- 0.6 = Adequate but clearly improvable
+- 0.4 = Weak
+- 0.2 = Poor or unsupported
+
+Provide your evaluation in JSON format:
+{
+    "categories": [
+        {
+            "index": <category number>,
+            "category": "<category name exactly as given>",
+            "alignment_score": <float>,
+            "impact_score": <float>,
+            "fidelity_score": <float>,
+            "unsupported_items": ["<accomplishment not backed by the original resume>"],
+            "action": "keep" | "drop" | "merge",
+            "merge_into": "<other category name exactly as given, only when action is merge>",
+            "reason": "<why this action>",
+            "suggestions": ["<improvement 1>", "<improvement 2>"]
+        }
+    ],
+    "overall_suggestions": ["<section-level improvement 1>"]
+}`,
+
+    userPrompt: `Job Description:
+${jobDescription}
+
+Original Resume:
+${originalResume}
+
+Related Accomplishments:
+${accomplishmentsText}
+
+Evaluate each accomplishment category for alignment, impact and fidelity, and decide which categories to keep, drop or merge.`
+  };
+};
+
+// Categories are numbered from 0 in request order, so the critic can key its verdicts by that number
+function formatAccomplishments(accomplishmentsData) {
+  const categories = (typeof accomplishmentsData === 'object' && accomplishmentsData.relatedAccomplishments)
+    ? accomplishmentsData.relatedAccomplishments
+    : accomplishmentsData;
+
+  const textParts = categories.flatMap((entry, index) => [
+    `\n[Category ${index}] ${entry.category || 'Uncategorized'}`,
+    ...(entry.items || []).map(item => `  • ${item}`)
+  ]);
+
+  return textParts.join('\n');
+}
+
+module.exports = { relatedAccomplishmentsCategoriesCritic, formatAccomplishments };
@@ -3,6 +3,7 @@
  * @description Utility functions for prompt management and optimization
  */
 
+const { createHash } = require('crypto');
 const { curry, pipe, reduce, split } = require('ramda');
 const { memoize } = require('../utils/functional');
 const { logger } = require('../utils/logger');
@@ -257,20 +258,18 @@ const mergePromptResponses = curry(responses => {
 });
 
 /**
- * Cache key generator for prompts
+ * Cache key generator for prompts: a SHA-256 fingerprint of the full system and
+ * user prompts plus metadata (provider, model, sampling settings)
  * @param {Object} prompt - Prompt object
  * @returns {string} Cache key
  */
-const generatePromptCacheKey = curry(prompt => {
-  const components = [
-    prompt.system ? prompt.system.slice(0, 50) : '',
-    prompt.user ? prompt.user.slice(0, 50) : '',
-    JSON.stringify(prompt.metadata || {})
-  ];
-
-  // Simple hash - in production, use crypto
-  return components.join('|').replace(/\s+/g, '_').slice(0, 100);
-});
+const generatePromptCacheKey = curry(prompt => createHash('sha256')
+  .update(JSON.stringify([
+    prompt.system || '',
+    prompt.user || '',
+    prompt.metadata || {}
+  ]))
+  .digest('hex'));
 
 /**
  * Memoized utility functions
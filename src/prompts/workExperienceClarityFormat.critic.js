@@ -1,3 +1,5 @@
+const { formatWorkExperience, ROLE_FEEDBACK_FORMAT, ROLE_FEEDBACK_INSTRUCTIONS } = require('./workExperienceFormat');
+
 const workExperienceClarityFormatCritic = (jobDescription, resume, extra) => {
   if (!extra || !extra.work_experience) {
     return {
@@ -32,8 +34,11 @@ Provide your evaluation in JSON format:
     "reasoning": "<explanation>",
     "well_formatted_elements": ["<element 1>", "<element 2>"],
     "issues": ["<issue 1>", "<issue 2>"],
-    "suggestions": ["<improvement 1>", "<improvement 2>"]
-}`,
+    "suggestions": ["<improvement 1>", "<improvement 2>"],
+    ${ROLE_FEEDBACK_FORMAT}
+}
+
+${ROLE_FEEDBACK_INSTRUCTIONS}`,
 
     userPrompt: `Work Experience:
 ${experienceText}
@@ -42,18 +47,4 @@ Evaluate the clarity and formatting of this work experience section.`
   };
 };
 
-function formatWorkExperience(experienceData) {
-  const experiences = (typeof experienceData === 'object' && experienceData.experiences)
-    ? experienceData.experiences
-    : experienceData;
-
-  const textParts = experiences.flatMap(exp => [
-    `\n${exp.title || 'Unknown Title'} - ${exp.company || 'Unknown Company'}`,
-    `${exp.dates || 'No dates provided'}`,
-    ...(exp.responsibilities || []).map(resp => `  • ${resp}`)
-  ]);
-
-  return textParts.join('\n');
-}
-
 module.exports = { workExperienceClarityFormatCritic };
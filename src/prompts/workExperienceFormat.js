@@ -0,0 +1,40 @@
+// Shared by the work experience critics: how roles are shown to the model and how it reports on each one
+
+/**
+ * Format work experience for a critic prompt. Roles are numbered from 0 in request order,
+ * so the critic can key its per-role findings by that number.
+ * @param {Array|Object} experienceData - Roles, or { experiences: [...] }
+ * @returns {string} Work experience text
+ */
+const formatWorkExperience = experienceData => {
+  const experiences = (typeof experienceData === 'object' && experienceData.experiences)
+    ? experienceData.experiences
+    : experienceData;
+
+  const textParts = experiences.flatMap((exp, index) => [
+    `\n[Role ${index}] ${exp.title || 'Unknown Title'} - ${exp.company || 'Unknown Company'}`,
+    `${exp.dates || 'No dates provided'}`,
+    ...(exp.responsibilities || []).map(resp => `  • ${resp}`)
+  ]);
+
+  return textParts.join('\n');
+};
+
+// JSON field each work experience critic adds to its response format
+const ROLE_FEEDBACK_FORMAT = `"roles": [
+        {
+            "index": <role number>,
+            "strengths": ["<strength in this role>"],
+            "issues": ["<issue in this role>"],
+            "suggestions": ["<improvement for this role>"]
+        }
+    ]`;
+
+const ROLE_FEEDBACK_INSTRUCTIONS = `Under "roles", give one entry per role with "index" set to the number shown as [Role N],
+listing only the findings about that role. Use empty lists for a role with nothing to report.`;
+
+module.exports = {
+  formatWorkExperience,
+  ROLE_FEEDBACK_FORMAT,
+  ROLE_FEEDBACK_INSTRUCTIONS
+};
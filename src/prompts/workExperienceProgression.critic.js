@@ -1,3 +1,5 @@
+const { formatWorkExperience, ROLE_FEEDBACK_FORMAT, ROLE_FEEDBACK_INSTRUCTIONS } = require('./workExperienceFormat');
+
 const workExperienceProgressionCritic = (jobDescription, resume, extra) => {
   if (!extra || !extra.work_experience) {
     return {
@@ -32,8 +34,11 @@ Provide your evaluation in JSON format:
     "reasoning": "<explanation>",
     "progression_highlights": ["<highlight 1>", "<highlight 2>"],
     "concerns": ["<concern 1>", "<concern 2>"],
-    "suggestions": ["<improvement 1>", "<improvement 2>"]
-}`,
+    "suggestions": ["<improvement 1>", "<improvement 2>"],
+    ${ROLE_FEEDBACK_FORMAT}
+}
+
+${ROLE_FEEDBACK_INSTRUCTIONS}`,
 
     userPrompt: `Job Description:
 ${jobDescription}
@@ -45,18 +50,4 @@ Evaluate the career progression demonstrated in this work experience.`
   };
 };
 
-function formatWorkExperience(experienceData) {
-  const experiences = (typeof experienceData === 'object' && experienceData.experiences)
-    ? experienceData.experiences
-    : experienceData;
-
-  const textParts = experiences.flatMap(exp => [
-    `\n${exp.title || 'Unknown Title'} - ${exp.company || 'Unknown Company'}`,
-    `${exp.dates || 'No dates provided'}`,
-    ...(exp.responsibilities || []).map(resp => `  • ${resp}`)
-  ]);
-
-  return textParts.join('\n');
-}
-
 module.exports = { workExperienceProgressionCritic };
@@ -1,3 +1,5 @@
+const { formatWorkExperience, ROLE_FEEDBACK_FORMAT, ROLE_FEEDBACK_INSTRUCTIONS } = require('./workExperienceFormat');
+
 const workExperienceRelevanceCritic = (jobDescription, resume, extra) => {
   if (!extra || !extra.work_experience) {
     return {
@@ -34,8 +36,11 @@ Provide your evaluation in JSON format:
     "reasoning": "<explanation>",
     "well_aligned_experiences": ["<company1 - role1>", "<company2 - role2>"],
     "gaps": ["<missing experience 1>", "<missing experience 2>"],
-    "suggestions": ["<improvement 1>", "<improvement 2>"]
-}`,
+    "suggestions": ["<improvement 1>", "<improvement 2>"],
+    ${ROLE_FEEDBACK_FORMAT}
+}
+
+${ROLE_FEEDBACK_INSTRUCTIONS}`,
 
     userPrompt: `Job Description:
 ${jobDescription}
@@ -47,18 +52,4 @@ Evaluate the relevance of this work experience to the job requirements.`
   };
 };
 
-function formatWorkExperience(experienceData) {
-  const experiences = (typeof experienceData === 'object' && experienceData.experiences)
-    ? experienceData.experiences
-    : experienceData;
-
-  const textParts = experiences.flatMap(exp => [
-    `\n${exp.title || 'Unknown Title'} - ${exp.company || 'Unknown Company'}`,
-    `${exp.dates || 'No dates provided'}`,
-    ...(exp.responsibilities || []).map(resp => `  • ${resp}`)
-  ]);
-
-  return textParts.join('\n');
-}
-
 module.exports = { workExperienceRelevanceCritic };
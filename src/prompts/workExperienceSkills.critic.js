@@ -1,3 +1,5 @@
+const { formatWorkExperience, ROLE_FEEDBACK_FORMAT, ROLE_FEEDBACK_INSTRUCTIONS } = require('./workExperienceFormat');
+
 const workExperienceSkillsCritic = (jobDescription, resume, extra) => {
   if (!extra || !extra.work_experience) {
     return {
@@ -33,8 +35,11 @@ Provide your evaluation in JSON format:
     "reasoning": "<explanation>",
     "skills_demonstrated": ["<skill1>", "<skill2>"],
     "missing_skills": ["<skill1>", "<skill2>"],
-    "suggestions": ["<improvement 1>", "<improvement 2>"]
-}`,
+    "suggestions": ["<improvement 1>", "<improvement 2>"],
+    ${ROLE_FEEDBACK_FORMAT}
+}
+
+${ROLE_FEEDBACK_INSTRUCTIONS}`,
 
     userPrompt: `Job Description:
 ${jobDescription}
@@ -48,18 +53,4 @@ Evaluate how well this work experience demonstrates the required skills.`
   };
 };
 
-function formatWorkExperience(experienceData) {
-  const experiences = (typeof experienceData === 'object' && experienceData.experiences)
-    ? experienceData.experiences
-    : experienceData;
-
-  const textParts = experiences.flatMap(exp => [
-    `\n${exp.title || 'Unknown Title'} - ${exp.company || 'Unknown Company'}`,
-    `${exp.dates || 'No dates provided'}`,
-    ...(exp.responsibilities || []).map(resp => `  • ${resp}`)
-  ]);
-
-  return textParts.join('\n');
-}
-
 module.exports = { workExperienceSkillsCritic };
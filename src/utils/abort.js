@@ -0,0 +1,82 @@
+const { setMaxListeners } = require('events');
+const { DeadlineExceededError, ClientClosedRequestError } = require('./errors');
+const { logger } = require('./logger');
+
+/**
+ * Throw the signal's reason if it has been aborted
+ * @param {AbortSignal} signal - Signal, may be undefined
+ */
+const throwIfAborted = signal => {
+  if (signal?.aborted) {
+    throw signal.reason || new Error('The operation was aborted');
+  }
+};
+
+/**
+ * Sleep for specified milliseconds, waking early with the signal's reason if it is aborted
+ * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} signal - Signal, may be undefined
+ * @returns {Promise} Sleep promise
+ */
+const abortableSleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const pending = { timer: null };
+  const onAbort = () => {
+    clearTimeout(pending.timer);
+    reject(signal.reason);
+  };
+  Object.assign(pending, {
+    timer: setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms)
+  });
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Create the AbortSignal for one API request. It aborts with ClientClosedRequestError when the
+ * client disconnects before the response is sent, and with DeadlineExceededError once
+ * `timeoutMs` has passed. Call dispose() when the request is done.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} timeoutMs - Request deadline in ms; no deadline when falsy
+ * @returns {Object} { signal, dispose }
+ */
+const createRequestSignal = (req, res, timeoutMs) => {
+  const controller = new AbortController();
+  // Every critic call, retry wait and SDK request of the API request listens on this one signal
+  setMaxListeners(0, controller.signal);
+
+  const onClose = () => {
+    if (!res.writableFinished && !controller.signal.aborted) {
+      logger.warn('Request: Client disconnected, cancelling LLM calls', { method: req.method, url: req.originalUrl });
+      controller.abort(new ClientClosedRequestError());
+    }
+  };
+  res.on('close', onClose);
+
+  const timer = timeoutMs
+    ? setTimeout(() => {
+      logger.warn('Request: Deadline passed, cancelling LLM calls', { method: req.method, url: req.originalUrl, timeoutMs });
+      controller.abort(new DeadlineExceededError(timeoutMs));
+    }, timeoutMs)
+    : null;
+
+  return {
+    signal: controller.signal,
+    dispose: () => {
+      clearTimeout(timer);
+      res.removeListener('close', onClose);
+    }
+  };
+};
+
+module.exports = {
+  throwIfAborted,
+  abortableSleep,
+  createRequestSignal
+};
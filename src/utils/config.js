@@ -8,6 +8,9 @@ const { ConfigurationError } = require('./errors');
 // eslint-disable-next-line fp/no-let
 let configCache = null;
 
+// Cache for the files the configuration was merged from, lowest precedence first
+const layers = { cache: null };
+
 const loadYamlFile = filePath => {
   try {
     const fileContents = fs.readFileSync(filePath, 'utf8');
@@ -20,11 +23,7 @@ const loadYamlFile = filePath => {
   }
 };
 
-const loadConfiguration = () => {
-  if (configCache) {
-    return configCache;
-  }
-
+const readConfigLayers = () => {
   const env = process.env.NODE_ENV || 'development';
 
   // Check if custom config file is specified via environment variable
@@ -40,18 +39,33 @@ const loadConfiguration = () => {
       throw new ConfigurationError(`Custom config file not found: ${absolutePath}`);
     }
 
-    // eslint-disable-next-line fp/no-mutation
-    configCache = loadYamlFile(absolutePath);
-  } else {
-    // Load configuration from config folder
-    const configDir = path.join(__dirname, '../../config');
-    const defaultConfig = loadYamlFile(path.join(configDir, 'default.yaml'));
-    const envConfig = loadYamlFile(path.join(configDir, `${env}.yaml`));
-
-    // Merge configurations (env config overrides default)
-    // eslint-disable-next-line fp/no-mutation
-    configCache = mergeDeepRight(defaultConfig, envConfig);
+    return [{ file: absolutePath, config: loadYamlFile(absolutePath) || {} }];
+  }
+
+  // Load configuration from config folder (env config overrides default)
+  const configDir = path.join(__dirname, '../../config');
+  return [
+    path.join(configDir, 'default.yaml'),
+    path.join(configDir, `${env}.yaml`)
+  ]
+    .filter(file => fs.existsSync(file))
+    .map(file => ({ file, config: loadYamlFile(file) || {} }));
+};
+
+const loadConfigLayers = () => {
+  if (!layers.cache) {
+    Object.assign(layers, { cache: readConfigLayers() });
   }
+  return layers.cache;
+};
+
+const loadConfiguration = () => {
+  if (configCache) {
+    return configCache;
+  }
+
+  // eslint-disable-next-line fp/no-mutation
+  configCache = loadConfigLayers().reduce((merged, layer) => mergeDeepRight(merged, layer.config), {});
 
   return configCache;
 };
@@ -137,8 +151,15 @@ const isTest = () => getEnvironment() === 'test';
 const clearConfigCache = () => {
   // eslint-disable-next-line fp/no-mutation
   configCache = null;
+  Object.assign(layers, { cache: null });
 };
 
+// Files the configuration was merged from, lowest precedence first
+const getConfigLayers = () => loadConfigLayers();
+
+// Full merged configuration
+const getConfigSnapshot = () => loadConfiguration();
+
 module.exports = {
   getConfig,
   hasConfig,
@@ -147,5 +168,7 @@ module.exports = {
   isDevelopment,
   isProduction,
   isTest,
-  clearConfigCache
+  clearConfigCache,
+  getConfigLayers,
+  getConfigSnapshot
 };
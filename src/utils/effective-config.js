@@ -0,0 +1,174 @@
+const path = require('path');
+const { getConfigLayers, getConfigSnapshot, getEnvironment } = require('./config');
+const { getProviderRegistry } = require('../llm/registry');
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never returned, wherever they appear in the config tree
+const SECRET_KEY_PATTERN = /(api[_-]?key|secret|token|password|authorization|credentials?)$/i;
+
+// Provider API keys are read from the environment variables the registered providers declare
+const getSecretEnvVars = () => getProviderRegistry().list()
+  .filter(definition => definition.credentials.apiKeyEnv)
+  .reduce((acc, definition) => ({ ...acc, [`llm.${definition.name}.apiKey`]: definition.credentials.apiKeyEnv }), {});
+
+const parseBooleanEnv = value => value === 'true';
+
+/*
+ * Settings resolved the same way the code that uses them resolves them:
+ * - `env` with `envMode: 'override'` wins over the config files (LOG_LEVEL)
+ * - `env` with `envMode: 'enable'` can only turn a flag on (USE_MOCK_LLM)
+ * - `env` with `envMode: 'only'` is never read from the config files (OLLAMA_BASE_URL)
+ * - `fallback` is the default hard-coded where the setting is read
+ */
+const SETTINGS = [
+  { key: 'evaluation.threshold', fallback: 0.75 },
+  { key: 'evaluation.executionMode', fallback: 'per_critic' },
+  { key: 'evaluation.ensemble.samples', fallback: 3 },
+  { key: 'evaluation.ensemble.aggregate', fallback: 'mean' },
+  { key: 'evaluation.ensemble.confidence', fallback: 0.95 },
+  { key: 'evaluation.ensemble.useLowerBound', fallback: false },
+  { key: 'fidelity.threshold', fallback: 0.9 },
+  { key: 'llm.provider', fallback: 'openai' },
+  { key: 'llm.model', fallback: 'gpt-4o-mini' },
+  { key: 'llm.temperature', fallback: 0.7 },
+  { key: 'llm.top_p', fallback: null },
+  { key: 'llm.cache.enabled', fallback: false },
+  { key: 'llm.cache.storage', fallback: 'memory' },
+  { key: 'llm.fallbacks', fallback: [] },
+  { key: 'llm.concurrency.default', fallback: 8 },
+  { key: 'llm.adaptiveConcurrency', fallback: true },
+  { key: 'llm.circuitBreaker.enabled', fallback: true },
+  { key: 'llm.circuitBreaker.failureThreshold', fallback: 5 },
+  { key: 'llm.circuitBreaker.resetTimeoutMs', fallback: 30000 },
+  { key: 'llm.structuredOutput', fallback: true },
+  { key: 'llm.repair.maxAttempts', fallback: 2 },
+  { key: 'llm.useMock', env: 'USE_MOCK_LLM', envMode: 'enable', fallback: false },
+  { key: 'llm.mock.scenarioHeader', fallback: false },
+  { key: 'llm.cassette.mode', env: 'LLM_CASSETTE', envMode: 'override', fallback: 'off' },
+  { key: 'llm.cassette.directory', env: 'LLM_CASSETTE_DIR', envMode: 'override', fallback: './data/cassettes' },
+  { key: 'llm.ollama.baseURL', env: 'OLLAMA_BASE_URL', envMode: 'only', fallback: 'http://localhost:11434' },
+  { key: 'logging.level', env: 'LOG_LEVEL', envMode: 'override', fallback: 'info' },
+  { key: 'server.port', fallback: 8000 },
+  { key: 'server.bodyLimit', fallback: '2mb' },
+  { key: 'upload.maxFileSize', fallback: 5242880 },
+  { key: 'upload.tempDir', fallback: null },
+  { key: 'audit.enabled', fallback: false },
+  { key: 'audit.storage', fallback: 'memory' },
+  { key: 'audit.retentionDays', fallback: 30 },
+  { key: 'version', fallback: '0.22.0' }
+];
+
+// Per-request defaults applied by the evaluation handlers when the body omits them
+const REQUEST_DEFAULTS = {
+  process_markdown: true,
+  max_workers: 6
+};
+
+const readPath = (object, keyPath) => keyPath.split('.').reduce(
+  (value, key) => (value && typeof value === 'object' && key in value ? value[key] : undefined),
+  object
+);
+
+const describeFile = file => `file:${path.relative(process.cwd(), file) || file}`;
+
+/**
+ * Find the value a config key resolves to in the YAML files and which file set it
+ * @param {Array<Object>} layers - Config layers, lowest precedence first
+ * @param {string} key - Dot-separated config key
+ * @returns {Object|null} Value and source, or null when no file sets it
+ */
+const resolveFromFiles = (layers, key) => {
+  const layer = [...layers].reverse().find(entry => readPath(entry.config, key) !== undefined);
+  return layer ? { value: readPath(layer.config, key), source: describeFile(layer.file) } : null;
+};
+
+/**
+ * Resolve a setting to its effective value and source
+ * @param {Array<Object>} layers - Config layers, lowest precedence first
+ * @param {Object} setting - Setting definition
+ * @param {Object} env - Environment variables
+ * @returns {Object} Value and source
+ */
+const resolveSetting = (layers, setting, env = process.env) => {
+  const fromFiles = resolveFromFiles(layers, setting.key);
+  const envValue = setting.env ? env[setting.env] : undefined;
+  const fromEnv = envValue !== undefined && envValue !== ''
+    ? { value: setting.envMode === 'enable' ? parseBooleanEnv(envValue) : envValue, source: `env:${setting.env}` }
+    : null;
+  const fromDefault = { value: setting.fallback, source: 'default' };
+
+  switch (setting.envMode) {
+    case 'override':
+      return fromEnv || fromFiles || fromDefault;
+    case 'enable':
+      return fromEnv?.value === true ? fromEnv : fromFiles || fromDefault;
+    case 'only':
+      return fromEnv || fromDefault;
+    default:
+      return fromFiles || fromDefault;
+  }
+};
+
+/**
+ * Replace secret values anywhere in a config tree
+ * @param {*} value - Config value
+ * @returns {*} Value with secrets redacted
+ */
+const redactSecrets = value => {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((acc, key) => ({
+      ...acc,
+      [key]: SECRET_KEY_PATTERN.test(key) && value[key] !== null && value[key] !== undefined
+        ? REDACTED
+        : redactSecrets(value[key])
+    }), {});
+  }
+  return value;
+};
+
+/**
+ * Resolve the effective runtime configuration
+ * @param {Object} env - Environment variables
+ * @returns {Object} Settings with sources, secrets status, loaded files and the redacted merged config
+ */
+const resolveEffectiveConfig = (env = process.env) => {
+  const layers = getConfigLayers();
+
+  const settings = SETTINGS.reduce((acc, setting) => ({
+    ...acc,
+    [setting.key]: resolveSetting(layers, setting, env)
+  }), {});
+
+  const requestDefaults = Object.entries(REQUEST_DEFAULTS).reduce((acc, [key, value]) => ({
+    ...acc,
+    [key]: { value, source: 'default' }
+  }), {});
+
+  const secrets = Object.entries(getSecretEnvVars()).reduce((acc, [key, envVar]) => ({
+    ...acc,
+    [key]: env[envVar]
+      ? { value: REDACTED, source: `env:${envVar}` }
+      : { value: null, source: 'unset' }
+  }), {});
+
+  return {
+    environment: getEnvironment(),
+    configFiles: layers.map(layer => describeFile(layer.file).replace(/^file:/, '')),
+    configFileOverride: env.CONFIG_FILE_PATH ? 'env:CONFIG_FILE_PATH' : null,
+    settings,
+    requestDefaults,
+    secrets,
+    config: redactSecrets(getConfigSnapshot())
+  };
+};
+
+module.exports = {
+  resolveEffectiveConfig,
+  resolveSetting,
+  redactSecrets,
+  REDACTED
+};
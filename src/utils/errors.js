@@ -57,7 +57,9 @@ class LLMProviderError extends LLMError {
       return true;
     }
 
-    if (this.response?.status && RETRYABLE_STATUS_CODES.includes(this.response.status)) {
+    // axios-style errors carry the status on response; OpenAI SDK and fetch errors carry it on the error
+    const status = this.response?.status || this.originalError?.status;
+    if (status && RETRYABLE_STATUS_CODES.includes(status)) {
       return true;
     }
 
@@ -74,6 +76,44 @@ class LLMProviderError extends LLMError {
   }
 }
 
+class CircuitOpenError extends LLMError {
+  constructor(provider, retryAt) {
+    super(`Circuit breaker is open for provider ${provider}`, provider);
+    this.statusCode = 503;
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAt = retryAt;
+    this.isRetryable = false;
+  }
+}
+
+class CassetteMissError extends LLMError {
+  constructor(provider, key, label = null) {
+    super(
+      `No cassette recording for ${label ? `${label} call` : 'call'} to ${provider} (key ${key}). `
+        + 'Record it with LLM_CASSETTE=record against the real provider.',
+      provider
+    );
+    this.code = 'CASSETTE_MISS';
+    this.key = key;
+    this.isRetryable = false;
+  }
+}
+
+class DeadlineExceededError extends AppError {
+  constructor(timeoutMs, partial = null) {
+    super(`Request did not finish within timeout_ms (${timeoutMs} ms)`, 504, 'DEADLINE_EXCEEDED');
+    this.timeoutMs = timeoutMs;
+    this.partial = partial;
+  }
+}
+
+class ClientClosedRequestError extends AppError {
+  constructor(partial = null) {
+    super('Client closed the connection before the request finished', 499, 'CLIENT_CLOSED_REQUEST');
+    this.partial = partial;
+  }
+}
+
 class ConfigurationError extends AppError {
   constructor(message) {
     super(message, 500, 'CONFIGURATION_ERROR');
@@ -85,6 +125,7 @@ const errorSerializer = error => ({
   message: error.message,
   statusCode: error.statusCode || 500,
   ...(error.errors && { errors: error.errors }),
+  ...(error.partial && { partial: error.partial }),
   ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
 });
 
@@ -98,6 +139,10 @@ module.exports = {
   NotFoundError,
   LLMError,
   LLMProviderError,
+  CircuitOpenError,
+  CassetteMissError,
+  DeadlineExceededError,
+  ClientClosedRequestError,
   ConfigurationError,
   errorSerializer,
   asyncHandler
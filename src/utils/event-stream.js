@@ -0,0 +1,84 @@
+const { errorSerializer } = require('./errors');
+const { logger } = require('./logger');
+
+/**
+ * Check whether the client asked for Server-Sent Events (Accept header or ?stream=true)
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the response should be streamed
+ */
+const wantsEventStream = req => req.query?.stream === 'true'
+  || (req.get('accept') || '').includes('text/event-stream');
+
+/**
+ * Format one Server-Sent Event
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload, sent as JSON
+ * @param {number} id - Event id
+ * @returns {string} Wire format
+ */
+const formatEvent = (event, data, id) => `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Start a Server-Sent Events response. The final `result` payload is kept in
+ * res.locals.responseBody so the audit trail records it like a JSON response.
+ * @param {Object} res - Express response
+ * @returns {Object} Stream with send, fail and close
+ */
+const createEventStream = res => {
+  const state = { nextId: 1, closed: false };
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    Object.assign(state, { closed: true });
+  });
+
+  const send = (event, data) => {
+    if (state.closed || res.writableEnded) {
+      return false;
+    }
+    if (event === 'result') {
+      Object.assign(res.locals, { responseBody: data });
+    }
+    res.write(formatEvent(event, data, state.nextId));
+    Object.assign(state, { nextId: state.nextId + 1 });
+    // compression() buffers writes until flushed
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+    return true;
+  };
+
+  return {
+    send,
+
+    // Headers are already sent, so errors go out as an event instead of through the error handler
+    fail: error => {
+      logger.error('Event stream failed', { error: error.message });
+      // The client already has a 200; the real status is kept for the audit trail and logs
+      res.status(error.statusCode || 500);
+      return send('error', { error: errorSerializer(error) });
+    },
+
+    close: () => {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    },
+
+    isClosed: () => state.closed
+  };
+};
+
+module.exports = {
+  wantsEventStream,
+  createEventStream,
+  formatEvent
+};
@@ -0,0 +1,103 @@
+// Two-sided Student t critical values by confidence level, indexed by degrees of freedom - 1.
+// Ensembles run at most 10 evaluations, so 9 degrees of freedom is the most needed.
+const T_CRITICAL_VALUES = {
+  0.8: [3.078, 1.886, 1.638, 1.533, 1.476, 1.44, 1.415, 1.397, 1.383],
+  0.9: [6.314, 2.92, 2.353, 2.132, 2.015, 1.943, 1.895, 1.86, 1.833],
+  0.95: [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262],
+  0.99: [63.657, 9.925, 5.841, 4.604, 4.032, 3.707, 3.499, 3.355, 3.25]
+};
+
+// Normal critical values, used past the end of the t table
+const Z_CRITICAL_VALUES = { 0.8: 1.282, 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+
+const CONFIDENCE_LEVELS = Object.keys(T_CRITICAL_VALUES).map(Number);
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Mean, null when there are no values
+ */
+const mean = values => (values.length > 0
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : null);
+
+/**
+ * Median; the mean of the middle two values for an even count
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Median, null when there are no values
+ */
+const median = values => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Sample standard deviation (n - 1)
+ * @param {Array<number>} values - Values
+ * @returns {number} Standard deviation, 0 for fewer than two values
+ */
+const standardDeviation = values => {
+  if (values.length < 2) {
+    return 0;
+  }
+  const average = mean(values);
+  const squares = values.reduce((sum, value) => sum + (value - average) ** 2, 0);
+  return Math.sqrt(squares / (values.length - 1));
+};
+
+/**
+ * Critical value for a two-sided interval
+ * @param {number} confidence - Confidence level (0.8, 0.9, 0.95 or 0.99)
+ * @param {number} degreesOfFreedom - Sample size - 1
+ * @returns {number} t critical value, or the normal one past the end of the table
+ */
+const criticalValue = (confidence, degreesOfFreedom) => {
+  const table = T_CRITICAL_VALUES[confidence];
+  if (!table) {
+    throw new Error(`Unsupported confidence level: ${confidence}`);
+  }
+  return table[degreesOfFreedom - 1] || Z_CRITICAL_VALUES[confidence];
+};
+
+/**
+ * Summarize repeated measurements of one score: the aggregate plus its spread and a t confidence
+ * interval around the aggregate, clamped to [0, 1]
+ * @param {Array<number>} values - Scores from each sample
+ * @param {Object} options - `aggregate` ('mean' or 'median') and `confidence` level
+ * @returns {Object|null} { value, mean, median, std_dev, min, max, samples, lower, upper }, null without values
+ */
+const summarizeSamples = (values, { aggregate = 'mean', confidence = 0.95 } = {}) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const value = aggregate === 'median' ? median(values) : mean(values);
+  const stdDev = standardDeviation(values);
+  const margin = values.length > 1 ? criticalValue(confidence, values.length - 1) * (stdDev / Math.sqrt(values.length)) : 0;
+
+  return {
+    value: round(value),
+    mean: round(mean(values)),
+    median: round(median(values)),
+    std_dev: round(stdDev),
+    min: round(Math.min(...values)),
+    max: round(Math.max(...values)),
+    samples: values.length,
+    lower: round(Math.max(0, value - margin)),
+    upper: round(Math.min(1, value + margin))
+  };
+};
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  mean,
+  median,
+  standardDeviation,
+  criticalValue,
+  summarizeSamples
+};
@@ -0,0 +1,8 @@
+// Provider module used by the registry tests to stand in for an external npm package
+module.exports = {
+  providerDefinition: {
+    name: 'echo-module',
+    capabilities: { jsonMode: false, contextWindow: 2048 },
+    create: config => ({ name: 'echo-module', model: config.model || 'echo-1', complete: async options => options.user })
+  }
+};
@@ -36,6 +36,15 @@ describe('App Integration Tests', () => {
         checks: expect.any(Object)
       });
     });
+
+    it('should report LLM provider breaker state when ready', async () => {
+      const response = await request(app)
+        .get('/ready')
+        .expect(200);
+
+      expect(response.body.checks.llm_providers).toBe(true);
+      expect(response.body.providers).toEqual(expect.any(Object));
+    });
   });
 
   describe('API versioning', () => {
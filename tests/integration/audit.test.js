@@ -0,0 +1,211 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+const { setAuditStore } = require('../../src/audit/store');
+const { createMemoryAuditStore } = require('../../src/audit/stores/memory');
+
+jest.mock('../../src/utils/config');
+
+describe('Audit endpoints', () => {
+  let app;
+  let store;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'audit.enabled': true,
+        'audit.retentionDays': 30,
+        'evaluation.threshold': 0.75,
+        'fidelity.threshold': 0.9,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7
+      };
+      return configs[key] || defaultValue;
+    });
+
+    store = setAuditStore(createMemoryAuditStore({ retentionDays: 30 }));
+    app = createApp();
+  });
+
+  afterEach(() => {
+    setAuditStore(null);
+    jest.clearAllMocks();
+  });
+
+  const jobDescription = 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.';
+  const originalResume = 'Jane Roe\nSoftware Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led team of 3 developers.';
+  const tailoredResume = 'Jane Roe\nSenior Software Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led a team of 12 engineers to cut infrastructure costs by 40%.';
+
+  // Entries are written when the response finishes, which can land just after supertest resolves
+  const flush = () => new Promise(resolve => {
+    setImmediate(resolve);
+  });
+
+  const runFidelityCheck = async (headers = {}) => {
+    await request(app)
+      .post('/evaluate/fidelity')
+      .set(headers)
+      .send({ job_description: jobDescription, original_resume: originalResume, tailored_resume: tailoredResume })
+      .expect(200);
+    await flush();
+  };
+
+  describe('recording', () => {
+    it('should record scores, provider and an inputs hash for each evaluation', async () => {
+      await runFidelityCheck({ 'X-User-Id': 'recruiter-7', 'X-Audit-Tags': 'pilot, fintech' });
+
+      const [entry] = await store.list();
+      expect(entry).toMatchObject({
+        event_type: 'fidelity_check',
+        endpoint: '/evaluate/fidelity',
+        method: 'POST',
+        response_status: 200,
+        overall_score: 0.8,
+        pass_status: false,
+        llm_provider: 'mock',
+        error_occurred: false,
+        user_identifier: 'recruiter-7',
+        tags: ['pilot', 'fintech']
+      });
+      expect(entry.inputs_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(entry.total_execution_time_ms).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should give identical inputs the same hash regardless of LLM settings', async () => {
+      await runFidelityCheck();
+      await request(app)
+        .post('/evaluate/fidelity')
+        .send({
+          tailored_resume: tailoredResume,
+          original_resume: originalResume,
+          job_description: jobDescription,
+          temperature: 0.2
+        })
+        .expect(200);
+      await flush();
+
+      const [first, second] = await store.list();
+      expect(first.inputs_hash).toBe(second.inputs_hash);
+    });
+
+    it('should record the evaluation settings a request set', async () => {
+      const settings = {
+        temperature: 0.2,
+        cache: false,
+        providers: [{ provider: 'mock' }],
+        timeout_ms: 60000,
+        execution_mode: 'per_critic',
+        ensemble: { samples: 2 }
+      };
+      await request(app)
+        .post('/v2/evaluate')
+        .send({ job_description: jobDescription, resume: tailoredResume, ...settings })
+        .expect(200);
+      await flush();
+
+      const [entry] = await store.list();
+      expect(entry.settings).toEqual(settings);
+    });
+
+    it('should record failed requests', async () => {
+      await request(app).post('/evaluate/fidelity').send({ original_resume: originalResume }).expect(400);
+      await flush();
+
+      const [entry] = await store.list();
+      expect(entry).toMatchObject({
+        response_status: 400,
+        error_occurred: true,
+        error_code: 'VALIDATION_ERROR',
+        error_message: 'Validation failed'
+      });
+    });
+  });
+
+  describe('GET /audit/logs', () => {
+    it('should filter and paginate entries', async () => {
+      await runFidelityCheck({ 'X-Session-Id': 'abc' });
+      await runFidelityCheck();
+      await request(app).post('/evaluate/fidelity').send({}).expect(400);
+      await flush();
+
+      const failed = await request(app).get('/audit/logs?error_occurred=true').expect(200);
+      expect(failed.body).toHaveLength(1);
+
+      const page = await request(app).get('/audit/logs?error_occurred=false&limit=1&offset=1').expect(200);
+      expect(page.headers['x-total-count']).toBe('2');
+      expect(page.body).toHaveLength(1);
+
+      const session = await request(app).get('/audit/logs?session_id=abc').expect(200);
+      expect(session.body[0].session_id).toBe('abc');
+    });
+
+    it('should reject an unknown event type', async () => {
+      const response = await request(app).get('/audit/logs?event_type=unknown').expect(400);
+      expect(response.body.error.errors[0].message).toBe('Invalid event type');
+    });
+  });
+
+  describe('GET /audit/logs/:audit_id', () => {
+    it('should return one entry or 404', async () => {
+      await runFidelityCheck();
+      const [entry] = await store.list();
+
+      const found = await request(app).get(`/audit/logs/${entry.audit_id}`).expect(200);
+      expect(found.body.audit_id).toBe(entry.audit_id);
+
+      await request(app).get('/audit/logs/00000000-0000-4000-8000-000000000000').expect(404);
+    });
+  });
+
+  describe('GET /audit/stats', () => {
+    it('should summarize recorded requests', async () => {
+      await runFidelityCheck();
+      await request(app).post('/evaluate/fidelity').send({}).expect(400);
+      await flush();
+
+      const response = await request(app).get('/audit/stats').expect(200);
+      expect(response.body).toMatchObject({
+        total_requests: 2,
+        successful_requests: 1,
+        failed_requests: 1,
+        average_score: 0.8,
+        pass_rate: 0,
+        requests_by_type: { fidelity_check: 2 },
+        top_error_messages: [{ message: 'Validation failed', count: 1 }]
+      });
+    });
+  });
+
+  describe('GET /audit/export', () => {
+    it('should export JSON and CSV', async () => {
+      await runFidelityCheck({ 'X-Audit-Tags': 'a,b' });
+
+      const json = await request(app).get('/audit/export').expect(200);
+      expect(json.body.count).toBe(1);
+
+      const csv = await request(app).get('/audit/export?format=csv').expect(200);
+      expect(csv.headers['content-type']).toMatch(/text\/csv/);
+      const [header, row] = csv.text.split('\n');
+      expect(header.split(',')[0]).toBe('audit_id');
+      expect(row).toContain('fidelity_check');
+      expect(row.endsWith('a;b')).toBe(true);
+    });
+  });
+
+  describe('POST /audit/cleanup', () => {
+    it('should delete entries older than days_to_keep', async () => {
+      await store.save({
+        audit_id: 'old',
+        event_type: 'evaluation',
+        request_timestamp: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString()
+      });
+      await runFidelityCheck();
+
+      const response = await request(app).post('/audit/cleanup?days_to_keep=5').expect(200);
+      expect(response.body).toMatchObject({ days_kept: 5, deleted_count: 1 });
+      expect(await store.list()).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+const { setResponseCache } = require('../../src/llm/cache');
+const { createMemoryCacheStore } = require('../../src/llm/cache/stores/memory');
+
+jest.mock('../../src/utils/config');
+
+describe('Response cache on /v2/evaluate', () => {
+  let app;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7,
+        'llm.cache.enabled': true
+      };
+      return configs[key] !== undefined ? configs[key] : defaultValue;
+    });
+
+    setResponseCache(createMemoryCacheStore({ ttlSeconds: 60 }));
+    app = createApp();
+  });
+
+  afterEach(() => {
+    setResponseCache(null);
+    jest.clearAllMocks();
+  });
+
+  const evaluationRequest = {
+    job_description: 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.',
+    resume: 'John Doe\nSoftware Engineer\nExperience: 5 years Node.js, 3 years React, AWS certified. Built scalable microservices for e-commerce platform serving 1M+ users. Led team of 4 developers.',
+    provider: 'mock',
+    temperature: 0.7
+  };
+
+  it('should serve a repeated evaluation from the cache', async () => {
+    const first = await request(app).post('/v2/evaluate').send(evaluationRequest).expect(200);
+    const second = await request(app).post('/v2/evaluate').send(evaluationRequest).expect(200);
+
+    expect(first.body.cache).toMatchObject({ enabled: true, hits: 0 });
+    expect(first.body.cache.misses).toBeGreaterThan(0);
+    expect(second.body.cache).toEqual({ enabled: true, hits: first.body.cache.misses, misses: 0 });
+    expect(second.body.composite_score).toBe(first.body.composite_score);
+  });
+
+  it('should report token usage and bill cache hits at no cost', async () => {
+    const first = await request(app).post('/v2/evaluate').send(evaluationRequest).expect(200);
+    const second = await request(app).post('/v2/evaluate').send(evaluationRequest).expect(200);
+
+    expect(first.body.usage.critics.job_fit).toMatchObject({ estimated: true, cached: false });
+    expect(first.body.usage.critics.job_fit.prompt_tokens).toBeGreaterThan(0);
+    expect(first.body.usage.total.calls).toBe(first.body.cache.misses);
+    expect(second.body.usage.total).toMatchObject({
+      prompt_tokens: first.body.usage.total.prompt_tokens,
+      cached_calls: second.body.cache.hits,
+      cost_usd: 0
+    });
+  });
+
+  it('should bypass the cache when the request sets cache to false', async () => {
+    await request(app).post('/v2/evaluate').send(evaluationRequest).expect(200);
+
+    const response = await request(app)
+      .post('/v2/evaluate')
+      .send({ ...evaluationRequest, cache: false })
+      .expect(200);
+
+    expect(response.body.cache).toEqual({ enabled: false, hits: 0, misses: 0 });
+  });
+
+  it('should reject a non-boolean cache flag', async () => {
+    const response = await request(app)
+      .post('/v2/evaluate')
+      .send({ ...evaluationRequest, cache: 'sometimes' })
+      .expect(400);
+
+    expect(response.body.error.errors[0]).toMatchObject({ field: 'cache', message: 'Cache must be a boolean' });
+  });
+
+  it('should cache fidelity checks and skip the cache when asked', async () => {
+    const fidelityRequest = {
+      original_resume: 'Jane Roe\nSoftware Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led team of 3 developers.',
+      tailored_resume: 'Jane Roe\nSenior Software Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led a team of 12 engineers to cut infrastructure costs by 40%.'
+    };
+    await request(app).post('/evaluate/fidelity/resume-only').send(fidelityRequest).expect(200);
+
+    const cached = await request(app).post('/evaluate/fidelity/resume-only').send(fidelityRequest).expect(200);
+    const uncached = await request(app)
+      .post('/evaluate/fidelity/resume-only')
+      .send({ ...fidelityRequest, cache: false })
+      .expect(200);
+
+    expect(cached.body.cache).toEqual({ enabled: true, hits: 1, misses: 0 });
+    expect(uncached.body.cache).toEqual({ enabled: false, hits: 0, misses: 0 });
+  });
+});
@@ -0,0 +1,67 @@
+const path = require('path');
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+
+jest.mock('../../src/utils/config');
+
+// Replays the OpenAI calls stored in tests/fixtures/cassettes/v2-evaluate, so no network or API key
+// is needed. Refresh them by running this request with LLM_CASSETTE=record and a real OPENAI_API_KEY.
+describe('Cassette replay', () => {
+  let app;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'llm.useMock': false,
+        'llm.provider': 'openai',
+        'llm.model': 'gpt-4o-mini',
+        'llm.temperature': 0.7,
+        'llm.top_p': 1,
+        'llm.cassette.mode': 'replay',
+        'llm.cassette.directory': path.join(__dirname, '../fixtures/cassettes/v2-evaluate')
+      };
+      return configs[key] !== undefined ? configs[key] : defaultValue;
+    });
+
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const evaluation = {
+    job_description: 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices. The ideal candidate will have experience with AWS, Docker, and modern CI/CD practices.',
+    resume: 'John Doe\nSoftware Engineer\nExperience: 5 years Node.js, 3 years React, AWS certified. Built scalable microservices for e-commerce platform serving 1M+ users. Led team of 4 developers. Implemented CI/CD pipeline using Jenkins and Docker. Strong problem-solving skills and attention to detail.',
+    provider: 'openai',
+    model: 'gpt-4o-mini'
+  };
+
+  it('should score a resume from the cassette', async () => {
+    const response = await request(app)
+      .post('/v2/evaluate')
+      .send(evaluation)
+      .expect(200);
+
+    expect(response.body.extracted_keywords).toBe('Node.js, React, AWS, Docker, CI/CD, microservices, Kubernetes');
+    expect(response.body.job_fit_score).toBe(0.82);
+    expect(response.body.normalized_scores).toMatchObject({ keyword: 0.78, relevance: 0.75, language: 0.75, readability: 0.72 });
+    expect(response.body.critic_results.keyword.missing_must_have).toEqual(['Kubernetes']);
+    expect(response.body.failed_critics).toEqual([]);
+    expect(response.body.served_by.job_fit).toMatchObject({ provider: 'openai', model: 'gpt-4o-mini' });
+    // Token counts come from the recording, not the tokenizer estimate
+    expect(response.body.usage.critics.keyword.estimated).toBe(false);
+  });
+
+  it('should fail the request when a prompt was never recorded', async () => {
+    const response = await request(app)
+      .post('/v2/evaluate')
+      .send({ ...evaluation, resume: `${evaluation.resume} Also mentored two junior engineers.` })
+      .expect(500);
+
+    expect(response.body.error.code).toBe('CASSETTE_MISS');
+    expect(response.body.error.message).toContain('No cassette recording');
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+
+jest.mock('../../src/utils/config');
+
+const fixturePath = name => path.join(__dirname, '../fixtures', name);
+
+describe('/compare-files endpoint', () => {
+  let app;
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compare-files-'));
+
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7,
+        'upload.tempDir': tempDir
+      };
+      return configs[key] || defaultValue;
+    });
+
+    app = createApp();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  const jobDescription = Buffer.from(
+    'Senior Software Engineer\nREQUIREMENTS\nExpertise in Node.js, React and cloud technologies. '
+    + 'Strong experience building scalable web applications and microservices.'
+  );
+
+  const htmlResume = Buffer.from(
+    '<html><body><h1>Sam Smith</h1><h2>Experience</h2>'
+    + '<p>Full Stack Developer maintaining internal dashboards and REST APIs with JavaScript and React.</p></body></html>'
+  );
+
+  // Give the response close handler a moment to remove temp files
+  const waitForCleanup = () => new Promise(resolve => { setTimeout(resolve, 50); });
+
+  describe('POST /compare-files', () => {
+    it('should rank resumes uploaded in mixed formats', async () => {
+      const response = await request(app)
+        .post('/compare-files')
+        .attach('job_description_file', jobDescription, 'job.txt')
+        .attach('resume_files', fixturePath('resume.pdf'))
+        .attach('resume_files', fixturePath('resume.docx'))
+        .attach('resume_files', htmlResume, 'sam.html')
+        .expect(200);
+
+      expect(response.body.resume_count).toBe(3);
+      expect(response.body.rankings.map(entry => entry.identifier).sort()).toEqual(['resume.docx', 'resume.pdf', 'sam.html']);
+      expect(response.body.file_extraction.job_description).toMatchObject({ format: 'txt', sections: ['REQUIREMENTS'] });
+      expect(response.body.file_extraction.resumes.map(entry => [entry.identifier, entry.format, entry.status])).toEqual([
+        ['resume.pdf', 'pdf', 'extracted'],
+        ['resume.docx', 'docx', 'extracted'],
+        ['sam.html', 'html', 'extracted']
+      ]);
+    });
+
+    it('should skip unreadable resumes and report why', async () => {
+      const response = await request(app)
+        .post('/compare-files')
+        .attach('job_description_file', jobDescription, 'job.txt')
+        .attach('resume_files', fixturePath('resume.pdf'))
+        .attach('resume_files', fixturePath('scanned.pdf'))
+        .attach('resume_files', htmlResume, 'sam.html')
+        .expect(200);
+
+      expect(response.body.resume_count).toBe(2);
+      expect(response.body.evaluations['scanned.pdf']).toBeUndefined();
+
+      const scanned = response.body.file_extraction.resumes.find(entry => entry.filename === 'scanned.pdf');
+      expect(scanned.status).toBe('skipped');
+      expect(scanned.warnings.map(warning => warning.code)).toContain('NO_TEXT_LAYER');
+    });
+
+    it('should suffix duplicate filenames so every resume is ranked', async () => {
+      const response = await request(app)
+        .post('/compare-files')
+        .attach('job_description_file', jobDescription, 'job.txt')
+        .attach('resume_files', htmlResume, 'resume.html')
+        .attach('resume_files', htmlResume, 'resume.html')
+        .expect(200);
+
+      expect(Object.keys(response.body.evaluations).sort()).toEqual(['resume.html', 'resume.html (2)']);
+    });
+
+    it('should reject requests with fewer than two readable resumes', async () => {
+      const response = await request(app)
+        .post('/compare-files')
+        .attach('job_description_file', jobDescription, 'job.txt')
+        .attach('resume_files', fixturePath('resume.pdf'))
+        .attach('resume_files', fixturePath('scanned.pdf'))
+        .expect(400);
+
+      expect(response.body.error.errors[0].message).toBe('No text could be extracted from scanned.pdf');
+    });
+
+    it('should reject more than ten resume files', async () => {
+      const upload = Array.from({ length: 11 }).reduce(
+        (req, _, index) => req.attach('resume_files', htmlResume, `resume-${index}.html`),
+        request(app).post('/compare-files').attach('job_description_file', jobDescription, 'job.txt')
+      );
+
+      const response = await upload.expect(400);
+
+      expect(response.body.error.errors[0].message).toBe('Too many files');
+    });
+
+    it('should remove uploaded files from the temp directory', async () => {
+      await request(app)
+        .post('/compare-files')
+        .attach('job_description_file', jobDescription, 'job.txt')
+        .attach('resume_files', fixturePath('resume.pdf'))
+        .attach('resume_files', htmlResume, 'sam.html')
+        .expect(200);
+
+      await waitForCleanup();
+
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+  });
+});
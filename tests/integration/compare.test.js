@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+const { rankEvaluations, buildDifferentiators } = require('../../src/api/handlers/comparison.handler');
+
+jest.mock('../../src/utils/config');
+
+describe('/compare endpoint', () => {
+  let app;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7
+      };
+      return configs[key] || defaultValue;
+    });
+
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const jobDescription = 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.';
+
+  const validRequest = {
+    job_description: jobDescription,
+    resumes: [
+      {
+        identifier: 'candidate-a',
+        content: 'Jane Roe\nSoftware Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led team of 3 developers.'
+      },
+      {
+        identifier: 'candidate-b',
+        content: 'John Doe\nSoftware Engineer\nExperience: 5 years Node.js, 3 years React. Built web applications for e-commerce clients. Implemented CI/CD pipelines using Jenkins and Docker.'
+      },
+      {
+        identifier: 'candidate-c',
+        content: 'Sam Smith\nFull Stack Developer\nExperience: 4 years JavaScript, 2 years React. Maintained internal dashboards and REST APIs for a logistics company.'
+      }
+    ]
+  };
+
+  describe('POST /compare', () => {
+    it('should rank every resume and include per-resume scores', async () => {
+      const response = await request(app)
+        .post('/compare')
+        .send(validRequest)
+        .expect(200);
+
+      expect(response.body.resume_count).toBe(3);
+      expect(response.body.rankings).toHaveLength(3);
+      expect(response.body.rankings.map(entry => entry.rank)).toEqual([1, 2, 3]);
+      expect(response.body.best_match).toBe(response.body.rankings[0].identifier);
+
+      response.body.rankings.forEach(entry => {
+        expect(entry).toMatchObject({
+          identifier: expect.any(String),
+          composite_score: expect.any(Number),
+          job_fit_score: expect.any(Number),
+          quality_score: expect.any(Number),
+          pass: expect.any(Boolean),
+          normalized_scores: expect.any(Object)
+        });
+      });
+
+      expect(Object.keys(response.body.evaluations).sort()).toEqual(['candidate-a', 'candidate-b', 'candidate-c']);
+      expect(response.body.differentiators.summary.length).toBeGreaterThan(0);
+      expect(response.body.llm_provider).toBe('mock');
+    });
+
+    it('should reject fewer than two resumes', async () => {
+      const response = await request(app)
+        .post('/compare')
+        .send({ ...validRequest, resumes: [validRequest.resumes[0]] })
+        .expect(400);
+
+      expect(response.body.error.errors[0].message).toContain('Must provide between 2 and 10 resumes');
+    });
+
+    it('should reject duplicate identifiers', async () => {
+      const response = await request(app)
+        .post('/compare')
+        .send({ ...validRequest, resumes: [validRequest.resumes[0], validRequest.resumes[0]] })
+        .expect(400);
+
+      expect(response.body.error.errors.map(error => error.message)).toContain('Resume identifiers must be unique');
+    });
+  });
+
+  describe('ranking helpers', () => {
+    const evaluation = (identifier, composite, jobFit, normalized) => ({
+      identifier,
+      result: {
+        composite_score: composite,
+        job_fit_score: jobFit,
+        quality_score: 0.7,
+        fidelity_score: 1,
+        pass: composite >= 0.75,
+        should_improve: true,
+        improvement_strategy: null,
+        normalized_scores: normalized
+      }
+    });
+
+    it('should order by composite score and break ties on job fit', () => {
+      const rankings = rankEvaluations([
+        evaluation('low', 0.5, 0.9, {}),
+        evaluation('tied-weak-fit', 0.8, 0.6, {}),
+        evaluation('tied-strong-fit', 0.8, 0.7, {})
+      ]);
+
+      expect(rankings.map(entry => entry.identifier)).toEqual(['tied-strong-fit', 'tied-weak-fit', 'low']);
+    });
+
+    it('should report leaders and laggards for dimensions that separate resumes', () => {
+      const rankings = rankEvaluations([
+        evaluation('a', 0.8, 0.8, { keyword: 0.9, language: 0.75 }),
+        evaluation('b', 0.6, 0.6, { keyword: 0.4, language: 0.75 })
+      ]);
+
+      const differentiators = buildDifferentiators(rankings);
+
+      expect(differentiators.dimensions).toEqual([
+        expect.objectContaining({ dimension: 'keyword', leader: 'a', laggard: 'b', spread: 0.5 })
+      ]);
+      expect(differentiators.by_resume.a.leads_in).toEqual(['Keywords']);
+      expect(differentiators.by_resume.b.trails_in).toEqual(['Keywords']);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+const { normalizeCriticResult, calculateComposite } = require('../../src/api/handlers/comprehensive.handler');
+
+jest.mock('../../src/utils/config');
+
+describe('Comprehensive evaluation endpoint', () => {
+  let app;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'fidelity.threshold': 0.9,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7
+      };
+      return configs[key] || defaultValue;
+    });
+
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const jobDescription = 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.';
+  const originalResume = 'Jane Roe\nSoftware Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led team of 3 developers.';
+  const tailoredResume = 'Jane Roe\nSenior Software Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led a team of 12 engineers to cut infrastructure costs by 40%.';
+
+  describe('POST /evaluate/comprehensive', () => {
+    it('should run the resume critics including ATS and bias', async () => {
+      const response = await request(app)
+        .post('/evaluate/comprehensive')
+        .send({ job_description: jobDescription, tailored_resume: tailoredResume, required_terms: 'Node.js, React' })
+        .expect(200);
+
+      expect(Object.keys(response.body.normalized_scores).sort()).toEqual([
+        'ats', 'bias', 'job_fit', 'keyword', 'language', 'readability', 'relevance'
+      ]);
+      expect(response.body.normalized_scores.ats).toBe(0.9);
+      expect(response.body.normalized_scores.bias).toBe(1);
+      expect(response.body.ats.critical_issues_found).toBe(false);
+      expect(response.body.bias.low_severity_count).toBe(1);
+      expect(response.body.fidelity).toBeNull();
+      expect(response.body.comparison).toBeNull();
+      expect(response.body.failed_critics).toEqual([]);
+      expect(response.body.composite_score).toBeGreaterThan(0);
+      expect(response.body.composite_score).toBeLessThanOrEqual(1);
+      expect(response.body.extracted_keywords).toBe('Node.js, React');
+    });
+
+    it('should add fidelity, comparison and opportunity when the original resume is provided', async () => {
+      const response = await request(app)
+        .post('/evaluate/comprehensive')
+        .send({
+          job_description: jobDescription,
+          tailored_resume: tailoredResume,
+          original_resume: originalResume,
+          required_terms: 'Node.js, React'
+        })
+        .expect(200);
+
+      expect(response.body.normalized_scores).toMatchObject({
+        fidelity: 0.8,
+        comparison: 0.9,
+        opportunity: 0.75
+      });
+      expect(response.body.fidelity).toMatchObject({ score: 0.8, pass: false, unsupported_claims_count: 1 });
+      expect(response.body.comparison.fabrication_risk_score).toBe(0.1);
+      expect(response.body.comprehensive_pass).toBe(false);
+      expect(response.body.blocking_issues).toContain('1 claim(s) are not supported by the original resume');
+    });
+
+    it('should require the tailored resume', async () => {
+      const response = await request(app)
+        .post('/evaluate/comprehensive')
+        .send({ job_description: jobDescription })
+        .expect(400);
+
+      expect(response.body.error.errors[0].message).toBe('Tailored resume is required');
+    });
+  });
+
+  describe('score normalization', () => {
+    it('should cap the ATS score when critical parsing issues are found', () => {
+      expect(normalizeCriticResult('ats', { score: 0.95, critical_issues_found: true })).toBe(0.5);
+      expect(normalizeCriticResult('ats', { score: 0.4, critical_issues_found: true })).toBe(0.4);
+    });
+
+    it('should penalize bias flags by severity', () => {
+      expect(normalizeCriticResult('bias', { flags: [{ severity: 'high' }] })).toBe(0.5);
+      expect(normalizeCriticResult('bias', { flags: [{ severity: 'medium' }, { severity: 'low' }] })).toBeCloseTo(0.8);
+    });
+
+    it('should renormalize the composite over the critics that ran', () => {
+      expect(calculateComposite({ ats: 1, bias: 0 }, { ats: 0.1, bias: 0.1, fidelity: 0.8 })).toBe(0.5);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { clearConfigCache } = require('../../src/utils/config');
+
+describe('GET /config', () => {
+  const originalEnv = { ...process.env };
+  let app;
+
+  beforeEach(() => {
+    clearConfigCache();
+    app = createApp();
+  });
+
+  afterEach(() => {
+    // eslint-disable-next-line fp/no-mutation
+    process.env = { ...originalEnv };
+    clearConfigCache();
+  });
+
+  it('should return the effective values with the files they came from', async () => {
+    const response = await request(app).get('/config').expect(200);
+
+    expect(response.body.environment).toBe('test');
+    expect(response.body.config_files).toEqual(['config/default.yaml', 'config/test.yaml']);
+    expect(response.body.evaluation_threshold).toBe(0.75);
+    expect(response.body.llm_provider).toBe('mock');
+    expect(response.body.llm_temperature).toBe(0.1);
+    expect(response.body.process_markdown).toBe(true);
+    expect(response.body.max_parallel_workers).toBe(6);
+    expect(response.body.settings['evaluation.threshold']).toEqual({ value: 0.75, source: 'file:config/default.yaml' });
+    expect(response.body.settings['llm.temperature']).toEqual({ value: 0.1, source: 'file:config/test.yaml' });
+    expect(response.body.settings['llm.model']).toEqual({ value: 'gpt-4o-mini', source: 'default' });
+    expect(response.body.settings.version).toEqual({ value: '0.22.0', source: 'default' });
+    expect(response.body.settings['upload.tempDir']).toEqual({ value: null, source: 'file:config/default.yaml' });
+    expect(response.body.config.server.port).toBe(8001);
+  });
+
+  it('should report environment overrides as the source', async () => {
+    // eslint-disable-next-line fp/no-mutation
+    process.env.LOG_LEVEL = 'debug';
+    // eslint-disable-next-line fp/no-mutation
+    process.env.OLLAMA_BASE_URL = 'http://ollama.internal:11434';
+
+    const response = await request(app).get('/config').expect(200);
+
+    expect(response.body.settings['logging.level']).toEqual({ value: 'debug', source: 'env:LOG_LEVEL' });
+    expect(response.body.settings['llm.ollama.baseURL']).toEqual({
+      value: 'http://ollama.internal:11434',
+      source: 'env:OLLAMA_BASE_URL'
+    });
+  });
+
+  it('should never return API keys', async () => {
+    // eslint-disable-next-line fp/no-mutation
+    process.env.OPENAI_API_KEY = 'sk-test-should-not-leak';
+    // eslint-disable-next-line fp/no-mutation
+    process.env.GEMINI_API_KEY = '';
+
+    const response = await request(app).get('/config').expect(200);
+
+    expect(JSON.stringify(response.body)).not.toContain('sk-test-should-not-leak');
+    expect(response.body.secrets['llm.openai.apiKey']).toEqual({ value: '[REDACTED]', source: 'env:OPENAI_API_KEY' });
+    expect(response.body.secrets['llm.gemini.apiKey']).toEqual({ value: null, source: 'unset' });
+  });
+
+  describe('with a custom config file', () => {
+    const configFile = path.join(os.tmpdir(), `resume-critic-config-${process.pid}.yaml`);
+
+    beforeEach(() => {
+      fs.writeFileSync(configFile, [
+        'server:',
+        '  port: 9100',
+        'llm:',
+        '  provider: openai',
+        '  model: gpt-4',
+        '  useMock: false',
+        '  openai:',
+        '    apiKey: sk-from-yaml',
+        'evaluation:',
+        '  threshold: 0.8',
+        'logging:',
+        '  level: warn'
+      ].join('\n'));
+      // eslint-disable-next-line fp/no-mutation
+      process.env.CONFIG_FILE_PATH = configFile;
+      clearConfigCache();
+    });
+
+    afterEach(() => {
+      fs.unlinkSync(configFile);
+    });
+
+    it('should resolve settings from the custom file alone and redact secrets in it', async () => {
+      // eslint-disable-next-line fp/no-mutation
+      process.env.USE_MOCK_LLM = '';
+
+      const response = await request(app).get('/config').expect(200);
+      const source = `file:${path.relative(process.cwd(), configFile)}`;
+
+      expect(response.body.config_file_override).toBe('env:CONFIG_FILE_PATH');
+      expect(response.body.config_files).toHaveLength(1);
+      expect(response.body.llm_provider).toBe('openai');
+      expect(response.body.llm_model).toBe('gpt-4');
+      expect(response.body.settings['evaluation.threshold']).toEqual({ value: 0.8, source });
+      expect(response.body.settings['fidelity.threshold']).toEqual({ value: 0.9, source: 'default' });
+      expect(response.body.config.llm.openai.apiKey).toBe('[REDACTED]');
+      expect(JSON.stringify(response.body)).not.toContain('sk-from-yaml');
+    });
+
+    it('should show the mock provider when USE_MOCK_LLM turns mock mode on', async () => {
+      // eslint-disable-next-line fp/no-mutation
+      process.env.USE_MOCK_LLM = 'true';
+
+      const response = await request(app).get('/config').expect(200);
+
+      expect(response.body.llm_provider).toBe('mock');
+      expect(response.body.settings['llm.useMock']).toEqual({ value: true, source: 'env:USE_MOCK_LLM' });
+      expect(response.body.settings['llm.provider'].value).toBe('openai');
+    });
+  });
+});
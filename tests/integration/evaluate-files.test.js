@@ -0,0 +1,120 @@
+const path = require('path');
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+
+jest.mock('../../src/utils/config');
+
+const fixturePath = name => path.join(__dirname, '../fixtures', name);
+
+describe('/evaluate-files endpoint', () => {
+  let app;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7,
+        'upload.maxFileSize': 4096
+      };
+      return configs[key] || defaultValue;
+    });
+
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const jobDescription = Buffer.from(
+    '<html><body><h1>Senior Software Engineer</h1><h2>Requirements</h2><ul>'
+    + '<li>Expertise in Node.js, React and cloud technologies</li>'
+    + '<li>Strong experience building scalable web applications and microservices</li>'
+    + '</ul></body></html>'
+  );
+
+  describe('POST /evaluate-files', () => {
+    it('should evaluate uploaded files through the critic pipeline', async () => {
+      const response = await request(app)
+        .post('/evaluate-files')
+        .attach('job_description_file', jobDescription, 'job.html')
+        .attach('resume_file', fixturePath('resume.pdf'))
+        .field('temperature', '0.3')
+        .expect(200);
+
+      expect(response.body.jd_file).toBe('job.html');
+      expect(response.body.resume_file).toBe('resume.pdf');
+      expect(response.body.llm_temperature).toBe(0.3);
+      expect(Object.keys(response.body.normalized_scores).sort()).toEqual(['keyword', 'language', 'readability', 'relevance']);
+      expect(response.body.file_extraction.job_description).toMatchObject({
+        format: 'html',
+        sections: ['Senior Software Engineer', 'Requirements'],
+        warnings: []
+      });
+      expect(response.body.file_extraction.resume).toMatchObject({
+        format: 'pdf',
+        sections: ['SUMMARY', 'EXPERIENCE', 'SKILLS']
+      });
+    });
+
+    it('should report extraction warnings alongside the evaluation', async () => {
+      const response = await request(app)
+        .post('/evaluate-files')
+        .attach('job_description_file', jobDescription, 'job.html')
+        .attach('resume_file', fixturePath('resume.docx'))
+        .expect(200);
+
+      expect(response.body.file_extraction.resume.warnings.map(warning => warning.code)).toContain('TABLE_FLATTENED');
+    });
+
+    it('should reject scanned PDFs with no text layer', async () => {
+      const response = await request(app)
+        .post('/evaluate-files')
+        .attach('job_description_file', jobDescription, 'job.html')
+        .attach('resume_file', fixturePath('scanned.pdf'))
+        .expect(400);
+
+      expect(response.body.error.errors[0]).toMatchObject({
+        field: 'resume_file',
+        message: 'No text could be extracted from scanned.pdf',
+        warnings: [expect.objectContaining({ code: 'NO_TEXT_LAYER' })]
+      });
+    });
+
+    it('should require both files', async () => {
+      const response = await request(app)
+        .post('/evaluate-files')
+        .attach('resume_file', fixturePath('resume.pdf'))
+        .expect(400);
+
+      expect(response.body.error.errors[0].message).toBe('Job description file is required');
+    });
+
+    it('should reject unsupported file formats', async () => {
+      const response = await request(app)
+        .post('/evaluate-files')
+        .attach('job_description_file', jobDescription, 'job.html')
+        .attach('resume_file', Buffer.from('{}'), 'resume.json')
+        .expect(400);
+
+      expect(response.body.error.errors[0].message).toContain('resume.json is not a supported format');
+    });
+
+    it('should reject files over the configured size limit', async () => {
+      const response = await request(app)
+        .post('/evaluate-files')
+        .attach('job_description_file', Buffer.alloc(8192, 'a'), 'job.txt')
+        .attach('resume_file', fixturePath('resume.pdf'))
+        .expect(400);
+
+      expect(response.body.error.errors[0]).toMatchObject({
+        field: 'job_description_file',
+        message: 'File exceeds the maximum size of 4096 bytes'
+      });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+
+jest.mock('../../src/utils/config');
+
+describe('Provider fallback chains on /v2/evaluate', () => {
+  let app;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7,
+        'llm.fallbacks': [{ provider: 'ollama', model: 'llama3' }]
+      };
+      return configs[key] !== undefined ? configs[key] : defaultValue;
+    });
+
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const evaluationRequest = {
+    job_description: 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.',
+    resume: 'John Doe\nSoftware Engineer\nExperience: 5 years Node.js, 3 years React, AWS certified. Built scalable microservices for e-commerce platform serving 1M+ users. Led team of 4 developers.',
+    temperature: 0.7
+  };
+
+  it('should report which provider served each critic', async () => {
+    const response = await request(app)
+      .post('/v2/evaluate')
+      .send({ ...evaluationRequest, providers: [{ provider: 'openai', model: 'gpt-4o-mini' }, { provider: 'ollama' }] })
+      .expect(200);
+
+    expect(response.body.served_by).toMatchObject({
+      keyword_extraction: { provider: 'mock', fallback: false, failed: [] },
+      job_fit: { provider: 'mock', fallback: false }
+    });
+    expect(Object.keys(response.body.served_by)).toEqual(expect.arrayContaining(['keyword', 'language', 'readability']));
+  });
+
+  it('should report which provider served a fidelity check', async () => {
+    const response = await request(app)
+      .post('/evaluate/fidelity/resume-only')
+      .send({
+        original_resume: 'Jane Roe\nSoftware Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led team of 3 developers.',
+        tailored_resume: 'Jane Roe\nSenior Software Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led a team of 12 engineers to cut infrastructure costs by 40%.',
+        providers: [{ provider: 'openai', model: 'gpt-4o-mini' }, { provider: 'ollama' }]
+      })
+      .expect(200);
+
+    expect(response.body.served_by.fidelity).toMatchObject({ provider: 'mock', fallback: false });
+  });
+
+  it('should reject providers that are not registered', async () => {
+    const response = await request(app)
+      .post('/v2/evaluate')
+      .send({ ...evaluationRequest, providers: [{ provider: 'openai' }, { provider: 'nope' }] })
+      .expect(400);
+
+    expect(response.body.error.errors[0]).toMatchObject({ field: 'providers[1].provider', message: 'Invalid provider' });
+  });
+
+  it('should reject an empty providers list', async () => {
+    const response = await request(app)
+      .post('/v2/evaluate')
+      .send({ ...evaluationRequest, providers: [] })
+      .expect(400);
+
+    expect(response.body.error.errors[0]).toMatchObject({
+      field: 'providers',
+      message: 'Providers must be an array of 1 to 5 entries'
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+
+jest.mock('../../src/utils/config');
+
+describe('Mock fault scenarios', () => {
+  let app;
+
+  const mockConfig = (overrides = {}) => getConfig.mockImplementation((key, defaultValue) => {
+    const configs = {
+      'evaluation.threshold': 0.75,
+      'llm.useMock': true,
+      'llm.provider': 'mock',
+      'llm.model': 'mock-model',
+      'llm.temperature': 0.7,
+      'llm.repair.maxAttempts': 1,
+      // Scripted 5xx responses would otherwise trip the shared mock breaker for later tests
+      'llm.circuitBreaker.enabled': false,
+      'llm.mock.scenarioHeader': true,
+      ...overrides
+    };
+    return configs[key] !== undefined ? configs[key] : defaultValue;
+  });
+
+  beforeEach(() => {
+    mockConfig();
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const jobDescription = 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.';
+  const resume = 'John Doe\nSoftware Engineer\nExperience: 5 years Node.js, 3 years React, AWS certified. Built scalable microservices for e-commerce platform serving 1M+ users. Led team of 4 developers.';
+
+  const evaluate = scenario => request(app)
+    .post('/v2/evaluate')
+    .set('X-Mock-Scenario', typeof scenario === 'string' ? scenario : JSON.stringify(scenario))
+    .send({ job_description: jobDescription, resume });
+
+  it('should retry a critic through scripted 503s and score it normally', async () => {
+    const response = await evaluate({
+      critics: { language: { errors: [{ status: 503, retry_after: 0 }, { status: 503, retry_after: 0 }] } }
+    }).expect(200);
+
+    expect(response.body.critic_status.language).toEqual({ status: 'ok', attempts: 1 });
+    expect(response.body.failed_critics).toEqual([]);
+  });
+
+  it('should mark a critic failed when its JSON is always truncated', async () => {
+    const response = await evaluate({ critics: { language: { response: 'truncated_json' } } }).expect(200);
+
+    expect(response.body.critic_status.language).toEqual({
+      status: 'failed',
+      attempts: 2,
+      errors: ['response is not a JSON object']
+    });
+    expect(response.body.critic_status.keyword).toEqual({ status: 'ok', attempts: 1 });
+    expect(response.body.failed_critics).toEqual(['language']);
+  });
+
+  it('should accept markdown-wrapped JSON', async () => {
+    const response = await evaluate({ response: 'markdown_json' }).expect(200);
+
+    expect(response.body.failed_critics).toEqual([]);
+  });
+
+  it('should surface a safety block as a provider error', async () => {
+    const response = await evaluate({ response: 'safety_blocked' }).expect(500);
+
+    expect(response.body.error.message).toContain('Response blocked: SAFETY');
+  });
+
+  it('should reject a header that is not valid JSON or not a valid scenario', async () => {
+    const malformed = await evaluate('{errors: [503]').expect(400);
+    expect(malformed.body.error.message).toBe('X-Mock-Scenario must be JSON');
+
+    const invalid = await evaluate({ critics: { tone: { response: 'garbled' } } }).expect(400);
+    expect(invalid.body.error.message).toContain('X-Mock-Scenario.critics.tone.response must be one of');
+  });
+
+  it('should ignore the header unless llm.mock.scenarioHeader is on', async () => {
+    mockConfig({ 'llm.mock.scenarioHeader': false });
+
+    const response = await evaluate({ response: 'safety_blocked' }).expect(200);
+
+    expect(response.body.failed_critics).toEqual([]);
+  });
+});
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+const { normalizeClaims, calculateFidelityScores } = require('../../src/api/handlers/fidelity.handler');
+
+jest.mock('../../src/utils/config');
+
+describe('Fidelity endpoints', () => {
+  let app;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'fidelity.threshold': 0.9,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7
+      };
+      return configs[key] || defaultValue;
+    });
+
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const jobDescription = 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.';
+  const originalResume = 'Jane Roe\nSoftware Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led team of 3 developers.';
+  const tailoredResume = 'Jane Roe\nSenior Software Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led a team of 12 engineers to cut infrastructure costs by 40%.';
+  const coverLetter = 'I built scalable microservices for a fintech platform and led a team of 12 engineers at my last role.';
+
+  describe('POST /evaluate/fidelity', () => {
+    it('should return claim-level results with job alignment', async () => {
+      const response = await request(app)
+        .post('/evaluate/fidelity')
+        .send({ job_description: jobDescription, original_resume: originalResume, tailored_resume: tailoredResume })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        mode: 'job_aligned',
+        total_claims_count: 5,
+        aligned_claims_count: 4,
+        unsupported_claims_count: 1,
+        score: 0.8,
+        alignment_score: 0.8,
+        pass: false,
+        threshold: 0.9,
+        llm_provider: 'mock'
+      });
+      expect(response.body.hallucinated_claims[0].unsupported_parts).toEqual(['team of 12 engineers', 'by 40%']);
+      expect(response.body.misaligned_claims[0].missing_requirements).toEqual(['Node.js', 'microservices']);
+      expect(response.body.issues).toHaveLength(2);
+    });
+
+    it('should require the job description', async () => {
+      const response = await request(app)
+        .post('/evaluate/fidelity')
+        .send({ original_resume: originalResume, tailored_resume: tailoredResume })
+        .expect(400);
+
+      expect(response.body.error.errors[0].message).toBe('Job description is required');
+    });
+
+    it('should reject more than 10 workers', async () => {
+      const response = await request(app)
+        .post('/evaluate/fidelity')
+        .send({
+          job_description: jobDescription,
+          original_resume: originalResume,
+          tailored_resume: tailoredResume,
+          max_workers: 11
+        })
+        .expect(400);
+
+      expect(response.body.error.errors[0].message).toBe('Maximum number of parallel critic workers (1-10)');
+    });
+  });
+
+  describe('POST /evaluate/fidelity/resume-only', () => {
+    it('should check truthfulness without a job description', async () => {
+      const response = await request(app)
+        .post('/evaluate/fidelity/resume-only')
+        .send({ original_resume: originalResume, tailored_resume: tailoredResume })
+        .expect(200);
+
+      expect(response.body.mode).toBe('resume_only');
+      expect(response.body.alignment_score).toBeNull();
+      expect(response.body.hallucinated_claims).toHaveLength(1);
+    });
+  });
+
+  describe('POST /evaluate/fidelity/cover-letter', () => {
+    it('should check the cover letter against the original resume', async () => {
+      const response = await request(app)
+        .post('/evaluate/fidelity/cover-letter')
+        .send({ original_resume: originalResume, cover_letter: coverLetter })
+        .expect(200);
+
+      expect(response.body.mode).toBe('cover_letter');
+      expect(response.body.unsupported_claims_count).toBe(1);
+    });
+
+    it('should require the cover letter', async () => {
+      const response = await request(app)
+        .post('/evaluate/fidelity/cover-letter')
+        .send({ original_resume: originalResume })
+        .expect(400);
+
+      expect(response.body.error.errors[0].message).toBe('Cover letter is required');
+    });
+  });
+
+  describe('claim scoring', () => {
+    it('should count listed hallucinations the model left out of the totals', () => {
+      const claims = normalizeClaims({
+        total_claims_count: 4,
+        aligned_claims_count: 4,
+        unsupported_claims_count: 0,
+        hallucinated_claims: [{ claim: 'Managed a $2M budget', unsupported_parts: ['$2M budget'] }]
+      });
+
+      expect(claims.unsupported_claims_count).toBe(1);
+      expect(claims.misaligned_claims).toEqual([]);
+      expect(calculateFidelityScores('resume_only', claims)).toEqual({
+        score: 0.75,
+        accuracy_score: 0.75,
+        alignment_score: null
+      });
+    });
+
+    it('should treat content without claims as fully supported', () => {
+      const claims = normalizeClaims({});
+
+      expect(calculateFidelityScores('job_aligned', claims)).toEqual({
+        score: 1,
+        accuracy_score: 1,
+        alignment_score: 1
+      });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+const { buildCategoryResults } = require('../../src/api/handlers/relatedAccomplishments.handler');
+
+jest.mock('../../src/utils/config');
+
+describe('Related accomplishments evaluation endpoint', () => {
+  let app;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7
+      };
+      return configs[key] || defaultValue;
+    });
+
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const jobDescription = 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.';
+  const originalResume = 'Jane Roe\nSoftware Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led team of 3 developers. Reduced AWS spend by 20%.';
+  const categories = [
+    { category: 'Technical Leadership', items: ['Led team of 3 developers through a platform rewrite'] },
+    { category: 'Cloud Cost Savings', items: ['Saved $2M annually on AWS spend'] },
+    { category: 'Community Volunteering', items: ['Organized a local coding meetup'] },
+    { category: 'Team Mentoring', items: ['Mentored two junior developers'] }
+  ];
+
+  describe('POST /evaluate/related-accomplishments', () => {
+    it('should score each category and say which to drop or merge', async () => {
+      const response = await request(app)
+        .post('/evaluate/related-accomplishments')
+        .send({ job_description: jobDescription, original_resume: originalResume, related_accomplishments: categories })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        categorization_score: 0.75,
+        fidelity_score: 0.875,
+        drop_categories: ['Community Volunteering'],
+        merge_categories: [{ category: 'Team Mentoring', merge_into: 'Technical Leadership' }],
+        should_improve: true,
+        failed_critics: []
+      });
+      expect(response.body.relevance_score).toBeCloseTo(0.65);
+      expect(response.body.impact_score).toBeCloseTo(0.675);
+      expect(response.body.categories[1]).toMatchObject({
+        category: 'Cloud Cost Savings',
+        items_count: 1,
+        fidelity_score: 0.5,
+        unsupported_items: ['Saved $2M annually on AWS spend'],
+        action: 'keep',
+        merge_into: null
+      });
+      expect(response.body.recommendations.slice(0, 2)).toEqual([
+        'Drop "Community Volunteering": Not relevant to the role',
+        'Merge "Team Mentoring" into "Technical Leadership": Overlaps with leadership'
+      ]);
+    });
+
+    it('should accept categories wrapped in an object', async () => {
+      const response = await request(app)
+        .post('/evaluate/related-accomplishments')
+        .send({
+          job_description: jobDescription,
+          original_resume: originalResume,
+          related_accomplishments: { relatedAccomplishments: categories }
+        })
+        .expect(200);
+
+      expect(response.body.categories).toHaveLength(4);
+    });
+
+    it('should reject duplicate category names', async () => {
+      const response = await request(app)
+        .post('/evaluate/related-accomplishments')
+        .send({
+          job_description: jobDescription,
+          original_resume: originalResume,
+          related_accomplishments: [categories[0], { ...categories[1], category: 'technical leadership' }]
+        })
+        .expect(400);
+
+      expect(response.body.error.errors[0].message).toBe('Accomplishment category names must be unique');
+    });
+  });
+
+  describe('category verdicts', () => {
+    it('should match verdicts by category number, even when the critic reworded the name', () => {
+      const [leadership, cloud] = buildCategoryResults(categories.slice(0, 2), {
+        categories: [
+          { index: 1, category: 'Cloud savings', fidelity_score: 0.5, action: 'keep' },
+          { index: 0, category: 'Cloud Cost Savings', action: 'drop', reason: 'Weak' }
+        ]
+      });
+
+      expect(leadership).toMatchObject({ category: 'Technical Leadership', action: 'drop', reason: 'Weak' });
+      expect(cloud).toMatchObject({ category: 'Cloud Cost Savings', action: 'keep', fidelity_score: 0.5 });
+    });
+
+    it('should fall back to the name for verdicts without a number', () => {
+      const [leadership, cloud] = buildCategoryResults(categories.slice(0, 2), {
+        categories: [{ category: ' cloud cost savings ', action: 'drop' }]
+      });
+
+      expect(leadership.action).toBe('keep');
+      expect(leadership.alignment_score).toBeNull();
+      expect(cloud.action).toBe('drop');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+const { registerProvider, resetProviderRegistry } = require('../../src/llm/registry');
+
+jest.mock('../../src/utils/config');
+
+describe('Critic output repair', () => {
+  let app;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7,
+        'llm.repair.maxAttempts': 1
+      };
+      return configs[key] !== undefined ? configs[key] : defaultValue;
+    });
+
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    resetProviderRegistry();
+  });
+
+  // Swap in a mock provider that never answers with JSON, so every critic fails
+  const failEveryCritic = () => registerProvider({
+    name: 'mock',
+    create: () => ({ name: 'mock', model: 'mock-1.0', complete: async () => 'I cannot score this.' })
+  });
+
+  const jobDescription = 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.';
+  const resume = 'John Doe\nSoftware Engineer\nExperience: 5 years Node.js, 3 years React, AWS certified. Built scalable microservices for e-commerce platform serving 1M+ users. Led team of 4 developers.';
+
+  it('should report every v2 critic as ok when its output is valid', async () => {
+    const response = await request(app)
+      .post('/v2/evaluate')
+      .send({ job_description: jobDescription, resume })
+      .expect(200);
+
+    expect(response.body.critic_status).toMatchObject({
+      job_fit: { status: 'ok', attempts: 1 },
+      keyword: { status: 'ok', attempts: 1 },
+      language: { status: 'ok', attempts: 1 }
+    });
+    expect(response.body.failed_critics).toEqual([]);
+  });
+
+  it('should mark cover letter critics that never return valid JSON as failed instead of scoring zero', async () => {
+    // The mock provider has no canned response for the tone critic, so every attempt is plain text
+    const response = await request(app)
+      .post('/v2/evaluate/cover-letter')
+      .send({
+        job_description: jobDescription,
+        original_resume: resume,
+        cover_letter: 'Dear Hiring Manager, I am excited to apply for this role and bring five years of Node.js experience.'
+      })
+      .expect(200);
+
+    expect(response.body.critic_status.tone).toEqual({
+      status: 'failed',
+      attempts: 2,
+      errors: ['response is not a JSON object']
+    });
+    expect(response.body.failed_critics).toContain('tone');
+    expect(response.body.detailed_feedback.tone.score).toBeNull();
+    expect(response.body.composite_score).toBeGreaterThan(0);
+  });
+
+  it('should not score a cover letter when every critic failed', async () => {
+    failEveryCritic();
+
+    const response = await request(app)
+      .post('/v2/evaluate/cover-letter')
+      .send({
+        job_description: jobDescription,
+        original_resume: resume,
+        cover_letter: 'Dear Hiring Manager, my five years of Node.js and React work fit this role well.'
+      })
+      .expect(200);
+
+    expect(response.body.failed_critics).toEqual(
+      expect.arrayContaining(['tone', 'personalization', 'language', 'relevance', 'opportunity', 'fidelity'])
+    );
+    expect(response.body.fidelity_score).toBeNull();
+    expect(response.body.composite_score).toBeNull();
+    expect(response.body.pass).toBe(false);
+  });
+
+  it('should not score a resume when every critic failed', async () => {
+    failEveryCritic();
+
+    const response = await request(app)
+      .post('/v2/evaluate')
+      .send({ job_description: jobDescription, resume, original_resume: `${resume}\nMentored two junior developers.` })
+      .expect(200);
+
+    expect(response.body.failed_critics).toContain('fidelity');
+    expect(response.body.fidelity_score).toBeNull();
+    expect(response.body.composite_score).toBeNull();
+    expect(response.body.pass).toBe(false);
+  });
+
+  it('should not score an ensemble when every critic failed in every sample', async () => {
+    failEveryCritic();
+
+    const response = await request(app)
+      .post('/v2/evaluate')
+      .send({ job_description: jobDescription, resume, ensemble: { samples: 2 } })
+      .expect(200);
+
+    expect(response.body.composite_score).toBeNull();
+    expect(response.body.ensemble.composite).toBeNull();
+    expect(response.body.pass).toBe(false);
+  });
+});
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+
+jest.mock('../../src/utils/config');
+
+// Collect the raw body so Server-Sent Events can be parsed after the stream ends
+const collectText = (res, callback) => {
+  res.setEncoding('utf8');
+  // eslint-disable-next-line fp/no-let
+  let text = '';
+  res.on('data', chunk => {
+    // eslint-disable-next-line fp/no-mutation
+    text += chunk;
+  });
+  res.on('end', () => callback(null, text));
+};
+
+const parseEvents = text => text
+  .split('\n\n')
+  .filter(block => block.trim())
+  .map(block => block.split('\n').reduce((event, line) => {
+    const [field, ...rest] = line.split(': ');
+    return { ...event, [field]: field === 'data' ? JSON.parse(rest.join(': ')) : rest.join(': ') };
+  }, {}));
+
+describe('Streaming evaluation', () => {
+  let app;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7
+      };
+      return configs[key] || defaultValue;
+    });
+
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const jobDescription = 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.';
+  const resume = 'John Doe\nSoftware Engineer\nExperience: 5 years Node.js, 3 years React, AWS certified. Built scalable microservices for e-commerce platform serving 1M+ users. Led team of 4 developers.';
+
+  describe('POST /v2/evaluate', () => {
+    it('should stream progress, one event per critic and the final result when asked with ?stream=true', async () => {
+      const response = await request(app)
+        .post('/v2/evaluate?stream=true')
+        .send({ job_description: jobDescription, resume })
+        .buffer(true)
+        .parse(collectText)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+
+      const events = parseEvents(response.body);
+      const critics = events.filter(event => event.event === 'critic');
+      const result = events[events.length - 1];
+
+      expect(events[0]).toMatchObject({ event: 'progress', data: { stage: 'keywords' } });
+      expect(critics.map(event => event.data.name).sort())
+        .toEqual(['job_fit', 'keyword', 'language', 'readability', 'relevance']);
+      critics.forEach(event => {
+        expect(event.data).toMatchObject({
+          result: expect.any(Object),
+          normalized_score: expect.any(Number),
+          latency_ms: expect.any(Number),
+          total: 5
+        });
+      });
+      expect(critics[critics.length - 1].data.completed).toBe(5);
+      expect(result.event).toBe('result');
+      expect(result.data.normalized_scores).toEqual(expect.objectContaining({
+        keyword: critics.find(event => event.data.name === 'keyword').data.normalized_score
+      }));
+      expect(result.data.composite_score).toEqual(expect.any(Number));
+    });
+
+    it('should stream when the client accepts text/event-stream', async () => {
+      const response = await request(app)
+        .post('/v2/evaluate')
+        .set('Accept', 'text/event-stream')
+        .send({ job_description: jobDescription, resume, job_fit_score: 0.8 })
+        .buffer(true)
+        .parse(collectText)
+        .expect(200);
+
+      const events = parseEvents(response.body);
+      expect(events.filter(event => event.event === 'critic')).toHaveLength(4);
+      expect(events[events.length - 1]).toMatchObject({ event: 'result', data: { job_fit_score: 0.8 } });
+    });
+
+    it('should still answer validation errors with JSON', async () => {
+      const response = await request(app)
+        .post('/v2/evaluate?stream=true')
+        .send({ job_description: 'Too short', resume })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('POST /v2/evaluate/cover-letter', () => {
+    it('should stream the cover letter critics including fidelity', async () => {
+      const response = await request(app)
+        .post('/v2/evaluate/cover-letter?stream=true')
+        .send({
+          job_description: jobDescription,
+          original_resume: resume,
+          cover_letter: 'Dear Hiring Manager, I am excited to apply for this role and bring five years of Node.js experience.'
+        })
+        .buffer(true)
+        .parse(collectText)
+        .expect(200);
+
+      const events = parseEvents(response.body);
+      const critics = events.filter(event => event.event === 'critic').map(event => event.data);
+
+      expect(critics.map(critic => critic.name).sort())
+        .toEqual(['fidelity', 'language', 'opportunity', 'personalization', 'relevance', 'tone']);
+      expect(critics.every(critic => critic.total === 6)).toBe(true);
+      expect(events[events.length - 1]).toMatchObject({
+        event: 'result',
+        data: { api_version: 'v2', composite_score: expect.any(Number) }
+      });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+
+jest.mock('../../src/utils/config');
+
+describe('Summary evaluation endpoint', () => {
+  let app;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7
+      };
+      return configs[key] || defaultValue;
+    });
+
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const jobDescription = 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.';
+  const originalResume = 'Jane Roe\nSoftware Engineer\nExperience: 6 years Node.js, 4 years React, AWS certified. Built scalable microservices for a fintech platform. Led team of 3 developers.';
+  const tailoredSummary = 'Senior engineer with 6 years of Node.js and React experience building scalable fintech platforms.';
+
+  describe('POST /evaluate/summary', () => {
+    it('should return a weighted score with per-critic feedback', async () => {
+      const response = await request(app)
+        .post('/evaluate/summary')
+        .send({ job_description: jobDescription, original_resume: originalResume, tailored_summary: tailoredSummary })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        relevance_score: 0.8,
+        fidelity_score: 0.9,
+        impact_score: 0.7,
+        keyword_score: 0.75,
+        conciseness_score: 0.85,
+        pass: true,
+        threshold: 0.75,
+        keyword_coverage: ['Node.js', 'React'],
+        missing_keywords: ['microservices', 'cloud'],
+        failed_critics: [],
+        llm_provider: 'mock'
+      });
+      // 0.3 * 0.8 + 0.25 * 0.9 + 0.2 * 0.7 + 0.15 * 0.75 + 0.1 * 0.85
+      expect(response.body.composite_score).toBeCloseTo(0.8025);
+      expect(response.body.feedback.fidelity.issues).toEqual(['"Expert in cloud architecture" overstates AWS certification']);
+      expect(Object.keys(response.body.feedback).sort()).toEqual(['conciseness', 'fidelity', 'impact', 'keyword', 'relevance']);
+    });
+
+    it('should list each recommendation once', async () => {
+      const response = await request(app)
+        .post('/evaluate/summary')
+        .send({ job_description: jobDescription, original_resume: originalResume, tailored_summary: tailoredSummary })
+        .expect(200);
+
+      const { recommendations } = response.body;
+      expect(recommendations[0]).toBe('Mention microservices experience from the original resume');
+      expect(recommendations).toHaveLength(new Set(recommendations).size);
+    });
+
+    it('should require the tailored summary', async () => {
+      const response = await request(app)
+        .post('/evaluate/summary')
+        .send({ job_description: jobDescription, original_resume: originalResume })
+        .expect(400);
+
+      expect(response.body.error.errors[0].message).toBe('Tailored summary is required');
+    });
+  });
+});
@@ -116,6 +116,117 @@ describe('/v2/evaluate endpoint', () => {
         .expect(400);
     });
 
+    it('should echo the requested max_workers', async () => {
+      const response = await request(app)
+        .post('/v2/evaluate')
+        .send({ ...validRequest, max_workers: '2' })
+        .expect(200);
+
+      expect(response.body.max_workers).toBe(2);
+    });
+
+    it('should reject max_workers outside 1-10', async () => {
+      const response = await request(app)
+        .post('/v2/evaluate')
+        .send({ ...validRequest, max_workers: 20 })
+        .expect(400);
+
+      expect(response.body.error.errors[0]).toMatchObject({
+        field: 'max_workers',
+        message: 'Maximum number of parallel critic workers (1-10)'
+      });
+    });
+
+    it('should cancel outstanding critics and return 504 with partial results when timeout_ms passes', async () => {
+      // Every mock call takes at least 100ms, so no critic beats a 100ms deadline
+      const response = await request(app)
+        .post('/v2/evaluate')
+        .send({ ...validRequest, required_terms: 'Node.js, React, AWS', timeout_ms: 100 })
+        .expect(504);
+
+      expect(response.body.error).toMatchObject({
+        code: 'DEADLINE_EXCEEDED',
+        statusCode: 504,
+        partial: {
+          completed_critics: [],
+          critic_results: {}
+        }
+      });
+      expect(response.body.error.partial.pending_critics).toEqual(
+        expect.arrayContaining(['job_fit', 'keyword', 'readability', 'relevance', 'language'])
+      );
+    });
+
+    it('should finish normally within a generous timeout_ms', async () => {
+      await request(app)
+        .post('/v2/evaluate')
+        .send({ ...validRequest, timeout_ms: 60000 })
+        .expect(200);
+    });
+
+    it('should reject timeout_ms below 100', async () => {
+      const response = await request(app)
+        .post('/v2/evaluate')
+        .send({ ...validRequest, timeout_ms: 5 })
+        .expect(400);
+
+      expect(response.body.error.errors[0].field).toBe('timeout_ms');
+    });
+
+    it('should run the critics as one batch call when execution_mode is batch', async () => {
+      const response = await request(app)
+        .post('/v2/evaluate')
+        .send({ ...validRequest, execution_mode: 'batch' })
+        .expect(200);
+
+      expect(response.body.execution_mode).toBe('batch');
+      expect(response.body.critic_status).toMatchObject({
+        keyword: { status: 'ok', batched: true },
+        language: { status: 'ok', batched: true }
+      });
+      expect(response.body.served_by.batch).toBeDefined();
+      expect(response.body.served_by.keyword).toBeUndefined();
+      expect(response.body.critic_results.keyword.score).toEqual(expect.any(Number));
+    });
+
+    it('should reject an unknown execution_mode', async () => {
+      await request(app)
+        .post('/v2/evaluate')
+        .send({ ...validRequest, execution_mode: 'serial' })
+        .expect(400);
+    });
+
+    it('should aggregate ensemble samples and report their spread', async () => {
+      const response = await request(app)
+        .post('/v2/evaluate')
+        .send({ ...validRequest, ensemble: { samples: 2, aggregate: 'median', use_lower_bound: true } })
+        .expect(200);
+
+      const { ensemble } = response.body;
+      expect(ensemble).toMatchObject({ aggregate: 'median', confidence: 0.95, use_lower_bound: true });
+      expect(ensemble.members).toHaveLength(2);
+      expect(ensemble.members.map(member => member.sample)).toEqual([1, 2]);
+      // The mock provider answers every sample the same way
+      expect(ensemble.composite).toMatchObject({ std_dev: 0, samples: 2 });
+      expect(ensemble.composite.lower).toBe(response.body.composite_score);
+      expect(ensemble.critics.keyword).toMatchObject({ std_dev: 0, samples: 2 });
+      expect(response.body.pass).toBe(ensemble.composite.lower >= 0.75);
+      expect(response.body.critic_status.keyword).toMatchObject({ status: 'ok', samples: 2 });
+      // Keywords are extracted once and shared by both samples
+      const attempts = Object.values(response.body.critic_status).reduce((sum, status) => sum + status.attempts, 0);
+      expect(response.body.usage.total.calls).toBe(attempts + 1);
+    });
+
+    it('should reject an ensemble of more than 10 evaluations', async () => {
+      await request(app)
+        .post('/v2/evaluate')
+        .send({
+          ...validRequest,
+          ensemble: { samples: 6, models: [{ provider: 'mock' }, { provider: 'mock', model: 'mock-2' }] }
+        })
+        .expect(400);
+    });
+
     it('should include execution time', async () => {
       const response = await request(app)
         .post('/v2/evaluate')
@@ -126,4 +237,36 @@ describe('/v2/evaluate endpoint', () => {
       expect(response.body.execution_time).toBeLessThan(10); // Should be fast with mock
     });
   });
+
+  describe('POST /v2/evaluate/cover-letter', () => {
+    const coverLetterRequest = {
+      job_description: 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.',
+      original_resume: 'John Doe\nSoftware Engineer\nExperience: 5 years Node.js, 3 years React, AWS certified. Built scalable microservices for e-commerce platform serving 1M+ users. Led team of 4 developers.',
+      cover_letter: 'Dear Hiring Manager, I am excited to apply for this role and bring five years of Node.js experience.'
+    };
+
+    it('should cancel outstanding critics, including fidelity, and return 504 when timeout_ms passes', async () => {
+      const response = await request(app)
+        .post('/v2/evaluate/cover-letter')
+        .send({ ...coverLetterRequest, timeout_ms: 100 })
+        .expect(504);
+
+      expect(response.body.error).toMatchObject({
+        code: 'DEADLINE_EXCEEDED',
+        partial: { completed_critics: [] }
+      });
+      expect(response.body.error.partial.pending_critics).toEqual(
+        expect.arrayContaining(['tone', 'personalization', 'language', 'relevance', 'opportunity', 'fidelity'])
+      );
+    });
+
+    it('should reject timeout_ms above 600000', async () => {
+      const response = await request(app)
+        .post('/v2/evaluate/cover-letter')
+        .send({ ...coverLetterRequest, timeout_ms: 700000 })
+        .expect(400);
+
+      expect(response.body.error.errors[0].field).toBe('timeout_ms');
+    });
+  });
 });
\ No newline at end of file
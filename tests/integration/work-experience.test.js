@@ -0,0 +1,115 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { getConfig } = require('../../src/utils/config');
+
+jest.mock('../../src/utils/config');
+
+describe('Work experience evaluation endpoint', () => {
+  let app;
+
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'evaluation.threshold': 0.75,
+        'llm.useMock': true,
+        'llm.provider': 'mock',
+        'llm.model': 'mock-model',
+        'llm.temperature': 0.7
+      };
+      return configs[key] || defaultValue;
+    });
+
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const jobDescription = 'Senior Software Engineer position requiring expertise in Node.js, React, and cloud technologies. We are looking for someone with strong experience in building scalable web applications and microservices.';
+  const workExperience = [
+    {
+      title: 'Software Engineer',
+      company: 'Acme Payments',
+      dates: 'Mar 2021 - Present',
+      responsibilities: ['Built Node.js microservices for card processing', 'Cut API latency by 35%']
+    },
+    {
+      title: 'Associate Engineer',
+      company: 'Globex',
+      dates: 'Jun 2018 - Feb 2021',
+      responsibilities: ['Maintained React dashboards', 'Migrated services to a new platform']
+    }
+  ];
+
+  describe('POST /evaluate/work-experience', () => {
+    it('should return aggregate scores and per-role feedback', async () => {
+      const response = await request(app)
+        .post('/evaluate/work-experience')
+        .send({ job_description: jobDescription, work_experience: workExperience, required_terms: 'Node.js, React, AWS' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        relevance_score: 0.8,
+        impact_score: 0.6,
+        progression_score: 0.7,
+        skills_score: 0.75,
+        clarity_score: 0.9,
+        pass: false,
+        should_improve: true,
+        improvement_strategy: 'Focus on impact first: Quantify the Globex migration work',
+        failed_critics: []
+      });
+      // 0.3 * 0.8 + 0.25 * 0.6 + 0.2 * 0.75 + 0.15 * 0.7 + 0.1 * 0.9
+      expect(response.body.composite_score).toBeCloseTo(0.735);
+
+      const [acme, globex] = response.body.roles;
+      expect(acme).toMatchObject({
+        index: 0,
+        company: 'Acme Payments',
+        aligned: true,
+        responsibilities_count: 2,
+        quantified_count: 1
+      });
+      expect(acme.strengths).toContain('Cut API latency by 35%');
+      expect(acme.suggestions).toContain('Name the AWS services used');
+      expect(globex.aligned).toBe(false);
+      expect(globex.issues).toEqual(['No cloud infrastructure ownership', 'Bullets list duties without outcomes']);
+    });
+
+    it('should keep the findings of roles at the same company apart', async () => {
+      const sameCompany = workExperience.map(role => ({ ...role, company: 'Acme Payments' }));
+
+      const response = await request(app)
+        .post('/evaluate/work-experience')
+        .send({ job_description: jobDescription, work_experience: sameCompany, required_terms: 'Node.js' })
+        .expect(200);
+
+      const [senior, junior] = response.body.roles;
+      expect(senior.issues).toEqual([]);
+      expect(junior.issues).toEqual(['No cloud infrastructure ownership', 'Bullets list duties without outcomes']);
+      expect(junior.strengths).not.toContain('Cut API latency by 35%');
+    });
+
+    it('should accept experiences wrapped in an object', async () => {
+      const response = await request(app)
+        .post('/evaluate/work-experience')
+        .send({ job_description: jobDescription, work_experience: { experiences: workExperience }, required_terms: 'Node.js' })
+        .expect(200);
+
+      expect(response.body.roles).toHaveLength(2);
+    });
+
+    it('should reject roles without responsibilities', async () => {
+      const response = await request(app)
+        .post('/evaluate/work-experience')
+        .send({
+          job_description: jobDescription,
+          work_experience: [workExperience[0], { title: 'Intern', company: 'Initech' }]
+        })
+        .expect(400);
+
+      expect(response.body.error.errors[0].message).toBe('Work experience entry 2 requires a non-empty list of responsibilities');
+    });
+  });
+});
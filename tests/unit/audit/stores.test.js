@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryAuditStore, DAY_MS } = require('../../../src/audit/stores/memory');
+const { createFileAuditStore } = require('../../../src/audit/stores/file');
+
+const entryAt = (auditId, daysAgo) => ({
+  audit_id: auditId,
+  event_type: 'evaluation',
+  request_timestamp: new Date(Date.now() - daysAgo * DAY_MS).toISOString()
+});
+
+describe('Audit stores', () => {
+  describe('memory store', () => {
+    it('should hide entries outside the retention window', async () => {
+      const store = createMemoryAuditStore({ retentionDays: 7 });
+      await store.save(entryAt('old', 10));
+      await store.save(entryAt('recent', 1));
+
+      expect((await store.list()).map(entry => entry.audit_id)).toEqual(['recent']);
+      expect(await store.get('old')).toBeNull();
+    });
+
+    it('should keep only the newest entries beyond maxEntries', async () => {
+      const store = createMemoryAuditStore({ retentionDays: 0, maxEntries: 2 });
+      await store.save(entryAt('a', 0));
+      await store.save(entryAt('b', 0));
+      await store.save(entryAt('c', 0));
+
+      expect((await store.list()).map(entry => entry.audit_id)).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('file store', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should append entries to one file per day and read them back', async () => {
+      const store = createFileAuditStore({ directory, retentionDays: 0 });
+      await store.save(entryAt('today', 0));
+      await store.save(entryAt('yesterday', 1));
+
+      expect(fs.readdirSync(directory)).toHaveLength(2);
+      expect((await store.get('yesterday')).event_type).toBe('evaluation');
+    });
+
+    it('should delete expired files when retention applies', async () => {
+      const writer = createFileAuditStore({ directory, retentionDays: 0 });
+      await writer.save(entryAt('expired', 40));
+      await writer.save(entryAt('kept', 5));
+
+      const store = createFileAuditStore({ directory, retentionDays: 30 });
+      expect((await store.list()).map(entry => entry.audit_id)).toEqual(['kept']);
+
+      await store.save(entryAt('new', 0));
+      expect(fs.readdirSync(directory)).toHaveLength(2);
+    });
+
+    it('should remove entries older than a cutoff', async () => {
+      const store = createFileAuditStore({ directory, retentionDays: 0 });
+      await store.save(entryAt('old', 3));
+      await store.save(entryAt('recent', 0));
+
+      const removed = await store.removeOlderThan(new Date(Date.now() - 2 * DAY_MS));
+
+      expect(removed).toBe(1);
+      expect((await store.list()).map(entry => entry.audit_id)).toEqual(['recent']);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { extractText, detectFormat } = require('../../../../src/core/processors/file.processor');
+const { processText } = require('../../../../src/core/processors/text.processor');
+
+const fixture = name => ({
+  fieldname: 'resume_file',
+  originalname: name,
+  buffer: fs.readFileSync(path.join(__dirname, '../../../fixtures', name))
+});
+
+const upload = (originalname, content, mimetype = 'application/octet-stream') => ({
+  fieldname: 'resume_file',
+  originalname,
+  mimetype,
+  buffer: Buffer.from(content)
+});
+
+describe('File Processor', () => {
+  describe('detectFormat', () => {
+    it('should detect formats by extension before mimetype', () => {
+      expect(detectFormat({ originalname: 'resume.PDF', mimetype: 'text/plain' })).toBe('pdf');
+      expect(detectFormat({ originalname: 'resume.htm' })).toBe('html');
+      expect(detectFormat({ originalname: 'blob', mimetype: 'text/plain' })).toBe('txt');
+      expect(detectFormat({ originalname: 'resume.pages', mimetype: 'text/plain' })).toBeNull();
+    });
+  });
+
+  describe('extractText', () => {
+    it('should extract PDF text and mark section headings', async () => {
+      const result = await extractText(fixture('resume.pdf'));
+
+      expect(result.format).toBe('pdf');
+      expect(result.text).toContain('Built Node.js microservices on AWS');
+      expect(result.text).toContain('## EXPERIENCE');
+      expect(result.sections).toEqual(['SUMMARY', 'EXPERIENCE', 'SKILLS']);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should warn when a PDF has no text layer', async () => {
+      const result = await extractText(fixture('scanned.pdf'));
+
+      expect(result.text).toBe('');
+      expect(result.warnings.map(warning => warning.code)).toContain('NO_TEXT_LAYER');
+    });
+
+    it('should keep DOCX headings and flatten tables with a warning', async () => {
+      const result = await extractText(fixture('resume.docx'));
+
+      expect(result.format).toBe('docx');
+      expect(result.sections).toEqual(['Experience', 'Skills']);
+      expect(result.text).toContain('| Node.js | 5 years |');
+      expect(result.warnings.map(warning => warning.code)).toContain('TABLE_FLATTENED');
+    });
+
+    it('should convert HTML to markdown without scripts or escaping', async () => {
+      const result = await extractText(upload(
+        'resume.html',
+        '<html><head><title>Resume</title><script>track()</script></head><body><h2>Skills</h2><p>node_modules, C++</p></body></html>'
+      ));
+
+      expect(result.text).toBe('## Skills\n\nnode_modules, C++');
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should strip the byte order mark from plain text', async () => {
+      const result = await extractText(upload('resume.txt', '\uFEFFJane Roe\r\nEXPERIENCE\r\nEngineer at Acme'));
+
+      expect(result.text).toBe('Jane Roe\n## EXPERIENCE\nEngineer at Acme');
+    });
+
+    it('should reject unsupported formats', async () => {
+      await expect(extractText(upload('resume.pages', 'binary'))).rejects.toMatchObject({
+        statusCode: 400,
+        errors: [expect.objectContaining({ field: 'resume_file' })]
+      });
+    });
+
+    it('should reject files that cannot be parsed', async () => {
+      await expect(extractText(upload('resume.pdf', 'not a pdf'))).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Unable to read file'
+      });
+    });
+  });
+
+  describe('processText', () => {
+    it('should flag column-aligned layouts', () => {
+      const result = processText('Company   Title   Years\nAcme   Engineer   2019\nBeta   Developer   2017');
+
+      expect(result.warnings.map(warning => warning.code)).toEqual(['TABULAR_LAYOUT']);
+      expect(result.text).toBe('Company Title Years\nAcme Engineer 2019\nBeta Developer 2017');
+    });
+
+    it('should not treat long upper-case sentences as headings', () => {
+      const result = processText('AWS CERTIFIED SOLUTIONS ARCHITECT AND KUBERNETES ADMINISTRATOR');
+
+      expect(result.sections).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryCacheStore } = require('../../../src/llm/cache/stores/memory');
+const { createFileCacheStore } = require('../../../src/llm/cache/stores/file');
+const { createCacheKey, withResponseCache } = require('../../../src/llm/cache');
+const { createLLMClient, createMockClient } = require('../../../src/llm/client');
+
+describe('Response Cache', () => {
+  const key = 'a'.repeat(64);
+  const otherKey = 'b'.repeat(64);
+
+  describe('memory store', () => {
+    it('should return cached values until they expire', async () => {
+      const store = createMemoryCacheStore({ ttlSeconds: 60 });
+      const now = Date.now();
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await store.set(key, 'cached');
+      expect(await store.get(key)).toBe('cached');
+
+      spy.mockReturnValue(now + 61 * 1000);
+      expect(await store.get(key)).toBeUndefined();
+      spy.mockRestore();
+    });
+
+    it('should evict the least recently used entry once full', async () => {
+      const store = createMemoryCacheStore({ maxEntries: 2 });
+
+      await store.set('first', 1);
+      await store.set('second', 2);
+      await store.get('first');
+      await store.set('third', 3);
+
+      expect(await store.get('second')).toBeUndefined();
+      expect(await store.get('first')).toBe(1);
+      expect(await store.size()).toBe(2);
+    });
+  });
+
+  describe('file store', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-critic-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should persist responses across store instances', async () => {
+      await createFileCacheStore({ directory }).set(key, '{"score": 0.8}');
+
+      expect(await createFileCacheStore({ directory }).get(key)).toBe('{"score": 0.8}');
+    });
+
+    it('should drop expired entries', async () => {
+      const store = createFileCacheStore({ directory, ttlSeconds: 60 });
+      const now = Date.now();
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await store.set(key, 'cached');
+      spy.mockReturnValue(now + 61 * 1000);
+
+      expect(await store.get(key)).toBeUndefined();
+      expect(await store.size()).toBe(0);
+      spy.mockRestore();
+    });
+
+    it('should keep at most maxEntries files', async () => {
+      const store = createFileCacheStore({ directory, maxEntries: 1 });
+
+      await store.set(key, 'first');
+      await store.set(otherKey, 'second');
+
+      expect(await store.size()).toBe(1);
+    });
+  });
+
+  describe('createCacheKey', () => {
+    const client = { provider: 'openai', model: 'gpt-4o-mini' };
+    const options = { system: 'You are a critic', user: 'Score this resume' };
+
+    it('should be stable for identical requests', () => {
+      expect(createCacheKey(client, { temperature: 0.2 }, options))
+        .toBe(createCacheKey(client, { temperature: 0.2 }, { ...options }));
+    });
+
+    it('should change with provider, model, temperature and prompts', () => {
+      const base = createCacheKey(client, { temperature: 0.2 }, options);
+
+      expect(createCacheKey({ ...client, provider: 'gemini' }, { temperature: 0.2 }, options)).not.toBe(base);
+      expect(createCacheKey({ ...client, model: 'gpt-4' }, { temperature: 0.2 }, options)).not.toBe(base);
+      expect(createCacheKey(client, { temperature: 0.7 }, options)).not.toBe(base);
+      expect(createCacheKey(client, { temperature: 0.2 }, { ...options, system: 'Other' })).not.toBe(base);
+      expect(createCacheKey(client, { temperature: 0.2 }, { ...options, user: 'Other' })).not.toBe(base);
+    });
+
+    it('should keep ensemble samples apart, with the first sample sharing the plain entry', () => {
+      const base = createCacheKey(client, { temperature: 0.2 }, options);
+
+      expect(createCacheKey(client, { temperature: 0.2, sample: undefined }, options)).toBe(base);
+      expect(createCacheKey(client, { temperature: 0.2, sample: 1 }, options)).not.toBe(base);
+      expect(createCacheKey(client, { temperature: 0.2, sample: 2 }, options))
+        .not.toBe(createCacheKey(client, { temperature: 0.2, sample: 1 }, options));
+    });
+  });
+
+  describe('withResponseCache', () => {
+    it('should call the provider once per fingerprint and count hits and misses', async () => {
+      const complete = jest.fn(async options => `response to ${options.user}`);
+      const stats = { hits: 0, misses: 0 };
+      const cached = withResponseCache(createMemoryCacheStore(), { provider: 'mock', model: 'm' }, {}, stats, complete);
+
+      await cached({ user: 'one' });
+      await cached({ user: 'one' });
+      const response = await cached({ user: 'two' });
+
+      expect(response).toBe('response to two');
+      expect(complete).toHaveBeenCalledTimes(2);
+      expect(stats).toEqual({ hits: 1, misses: 2 });
+    });
+
+    it('should fall through to the provider when the store fails', async () => {
+      const store = {
+        get: jest.fn().mockRejectedValue(new Error('disk gone')),
+        set: jest.fn().mockRejectedValue(new Error('disk gone'))
+      };
+      const stats = { hits: 0, misses: 0 };
+      const cached = withResponseCache(store, { provider: 'mock', model: 'm' }, {}, stats, async () => 'fresh');
+
+      await expect(cached({ user: 'one' })).resolves.toBe('fresh');
+      expect(stats).toEqual({ hits: 0, misses: 1 });
+    });
+  });
+
+  describe('client integration', () => {
+    it('should report cache stats as disabled when the client has no cache', () => {
+      expect(createMockClient({ default: 'x' }).getCacheStats()).toEqual({ enabled: false, hits: 0, misses: 0 });
+    });
+
+    it('should count cache hits and misses per scope as well as for the whole client', async () => {
+      const client = createLLMClient({ useMock: true, mock: { responses: { default: 'x' } }, cache: createMemoryCacheStore() });
+      const first = client.scope();
+      const second = client.scope();
+
+      await first.complete({ system: 'system', user: 'one' });
+      await second.complete({ system: 'system', user: 'one' });
+      await second.complete({ system: 'system', user: 'two' });
+
+      expect(first.getCacheStats()).toEqual({ enabled: true, hits: 0, misses: 1 });
+      expect(second.getCacheStats()).toEqual({ enabled: true, hits: 1, misses: 1 });
+      expect(client.getCacheStats()).toEqual({ enabled: true, hits: 1, misses: 2 });
+    });
+  });
+});
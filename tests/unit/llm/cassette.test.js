@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createCassetteKey,
+  createCassette,
+  withRecording,
+  createReplayProvider
+} = require('../../../src/llm/cassette');
+const { createProviderRegistry } = require('../../../src/llm/registry');
+const { createLLMClient } = require('../../../src/llm/client');
+const { CassetteMissError } = require('../../../src/utils/errors');
+
+const outputSchema = { name: 'language', schema: { type: 'object' } };
+
+describe('Cassettes', () => {
+  const originalEnv = { ...process.env };
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    process.env = { ...originalEnv };
+  });
+
+  describe('createCassetteKey', () => {
+    const identity = { provider: 'openai', model: 'gpt-4o-mini' };
+    const options = { system: 'You are a critic', user: 'Score this resume\n  - Node.js', outputSchema };
+
+    it('should ignore whitespace and sampling settings', () => {
+      const base = createCassetteKey(identity, options);
+
+      expect(createCassetteKey(identity, { ...options, user: 'Score this resume\r\n- Node.js  ', temperature: 0.2 })).toBe(base);
+      expect(createCassetteKey(identity, { ...options, user: 'Score this CV' })).not.toBe(base);
+      expect(createCassetteKey({ ...identity, model: 'gpt-4o' }, options)).not.toBe(base);
+      expect(createCassetteKey(identity, { ...options, outputSchema: undefined })).not.toBe(base);
+    });
+  });
+
+  describe('record and replay', () => {
+    const provider = {
+      name: 'openai',
+      model: 'gpt-4o-mini',
+      complete: jest.fn(),
+      completeWithUsage: jest.fn(async options => ({
+        content: `{"score": 4, "echo": "${options.user}"}`,
+        usage: { promptTokens: 120, completionTokens: 30, totalTokens: 150, estimated: false }
+      }))
+    };
+
+    it('should write one file per call and serve it back without the provider', async () => {
+      const cassette = createCassette({ directory });
+      await withRecording(provider, cassette).complete({ system: 'critic', user: 'resume', outputSchema, label: 'language' });
+
+      const [file] = fs.readdirSync(directory);
+      const entry = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      expect(file).toBe(`${entry.key}.json`);
+      expect(entry).toMatchObject({
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        label: 'language',
+        request: { system: 'critic', user: 'resume', output_schema: 'language' }
+      });
+
+      const replay = createReplayProvider({ name: 'openai', model: 'gpt-4o-mini' }, cassette);
+      await expect(replay.completeWithUsage({ system: 'critic', user: ' resume ', outputSchema })).resolves.toEqual({
+        content: '{"score": 4, "echo": "resume"}',
+        usage: { promptTokens: 120, completionTokens: 30, totalTokens: 150, estimated: false }
+      });
+    });
+
+    it('should fail on calls that were never recorded', async () => {
+      const replay = createReplayProvider({ name: 'openai', model: 'gpt-4o-mini' }, createCassette({ directory }));
+
+      await expect(replay.complete({ user: 'unrecorded', label: 'keyword' })).rejects.toThrow(CassetteMissError);
+      await expect(replay.complete({ user: 'unrecorded', label: 'keyword' })).rejects.toThrow('No cassette recording for keyword call to openai');
+    });
+  });
+
+  describe('createLLMClient', () => {
+    const createClient = complete => createLLMClient({
+      provider: 'scripted',
+      registry: createProviderRegistry([
+        { name: 'scripted', create: config => ({ name: 'scripted', model: config.model || 'scripted-1', complete }) }
+      ]),
+      useMock: false,
+      maxRepairs: 0
+    });
+
+    it('should record with LLM_CASSETTE=record and replay offline with LLM_CASSETTE=replay', async () => {
+      process.env.LLM_CASSETTE_DIR = directory;
+      process.env.LLM_CASSETTE = 'record';
+      await createClient(jest.fn().mockResolvedValue('{"score": 3}'))
+        .completeJson({ system: 'critic', user: 'resume', outputSchema, label: 'language' });
+
+      process.env.LLM_CASSETTE = 'replay';
+      const offline = jest.fn().mockRejectedValue(new Error('network is down'));
+      const client = createClient(offline);
+
+      await expect(client.completeJson({ system: 'critic', user: 'resume', outputSchema, label: 'language' }))
+        .resolves.toEqual({ score: 3 });
+      await expect(client.complete({ user: 'something new', label: 'keyword_extraction' }))
+        .rejects.toMatchObject({ code: 'CASSETTE_MISS' });
+      expect(offline).not.toHaveBeenCalled();
+      expect(client.getServedBy().language).toMatchObject({ provider: 'scripted', model: 'scripted-1' });
+    });
+  });
+});
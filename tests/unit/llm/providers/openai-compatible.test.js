@@ -0,0 +1,137 @@
+const OpenAI = require('openai');
+const { createOpenAICompatibleProvider } = require('../../../../src/llm/providers/openai-compatible');
+const { createLLMClient, getProviderNames } = require('../../../../src/llm/client');
+
+jest.mock('openai');
+
+describe('OpenAI-compatible Provider', () => {
+  const create = jest.fn();
+
+  beforeEach(() => {
+    create.mockReset();
+    OpenAI.mockClear();
+    OpenAI.mockImplementation(() => ({ chat: { completions: { create } } }));
+    process.env.USE_MOCK_LLM = '';
+    process.env.VLLM_API_KEY = '';
+  });
+
+  describe('createOpenAICompatibleProvider', () => {
+    it('should point the OpenAI client at the endpoint base URL', () => {
+      const provider = createOpenAICompatibleProvider({
+        name: 'local-vllm',
+        baseURL: 'http://vllm:8000/v1',
+        models: ['llama-3-8b', 'qwen-2-7b']
+      });
+
+      expect(provider.name).toBe('local-vllm');
+      expect(provider.model).toBe('llama-3-8b');
+      expect(OpenAI).toHaveBeenCalledWith(expect.objectContaining({
+        baseURL: 'http://vllm:8000/v1',
+        defaultHeaders: { Authorization: null }
+      }));
+    });
+
+    it('should send the API key in a custom auth header', () => {
+      process.env.VLLM_API_KEY = 'gateway-key';
+
+      createOpenAICompatibleProvider({
+        baseURL: 'http://gateway/v1',
+        model: 'llama-3-8b',
+        apiKeyEnv: 'VLLM_API_KEY',
+        authHeader: 'X-Api-Key',
+        authScheme: '',
+        headers: { 'X-Team': 'resume-critic' }
+      });
+
+      expect(OpenAI).toHaveBeenCalledWith(expect.objectContaining({
+        apiKey: 'gateway-key',
+        defaultHeaders: {
+          'X-Team': 'resume-critic',
+          Authorization: null,
+          'X-Api-Key': 'gateway-key'
+        }
+      }));
+    });
+
+    it('should leave the standard bearer header to the SDK', () => {
+      createOpenAICompatibleProvider({ baseURL: 'http://lmstudio/v1', model: 'phi-3', apiKey: 'lm-key' });
+
+      expect(OpenAI).toHaveBeenCalledWith(expect.objectContaining({ apiKey: 'lm-key', defaultHeaders: {} }));
+    });
+
+    it('should reject a model the endpoint does not serve', () => {
+      expect(() => createOpenAICompatibleProvider({
+        name: 'local-vllm',
+        baseURL: 'http://vllm:8000/v1',
+        model: 'gpt-4',
+        models: ['llama-3-8b']
+      })).toThrow('Model gpt-4 is not available on local-vllm');
+    });
+
+    it('should require a base URL', () => {
+      expect(() => createOpenAICompatibleProvider({ name: 'broken', model: 'x' }))
+        .toThrow('Base URL is required for broken endpoint');
+    });
+
+    it('should complete through the chat completions API', async () => {
+      create.mockResolvedValue({
+        model: 'llama-3-8b',
+        choices: [{ message: { content: '{"score": 0.8}' }, finish_reason: 'stop' }]
+      });
+      const provider = createOpenAICompatibleProvider({ baseURL: 'http://vllm/v1', model: 'llama-3-8b' });
+
+      const response = await provider.complete({ system: 'sys', user: 'usr' });
+
+      expect(response).toBe('{"score": 0.8}');
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        model: 'llama-3-8b',
+        messages: [{ role: 'system', content: 'sys' }, { role: 'user', content: 'usr' }]
+      }));
+    });
+
+    it('should report failures under the endpoint name', async () => {
+      create.mockRejectedValue(new Error('connection refused'));
+      const provider = createOpenAICompatibleProvider({ name: 'local-vllm', baseURL: 'http://vllm/v1', model: 'm' });
+
+      await expect(provider.complete({ user: 'usr' })).rejects.toMatchObject({
+        message: 'local-vllm API error: connection refused',
+        provider: 'local-vllm'
+      });
+    });
+  });
+
+  describe('named endpoints in the client', () => {
+    const endpoints = {
+      'local-vllm': { type: 'openai-compatible', baseURL: 'http://vllm/v1', models: ['llama-3-8b', 'qwen-2-7b'] },
+      'lm-studio': { baseURL: 'http://lmstudio/v1', model: 'phi-3' }
+    };
+
+    it('should list named endpoints alongside the built-in providers', () => {
+      expect(getProviderNames({ endpoints })).toEqual(['openai', 'gemini', 'ollama', 'mock', 'local-vllm', 'lm-studio']);
+    });
+
+    it('should create a client for a named endpoint with the requested model', () => {
+      const client = createLLMClient({ provider: 'local-vllm', model: 'qwen-2-7b', endpoints, useMock: false });
+
+      expect(client.provider).toBe('local-vllm');
+      expect(client.model).toBe('qwen-2-7b');
+    });
+
+    it('should register several endpoints side by side', () => {
+      const vllm = createLLMClient({ provider: 'local-vllm', endpoints, useMock: false });
+      const studio = createLLMClient({ provider: 'lm-studio', endpoints, useMock: false });
+
+      expect(vllm.model).toBe('llama-3-8b');
+      expect(studio.model).toBe('phi-3');
+      expect(OpenAI.mock.calls.map(([options]) => options.baseURL)).toEqual(['http://vllm/v1', 'http://lmstudio/v1']);
+    });
+
+    it('should reject endpoint types it does not know', () => {
+      expect(() => createLLMClient({
+        provider: 'other',
+        endpoints: { other: { type: 'anthropic', baseURL: 'http://x' } },
+        useMock: false
+      })).toThrow('Unsupported type anthropic for endpoint other');
+    });
+  });
+});
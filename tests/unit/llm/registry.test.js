@@ -0,0 +1,129 @@
+const path = require('path');
+const {
+  createProviderRegistry,
+  loadConfiguredDefinitions,
+  describeProviders,
+  getProviderRegistry,
+  registerProvider,
+  resetProviderRegistry
+} = require('../../../src/llm/registry');
+const { createLLMClient } = require('../../../src/llm/client');
+const { ConfigurationError } = require('../../../src/utils/errors');
+
+describe('Provider Registry', () => {
+  const echoDefinition = {
+    name: 'echo',
+    capabilities: { jsonMode: true, contextWindow: 4096 },
+    credentials: { apiKeyEnv: 'ECHO_API_KEY', required: true },
+    create: config => ({ name: 'echo', model: config.model || 'echo-1', complete: async options => options.user })
+  };
+
+  afterEach(() => {
+    resetProviderRegistry();
+    process.env.ECHO_API_KEY = '';
+  });
+
+  describe('createProviderRegistry', () => {
+    it('should register definitions and fill in default capabilities and credentials', () => {
+      const registry = createProviderRegistry([{ name: 'bare', create: () => ({}) }]);
+
+      expect(registry.get('bare')).toMatchObject({
+        displayName: 'bare',
+        capabilities: { jsonMode: false, seed: false, streaming: false, contextWindow: null },
+        credentials: { apiKeyEnv: null, required: false }
+      });
+    });
+
+    it('should look providers up case-insensitively', () => {
+      const registry = createProviderRegistry([echoDefinition]);
+
+      expect(registry.has('ECHO')).toBe(true);
+      expect(registry.get('Echo').name).toBe('echo');
+      expect(registry.has('unknown')).toBe(false);
+    });
+
+    it('should reject definitions without a name or factory', () => {
+      const registry = createProviderRegistry();
+
+      expect(() => registry.register({ create: () => ({}) })).toThrow('Provider definition requires a name');
+      expect(() => registry.register({ name: 'broken' })).toThrow('Provider broken requires a create function');
+    });
+
+    it('should unregister providers', () => {
+      const registry = createProviderRegistry([echoDefinition]);
+
+      registry.unregister('echo');
+      expect(registry.names()).toEqual([]);
+    });
+  });
+
+  describe('shared registry', () => {
+    it('should contain the built-in providers', () => {
+      expect(getProviderRegistry().names()).toEqual(expect.arrayContaining(['openai', 'gemini', 'ollama', 'mock']));
+    });
+
+    it('should create clients for providers registered at runtime', async () => {
+      registerProvider(echoDefinition);
+
+      const client = createLLMClient({ provider: 'echo', useMock: false });
+
+      expect(client.provider).toBe('echo');
+      await expect(client.complete({ user: 'hello' })).resolves.toBe('hello');
+    });
+
+    it('should fail with a configuration error when mock mode has no mock provider to use', () => {
+      const registry = createProviderRegistry([echoDefinition]);
+
+      expect(() => createLLMClient({ provider: 'echo', registry, useMock: true }))
+        .toThrow(ConfigurationError);
+    });
+  });
+
+  describe('loadConfiguredDefinitions', () => {
+    it('should load definitions from provider modules', () => {
+      const modulePath = `./${path.relative(process.cwd(), path.join(__dirname, '../../fixtures/echo-provider.js'))}`;
+
+      const definitions = loadConfiguredDefinitions({ endpoints: {}, providerModules: [modulePath] });
+
+      expect(definitions.map(definition => definition.name)).toEqual(['echo-module']);
+    });
+
+    it('should report provider modules that cannot be loaded', () => {
+      expect(() => loadConfiguredDefinitions({ endpoints: {}, providerModules: ['resume-critic-missing-provider'] }))
+        .toThrow('Failed to load provider module resume-critic-missing-provider');
+    });
+
+    it('should turn named endpoints into openai-compatible definitions', () => {
+      const [definition] = loadConfiguredDefinitions({
+        endpoints: { 'local-vllm': { baseURL: 'http://vllm/v1', models: ['llama-3-8b'], capabilities: { jsonMode: true } } },
+        providerModules: []
+      });
+
+      expect(definition).toMatchObject({
+        name: 'local-vllm',
+        type: 'openai-compatible',
+        models: ['llama-3-8b'],
+        capabilities: { jsonMode: true, seed: true }
+      });
+    });
+  });
+
+  describe('describeProviders', () => {
+    it('should report capabilities and whether credentials are set without exposing them', () => {
+      process.env.ECHO_API_KEY = 'secret-value';
+      const registry = createProviderRegistry([echoDefinition]);
+
+      const [description] = describeProviders(registry);
+
+      expect(description).toEqual({
+        name: 'echo',
+        display_name: 'echo',
+        type: null,
+        capabilities: { json_mode: true, seed: false, streaming: false, context_window: 4096 },
+        credentials: { api_key_env: 'ECHO_API_KEY', required: true, configured: true },
+        models: []
+      });
+      expect(JSON.stringify(description)).not.toContain('secret-value');
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const {
+  estimateTokens,
+  createUsage,
+  estimateUsage,
+  findModelPrice,
+  estimateCost,
+  summarizeUsage,
+  mergeUsage
+} = require('../../../src/llm/usage');
+const { createProviderRegistry } = require('../../../src/llm/registry');
+const { createLLMClient } = require('../../../src/llm/client');
+const { createMemoryCacheStore } = require('../../../src/llm/cache/stores/memory');
+
+const pricing = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 }
+};
+
+describe('Usage Accounting', () => {
+  describe('estimateUsage', () => {
+    it('should count system and user prompt tokens with the tokenizer', () => {
+      const usage = estimateUsage({ system: 'You are a critic.', user: 'Score this resume.' }, '{"score": 4}');
+
+      expect(usage.promptTokens).toBe(estimateTokens('You are a critic.') + estimateTokens('Score this resume.'));
+      expect(usage.completionTokens).toBe(estimateTokens('{"score": 4}'));
+      expect(usage.totalTokens).toBe(usage.promptTokens + usage.completionTokens);
+      expect(usage.estimated).toBe(true);
+    });
+
+    it('should count missing text as zero tokens', () => {
+      expect(estimateTokens(undefined)).toBe(0);
+    });
+  });
+
+  describe('findModelPrice', () => {
+    it('should prefer the exact entry, then the longest matching prefix', () => {
+      expect(findModelPrice('gpt-4o', pricing)).toBe(pricing['gpt-4o']);
+      expect(findModelPrice('gpt-4o-mini-2024-07-18', pricing)).toBe(pricing['gpt-4o-mini']);
+      expect(findModelPrice('llama3', pricing)).toBeNull();
+    });
+  });
+
+  describe('estimateCost', () => {
+    it('should price input and output tokens per million', () => {
+      const call = { model: 'gpt-4o-mini', usage: createUsage(1000000, 500000) };
+
+      expect(estimateCost(call, pricing)).toBe(0.45);
+    });
+
+    it('should not charge for cache hits', () => {
+      expect(estimateCost({ model: 'gpt-4o', usage: createUsage(1000, 100), cached: true }, pricing)).toBe(0);
+    });
+
+    it('should return null for unpriced models', () => {
+      expect(estimateCost({ model: 'llama3', usage: createUsage(1000, 100) }, pricing)).toBeNull();
+    });
+  });
+
+  describe('summarizeUsage', () => {
+    it('should total tokens and cost per critic and overall', () => {
+      const summary = summarizeUsage([
+        { label: 'keyword', model: 'gpt-4o', usage: createUsage(1000, 200) },
+        { label: 'keyword', model: 'gpt-4o', usage: createUsage(1000, 200), cached: true },
+        { label: 'language', model: 'llama3', usage: createUsage(500, 50, true) },
+        { label: null, model: 'gpt-4o-mini', usage: createUsage(100, 10) }
+      ], pricing);
+
+      expect(summary.critics.keyword).toEqual({
+        prompt_tokens: 2000,
+        completion_tokens: 400,
+        total_tokens: 2400,
+        estimated: false,
+        cached: false,
+        cost_usd: 0.0045
+      });
+      expect(summary.critics.language).toMatchObject({ estimated: true, cost_usd: null });
+      expect(summary.total).toEqual({
+        prompt_tokens: 2600,
+        completion_tokens: 460,
+        total_tokens: 3060,
+        cost_usd: 0.004521,
+        calls: 4,
+        cached_calls: 1,
+        unpriced_calls: 1
+      });
+    });
+  });
+
+  describe('mergeUsage', () => {
+    it('should add up summaries from several clients', () => {
+      const first = summarizeUsage([{ label: 'keyword', model: 'gpt-4o', usage: createUsage(1000, 200) }], pricing);
+      const second = summarizeUsage([
+        { label: 'keyword', model: 'gpt-4o', usage: createUsage(1000, 200), cached: true },
+        { label: 'language', model: 'llama3', usage: createUsage(500, 50) }
+      ], pricing);
+
+      const merged = mergeUsage([first, second]);
+
+      expect(merged.critics.keyword).toEqual({
+        prompt_tokens: 2000,
+        completion_tokens: 400,
+        total_tokens: 2400,
+        estimated: false,
+        cached: false,
+        cost_usd: 0.0045
+      });
+      expect(merged.critics.language.cost_usd).toBeNull();
+      expect(merged.total).toMatchObject({ total_tokens: 2950, cost_usd: 0.0045, calls: 3, cached_calls: 1, unpriced_calls: 1 });
+    });
+  });
+
+  describe('createLLMClient usage', () => {
+    const registry = createProviderRegistry([
+      {
+        name: 'metered',
+        create: config => ({
+          name: 'metered',
+          model: config.model || 'gpt-4o',
+          complete: async () => 'text',
+          completeWithUsage: async () => ({ content: '{"score": 5}', usage: createUsage(1200, 80) })
+        })
+      },
+      {
+        name: 'plain',
+        create: () => ({ name: 'plain', model: 'llama3', complete: async () => '{"score": 3}' })
+      }
+    ]);
+
+    it('should record provider-reported usage per label', async () => {
+      const client = createLLMClient({ provider: 'metered', registry, useMock: false, pricing });
+
+      await expect(client.complete({ user: 'resume', label: 'keyword' })).resolves.toBe('{"score": 5}');
+
+      expect(client.getUsage().critics.keyword).toMatchObject({
+        prompt_tokens: 1200,
+        completion_tokens: 80,
+        estimated: false,
+        cost_usd: 0.0038
+      });
+    });
+
+    it('should estimate usage for providers that report none', async () => {
+      const client = createLLMClient({ provider: 'plain', registry, useMock: false, pricing });
+
+      await client.complete({ system: 'Critic', user: 'resume', label: 'language' });
+
+      expect(client.getUsage().critics.language).toMatchObject({
+        prompt_tokens: estimateTokens('Critic') + estimateTokens('resume'),
+        estimated: true,
+        cost_usd: null
+      });
+    });
+
+    it('should mark cached responses as free', async () => {
+      const cache = createMemoryCacheStore({ ttlSeconds: 60 });
+      const config = { provider: 'metered', registry, useMock: false, pricing, cache };
+
+      await createLLMClient(config).complete({ user: 'resume', label: 'keyword' });
+      const client = createLLMClient(config);
+      await client.complete({ user: 'resume', label: 'keyword' });
+
+      expect(client.getUsage().critics.keyword).toMatchObject({ prompt_tokens: 1200, cached: true, cost_usd: 0 });
+      expect(client.getUsage().total.cached_calls).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const {
+  createBatchProcessor,
+  mergeCriticRequests,
+  splitBatchResponse
+} = require('../../../../src/llm/utils/batch');
+const { createProviderRegistry } = require('../../../../src/llm/registry');
+const { createLLMClient } = require('../../../../src/llm/client');
+const { OUTPUT_SCHEMAS } = require('../../../../src/prompts/outputSchemas');
+
+const jobDescription = 'Senior Node.js engineer building payment microservices';
+const resume = 'Jane Roe - 6 years Node.js, led the checkout rewrite';
+
+const critic = (label, schema) => ({
+  label,
+  system: `You are the ${label} critic.`,
+  user: `Job description:\n${jobDescription}\n\nResume:\n${resume}\n\nScore the ${label}.`,
+  outputSchema: { name: schema, schema: OUTPUT_SCHEMAS[schema] }
+});
+
+describe('Batch Utilities', () => {
+  describe('mergeCriticRequests', () => {
+    it('should send shared documents once and combine the critic schemas', () => {
+      const merged = mergeCriticRequests([critic('keyword', 'keyword'), critic('language', 'language')], {
+        shared: [{ name: 'JOB DESCRIPTION', text: jobDescription }, { name: 'RESUME', text: resume }]
+      });
+
+      expect(merged.user.split(resume)).toHaveLength(2);
+      expect(merged.user).toContain('[critic: keyword]\nInstructions:\nYou are the keyword critic.');
+      expect(merged.user).toContain('Resume:\n[RESUME, given above]');
+      expect(merged.outputSchema.name).toBe('batch');
+      expect(merged.outputSchema.schema.required).toEqual(['keyword', 'language']);
+      expect(merged.outputSchema.schema.properties.language).toBe(OUTPUT_SCHEMAS.language);
+    });
+  });
+
+  describe('splitBatchResponse', () => {
+    it('should split a JSON batch response by key, leaving missing keys empty', () => {
+      const sections = splitBatchResponse('```json\n{"keyword": {"score": 0.8}}\n```', 2, { keys: ['keyword', 'language'] });
+
+      expect(sections).toEqual(['{"score":0.8}', '']);
+    });
+  });
+
+  describe('createBatchProcessor', () => {
+    it('should process requests in groups of batchSize', async () => {
+      const client = { complete: jest.fn(async request => `done ${request.user}`) };
+      const process = createBatchProcessor({ batchSize: 2, concurrency: 1 });
+
+      const results = await process(client, [{ user: 'a' }, { user: 'b' }, { user: 'c' }]);
+
+      expect(results.map(result => result.result)).toEqual(['done a', 'done b', 'done c']);
+    });
+  });
+
+  describe('createLLMClient completeBatch', () => {
+    const createClient = responses => {
+      const complete = jest.fn();
+      responses.forEach(response => complete.mockResolvedValueOnce(response));
+      const registry = createProviderRegistry([
+        { name: 'scripted', capabilities: { jsonMode: true }, create: () => ({ name: 'scripted', model: 'm', complete }) }
+      ]);
+      return { complete, client: createLLMClient({ provider: 'scripted', registry, useMock: false, maxRepairs: 0 }) };
+    };
+
+    it('should answer critics from one call and call rejected critics on their own', async () => {
+      const { complete, client } = createClient([
+        JSON.stringify({ keyword: { score: 0.7 }, language: { score: 'great' } }),
+        '{"score": 4}'
+      ]);
+
+      const results = await client.completeBatch([critic('keyword', 'keyword'), critic('language', 'language')], {
+        shared: [{ name: 'RESUME', text: resume }]
+      });
+
+      expect(results).toEqual([{ score: 0.7 }, { score: 4 }]);
+      expect(complete).toHaveBeenCalledTimes(2);
+      expect(complete.mock.calls[0][0].outputSchema.name).toBe('batch');
+      expect(complete.mock.calls[1][0].user).toContain(resume);
+      expect(client.getCriticStatus()).toEqual({
+        keyword: { status: 'ok', attempts: 1, batched: true },
+        language: { status: 'ok', attempts: 1 }
+      });
+      expect(Object.keys(client.getServedBy())).toEqual(['batch', 'language']);
+    });
+
+    it('should fall back to per-critic calls when the batch response is not JSON', async () => {
+      const { complete, client } = createClient(['I could not do that', '{"score": 0.5}', '{"score": 3}']);
+
+      const results = await client.completeBatch([critic('keyword', 'keyword'), critic('language', 'language')]);
+
+      expect(results).toEqual([{ score: 0.5 }, { score: 3 }]);
+      expect(complete).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const OpenAI = require('openai');
+const {
+  createCircuitBreaker,
+  withCircuitBreaker,
+  getProviderBreaker,
+  getBreakerStates,
+  resetProviderBreakers
+} = require('../../../../src/llm/utils/breaker');
+const { resetProviderLimiters } = require('../../../../src/llm/utils/limiter');
+const { createProviderRegistry } = require('../../../../src/llm/registry');
+const { createLLMClient } = require('../../../../src/llm/client');
+const { LLMProviderError, CircuitOpenError } = require('../../../../src/utils/errors');
+const { getConfig } = require('../../../../src/utils/config');
+
+jest.mock('../../../../src/utils/config');
+
+const statusError = status => new LLMProviderError(`HTTP ${status}`, 'test', { response: { status } });
+
+// What the OpenAI provider throws: the SDK error (status on the error, no response) wrapped by LLMProviderError
+const openAIError = status => new LLMProviderError(
+  `OpenAI API error: ${status} upstream`,
+  'openai',
+  OpenAI.APIError.generate(status, { error: { message: 'upstream' } }, 'upstream', new Headers())
+);
+
+describe('Circuit Breaker', () => {
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'llm.circuitBreaker.failureThreshold': 2,
+        'llm.circuitBreaker.resetTimeoutMs': 1000
+      };
+      return configs[key] !== undefined ? configs[key] : defaultValue;
+    });
+    resetProviderBreakers();
+    resetProviderLimiters();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createCircuitBreaker', () => {
+    const createClock = () => {
+      const clock = { time: 0 };
+      return { clock, now: () => clock.time };
+    };
+
+    it('should open after failureThreshold consecutive provider failures', () => {
+      const { now } = createClock();
+      const breaker = createCircuitBreaker({ name: 'flaky', failureThreshold: 3, resetTimeoutMs: 1000, now });
+
+      breaker.onFailure(statusError(503));
+      breaker.onFailure(statusError(502));
+      breaker.onSuccess();
+      breaker.onFailure(statusError(503));
+      breaker.onFailure(statusError(503));
+      expect(breaker.snapshot().state).toBe('closed');
+
+      breaker.onFailure(statusError(500));
+      expect(breaker.snapshot()).toEqual({ state: 'open', failures: 3, retry_at: new Date(1000).toISOString() });
+      expect(() => breaker.acquire()).toThrow(CircuitOpenError);
+    });
+
+    it('should not count rate limits or bad requests against the provider', () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 1 });
+
+      breaker.onFailure(statusError(429));
+      breaker.onFailure(statusError(400));
+
+      expect(breaker.snapshot().state).toBe('closed');
+    });
+
+    it('should count OpenAI SDK 5xx errors, which have no response', () => {
+      const breaker = createCircuitBreaker({ name: 'openai', failureThreshold: 2 });
+
+      breaker.onFailure(openAIError(503));
+      breaker.onFailure(openAIError(503));
+
+      expect(breaker.snapshot().state).toBe('open');
+    });
+
+    it('should keep the failure count across errors it ignores', () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 2 });
+
+      breaker.onFailure(statusError(503));
+      breaker.onFailure(statusError(400));
+      breaker.onFailure(statusError(429));
+      expect(breaker.snapshot()).toMatchObject({ state: 'closed', failures: 1 });
+
+      breaker.onFailure(statusError(502));
+      expect(breaker.snapshot()).toMatchObject({ state: 'open', failures: 2 });
+    });
+
+    it('should let one probe through when half-open and close or reopen on its result', () => {
+      const { clock, now } = createClock();
+      const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now });
+
+      breaker.onFailure(statusError(503));
+      clock.time = 1000;
+      breaker.acquire();
+      expect(breaker.snapshot().state).toBe('half_open');
+      expect(() => breaker.acquire()).toThrow(CircuitOpenError);
+
+      breaker.onFailure(statusError(503));
+      expect(breaker.snapshot()).toMatchObject({ state: 'open', retry_at: new Date(2000).toISOString() });
+
+      clock.time = 2000;
+      breaker.acquire();
+      breaker.onSuccess();
+      expect(breaker.snapshot()).toEqual({ state: 'closed', failures: 0, retry_at: null });
+    });
+  });
+
+  describe('withCircuitBreaker', () => {
+    it('should reject calls without reaching the provider while open', async () => {
+      const complete = jest.fn().mockRejectedValue(statusError(503));
+      const guarded = withCircuitBreaker(getProviderBreaker('flaky'), complete);
+
+      await expect(guarded({ user: 'a' })).rejects.toThrow('HTTP 503');
+      await expect(guarded({ user: 'b' })).rejects.toThrow('HTTP 503');
+      await expect(guarded({ user: 'c' })).rejects.toThrow('Circuit breaker is open for provider flaky');
+
+      expect(complete).toHaveBeenCalledTimes(2);
+      expect(getBreakerStates()).toEqual({ flaky: expect.objectContaining({ state: 'open', failures: 2 }) });
+    });
+  });
+
+  describe('createLLMClient', () => {
+    it('should stop calling a provider with an open breaker and fail over straight away', async () => {
+      const primary = jest.fn().mockRejectedValue(statusError(503));
+      const registry = createProviderRegistry([
+        { name: 'primary', create: () => ({ name: 'primary', model: 'p', complete: primary }) },
+        { name: 'backup', create: () => ({ name: 'backup', model: 'b', complete: async () => 'backup' }) }
+      ]);
+      const client = createLLMClient({
+        provider: 'primary',
+        registry,
+        useMock: false,
+        retry: { maxRetries: 1 },
+        fallbacks: [{ provider: 'backup' }]
+      });
+
+      await client.complete({ user: 'a', label: 'keyword' });
+      await client.complete({ user: 'b', label: 'language' });
+      await client.complete({ user: 'c', label: 'tone' });
+
+      expect(primary).toHaveBeenCalledTimes(2);
+      expect(client.getServedBy().tone.failed).toEqual([
+        { provider: 'primary', model: 'p', error: 'Circuit breaker is open for provider primary' }
+      ]);
+    });
+  });
+});
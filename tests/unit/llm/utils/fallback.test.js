@@ -0,0 +1,194 @@
+const OpenAI = require('openai');
+const {
+  shouldFailover,
+  withFallback,
+  FAILOVER_STATUS_CODES
+} = require('../../../../src/llm/utils/fallback');
+const { createProviderRegistry } = require('../../../../src/llm/registry');
+const { createLLMClient } = require('../../../../src/llm/client');
+const { LLMProviderError } = require('../../../../src/utils/errors');
+
+const statusError = status => new LLMProviderError(`HTTP ${status}`, 'test', { response: { status } });
+
+// What the OpenAI provider throws: the SDK error (status on the error, no response) wrapped by LLMProviderError
+const openAIError = status => new LLMProviderError(
+  `OpenAI API error: ${status} upstream`,
+  'openai',
+  OpenAI.APIError.generate(status, { error: { message: 'upstream' } }, 'upstream', new Headers())
+);
+
+describe('Fallback Utilities', () => {
+  describe('shouldFailover', () => {
+    it('should fail over on errors LLMProviderError classifies as retryable', () => {
+      expect(shouldFailover(statusError(429))).toBe(true);
+      expect(shouldFailover(statusError(503))).toBe(true);
+    });
+
+    it('should fail over on authentication and not-found errors', () => {
+      FAILOVER_STATUS_CODES.forEach(status => {
+        expect(shouldFailover(statusError(status))).toBe(true);
+      });
+    });
+
+    it('should not fail over on bad requests', () => {
+      expect(shouldFailover(statusError(400))).toBe(false);
+      expect(shouldFailover(new Error('Invalid prompt'))).toBe(false);
+    });
+
+    it('should read the status of OpenAI SDK errors, which have no response', () => {
+      expect(openAIError(503).originalError).toBeInstanceOf(OpenAI.InternalServerError);
+      expect(shouldFailover(openAIError(503))).toBe(true);
+      expect(shouldFailover(openAIError(429))).toBe(true);
+      expect(shouldFailover(openAIError(401))).toBe(true);
+      expect(shouldFailover(openAIError(400))).toBe(false);
+    });
+
+    it('should classify plain errors by code', () => {
+      const error = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+      expect(shouldFailover(error)).toBe(true);
+    });
+  });
+
+  describe('withFallback', () => {
+    const link = (provider, complete) => ({
+      provider,
+      model: `${provider}-model`,
+      resolve: () => ({ provider, model: `${provider}-model`, complete })
+    });
+
+    it('should use the first provider when it succeeds', async () => {
+      const onServed = jest.fn();
+      const second = jest.fn();
+      const complete = withFallback([link('a', async () => 'from a'), link('b', second)], onServed);
+
+      await expect(complete({ user: 'hi', label: 'keyword' })).resolves.toBe('from a');
+      expect(second).not.toHaveBeenCalled();
+      expect(onServed).toHaveBeenCalledWith(
+        expect.objectContaining({ label: 'keyword' }),
+        { provider: 'a', model: 'a-model', fallback: false, failed: [] },
+        'from a'
+      );
+    });
+
+    it('should move down the chain and record the failures', async () => {
+      const onServed = jest.fn();
+      const complete = withFallback([
+        link('a', async () => { throw statusError(503); }),
+        link('b', async () => { throw statusError(401); }),
+        link('c', async () => 'from c')
+      ], onServed);
+
+      await expect(complete({ user: 'hi' })).resolves.toBe('from c');
+      expect(onServed.mock.calls[0][1]).toEqual({
+        provider: 'c',
+        model: 'c-model',
+        fallback: true,
+        failed: [
+          { provider: 'a', model: 'a-model', error: 'HTTP 503' },
+          { provider: 'b', model: 'b-model', error: 'HTTP 401' }
+        ]
+      });
+    });
+
+    it('should move on during an OpenAI 5xx outage', async () => {
+      const complete = withFallback([
+        link('openai', async () => { throw openAIError(503); }),
+        link('b', async () => 'from b')
+      ]);
+
+      await expect(complete({ user: 'hi' })).resolves.toBe('from b');
+    });
+
+    it('should rethrow errors that are not worth failing over', async () => {
+      const second = jest.fn();
+      const complete = withFallback([link('a', async () => { throw statusError(400); }), link('b', second)]);
+
+      await expect(complete({ user: 'hi' })).rejects.toThrow('HTTP 400');
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    it('should rethrow the last error when the chain is exhausted', async () => {
+      const complete = withFallback([
+        link('a', async () => { throw statusError(503); }),
+        link('b', async () => { throw statusError(404); })
+      ]);
+
+      await expect(complete({ user: 'hi' })).rejects.toThrow('HTTP 404');
+    });
+
+    it('should skip providers that cannot be created', async () => {
+      const onServed = jest.fn();
+      const complete = withFallback([
+        { provider: 'broken', model: null, resolve: () => { throw new Error('Missing API key'); } },
+        link('b', async () => 'from b')
+      ], onServed);
+
+      await expect(complete({ user: 'hi' })).resolves.toBe('from b');
+      expect(onServed.mock.calls[0][1].failed).toEqual([{ provider: 'broken', model: null, error: 'Missing API key' }]);
+    });
+  });
+
+  describe('createLLMClient with fallbacks', () => {
+    const definition = (name, complete) => ({
+      name,
+      create: config => ({ name, model: config.model || `${name}-default`, complete })
+    });
+
+    it('should record which provider served each labelled call', async () => {
+      const created = jest.fn();
+      const registry = createProviderRegistry([
+        definition('primary', async () => { throw statusError(401); }),
+        {
+          name: 'backup',
+          create: config => {
+            created();
+            return { name: 'backup', model: config.model, complete: async options => `backup: ${options.user}` };
+          }
+        }
+      ]);
+
+      const client = createLLMClient({
+        provider: 'primary',
+        model: 'primary-large',
+        registry,
+        useMock: false,
+        fallbacks: [{ provider: 'backup', model: 'backup-small' }]
+      });
+
+      expect(created).not.toHaveBeenCalled();
+      await expect(client.complete({ user: 'resume', label: 'keyword' })).resolves.toBe('backup: resume');
+      await client.complete({ user: 'resume', label: 'language' });
+
+      expect(created).toHaveBeenCalledTimes(1);
+      expect(client.fallbacks).toEqual([{ provider: 'backup', model: 'backup-small' }]);
+      expect(client.getServedBy()).toEqual({
+        keyword: {
+          provider: 'backup',
+          model: 'backup-small',
+          fallback: true,
+          failed: [{ provider: 'primary', model: 'primary-large', error: 'HTTP 401' }]
+        },
+        language: expect.objectContaining({ provider: 'backup', fallback: true })
+      });
+    });
+
+    it('should keep a separate served-by record for each scope', async () => {
+      const registry = createProviderRegistry([definition('primary', async () => 'ok')]);
+      const client = createLLMClient({ provider: 'primary', registry, useMock: false });
+      const first = client.scope();
+      const second = client.scope();
+
+      await first.complete({ user: 'a', label: 'keyword' });
+      await second.complete({ user: 'b', label: 'language' });
+
+      expect(Object.keys(first.getServedBy())).toEqual(['keyword']);
+      expect(Object.keys(second.getServedBy())).toEqual(['language']);
+    });
+
+    it('should ignore fallbacks in mock mode', () => {
+      const client = createLLMClient({ provider: 'openai', useMock: true, fallbacks: [{ provider: 'ollama' }] });
+
+      expect(client.fallbacks).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { parseScenario, runWithScenario } = require('../../../../src/llm/utils/faults');
+const { createMockProvider } = require('../../../../src/llm/providers/mock');
+const { withRetry, getRetryAfter, isRetryable } = require('../../../../src/llm/utils/retry');
+const { parseJsonResponse } = require('../../../../src/utils/json-parser');
+const { ValidationError } = require('../../../../src/utils/errors');
+
+const retry = (complete, options) => withRetry({ maxRetries: 3, initialDelay: 1, jitter: false }, complete)(options);
+const content = { score: 4, suggestions: ['Quantify results'] };
+
+describe('Fault Injection', () => {
+  describe('parseScenario', () => {
+    it('should accept bare statuses and { status, retry_after } entries', () => {
+      expect(parseScenario({ errors: [503, { status: 429, retry_after: 2 }], response: 'empty' })).toEqual({
+        errors: [{ status: 503 }, { status: 429, retry_after: 2 }],
+        response: 'empty',
+        delay_ms: undefined,
+        content: undefined,
+        critics: {}
+      });
+    });
+
+    it('should name the invalid field', () => {
+      expect(() => parseScenario([])).toThrow(ValidationError);
+      expect(() => parseScenario({ errors: [200] })).toThrow('scenario.errors must be HTTP error statuses');
+      expect(() => parseScenario({ response: 'garbled' })).toThrow('scenario.response must be one of');
+      expect(() => parseScenario({ delay_ms: -5 })).toThrow('scenario.delay_ms must be a non-negative integer');
+      expect(() => parseScenario({ critics: { tone: { response: 'nope' } } }, 'X-Mock-Scenario'))
+        .toThrow('X-Mock-Scenario.critics.tone.response must be one of');
+    });
+  });
+
+  describe('mock provider scenarios', () => {
+    it('should fail the first attempts with the scripted statuses, then succeed under withRetry', async () => {
+      const provider = createMockProvider({ scenario: { errors: [503, 502], content } });
+      const complete = jest.fn(provider.complete);
+
+      await expect(retry(complete, { user: 'resume', label: 'language' })).resolves.toBe(JSON.stringify(content));
+      expect(complete).toHaveBeenCalledTimes(3);
+    });
+
+    it('should send Retry-After with an injected 429', async () => {
+      const provider = createMockProvider({ scenario: { errors: [{ status: 429, retry_after: 2 }] } });
+
+      const error = await provider.complete({ user: 'resume' }).catch(caught => caught);
+
+      expect(error.response.status).toBe(429);
+      expect(getRetryAfter(error)).toBe(2000);
+      expect(isRetryable(error)).toBe(true);
+    });
+
+    it('should return JSON that parseJsonResponse cannot read when truncated', async () => {
+      const provider = createMockProvider({ scenario: { response: 'truncated_json', content } });
+
+      const response = await provider.complete({ user: 'resume' });
+
+      expect(response).toBe('{"score":4,"suggestions');
+      expect(parseJsonResponse(response)).toBeNull();
+    });
+
+    it('should wrap the response in a markdown fence that parseJsonResponse unwraps', async () => {
+      const provider = createMockProvider({ scenario: { response: 'markdown_json', content } });
+
+      const response = await provider.complete({ user: 'resume' });
+
+      expect(response).toMatch(/^```json\n/);
+      expect(parseJsonResponse(response)).toEqual(content);
+    });
+
+    it('should not retry a safety block', async () => {
+      const provider = createMockProvider({ scenario: { response: 'safety_blocked' } });
+      const complete = jest.fn(provider.complete);
+
+      await expect(retry(complete, { user: 'resume' })).rejects.toThrow('Response blocked: SAFETY');
+      expect(complete).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry timeouts until the attempts run out', async () => {
+      const provider = createMockProvider({ scenario: { response: 'timeout' } });
+      const complete = jest.fn(provider.complete);
+
+      const error = await retry(complete, { user: 'resume' }).catch(caught => caught);
+
+      expect(error.code).toBe('ETIMEDOUT');
+      expect(complete).toHaveBeenCalledTimes(3);
+    });
+
+    it('should apply critic overrides and count attempts per label', async () => {
+      const provider = createMockProvider({
+        scenario: {
+          errors: [500],
+          content,
+          critics: { tone: { errors: [], response: 'empty' } }
+        }
+      });
+
+      await expect(provider.complete({ user: 'resume', label: 'tone' })).resolves.toBe('');
+      await expect(provider.complete({ user: 'resume', label: 'language' })).rejects.toThrow('injected 500');
+      await expect(provider.complete({ user: 'resume', label: 'language' })).resolves.toBe(JSON.stringify(content));
+      await expect(provider.complete({ user: 'resume', label: 'keyword' })).rejects.toThrow('injected 500');
+    });
+
+    it('should let the request scenario win over the provider scenario', async () => {
+      const provider = createMockProvider({ scenario: { response: 'timeout' } });
+
+      const response = await runWithScenario(
+        parseScenario({ content }),
+        () => provider.complete({ user: 'resume' })
+      );
+
+      expect(response).toBe(JSON.stringify(content));
+    });
+  });
+});
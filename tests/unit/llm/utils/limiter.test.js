@@ -0,0 +1,153 @@
+const {
+  createLimiter,
+  withLimiter,
+  withAdaptiveLimiter,
+  getProviderLimiter,
+  getLimiterStates,
+  resetProviderLimiters
+} = require('../../../../src/llm/utils/limiter');
+const { createProviderRegistry } = require('../../../../src/llm/registry');
+const { createLLMClient } = require('../../../../src/llm/client');
+const { getConfig } = require('../../../../src/utils/config');
+
+jest.mock('../../../../src/utils/config');
+
+// Complete function that records how many calls overlap
+const createTracker = () => {
+  const state = { active: 0, peak: 0 };
+  const complete = async options => {
+    state.active += 1;
+    state.peak = Math.max(state.peak, state.active);
+    await new Promise(resolve => { setTimeout(resolve, 5); });
+    state.active -= 1;
+    return `done ${options.user}`;
+  };
+  return { state, complete };
+};
+
+describe('Limiter Utilities', () => {
+  beforeEach(() => {
+    getConfig.mockImplementation((key, defaultValue) => {
+      const configs = {
+        'llm.concurrency.default': 4,
+        'llm.concurrency.slow': 1
+      };
+      return configs[key] !== undefined ? configs[key] : defaultValue;
+    });
+    resetProviderLimiters();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createLimiter', () => {
+    it('should run at most `concurrency` tasks at once and keep result order', async () => {
+      const { state, complete } = createTracker();
+      const limited = withLimiter(createLimiter(2), complete);
+
+      const results = await Promise.all(['1', '2', '3', '4', '5'].map(user => limited({ user })));
+
+      expect(state.peak).toBe(2);
+      expect(results).toEqual(['done 1', 'done 2', 'done 3', 'done 4', 'done 5']);
+    });
+
+    it('should free the slot when a task fails', async () => {
+      const limiter = createLimiter(1);
+
+      await expect(limiter.run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+      await expect(limiter.run(async () => 'next')).resolves.toBe('next');
+      expect(limiter.active()).toBe(0);
+      expect(limiter.pending()).toBe(0);
+    });
+  });
+
+  describe('withAdaptiveLimiter', () => {
+    const rateLimited = () => Object.assign(new Error('Rate limit reached'), {
+      response: { status: 429, headers: { 'retry-after-ms': '30' } }
+    });
+
+    it('should halve the limit on a rate limit and grow it back one slot per window', async () => {
+      const limiter = createLimiter(8);
+      const complete = jest.fn().mockRejectedValueOnce(rateLimited()).mockResolvedValue('ok');
+      const adaptive = withAdaptiveLimiter(limiter, complete);
+
+      await expect(adaptive({ user: 'a' })).rejects.toThrow('Rate limit reached');
+      expect(limiter.limit()).toBe(4);
+      expect(limiter.pausedUntil()).toBeGreaterThan(Date.now());
+
+      await Promise.all(Array.from({ length: 4 }, (_, index) => adaptive({ user: `${index}` })));
+      expect(Math.floor(limiter.limit())).toBe(5);
+    });
+
+    it('should hold queued calls back until Retry-After has passed', async () => {
+      const limiter = createLimiter(2);
+      const started = [];
+      const complete = jest.fn(async options => {
+        started.push([options.user, Date.now()]);
+        if (options.user === 'first') {
+          throw rateLimited();
+        }
+        return 'ok';
+      });
+      const adaptive = withAdaptiveLimiter(limiter, complete);
+
+      const failedAt = Date.now();
+      await expect(adaptive({ user: 'first' })).rejects.toThrow();
+      await adaptive({ user: 'second' });
+
+      expect(started[1][1] - failedAt).toBeGreaterThanOrEqual(25);
+    });
+
+    it('should never drop below one slot or rise above the ceiling', () => {
+      const limiter = createLimiter(3);
+
+      limiter.setLimit(0);
+      expect(limiter.limit()).toBe(1);
+      limiter.setLimit(10);
+      expect(limiter.limit()).toBe(3);
+    });
+  });
+
+  describe('getProviderLimiter', () => {
+    it('should read the ceiling per provider and share one limiter per provider', () => {
+      expect(getProviderLimiter('slow').concurrency).toBe(1);
+      expect(getProviderLimiter('other').concurrency).toBe(4);
+      expect(getProviderLimiter('SLOW')).toBe(getProviderLimiter('slow'));
+    });
+
+    it('should report each provider limit and load', () => {
+      getProviderLimiter('slow').setLimit(1);
+
+      expect(getLimiterStates()).toEqual({
+        slow: { limit: 1, ceiling: 1, active: 0, pending: 0, paused_until: null }
+      });
+    });
+  });
+
+  describe('createLLMClient', () => {
+    const createRegistry = (name, complete) => createProviderRegistry([
+      { name, create: () => ({ name, model: `${name}-1`, complete }) }
+    ]);
+
+    it('should cap a client at maxWorkers concurrent calls', async () => {
+      const { state, complete } = createTracker();
+      const client = createLLMClient({ provider: 'fast', registry: createRegistry('fast', complete), useMock: false, maxWorkers: 3 });
+
+      await Promise.all(Array.from({ length: 8 }, (_, index) => client.complete({ user: `${index}` })));
+
+      expect(state.peak).toBe(3);
+    });
+
+    it('should apply the provider ceiling across clients', async () => {
+      const { state, complete } = createTracker();
+      const registry = createRegistry('slow', complete);
+      const first = createLLMClient({ provider: 'slow', registry, useMock: false, maxWorkers: 5 });
+      const second = createLLMClient({ provider: 'slow', registry, useMock: false, maxWorkers: 5 });
+
+      await Promise.all([first, second].flatMap(client => ['a', 'b', 'c'].map(user => client.complete({ user }))));
+
+      expect(state.peak).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { toDraft3Schema, validateOutput, withRepair } = require('../../../../src/llm/utils/repair');
+const { createProviderRegistry } = require('../../../../src/llm/registry');
+const { createLLMClient } = require('../../../../src/llm/client');
+const { OUTPUT_SCHEMAS } = require('../../../../src/prompts/outputSchemas');
+
+const outputSchema = { name: 'language', schema: OUTPUT_SCHEMAS.language };
+
+describe('Repair Utilities', () => {
+  describe('toDraft3Schema', () => {
+    it('should move required arrays onto the properties', () => {
+      const schema = toDraft3Schema({
+        type: 'object',
+        properties: { score: { type: 'number' }, notes: { type: 'string' } },
+        required: ['score']
+      });
+
+      expect(schema.required).toBeUndefined();
+      expect(schema.properties.score.required).toBe(true);
+      expect(schema.properties.notes.required).toBeUndefined();
+    });
+  });
+
+  describe('validateOutput', () => {
+    it('should accept output that matches the schema', () => {
+      expect(validateOutput({ score: 4, errors: [], suggestions: ['Tighten bullets'] }, outputSchema)).toEqual([]);
+    });
+
+    it('should name each field that is missing or out of range', () => {
+      expect(validateOutput({ errors: ['typo'] }, outputSchema)).toEqual(['score: is missing and it is required']);
+      expect(validateOutput({ score: 9 }, outputSchema)).toEqual(['score: must have a maximum value of 5']);
+    });
+
+    it('should reject anything that is not a JSON object', () => {
+      expect(validateOutput(null, outputSchema)).toEqual(['response is not a JSON object']);
+      expect(validateOutput([1, 2], undefined)).toEqual(['response is not a JSON object']);
+    });
+  });
+
+  describe('withRepair', () => {
+    it('should re-prompt with the validation errors and mark the result repaired', async () => {
+      const complete = jest.fn()
+        .mockResolvedValueOnce('{"score": "four"}')
+        .mockResolvedValueOnce('```json\n{"score": 4}\n```');
+
+      const outcome = await withRepair(complete, 2)({ system: 'critic', user: 'resume', outputSchema, label: 'language' });
+
+      expect(outcome).toEqual({ result: { score: 4 }, status: 'repaired', attempts: 2 });
+      expect(complete.mock.calls[1][0].system).toBe('critic');
+      expect(complete.mock.calls[1][0].user).toContain('{"score": "four"}');
+      expect(complete.mock.calls[1][0].user).toContain('score: four - string value found, but a number is required');
+    });
+
+    it('should give up after maxRepairs re-prompts', async () => {
+      const complete = jest.fn().mockResolvedValue('not json');
+
+      const outcome = await withRepair(complete, 1)({ user: 'resume', outputSchema });
+
+      expect(complete).toHaveBeenCalledTimes(2);
+      expect(outcome).toEqual({
+        result: null,
+        status: 'failed',
+        attempts: 2,
+        errors: ['response is not a JSON object']
+      });
+    });
+  });
+
+  describe('createLLMClient completeJson', () => {
+    const createClient = responses => {
+      const complete = jest.fn();
+      responses.forEach(response => complete.mockResolvedValueOnce(response));
+      const registry = createProviderRegistry([{ name: 'scripted', create: () => ({ name: 'scripted', model: 'm', complete }) }]);
+      return createLLMClient({ provider: 'scripted', registry, useMock: false, maxRepairs: 1 });
+    };
+
+    it('should return parsed output and report each critic status', async () => {
+      const client = createClient(['{"score": 5}', '{"oops": true}', '{"score": 2}', 'nope', 'still nope']);
+
+      await expect(client.completeJson({ user: 'a', outputSchema, label: 'language' })).resolves.toEqual({ score: 5 });
+      await expect(client.completeJson({ user: 'b', outputSchema, label: 'relevance' })).resolves.toEqual({ score: 2 });
+      await expect(client.completeJson({ user: 'c', outputSchema, label: 'tone' })).resolves.toBeNull();
+
+      expect(client.getCriticStatus()).toEqual({
+        language: { status: 'ok', attempts: 1 },
+        relevance: { status: 'repaired', attempts: 2 },
+        tone: { status: 'failed', attempts: 2, errors: ['response is not a JSON object'] }
+      });
+    });
+
+    it('should keep a separate status log per scope', async () => {
+      const client = createClient(['{"score": 5}', '{"score": 1}']);
+      const first = client.scope();
+      const second = client.scope();
+
+      await first.completeJson({ user: 'a', outputSchema, label: 'language' });
+      await second.completeJson({ user: 'b', outputSchema, label: 'language' });
+
+      expect(first.getCriticStatus()).toEqual({ language: { status: 'ok', attempts: 1 } });
+      expect(Object.keys(client.getCriticStatus())).toEqual(['language']);
+    });
+  });
+});
@@ -1,11 +1,15 @@
+const OpenAI = require('openai');
 const {
   createRetry,
   withRetry,
   isRetryable,
   calculateDelay,
+  getRetryAfter,
+  isRateLimited,
   RETRYABLE_ERROR_CODES,
   RETRYABLE_STATUS_CODES
 } = require('../../../../src/llm/utils/retry');
+const { LLMProviderError } = require('../../../../src/utils/errors');
 
 describe('Retry Utilities', () => {
   describe('isRetryable', () => {
@@ -25,6 +29,17 @@ describe('Retry Utilities', () => {
       });
     });
 
+    it('should read the status of wrapped OpenAI SDK errors', () => {
+      const error = new LLMProviderError(
+        'OpenAI API error: 503 upstream',
+        'openai',
+        OpenAI.APIError.generate(503, { error: { message: 'upstream' } }, 'upstream', new Headers())
+      );
+
+      expect(error.response).toBeUndefined();
+      expect(isRetryable(error)).toBe(true);
+    });
+
     it('should identify retryable error messages', () => {
       const retryableMessages = [
         'Network error occurred',
@@ -219,4 +234,67 @@ describe('Retry Utilities', () => {
       expect(attempts).toBe(2);
     });
   });
-});
\ No newline at end of file
+
+  describe('getRetryAfter', () => {
+    const rateLimitError = headers => Object.assign(new Error('Too many requests'), {
+      response: { status: 429, headers }
+    });
+
+    it('should read Retry-After in seconds or as an HTTP date', () => {
+      expect(getRetryAfter(rateLimitError({ 'retry-after': '2' }))).toBe(2000);
+      const date = new Date(Date.now() + 5000).toUTCString();
+      expect(getRetryAfter(rateLimitError({ 'retry-after': date }))).toBeGreaterThan(3000);
+    });
+
+    it('should read fetch-style headers and OpenAI reset durations', () => {
+      const error = Object.assign(new Error('429'), {
+        status: 429,
+        headers: new Map([['x-ratelimit-reset-requests', '1s'], ['x-ratelimit-reset-tokens', '6m0.5s']])
+      });
+
+      expect(getRetryAfter(error)).toBe(360500);
+      expect(isRateLimited(error)).toBe(true);
+    });
+
+    it('should return null when the provider gave no hint', () => {
+      expect(getRetryAfter(rateLimitError({}))).toBeNull();
+      expect(getRetryAfter(new Error('boom'))).toBeNull();
+    });
+
+    it('should wait for Retry-After instead of backing off', async () => {
+      const onRetry = jest.fn();
+      const operation = jest.fn()
+        .mockRejectedValueOnce(rateLimitError({ 'retry-after-ms': '15' }))
+        .mockResolvedValueOnce('ok');
+
+      const retry = createRetry({ maxRetries: 2, initialDelay: 5000, onRetry });
+
+      await expect(retry(operation)).resolves.toBe('ok');
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ delay: 15 }));
+    });
+  });
+
+  describe('abort signals', () => {
+    it('should not start an attempt once the signal has aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('client went away'));
+      const operation = jest.fn().mockResolvedValue('ok');
+
+      await expect(withRetry({ maxRetries: 3 }, operation)({ user: 'a', signal: controller.signal }))
+        .rejects.toThrow('client went away');
+      expect(operation).not.toHaveBeenCalled();
+    });
+
+    it('should stop waiting between retries when the signal aborts', async () => {
+      const controller = new AbortController();
+      const operation = jest.fn().mockRejectedValue(Object.assign(new Error('reset'), { code: 'ECONNRESET' }));
+      setTimeout(() => controller.abort(new Error('deadline')), 20);
+
+      const started = Date.now();
+      await expect(withRetry({ maxRetries: 3, initialDelay: 5000, jitter: false }, operation)({ signal: controller.signal }))
+        .rejects.toThrow('deadline');
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+  });
+});
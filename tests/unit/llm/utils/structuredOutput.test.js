@@ -0,0 +1,116 @@
+const OpenAI = require('openai');
+const {
+  toOpenAIResponseFormat,
+  toGeminiSchema,
+  toGeminiGenerationConfig,
+  toOllamaFormat
+} = require('../../../../src/llm/utils/structuredOutput');
+const { createOpenAIProvider } = require('../../../../src/llm/providers/openai');
+const { createProviderRegistry } = require('../../../../src/llm/registry');
+const { createLLMClient } = require('../../../../src/llm/client');
+const prompts = require('../../../../src/prompts/prompts');
+
+jest.mock('openai');
+
+const outputSchema = {
+  name: 'keyword',
+  schema: {
+    type: 'object',
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 1 },
+      suggestions: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['score', 'suggestions']
+  }
+};
+
+describe('Structured Output', () => {
+  describe('critic output schemas', () => {
+    it('should declare a named object schema for every critic', () => {
+      Object.entries(prompts)
+        .filter(([name]) => name.endsWith('Critic'))
+        .forEach(([name, critic]) => {
+          const result = critic('job description', 'resume', 'original resume');
+
+          expect(result.outputSchema.name).toBe(name.replace(/Critic$/, ''));
+          expect(result.outputSchema.schema.type).toBe('object');
+          expect(result.outputSchema.schema.required.length).toBeGreaterThan(0);
+        });
+    });
+
+    it('should leave the plain-text keyword extractor without a schema', () => {
+      expect(prompts.keywordExtractor('job description').outputSchema).toBeUndefined();
+    });
+  });
+
+  describe('toOpenAIResponseFormat', () => {
+    it('should send the schema to models that support json_schema', () => {
+      expect(toOpenAIResponseFormat(outputSchema, 'gpt-4o-mini')).toEqual({
+        type: 'json_schema',
+        json_schema: { name: 'keyword', schema: outputSchema.schema, strict: false }
+      });
+    });
+
+    it('should fall back to json_object for older models and honour the mode', () => {
+      expect(toOpenAIResponseFormat(outputSchema, 'gpt-3.5-turbo')).toEqual({ type: 'json_object' });
+      expect(toOpenAIResponseFormat(outputSchema, 'llama-3-8b', 'json_schema').type).toBe('json_schema');
+      expect(toOpenAIResponseFormat(outputSchema, 'gpt-4o', 'none')).toBeUndefined();
+      expect(toOpenAIResponseFormat(undefined, 'gpt-4o')).toBeUndefined();
+    });
+  });
+
+  describe('Gemini and Ollama', () => {
+    it('should strip keywords Gemini does not accept', () => {
+      expect(toGeminiSchema(outputSchema.schema).properties.score).toEqual({ type: 'number' });
+      expect(toGeminiGenerationConfig(outputSchema, 'gemini-1.5-flash')).toEqual({
+        responseMimeType: 'application/json',
+        responseSchema: {
+          type: 'object',
+          properties: { score: { type: 'number' }, suggestions: { type: 'array', items: { type: 'string' } } },
+          required: ['score', 'suggestions']
+        }
+      });
+      expect(toGeminiGenerationConfig(outputSchema, 'gemini-pro')).toEqual({});
+    });
+
+    it('should send the schema itself as the Ollama format', () => {
+      expect(toOllamaFormat(outputSchema)).toBe(outputSchema.schema);
+    });
+  });
+
+  describe('providers', () => {
+    const create = jest.fn();
+
+    beforeEach(() => {
+      create.mockReset();
+      create.mockResolvedValue({ choices: [{ message: { content: '{"score": 0.8}' }, finish_reason: 'stop' }] });
+      OpenAI.mockImplementation(() => ({ chat: { completions: { create } } }));
+      process.env.USE_MOCK_LLM = '';
+    });
+
+    it('should request structured output from OpenAI unless responseFormat is given', async () => {
+      const provider = createOpenAIProvider({ apiKey: 'key', model: 'gpt-4o-mini' });
+
+      await provider.complete({ user: 'resume', outputSchema });
+      await provider.complete({ user: 'resume', outputSchema, responseFormat: { type: 'text' } });
+
+      expect(create.mock.calls[0][0].response_format.type).toBe('json_schema');
+      expect(create.mock.calls[1][0].response_format).toEqual({ type: 'text' });
+    });
+
+    it('should not pass the schema to providers without jsonMode or when turned off', async () => {
+      const complete = jest.fn().mockResolvedValue('{"score": 3}');
+      const registry = createProviderRegistry([
+        { name: 'plain', capabilities: { jsonMode: false }, create: () => ({ name: 'plain', model: 'm', complete }) },
+        { name: 'json', capabilities: { jsonMode: true }, create: () => ({ name: 'json', model: 'm', complete }) }
+      ]);
+
+      await createLLMClient({ provider: 'plain', registry, useMock: false }).complete({ user: 'a', outputSchema });
+      await createLLMClient({ provider: 'json', registry, useMock: false }).complete({ user: 'b', outputSchema });
+      await createLLMClient({ provider: 'json', registry, useMock: false, structuredOutput: false })
+        .complete({ user: 'c', outputSchema });
+
+      expect(complete.mock.calls.map(([options]) => options.outputSchema)).toEqual([undefined, outputSchema, undefined]);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const {
+  mean,
+  median,
+  standardDeviation,
+  criticalValue,
+  summarizeSamples
+} = require('../../../src/utils/statistics');
+
+describe('Statistics Utilities', () => {
+  it('should compute mean, median and sample standard deviation', () => {
+    expect(mean([0.6, 0.7, 0.8])).toBeCloseTo(0.7);
+    expect(median([0.9, 0.6, 0.7])).toBe(0.7);
+    expect(median([0.6, 0.7, 0.8, 0.9])).toBeCloseTo(0.75);
+    expect(standardDeviation([0.6, 0.7, 0.8])).toBeCloseTo(0.1);
+    expect(standardDeviation([0.6])).toBe(0);
+    expect(mean([])).toBeNull();
+  });
+
+  it('should use t critical values for small samples', () => {
+    expect(criticalValue(0.95, 2)).toBe(4.303);
+    expect(criticalValue(0.9, 30)).toBe(1.645);
+    expect(() => criticalValue(0.5, 2)).toThrow('Unsupported confidence level');
+  });
+
+  it('should summarize samples with a confidence interval around the aggregate', () => {
+    const summary = summarizeSamples([0.6, 0.7, 0.8]);
+
+    expect(summary).toMatchObject({ value: 0.7, std_dev: 0.1, min: 0.6, max: 0.8, samples: 3 });
+    // 0.7 +/- 4.303 * 0.1 / sqrt(3)
+    expect(summary.lower).toBeCloseTo(0.452, 3);
+    expect(summary.upper).toBeCloseTo(0.948, 3);
+  });
+
+  it('should centre the interval on the median and clamp it to 0-1', () => {
+    const summary = summarizeSamples([0.5, 0.9, 0.95], { aggregate: 'median', confidence: 0.8 });
+
+    expect(summary.value).toBe(0.9);
+    expect(summary.upper).toBe(1);
+    expect(summary.lower).toBeLessThan(0.9);
+    expect(summarizeSamples([0.8])).toMatchObject({ lower: 0.8, upper: 0.8, std_dev: 0 });
+    expect(summarizeSamples([])).toBeNull();
+  });
+});